@@ -8,7 +8,19 @@ import { printSchema } from 'graphql'
 import { Command } from 'commander'
 import { fetch } from 'cross-fetch'
 
-import { createGraphQLSchema, Oas2, Oas3, Options } from 'openapi-to-graphql'
+import {
+  compareSchemas,
+  createCallbackReceiver,
+  createGraphQLSchema,
+  generateTypeScriptModule,
+  Oas2,
+  Oas3,
+  OperationFilter,
+  Options,
+  Report
+} from 'openapi-to-graphql'
+import { loadPubSub, serveSubscriptions } from './subscriptions'
+import { getSarifLog } from './sarif'
 
 const app = express()
 
@@ -22,6 +34,25 @@ program
     'throw an error if OpenAPI-to-GraphQL cannot run without compensating for errors or missing data in the OAS'
   )
   .option('--save <file path>', 'save schema to path and do not start server')
+  .option(
+    '--generate <file path>',
+    'generate a TypeScript module with the type definitions and resolvers of the schema at path and do not start server'
+  )
+  .option(
+    '--compare <path or url>',
+    'compare the schema with the one created from an older version of the OAS at path or url, print the breaking, dangerous, and safe changes, and do not start server; repeatable flag',
+    collect,
+    []
+  )
+  .option(
+    '--report <file path>',
+    'save the report, which lists the warnings and what was created from each operation, to path'
+  )
+  .option(
+    '--reportFormat <format>',
+    "format of the saved report, i.e. 'json' or 'sarif', which locates the warnings in the OAS files",
+    'json'
+  )
 
   // Resolver options
   .option(
@@ -61,6 +92,18 @@ program
     '--singularNames',
     'Experimental feature that will create more meaningful names from the operation path'
   )
+  .option(
+    '--include <type:value>',
+    'only create fields for matching operations; repeatable flag; set using tag:<tag>, path:<glob>, method:<method>, or operationId:<operationId> notation',
+    collect,
+    []
+  )
+  .option(
+    '--exclude <type:value>',
+    'do not create fields for matching operations; repeatable flag; set using tag:<tag>, path:<glob>, method:<method>, or operationId:<operationId> notation',
+    collect,
+    []
+  )
 
   // Resolver options
   .option(
@@ -76,6 +119,16 @@ program
     []
   )
 
+  // Subscription options
+  .option(
+    '--createSubscriptionsFromCallbacks',
+    'create GraphQL subscriptions from the callbacks of operations, which are served over WebSockets using the graphql-ws protocol, and receive the callbacks to publish them to the subscriptions'
+  )
+  .option(
+    '--pubsub <module>',
+    'path or name of a module that exports the PubSub engine for subscriptions or a function that creates it; defaults to an in-memory PubSub engine'
+  )
+
   // Authentication options
   .option(
     '--no-viewer',
@@ -103,53 +156,61 @@ if (typeof filePaths === 'undefined' || filePaths.length === 0) {
   process.exit(1)
 }
 
-// Load the OASs based off of the provided paths
-Promise.all(
-  filePaths.map((filePath) => {
-    return new Promise<Oas3>((resolve, reject) => {
-      // Check if the file exists
-      if (fs.existsSync(path.resolve(filePath))) {
-        try {
-          resolve(readFile(path.resolve(filePath)))
-        } catch (error) {
-          reject(error)
-        }
+if (!['json', 'sarif'].includes(program.reportFormat)) {
+  console.error(`Unknown report format '${program.reportFormat}'`)
+  console.error(
+    'Please refer to the help manual (openapi-to-graphql -h) for more information'
+  )
+  process.exit(1)
+}
 
-        // Check if file is in a remote location
-      } else if (filePath.match(/^https?/g)) {
-        getRemoteFileSpec(filePath)
-          .then((remoteContent) => {
-            resolve(remoteContent)
-          })
-          .catch((error) => {
-            reject(error)
-          })
-
-        // Cannot determine location of file
-      } else {
-        reject(`File path '${filePath}' is invalid`)
-      }
-    })
-  })
-)
-  .then((oass) => {
+// Load the OASs based off of the provided paths
+Promise.all(filePaths.map(loadOas))
+  .then(async (oass) => {
     // Select the port on which to host the GraphQL server
     const portNumber: number = program.port ? program.port : 3000
 
+    // Only pass the flags that are options of the OpenAPI-to-GraphQL library
     const options: Options<any, any, any> = {
-      ...program.opts(),
+      strict: program.strict,
+      baseUrl: program.url,
+
+      // Schema options
+      operationIdFieldNames: program.operationIdFieldNames,
+      fillEmptyResponses: program.fillEmptyResponses,
+      addLimitArgument: program.addLimitArgument,
+      genericPayloadArgName: program.genericPayloadArgName,
+      simpleNames: program.simpleNames,
+      simpleEnumValues: program.simpleEnumValues,
+      singularNames: program.singularNames,
+      createSubscriptionsFromCallbacks:
+        program.createSubscriptionsFromCallbacks,
+
+      // Authentication options
+      viewer: program.viewer,
+
+      // Logging options
+      provideErrorExtensions: program.extensions,
+      equivalentToMessages: program.equivalentToMessages,
 
       /**
        * Assemble headers and query strings so that they are in the proper format
        * for the OpenAPI-to-GraphQL library
        */
-      ...{
-        headers: parseKeyValuePairs(program.header),
-        qs: parseKeyValuePairs(program.queryString)
-      }
+      headers: parseKeyValuePairs(program.header),
+      qs: parseKeyValuePairs(program.queryString),
+      include: parseOperationFilter(program.include),
+      exclude: parseOperationFilter(program.exclude)
     }
 
-    startGraphQLServer(oass, options, portNumber)
+    if (program.compare.length > 0) {
+      const oldOass = await Promise.all(program.compare.map(loadOas))
+      compareVersions(oldOass, oass, options)
+    } else if (program.generate) {
+      generateModule(oass, options)
+    } else {
+      startGraphQLServer(oass, options, portNumber)
+    }
   })
   .catch((error) => {
     console.error(error)
@@ -166,6 +227,38 @@ function collect(value: string, previous: string[]): string[] {
   return previous.concat([value])
 }
 
+/**
+ * Loads the OAS at the given path, which may be a local file or a remote url
+ *
+ * @param {string} filePath Path or url of the OAS
+ */
+function loadOas(filePath: string): Promise<Oas3> {
+  return new Promise<Oas3>((resolve, reject) => {
+    // Check if the file exists
+    if (fs.existsSync(path.resolve(filePath))) {
+      try {
+        resolve(readFile(path.resolve(filePath)))
+      } catch (error) {
+        reject(error)
+      }
+
+      // Check if file is in a remote location
+    } else if (filePath.match(/^https?/g)) {
+      getRemoteFileSpec(filePath)
+        .then((remoteContent) => {
+          resolve(remoteContent)
+        })
+        .catch((error) => {
+          reject(error)
+        })
+
+      // Cannot determine location of file
+    } else {
+      reject(`File path '${filePath}' is invalid`)
+    }
+  })
+}
+
 /**
  * Returns content of read JSON/YAML file.
  *
@@ -225,31 +318,61 @@ function startGraphQLServer<TSource, TContext, TArgs extends object>(
 ): void {
   // Create GraphQL interface
   createGraphQLSchema(oas, options)
-    .then(({ schema, report }) => {
+    .then(async ({ schema, report, data }) => {
       console.log(JSON.stringify(report, null, 2))
 
+      if (program.report) {
+        writeReport(report, oas)
+      }
+
       // Save local file if required
       if (program.save) {
         writeSchema(schema)
       } else {
+        // Resolvers of subscriptions find the PubSub engine in the context
+        const pubsub = await loadPubSub(program.pubsub)
+        const hasSubscriptions = Boolean(schema.getSubscriptionType())
+
         // Enable CORS
         if (program.cors) {
           app.use(cors())
         }
 
-        // Mounting graphql endpoint using the middleware express-graphql
+        /**
+         * Mounting graphql endpoint using the middleware express-graphql
+         *
+         * Each request gets its own context, which e.g. batched requests are
+         * scoped to
+         */
         app.use(
           '/graphql',
-          graphqlHTTP({
+          graphqlHTTP((req) => ({
             schema,
-            graphiql: true
-          })
+            graphiql: true,
+            context: { pubsub, req }
+          }))
         )
 
+        // Receive callbacks from the APIs and publish them to subscriptions
+        if (hasSubscriptions) {
+          app.use(createCallbackReceiver(data, { pubsub }))
+        }
+
         // Initiating the server on the port specified by user or the default one
-        app.listen(port, () => {
+        const server = app.listen(port, () => {
           console.log(`GraphQL accessible at: http://localhost:${port}/graphql`)
+
+          if (hasSubscriptions) {
+            console.log(
+              `Subscriptions accessible at: ws://localhost:${port}/graphql`
+            )
+          }
         })
+
+        // Serve subscriptions using the graphql-ws protocol
+        if (hasSubscriptions) {
+          serveSubscriptions(server, schema, pubsub, '/graphql')
+        }
       }
     })
     .catch((err) => {
@@ -257,6 +380,65 @@ function startGraphQLServer<TSource, TContext, TArgs extends object>(
     })
 }
 
+/**
+ * compares the GraphQL schemas created from an old and a new version of the
+ * OAS, prints the changes between them, and fails if there are breaking
+ * changes
+ * @param {object} oldOas the old version of the OAS specification file
+ * @param {object} newOas the new version of the OAS specification file
+ */
+function compareVersions<TSource, TContext, TArgs extends object>(
+  oldOas: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  newOas: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  options: Options<TSource, TContext, TArgs>
+): void {
+  compareSchemas(oldOas, newOas, options)
+    .then((comparison) => {
+      console.log(JSON.stringify(comparison, null, 2))
+
+      if (comparison.breakingChanges.length > 0) {
+        console.log(
+          `OpenAPI-to-GraphQL found ${comparison.breakingChanges.length} breaking change(s)`
+        )
+        process.exit(1)
+      }
+    })
+    .catch((err) => {
+      console.log('OpenAPI-to-GraphQL comparison event error:', err.message)
+      process.exit(1)
+    })
+}
+
+/**
+ * generates a TypeScript module with the type definitions and resolvers of the
+ * GraphQL schema and saves it to a file
+ * @param {object} oas the OAS specification file
+ */
+function generateModule<TSource, TContext, TArgs extends object>(
+  oas: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  options: Options<TSource, TContext, TArgs>
+): void {
+  generateTypeScriptModule(oas, options)
+    .then(({ code, report }) => {
+      console.log(JSON.stringify(report, null, 2))
+
+      if (program.report) {
+        writeReport(report, oas)
+      }
+
+      fs.writeFile(program.generate, code, (err) => {
+        if (err) throw err
+        console.log(
+          `OpenAPI-to-GraphQL successfully generated your module at ${program.generate}`
+        )
+      })
+    })
+    .catch((err) => {
+      console.log('OpenAPI-to-GraphQL generation event error:', err.message)
+      process.exit(1)
+    })
+}
+
 /**
  * saves a grahpQL schema generated by OpenAPI-to-GraphQL to a file
  * @param {createGraphQLSchema} schema
@@ -270,6 +452,33 @@ function writeSchema(schema): void {
   })
 }
 
+/**
+ * saves the report of OpenAPI-to-GraphQL to a file, either as JSON or as a
+ * SARIF log that locates the warnings in the OAS files
+ * @param {object} report the report of OpenAPI-to-GraphQL
+ * @param {object} oas the OAS specification files
+ */
+function writeReport(report: Report, oas: Oas3 | Oas2 | (Oas3 | Oas2)[]): void {
+  let content: object = report
+
+  if (program.reportFormat === 'sarif') {
+    // The OASs are in the same order as the paths they were loaded from
+    const oasFiles: { [title: string]: string } = {}
+    ;(Array.isArray(oas) ? oas : [oas]).forEach((oas, index) => {
+      oasFiles[oas.info.title] = filePaths[index]
+    })
+
+    content = getSarifLog(report, oasFiles)
+  }
+
+  fs.writeFile(program.report, JSON.stringify(content, null, 2), (err) => {
+    if (err) throw err
+    console.log(
+      `OpenAPI-to-GraphQL successfully saved your report at ${program.report}`
+    )
+  })
+}
+
 /**
  * Parse key value pairs in the form `key:string`
  *
@@ -306,3 +515,47 @@ function parseKeyValuePairs(keyValues: string[]): { [key: string]: string } {
 
   return parsedKeyValues
 }
+
+/**
+ * Parse operation filters in the form `type:value`, where type is one of tag,
+ * path, method, or operationId
+ *
+ * @param filters Raw unparsed operation filters from the CLI
+ */
+function parseOperationFilter(filters: string[]): OperationFilter | undefined {
+  if (!Array.isArray(filters) || filters.length === 0) {
+    return undefined
+  }
+
+  const operationFilter: OperationFilter = {}
+  const filterKeys: { [type: string]: keyof OperationFilter } = {
+    tag: 'tags',
+    path: 'paths',
+    method: 'methods',
+    operationId: 'operationIds'
+  }
+
+  filters.forEach((filter) => {
+    const separator = filter.indexOf(':')
+    const type = separator === -1 ? filter : filter.substr(0, separator)
+
+    if (!(type in filterKeys)) {
+      console.warn(
+        `The operation filter '${filter}' does not start with one of ` +
+          `${Object.keys(filterKeys)
+            .map((key) => `'${key}:'`)
+            .join(', ')}. It will be ignored.`
+      )
+    } else {
+      const key = filterKeys[type]
+      if (!Array.isArray(operationFilter[key])) {
+        operationFilter[key] = []
+      }
+
+      // Trim, may have leading white space
+      operationFilter[key].push(filter.substr(separator + 1).trim())
+    }
+  })
+
+  return operationFilter
+}
@@ -0,0 +1,251 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql-cli
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to convert the report of OpenAPI-to-GraphQL into a log in the
+ * Static Analysis Results Interchange Format (SARIF) 2.1.0, so that code
+ * review tools can show the warnings next to the parts of the OASs that
+ * caused them.
+ */
+
+import path from 'path'
+import fs from 'fs'
+import { OasLocation, Report } from 'openapi-to-graphql'
+
+type SarifLocation = {
+  physicalLocation: {
+    artifactLocation: { uri: string }
+    region?: { startLine: number }
+  }
+  logicalLocations: { fullyQualifiedName: string }[]
+}
+
+type SarifResult = {
+  ruleId: string
+  level: 'warning'
+  message: { text: string }
+  locations?: SarifLocation[]
+}
+
+export type SarifLog = {
+  $schema: string
+  version: '2.1.0'
+  runs: {
+    tool: {
+      driver: {
+        name: string
+        informationUri: string
+        rules: { id: string }[]
+      }
+    }
+    results: SarifResult[]
+  }[]
+}
+
+/**
+ * Converts the warnings of the report into the results of a SARIF log
+ *
+ * @param report the report of OpenAPI-to-GraphQL
+ * @param oasFiles paths or urls of the OAS files, by the titles of the OASs
+ */
+export function getSarifLog(
+  report: Report,
+  oasFiles: { [title: string]: string }
+): SarifLog {
+  const ruleIds: string[] = []
+  const fileContents: { [filePath: string]: string | undefined } = {}
+
+  const results = report.warnings.map((warning) => {
+    if (!ruleIds.includes(warning.type)) {
+      ruleIds.push(warning.type)
+    }
+
+    const result: SarifResult = {
+      ruleId: warning.type,
+      level: 'warning',
+      message: { text: `${warning.message} - ${warning.mitigation}` }
+    }
+
+    if (
+      typeof warning.source === 'object' &&
+      typeof oasFiles[warning.source.title] === 'string'
+    ) {
+      const filePath = oasFiles[warning.source.title]
+      if (!(filePath in fileContents)) {
+        fileContents[filePath] = readLocalFile(filePath)
+      }
+
+      result.locations = [
+        getLocation(warning.source, filePath, fileContents[filePath])
+      ]
+    }
+
+    return result
+  })
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'OpenAPI-to-GraphQL',
+            informationUri: 'https://github.com/IBM/openapi-to-graphql',
+            rules: ruleIds.map((id) => ({ id }))
+          }
+        },
+        results
+      }
+    ]
+  }
+}
+
+/**
+ * Returns the content of the file at the given path, or undefined if the OAS
+ * has been loaded from a remote url
+ */
+function readLocalFile(filePath: string): string | undefined {
+  return fs.existsSync(path.resolve(filePath))
+    ? fs.readFileSync(path.resolve(filePath), 'utf8')
+    : undefined
+}
+
+/**
+ * Locates the part of an OAS in its file
+ *
+ * @param source the part of the OAS
+ * @param filePath path or url of the OAS file
+ * @param content content of the OAS file, if it is a local file
+ */
+function getLocation(
+  source: OasLocation,
+  filePath: string,
+  content?: string
+): SarifLocation {
+  // Local files are referenced relative to the working directory
+  const uri =
+    typeof content === 'string'
+      ? path
+          .relative(process.cwd(), path.resolve(filePath))
+          .split(path.sep)
+          .join('/')
+      : filePath
+
+  const startLine =
+    typeof content === 'string'
+      ? getLineNumber(content, source.pointer)
+      : undefined
+
+  return {
+    physicalLocation: {
+      artifactLocation: { uri },
+      ...(typeof startLine === 'number' ? { region: { startLine } } : {})
+    },
+    logicalLocations: [{ fullyQualifiedName: source.pointer }]
+  }
+}
+
+/**
+ * Returns the number of the line of a JSON or YAML file that the JSON pointer
+ * refers to, if any
+ *
+ * Follows the indentation of the file, so it only supports files that place
+ * each key and each item of a list of objects on its own line.
+ */
+function getLineNumber(content: string, pointer: string): number | undefined {
+  const lines = content.split(/\r?\n/)
+  const segments = pointer
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+
+  // The document itself is the parent of the first segment
+  let lineIndex = -1
+  for (const segment of segments) {
+    const childLines = getChildLines(lines, lineIndex)
+
+    // Keys of list items in YAML start after '- '
+    const keyLines = childLines.filter(({ key }) => typeof key === 'string')
+    const minKeyIndent = Math.min(...keyLines.map(({ keyIndent }) => keyIndent))
+    const keyLine = keyLines.find(({ key, keyIndent }) => {
+      return key === segment && keyIndent === minKeyIndent
+    })
+
+    if (typeof keyLine === 'object') {
+      lineIndex = keyLine.index
+    } else if (/^\d+$/.test(segment)) {
+      // Items start at the smallest indentation, e.g. with '{' or '- '
+      const minIndent = Math.min(...childLines.map(({ indent }) => indent))
+      const item = childLines.filter(({ indent }) => indent === minIndent)[
+        Number(segment)
+      ]
+      lineIndex = typeof item === 'object' ? item.index : -1
+    } else {
+      lineIndex = -1
+    }
+
+    if (lineIndex === -1) {
+      return
+    }
+  }
+
+  return lineIndex + 1
+}
+
+/**
+ * Returns the lines that are nested in the given line, i.e. that are indented
+ * further or are items of a YAML list that is not indented, except for blank
+ * lines, comments, and closing brackets
+ *
+ * @param parentIndex index of the line, or -1 for the whole file
+ */
+function getChildLines(
+  lines: string[],
+  parentIndex: number
+): { index: number; indent: number; key?: string; keyIndent?: number }[] {
+  const getIndent = (line: string) => line.length - line.trimStart().length
+  const parentIndent = parentIndex === -1 ? -1 : getIndent(lines[parentIndex])
+  const isListItem = (line: string) => /^\s*- /.test(line)
+  const childLines = []
+
+  // The first key of a list item in YAML is on the same line as the '- '
+  let index =
+    parentIndex !== -1 && isListItem(lines[parentIndex])
+      ? parentIndex
+      : parentIndex + 1
+
+  for (; index < lines.length; index++) {
+    const line = lines[index]
+    if (/^\s*(#.*)?$/.test(line) || /^\s*[\]}],?\s*$/.test(line)) {
+      continue
+    } else if (
+      index !== parentIndex &&
+      (getIndent(line) < parentIndent ||
+        (getIndent(line) === parentIndent &&
+          (!isListItem(line) || isListItem(lines[parentIndex]))))
+    ) {
+      break
+    }
+
+    const match = line.match(
+      /^(\s*(?:- )?)(?:"([^"]*)"|'([^']*)'|([^\s'"{[\-][^:]*?))\s*:(?:\s|$)/
+    )
+    childLines.push({
+      index,
+      indent: getIndent(line),
+      ...(match !== null
+        ? {
+            key: [match[2], match[3], match[4]].find(
+              (key) => typeof key === 'string'
+            ),
+            keyIndent: match[1].length
+          }
+        : {})
+    })
+  }
+
+  return childLines
+}
@@ -0,0 +1,89 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql-cli
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to serve the subscriptions that OpenAPI-to-GraphQL creates from
+ * callbacks over WebSockets, using the graphql-ws protocol.
+ */
+
+import { Server } from 'http'
+import { GraphQLSchema } from 'graphql'
+import { PubSub, PubSubEngine } from 'graphql-subscriptions'
+import { useServer } from 'graphql-ws/lib/use/ws'
+import WebSocket from 'ws'
+
+/**
+ * Loads the PubSub engine that is used by the subscriptions and the callback
+ * receiver
+ *
+ * The module, given as a path or a package name, can export a PubSub engine
+ * (e.g. a RedisPubSub from graphql-redis-subscriptions) or a function that
+ * creates one, either as default export or as 'pubsub'. If no module is given,
+ * an in-memory PubSub engine is used.
+ *
+ * @param modulePath path or name of the PubSub adapter module
+ */
+export async function loadPubSub(modulePath?: string): Promise<PubSubEngine> {
+  if (typeof modulePath !== 'string') {
+    return new PubSub()
+  }
+
+  // Resolve local modules relative to the working directory
+  const adapterModule = require(require.resolve(modulePath, {
+    paths: [process.cwd()]
+  }))
+
+  let adapter =
+    typeof adapterModule.pubsub !== 'undefined'
+      ? adapterModule.pubsub
+      : typeof adapterModule.default !== 'undefined'
+      ? adapterModule.default
+      : adapterModule
+
+  if (typeof adapter === 'function') {
+    adapter = await adapter()
+  }
+
+  if (
+    typeof adapter !== 'object' ||
+    adapter === null ||
+    typeof adapter.publish !== 'function' ||
+    typeof adapter.asyncIterator !== 'function'
+  ) {
+    throw new Error(
+      `PubSub adapter '${modulePath}' must export a PubSub engine or a ` +
+        `function that creates one`
+    )
+  }
+
+  return adapter
+}
+
+/**
+ * Serves the subscriptions of the given schema over WebSockets, using the
+ * graphql-ws protocol
+ *
+ * @param server the HTTP server to accept WebSocket connections on
+ * @param schema the GraphQL schema created by OpenAPI-to-GraphQL
+ * @param pubsub the PubSub engine that the subscriptions listen to
+ * @param path the path of the WebSocket endpoint
+ */
+export function serveSubscriptions(
+  server: Server,
+  schema: GraphQLSchema,
+  pubsub: PubSubEngine,
+  path: string
+): void {
+  const wsServer = new WebSocket.Server({ server, path })
+
+  // Each subscription gets its own context
+  useServer(
+    {
+      schema,
+      context: (ctx) => ({ pubsub, req: ctx.extra.request })
+    },
+    wsServer
+  )
+}
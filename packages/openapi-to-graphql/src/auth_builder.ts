@@ -25,6 +25,7 @@ import {
 
 // Imports:
 import { getGraphQLType } from './schema_builder'
+import { getWrapperExtensions, WrapperBinding } from './schema_binding'
 import * as Oas3Tools from './oas_3_tools'
 import debug from 'debug'
 import { handleWarning, sortObject, MitigationTypes } from './utils'
@@ -38,14 +39,26 @@ const translationLog = debug('translation')
  *
  * i.e. inside either rootQueryFields/rootMutationFields or inside
  * rootQueryFields/rootMutationFields for further processing
+ *
+ * @param namespaceName Name of the namespace that contains the viewers, if any
  */
 export function createAndLoadViewer<TSource, TContext, TArgs extends object>(
   queryFields: object,
   operationType: GraphQLOperationType,
   data: PreprocessingData<TSource, TContext, TArgs>,
-  fetch: typeof crossFetch
+  fetch: typeof crossFetch,
+  namespaceName?: string
 ): { [key: string]: GraphQLFieldConfig<TSource, TContext, TArgs> } {
   const results = {}
+  const typeNamePrefix =
+    typeof namespaceName === 'string' ? Oas3Tools.capitalize(namespaceName) : ''
+
+  // Describes the viewers in schema bindings
+  const binding: WrapperBinding = {
+    wrapper: 'viewer',
+    operationType: GraphQLOperationType[operationType].toLowerCase(),
+    ...(typeof namespaceName === 'string' ? { namespace: namespaceName } : {})
+  }
   /**
    * To ensure that viewers have unique names, we add a numerical postfix.
    *
@@ -65,6 +78,14 @@ export function createAndLoadViewer<TSource, TContext, TArgs extends object>(
   for (let protocolName in queryFields) {
     Object.assign(anyAuthFields, queryFields[protocolName])
 
+    /**
+     * Operations with combined security requirements need credentials for
+     * multiple security schemes, which only the AnyAuth viewer accepts
+     */
+    if (typeof data.security[protocolName] !== 'object') {
+      continue
+    }
+
     /**
      * Check if the name has already been used (i.e. in the list)
      * if so, create a new name and add it to the list
@@ -90,11 +111,18 @@ export function createAndLoadViewer<TSource, TContext, TArgs extends object>(
           break
 
         default:
+          // Other schemes can be supported by auth providers
+          if (typeof data.security[protocolName].authProvider === 'object') {
+            viewerType = `${scheme}Auth`
+            break
+          }
+
           handleWarning({
             mitigationType: MitigationTypes.UNSUPPORTED_HTTP_SECURITY_SCHEME,
             message:
               `Currently unsupported HTTP authentication protocol ` +
               `type 'http' and scheme '${scheme}'`,
+            source: data.security[protocolName].def,
             data,
             log: translationLog
           })
@@ -131,13 +159,20 @@ export function createAndLoadViewer<TSource, TContext, TArgs extends object>(
     }
 
     // Add the viewer object type to the specified root query object type
-    results[viewerName] = getViewerOT(
-      viewerName,
-      protocolName,
-      securityType,
-      queryFields[protocolName],
-      data
-    )
+    results[viewerName] = {
+      ...getViewerOT(
+        viewerName,
+        typeNamePrefix,
+        protocolName,
+        securityType,
+        queryFields[protocolName],
+        data
+      ),
+      extensions: getWrapperExtensions({
+        ...binding,
+        securityScheme: protocolName
+      })
+    }
   }
 
   // Create name for the AnyAuth viewer
@@ -149,12 +184,16 @@ export function createAndLoadViewer<TSource, TContext, TArgs extends object>(
       : 'subscriptionViewerAnyAuth'
 
   // Add the AnyAuth object type to the specified root query object type
-  results[anyAuthObjectName] = getViewerAnyAuthOT(
-    anyAuthObjectName,
-    anyAuthFields,
-    data,
-    fetch
-  )
+  results[anyAuthObjectName] = {
+    ...getViewerAnyAuthOT(
+      anyAuthObjectName,
+      typeNamePrefix,
+      anyAuthFields,
+      data,
+      fetch
+    ),
+    extensions: getWrapperExtensions(binding)
+  }
 
   return results
 }
@@ -164,6 +203,7 @@ export function createAndLoadViewer<TSource, TContext, TArgs extends object>(
  */
 function getViewerOT<TSource, TContext, TArgs>(
   name: string,
+  typeNamePrefix: string,
   protocolName: string,
   securityType: string,
   queryFields: GraphQLFieldConfigMap<any, any>,
@@ -234,7 +274,7 @@ function getViewerOT<TSource, TContext, TArgs>(
 
   return {
     type: new GraphQLObjectType({
-      name: Oas3Tools.capitalize(name), // Should already be sanitized and in camelCase
+      name: typeNamePrefix + Oas3Tools.capitalize(name), // Should already be sanitized and in camelCase
       description: typeDescription,
       fields: () => queryFields
     }),
@@ -250,6 +290,7 @@ function getViewerOT<TSource, TContext, TArgs>(
  */
 function getViewerAnyAuthOT<TSource, TContext, TArgs extends object>(
   name: string,
+  typeNamePrefix: string,
   queryFields: GraphQLFieldConfigMap<any, any>,
   data: PreprocessingData<TSource, TContext, TArgs>,
   fetch: typeof crossFetch
@@ -299,7 +340,7 @@ function getViewerAnyAuthOT<TSource, TContext, TArgs extends object>(
 
   return {
     type: new GraphQLObjectType({
-      name: Oas3Tools.capitalize(name), // Should already be GraphQL safe
+      name: typeNamePrefix + Oas3Tools.capitalize(name), // Should already be GraphQL safe
       description: 'Warning: Not every request will work with this viewer type',
       fields: () => queryFields
     }),
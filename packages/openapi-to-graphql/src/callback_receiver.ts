@@ -0,0 +1,342 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to receive the callbacks (i.e. webhooks) that APIs send and to
+ * publish their payloads to the subscriptions created from the callbacks.
+ */
+
+// Type imports:
+import { IncomingMessage, ServerResponse } from 'http'
+import { PubSubEngine } from 'graphql-subscriptions'
+import { Operation } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import { debug } from 'debug'
+import { pubsub as defaultPubSub } from './resolver_builder'
+import { SchemaViolation, validateAgainstSchema } from './schema_validator'
+
+const pubsubLog = debug('pubsub')
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024
+
+export type CallbackReceiverOptions = {
+  /**
+   * The PubSub engine to publish the payloads to
+   *
+   * Defaults to the PubSub engine that subscriptions use if the GraphQL
+   * context does not contain a 'pubsub'.
+   */
+  pubsub?: PubSubEngine
+
+  /**
+   * Whether to reject payloads that do not match the request body schema of
+   * the callback. Defaults to true.
+   */
+  validate?: boolean
+
+  /**
+   * The maximum size of payloads in bytes. Larger payloads are rejected with
+   * status 413. Defaults to 1 MiB.
+   */
+  maxBodySize?: number
+}
+
+/**
+ * The request as seen by the receiver, which may be an Express request whose
+ * body has already been parsed
+ */
+export type CallbackRequest = IncomingMessage & {
+  body?: any
+  originalUrl?: string
+  protocol?: string
+}
+
+/**
+ * A middleware that can be used with Express or as a Node request listener
+ */
+export type CallbackReceiver = (
+  req: CallbackRequest,
+  res: ServerResponse,
+  next?: (error?: any) => void
+) => void
+
+// A callback operation together with the topics it matches
+type CallbackMatcher = {
+  operation: Operation
+
+  /**
+   * Matches the topics, i.e. the callback expressions with resolved runtime
+   * expressions, that belong to the callback
+   */
+  pattern: RegExp
+
+  /**
+   * Whether the topics are absolute URLs rather than paths
+   */
+  absolute: boolean
+
+  /**
+   * Whether the callback expression consists of a single runtime expression
+   * and therefore matches any URL
+   */
+  catchAll: boolean
+}
+
+/**
+ * Creates a middleware that receives the callbacks of the given preprocessed
+ * OASs, validates their payloads, and publishes them to the corresponding
+ * subscriptions
+ *
+ * Subscriptions listen to the topics that result from resolving the runtime
+ * expressions of the callback expressions. Callbacks are therefore published
+ * to their paths or, if the callback expressions are absolute URLs or consist
+ * of a single runtime expression, to their URLs.
+ *
+ * Requests that do not match a callback are passed on to the next middleware
+ * or, if there is none, answered with status 404.
+ *
+ * @param data the data returned by createGraphQLSchema()
+ */
+export function createCallbackReceiver<TSource, TContext, TArgs>(
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  {
+    pubsub = defaultPubSub,
+    validate = true,
+    maxBodySize = DEFAULT_MAX_BODY_SIZE
+  }: CallbackReceiverOptions = {}
+): CallbackReceiver {
+  const matchers: CallbackMatcher[] = Object.values(
+    data.callbackOperations
+  ).map((operation) => {
+    return {
+      operation,
+      pattern: getCallbackPattern(operation.path),
+      absolute: !operation.path.startsWith('/'),
+      catchAll: isSingleRuntimeExpression(operation.path)
+    }
+  })
+
+  return (req, res, next) => {
+    const path = (
+      typeof req.originalUrl === 'string' ? req.originalUrl : req.url
+    ).split('?')[0]
+    const url = `${getProtocol(req)}://${req.headers.host}${path}`
+
+    let matches = matchers.filter(({ operation, pattern, absolute }) => {
+      return (
+        operation.method === req.method.toLowerCase() &&
+        pattern.test(absolute ? url : path)
+      )
+    })
+
+    // Prefer callbacks whose expressions describe the URL over catch-alls
+    if (matches.some(({ catchAll }) => !catchAll)) {
+      matches = matches.filter(({ catchAll }) => !catchAll)
+    }
+
+    if (matches.length === 0) {
+      if (typeof next === 'function') {
+        return next()
+      }
+
+      return sendJson(res, 404, { message: 'Unknown callback' })
+    }
+
+    // Payloads of callbacks that expect JSON are parsed regardless of headers
+    const expectsJson =
+      isJsonRequest(req) ||
+      matches.some(({ operation }) => {
+        return (
+          typeof operation.payloadContentType === 'string' &&
+          isJsonContentType(operation.payloadContentType)
+        )
+      })
+
+    readBody(req, maxBodySize)
+      .then((body) => {
+        let payload = body
+        if (typeof body === 'string' && expectsJson) {
+          try {
+            payload = JSON.parse(body)
+          } catch (e) {
+            return sendJson(res, 400, {
+              message: 'Cannot parse callback payload'
+            })
+          }
+        }
+
+        const topics = new Set<string>()
+        let violations: SchemaViolation[] = []
+
+        matches.forEach(({ operation, absolute }) => {
+          const operationViolations = validate
+            ? getPayloadViolations(payload, operation)
+            : []
+
+          if (operationViolations.length === 0) {
+            topics.add(absolute ? url : path)
+          } else {
+            violations = violations.concat(operationViolations)
+          }
+        })
+
+        if (topics.size === 0) {
+          pubsubLog(
+            `Reject invalid callback payload ${JSON.stringify(
+              payload
+            )}: ${JSON.stringify(violations)}`
+          )
+
+          return sendJson(res, 400, {
+            message: 'Invalid callback payload',
+            errors: violations
+          })
+        }
+
+        return Promise.all(
+          Array.from(topics).map((topic) => {
+            pubsubLog(`Publishing to: ${topic}`)
+            return pubsub.publish(topic, payload)
+          })
+        ).then(() => {
+          res.statusCode = 204
+          res.end()
+        })
+      })
+      .catch((error) => {
+        if (error.status === 413) {
+          // Stop reading the payload once the response has been sent
+          res.setHeader('Connection', 'close')
+          res.on('finish', () => req.destroy())
+
+          return sendJson(res, 413, { message: error.message })
+        } else if (typeof next === 'function') {
+          return next(error)
+        }
+
+        sendJson(res, 500, { message: error.message })
+      })
+  }
+}
+
+/**
+ * Creates a regular expression, which matches the topics that result from
+ * resolving the runtime expressions in the given callback expression
+ *
+ * Runtime expressions that make up the whole callback expression (e.g.
+ * '{$request.body#/callbackUrl}') match any URL, other runtime expressions
+ * match a single path segment.
+ */
+function getCallbackPattern(callbackExpression: string): RegExp {
+  if (isSingleRuntimeExpression(callbackExpression)) {
+    return /^.+$/
+  }
+
+  const pattern = callbackExpression
+    .split(/{[^}]*}/)
+    .map((literal) => literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+')
+
+  return new RegExp(`^${pattern}$`)
+}
+
+function isSingleRuntimeExpression(callbackExpression: string): boolean {
+  return /^{[^}]*}$/.test(callbackExpression)
+}
+
+/**
+ * Returns the violations of the request body schema of the given callback
+ * operation by the given payload
+ */
+function getPayloadViolations(
+  payload: any,
+  operation: Operation
+): SchemaViolation[] {
+  if (
+    typeof operation.payloadDefinition !== 'object' ||
+    typeof operation.payloadContentType !== 'string' ||
+    !isJsonContentType(operation.payloadContentType)
+  ) {
+    return []
+  }
+
+  return validateAgainstSchema(
+    payload,
+    operation.payloadDefinition.schema,
+    operation.oas
+  )
+}
+
+/**
+ * Returns the body of the given request, unless another middleware already
+ * consumed and parsed it
+ *
+ * Rejects with an error with status 413 if the body exceeds the given maximum
+ * size, in which case the rest of the body is not read.
+ */
+function readBody(req: CallbackRequest, maxBodySize: number): Promise<any> {
+  if (req.readableEnded) {
+    return Promise.resolve(req.body)
+  }
+
+  const tooLarge = () => {
+    req.pause()
+    return Object.assign(
+      new Error(`Callback payload exceeds ${maxBodySize} bytes`),
+      { status: 413 }
+    )
+  }
+
+  if (Number(req.headers['content-length']) > maxBodySize) {
+    return Promise.reject(tooLarge())
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks: Buffer[] = []
+    let size = 0
+
+    const onData = (chunk: Buffer) => {
+      size += chunk.length
+
+      if (size > maxBodySize) {
+        req.removeListener('data', onData)
+        reject(tooLarge())
+      } else {
+        chunks.push(chunk)
+      }
+    }
+
+    req.on('data', onData)
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()))
+    req.on('error', reject)
+  })
+}
+
+function getProtocol(req: CallbackRequest): string {
+  if (typeof req.protocol === 'string') {
+    return req.protocol
+  }
+
+  return 'encrypted' in req.socket ? 'https' : 'http'
+}
+
+function isJsonRequest(req: CallbackRequest): boolean {
+  return (
+    typeof req.headers['content-type'] === 'string' &&
+    isJsonContentType(req.headers['content-type'])
+  )
+}
+
+function isJsonContentType(contentType: string): boolean {
+  return /^application\/([\w.-]+\+)?json\b/i.test(contentType)
+}
+
+function sendJson(res: ServerResponse, status: number, body: object): void {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
@@ -0,0 +1,359 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to print a TypeScript module that contains the type definitions of
+ * a schema and resolvers, which invoke the operations of the schema using the
+ * runtime, so that the schema can be built without processing the OAS.
+ */
+
+// Type imports:
+import {
+  getNamedType,
+  GraphQLEnumType,
+  GraphQLInputObjectType,
+  GraphQLInputType,
+  GraphQLObjectType,
+  GraphQLSchema,
+  printSchema
+} from 'graphql'
+import { Operation } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+import { RuntimeOperation } from './runtime'
+import {
+  Binding,
+  FieldBinding,
+  getSchemaBinding,
+  isOperationBinding,
+  OperationBinding
+} from './schema_binding'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import { GraphQLOperationType } from './types/graphql'
+
+/**
+ * Prints a TypeScript module that exports the type definitions of the given
+ * schema, the values of its enum types, and functions that create its
+ * resolvers and the executable schema
+ */
+export function printTypeScriptModule<TSource, TContext, TArgs>(
+  schema: GraphQLSchema,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  runtimeModule: string
+): string {
+  checkRootFields(schema)
+
+  // The code of the resolvers of each type
+  const resolvers: { [typeName: string]: string[] } = {}
+  getSchemaBinding(schema)
+    .filter(isOperationBinding)
+    .forEach((fieldBinding) => {
+      const { typeName, fieldName } = fieldBinding
+      const operation = getRuntimeOperation(fieldBinding, schema, data)
+
+      if (!(typeName in resolvers)) {
+        resolvers[typeName] = []
+      }
+
+      resolvers[typeName].push(
+        `// ${Oas3Tools.formatOperationString(
+          operation.method,
+          operation.path
+        )}\n` +
+          `${printKey(fieldName)}: createOperationResolver(\n` +
+          `${indent(printValue(operation), 1)},\n` +
+          `  options\n` +
+          `)`
+      )
+    })
+
+  const titles = data.oass.map((oas) => `'${oas.info.title}'`).join(', ')
+
+  return [
+    `// Generated by OpenAPI-to-GraphQL from ${titles}. Do not edit.`,
+    `import { GraphQLSchema } from 'graphql'\n` +
+      `import {\n` +
+      `  buildExecutableSchema,\n` +
+      `  createOperationResolver,\n` +
+      `  ResolverMap,\n` +
+      `  RuntimeOptions\n` +
+      `} from ${printValue(runtimeModule)}`,
+    `export const typeDefs = \`\n${escapeTemplate(printSchema(schema))}\n\``,
+    `// Values of the enum types that differ from their names\n` +
+      `export const enumValues = ${printValue(getEnumValues(schema))}`,
+    `/**\n` +
+      ` * Returns the resolvers of the fields that invoke operations\n` +
+      ` */\n` +
+      `export function createResolvers(options: RuntimeOptions = {}): ResolverMap {\n` +
+      `  return {\n` +
+      Object.entries(resolvers)
+        .map(([typeName, typeResolvers]) => {
+          return (
+            `    ${printKey(typeName)}: {\n` +
+            indent(typeResolvers.join(',\n\n'), 3) +
+            `\n    }`
+          )
+        })
+        .join(',\n') +
+      `\n  }\n` +
+      `}`,
+    `/**\n` +
+      ` * Returns the executable schema\n` +
+      ` */\n` +
+      `export function createSchema(options: RuntimeOptions = {}): GraphQLSchema {\n` +
+      `  return buildExecutableSchema(typeDefs, createResolvers(options), enumValues)\n` +
+      `}`
+  ].join('\n\n')
+}
+
+/**
+ * Only fields that invoke operations can be generated, so all fields of the
+ * root types need to be bound to operations
+ *
+ * Operations that require a security scheme are wrapped in viewers unless the
+ * viewer option is disabled. The runtime cannot authenticate requests itself,
+ * so their credentials have to be sent using its headers or qs options.
+ */
+function checkRootFields(schema: GraphQLSchema): void {
+  const rootTypes = [
+    schema.getQueryType(),
+    schema.getMutationType(),
+    schema.getSubscriptionType()
+  ]
+
+  rootTypes.forEach((rootType) => {
+    if (rootType) {
+      Object.values(rootType.getFields()).forEach((field) => {
+        const binding = field.extensions.openAPIToGraphQL as Binding
+        if (typeof binding !== 'object' || binding === null) {
+          throw new Error(
+            `Cannot generate resolver for field '${field.name}' of type ` +
+              `'${rootType.name}' because it does not invoke an operation`
+          )
+        } else if (!isOperationBinding(binding)) {
+          throw new Error(
+            `Cannot generate resolver for field '${field.name}' of type ` +
+              `'${rootType.name}' because it does not invoke an operation` +
+              (binding.wrapper === 'viewer'
+                ? `. Disable the viewer option and send the credentials ` +
+                  `using the headers or qs options of the runtime instead.`
+                : ` (e.g. it is a ${binding.wrapper} field)`)
+          )
+        }
+      })
+    }
+  })
+}
+
+/**
+ * Describes the operation that a field is bound to for the runtime
+ */
+function getRuntimeOperation<TSource, TContext, TArgs>(
+  fieldBinding: FieldBinding & OperationBinding,
+  schema: GraphQLSchema,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): RuntimeOperation {
+  const { typeName, fieldName, title, path, method } = fieldBinding
+  const operation = Object.values(data.operations).find((operation) => {
+    return (
+      operation.oas.info.title === title &&
+      operation.path === path &&
+      operation.method === method
+    )
+  })
+
+  const unsupportedFeature = getUnsupportedFeature(operation, data)
+  if (typeof unsupportedFeature === 'string') {
+    throw new Error(
+      `Cannot generate resolver for field '${fieldName}' of type ` +
+        `'${typeName}' because ${unsupportedFeature} are not supported`
+    )
+  }
+
+  const runtimeOperation: RuntimeOperation = {
+    title,
+    path,
+    method,
+    baseUrl: data.options.baseUrl || Oas3Tools.getBaseUrl(operation),
+    parameters: operation.parameters.map((parameter) => {
+      const { name, style, explode } = parameter
+      return {
+        name,
+        in: parameter.in,
+        ...(typeof style === 'string' ? { style } : {}),
+        ...(typeof explode === 'boolean' ? { explode } : {})
+      }
+    })
+  }
+
+  if (typeof fieldBinding.requestBody === 'string') {
+    const field = (schema.getType(typeName) as GraphQLObjectType).getFields()[
+      fieldName
+    ]
+    const arg = field.args.find(({ name }) => name === fieldBinding.requestBody)
+
+    runtimeOperation.requestBody = {
+      argName: fieldBinding.requestBody,
+      contentType: operation.payloadContentType || 'application/json',
+      saneMap: getSaneMap(arg.type, data)
+    }
+  }
+
+  if (typeof operation.responseContentType === 'string') {
+    runtimeOperation.responseContentType = operation.responseContentType
+  }
+
+  if (typeof fieldBinding.linkParameters === 'object') {
+    runtimeOperation.linkParameters = fieldBinding.linkParameters
+  }
+
+  if (data.options.simpleNames) {
+    runtimeOperation.simpleNames = true
+  }
+
+  return runtimeOperation
+}
+
+/**
+ * Returns the features of the given operation that the runtime does not
+ * support, if any
+ */
+function getUnsupportedFeature<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): string | undefined {
+  const { customResolvers } = data.options
+  const title = operation.oas.info.title
+
+  if (operation.operationType === GraphQLOperationType.Subscription) {
+    return 'subscriptions'
+  } else if (typeof operation.pagination === 'object') {
+    return 'connections'
+  } else if (operation.payloadContentType === 'multipart/form-data') {
+    return 'multipart request bodies'
+  } else if (typeof operation.oauthRequirement === 'object') {
+    return 'OAuth clients'
+  } else if (
+    typeof customResolvers === 'object' &&
+    typeof customResolvers[title] === 'object' &&
+    typeof customResolvers[title][operation.path] === 'object' &&
+    typeof customResolvers[title][operation.path][operation.method] ===
+      'function'
+  ) {
+    return 'custom resolvers'
+  }
+}
+
+/**
+ * Returns the original names of the sanitized fields of the given input type
+ * and of the input types nested in it
+ */
+function getSaneMap<TSource, TContext, TArgs>(
+  type: GraphQLInputType,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  saneMap: { [saneName: string]: string } = {},
+  visitedTypes: Set<GraphQLInputObjectType> = new Set()
+): { [saneName: string]: string } {
+  const namedType = getNamedType(type)
+
+  if (
+    namedType instanceof GraphQLInputObjectType &&
+    !visitedTypes.has(namedType)
+  ) {
+    visitedTypes.add(namedType)
+
+    Object.values(namedType.getFields()).forEach((field) => {
+      if (
+        Object.prototype.hasOwnProperty.call(data.saneMap, field.name) &&
+        data.saneMap[field.name] !== field.name
+      ) {
+        saneMap[field.name] = data.saneMap[field.name]
+      }
+
+      getSaneMap(field.type, data, saneMap, visitedTypes)
+    })
+  }
+
+  return saneMap
+}
+
+/**
+ * Returns the values of the enum types of the given schema that differ from
+ * their names, which type definitions cannot contain
+ */
+function getEnumValues(schema: GraphQLSchema): {
+  [typeName: string]: { [valueName: string]: any }
+} {
+  const enumValues = {}
+
+  Object.values(schema.getTypeMap()).forEach((type) => {
+    if (type instanceof GraphQLEnumType && !type.name.startsWith('__')) {
+      type.getValues().forEach(({ name, value }) => {
+        if (value !== name) {
+          if (!(type.name in enumValues)) {
+            enumValues[type.name] = {}
+          }
+
+          enumValues[type.name][name] = value
+        }
+      })
+    }
+  })
+
+  return enumValues
+}
+
+/**
+ * Prints the given JSON value as a TypeScript expression
+ */
+function printValue(value: any): string {
+  if (typeof value === 'string') {
+    return `'${JSON.stringify(value)
+      .slice(1, -1)
+      .replace(/\\"/g, '"')
+      .replace(/'/g, "\\'")}'`
+  } else if (Array.isArray(value)) {
+    return value.length > 0
+      ? `[\n${indent(value.map(printValue).join(',\n'), 1)}\n]`
+      : '[]'
+  } else if (typeof value === 'object' && value !== null) {
+    const entries = Object.entries(value).filter(([key, value]) => {
+      return typeof value !== 'undefined'
+    })
+
+    return entries.length > 0
+      ? `{\n${indent(
+          entries
+            .map(([key, value]) => `${printKey(key)}: ${printValue(value)}`)
+            .join(',\n'),
+          1
+        )}\n}`
+      : '{}'
+  }
+
+  return JSON.stringify(value)
+}
+
+function printKey(key: string): string {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : printValue(key)
+}
+
+function indent(code: string, level: number): string {
+  return code
+    .split('\n')
+    .map((line) => (line.length > 0 ? `${'  '.repeat(level)}${line}` : line))
+    .join('\n')
+}
+
+/**
+ * Escapes the given string so that it can be placed in a template literal
+ */
+function escapeTemplate(str: string): string {
+  return str
+    .replace(/\\/g, '\\\\')
+    .replace(/`/g, '\\`')
+    .replace(/\$\{/g, '\\${')
+}
@@ -0,0 +1,751 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to expose operations that page through lists as Relay connections.
+ *
+ * See https://relay.dev/graphql/connections.htm
+ */
+
+// Type imports:
+import {
+  GraphQLBoolean,
+  GraphQLFieldConfig,
+  GraphQLFieldResolver,
+  GraphQLInt,
+  GraphQLNonNull,
+  GraphQLList,
+  GraphQLObjectType,
+  GraphQLOutputType,
+  GraphQLString
+} from 'graphql'
+import { Args } from './types/graphql'
+import { SchemaObject } from './types/oas3'
+import { Operation, PaginationType } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+import crossFetch from 'cross-fetch'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import { getGraphQLType } from './schema_builder'
+import { getIdentifier, OPENAPI_TO_GRAPHQL } from './resolver_builder'
+import { sortObject } from './utils'
+import { debug } from 'debug'
+
+const httpLog = debug('http')
+
+/**
+ * Maximum number of pages that are requested from the API to resolve a single
+ * connection field
+ */
+const MAX_PAGES = 100
+
+/**
+ * Identifies a page of the API, i.e. the offset (offset-based pagination),
+ * the page number (page-based pagination), the cursor (cursor-based
+ * pagination), or the URL (link-based pagination) of the page.
+ *
+ * The first page of cursor-based and link-based pagination is identified by
+ * null.
+ */
+type PageToken = number | string | null
+
+type Page = {
+  items: any[]
+  nextToken?: PageToken
+}
+
+/**
+ * The position of an item, which is encoded in its cursor
+ */
+type Position = {
+  token: PageToken
+  index: number
+  size?: number
+}
+
+type Edge = {
+  cursor: string
+  node: any
+
+  /**
+   * Identifier of the connection field, under which the resolve data of the
+   * node is stored
+   */
+  identifier: string
+}
+
+type Connection = {
+  edges: Edge[]
+  pageInfo: {
+    hasNextPage: boolean
+    hasPreviousPage: boolean
+    startCursor: string | null
+    endCursor: string | null
+  }
+}
+
+type GetConnectionFieldParams<TSource, TContext, TArgs> = {
+  operation: Operation
+  args: Args
+  resolve: GraphQLFieldResolver<TSource, TContext, TArgs>
+  data: PreprocessingData<TSource, TContext, TArgs>
+  fetch: typeof crossFetch
+}
+
+const pageInfoTypes = new WeakMap<
+  PreprocessingData<any, any, any>,
+  GraphQLObjectType
+>()
+
+/**
+ * Returns the type, the arguments, and the resolve function of a field that
+ * exposes the list returned by the given operation as a Relay connection
+ *
+ * @param args The arguments of the field that returns the list
+ * @param resolve The resolve function of the field that returns the list
+ */
+export function getConnectionField<TSource, TContext, TArgs extends object>({
+  operation,
+  args,
+  resolve,
+  data,
+  fetch
+}: GetConnectionFieldParams<TSource, TContext, TArgs>): Pick<
+  GraphQLFieldConfig<TSource, TContext, TArgs>,
+  'type' | 'args' | 'resolve'
+> {
+  const pagination = operation.pagination
+
+  // Replace the pagination parameters with the connection arguments
+  const paginationArgNames = [
+    pagination.startParameter,
+    pagination.sizeParameter
+  ]
+    .filter((parameter) => typeof parameter === 'object')
+    .map((parameter) => Oas3Tools.getSaneName(parameter.name, data))
+
+  let connectionArgs: Args = {}
+  Object.keys(args)
+    .filter((argName) => !paginationArgNames.includes(argName))
+    .forEach((argName) => {
+      connectionArgs[argName] = args[argName]
+    })
+
+  Object.assign(connectionArgs, {
+    first: {
+      type: GraphQLInt,
+      description: 'Returns the first `n` elements of the list'
+    },
+    after: {
+      type: GraphQLString,
+      description: 'Returns the elements that come after the given cursor'
+    },
+    last: {
+      type: GraphQLInt,
+      description: 'Returns the last `n` elements of the list'
+    },
+    before: {
+      type: GraphQLString,
+      description: 'Returns the elements that come before the given cursor'
+    }
+  })
+  connectionArgs = sortObject(connectionArgs)
+
+  return {
+    type: getConnectionType(operation, data, fetch),
+    args: connectionArgs,
+    resolve: getConnectionResolver(operation, resolve, data)
+  }
+}
+
+/**
+ * Create or reuse the connection type for the items of the given operation
+ */
+function getConnectionType<TSource, TContext, TArgs extends object>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  fetch: typeof crossFetch
+): GraphQLObjectType {
+  const itemDef = operation.pagination.itemDefinition
+
+  if (typeof itemDef.graphQLConnectionType === 'object') {
+    return itemDef.graphQLConnectionType
+  }
+
+  const nodeType = getGraphQLType({
+    def: itemDef,
+    operation,
+    data,
+    fetch
+  }) as GraphQLOutputType
+
+  const edgeType = new GraphQLObjectType({
+    name: Oas3Tools.getUniqueTypeName(`${itemDef.graphQLTypeName}Edge`, data),
+    description: `An edge in a connection of '${itemDef.graphQLTypeName}' elements`,
+    fields: {
+      node: {
+        type: nodeType,
+        description: 'The element at the end of the edge',
+        resolve: (edge: Edge, args, context, info) => {
+          const node = edge.node
+
+          /**
+           * Pass on _openAPIToGraphQL to resolvers of links, which look it up
+           * using the identifier of their parent field
+           */
+          if (
+            node &&
+            typeof node === 'object' &&
+            typeof node[OPENAPI_TO_GRAPHQL] === 'object' &&
+            typeof node[OPENAPI_TO_GRAPHQL].data === 'object'
+          ) {
+            node[OPENAPI_TO_GRAPHQL].data[getIdentifier(info)] =
+              node[OPENAPI_TO_GRAPHQL].data[edge.identifier]
+          }
+
+          return node
+        }
+      },
+      cursor: {
+        type: new GraphQLNonNull(GraphQLString),
+        description: 'A cursor for use in pagination'
+      }
+    }
+  })
+
+  itemDef.graphQLConnectionType = new GraphQLObjectType({
+    name: Oas3Tools.getUniqueTypeName(
+      `${itemDef.graphQLTypeName}Connection`,
+      data
+    ),
+    description: `A connection of '${itemDef.graphQLTypeName}' elements`,
+    fields: {
+      edges: {
+        type: new GraphQLList(edgeType),
+        description: 'A list of edges'
+      },
+      pageInfo: {
+        type: new GraphQLNonNull(getPageInfoType(data)),
+        description: 'Information to aid in pagination'
+      }
+    }
+  })
+
+  return itemDef.graphQLConnectionType
+}
+
+/**
+ * Create or reuse the PageInfo type of the Relay specification
+ */
+function getPageInfoType<TSource, TContext, TArgs>(
+  data: PreprocessingData<TSource, TContext, TArgs>
+): GraphQLObjectType {
+  let pageInfoType = pageInfoTypes.get(data)
+
+  if (typeof pageInfoType === 'undefined') {
+    pageInfoType = new GraphQLObjectType({
+      name: Oas3Tools.getUniqueTypeName('PageInfo', data),
+      description: 'Information about pagination in a connection',
+      fields: {
+        hasNextPage: {
+          type: new GraphQLNonNull(GraphQLBoolean),
+          description: 'When paginating forwards, are there more elements?'
+        },
+        hasPreviousPage: {
+          type: new GraphQLNonNull(GraphQLBoolean),
+          description: 'When paginating backwards, are there more elements?'
+        },
+        startCursor: {
+          type: GraphQLString,
+          description: 'When paginating backwards, the cursor to continue'
+        },
+        endCursor: {
+          type: GraphQLString,
+          description: 'When paginating forwards, the cursor to continue'
+        }
+      }
+    })
+    pageInfoTypes.set(data, pageInfoType)
+  }
+
+  return pageInfoType
+}
+
+/**
+ * Returns a resolve function that pages through the API until it has
+ * collected the requested elements
+ */
+function getConnectionResolver<TSource, TContext, TArgs extends object>(
+  operation: Operation,
+  resolve: GraphQLFieldResolver<TSource, TContext, TArgs>,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): GraphQLFieldResolver<TSource, TContext, TArgs> {
+  const pagination = operation.pagination
+
+  return async (source, args, context, info): Promise<Connection> => {
+    const { first, after, last, before, ...otherArgs } = args as {
+      first?: number
+      after?: string
+      last?: number
+      before?: string
+    }
+
+    if (typeof first === 'number' && typeof last === 'number') {
+      throw new Error(`Cannot use both 'first' and 'last' arguments`)
+    } else if (typeof last === 'number' && typeof before !== 'string') {
+      // The API can only be paged forward, i.e. through the whole list
+      throw new Error(`Argument 'last' requires the 'before' argument`)
+    } else if (
+      (typeof first === 'number' && first < 0) ||
+      (typeof last === 'number' && last < 0)
+    ) {
+      throw new Error(
+        `Arguments 'first' and 'last' must be greater than or equal to 0`
+      )
+    }
+
+    const start =
+      typeof after === 'string' ? decodeCursor(after, operation) : undefined
+    const end =
+      typeof before === 'string' ? decodeCursor(before, operation) : undefined
+    const count = typeof first === 'number' ? first : last
+
+    /**
+     * Page-based positions are only valid for the page size that they were
+     * created with
+     */
+    let size: number
+    if (typeof start === 'object' && typeof start.size === 'number') {
+      size = getPageSize(start.size, operation)
+    } else if (typeof end === 'object' && typeof end.size === 'number') {
+      size = getPageSize(end.size, operation)
+    } else if (typeof count === 'number') {
+      size = getPageSize(count + 1, operation)
+    }
+
+    // Determine the first page to load and the number of items to skip in it
+    let token: PageToken
+    let skip = 0
+    if (typeof start === 'object') {
+      if (pagination.type === PaginationType.offset) {
+        token = (start.token as number) + 1
+      } else {
+        token = start.token
+        skip = start.index + 1
+      }
+    } else if (
+      pagination.type === PaginationType.offset &&
+      typeof end === 'object' &&
+      typeof last === 'number'
+    ) {
+      // Skip directly to the requested elements
+      token = Math.max(
+        getInitialToken(operation) as number,
+        (end.token as number) - last
+      )
+    } else {
+      token = getInitialToken(operation)
+    }
+    const startToken = token
+
+    let edges: Edge[] = []
+    let reachedEnd = false
+    let nextToken: PageToken | undefined
+    const identifier = getIdentifier(info)
+
+    for (let numPages = 0; ; numPages++) {
+      if (numPages >= MAX_PAGES) {
+        throw new Error(
+          `Cannot resolve connection of operation ${operation.operationString} ` +
+            `because it requires more than ${MAX_PAGES} requests`
+        )
+      }
+
+      const page = await loadPage(
+        token,
+        size,
+        operation,
+        resolve,
+        source,
+        otherArgs as TArgs,
+        context,
+        info,
+        data
+      )
+
+      for (let index = skip; index < page.items.length; index++) {
+        const position = getPosition(token, index, size, operation)
+
+        if (typeof end === 'object' && isSamePosition(position, end)) {
+          reachedEnd = true
+          break
+        }
+
+        edges.push({
+          cursor: encodeCursor(position),
+          node: page.items[index],
+          identifier
+        })
+      }
+
+      skip = 0
+      nextToken = page.nextToken
+
+      if (
+        reachedEnd ||
+        typeof nextToken === 'undefined' ||
+        (typeof first === 'number' && edges.length > first) ||
+        // Without first and last, return a single page of the API
+        (typeof count === 'undefined' && typeof end === 'undefined')
+      ) {
+        break
+      }
+
+      token = nextToken
+    }
+
+    let hasNextPage = reachedEnd
+    let hasPreviousPage =
+      typeof start === 'object' ||
+      (pagination.type === PaginationType.offset &&
+        startToken > getInitialToken(operation))
+
+    if (typeof first === 'number') {
+      hasNextPage = hasNextPage || edges.length > first
+      edges = edges.slice(0, first)
+    } else if (typeof last === 'number') {
+      hasPreviousPage = hasPreviousPage || edges.length > last
+      edges = edges.slice(Math.max(edges.length - last, 0))
+    } else if (typeof end === 'undefined') {
+      hasNextPage = typeof nextToken !== 'undefined'
+    }
+
+    return {
+      edges,
+      pageInfo: {
+        hasNextPage,
+        hasPreviousPage,
+        startCursor: edges.length > 0 ? edges[0].cursor : null,
+        endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+      }
+    }
+  }
+}
+
+/**
+ * Load a page of items using the resolve function of the operation
+ */
+async function loadPage<TSource, TContext, TArgs extends object>(
+  token: PageToken,
+  size: number | undefined,
+  operation: Operation,
+  resolve: GraphQLFieldResolver<TSource, TContext, TArgs>,
+  source: TSource,
+  args: TArgs,
+  context: TContext,
+  info,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): Promise<Page> {
+  const pagination = operation.pagination
+  const pageArgs = { ...args }
+
+  if (token !== null) {
+    if (pagination.type === PaginationType.link) {
+      Object.assign(pageArgs, getArgsFromUrl(token as string, operation, data))
+    } else {
+      pageArgs[Oas3Tools.getSaneName(pagination.startParameter.name, data)] =
+        token
+    }
+  }
+
+  if (
+    typeof pagination.sizeParameter === 'object' &&
+    typeof size === 'number'
+  ) {
+    pageArgs[Oas3Tools.getSaneName(pagination.sizeParameter.name, data)] = size
+  }
+
+  httpLog(
+    `Load page ${JSON.stringify(token)} of ${operation.operationString} ` +
+      `for connection`
+  )
+  const result = await Promise.resolve(resolve(source, pageArgs, context, info))
+
+  let items: any = result
+  if (typeof pagination.itemsProperty === 'string') {
+    items =
+      result && typeof result === 'object'
+        ? result[Oas3Tools.getSaneName(pagination.itemsProperty, data)]
+        : undefined
+
+    // Pass on _openAPIToGraphQL of the response object to the items
+    if (
+      Array.isArray(items) &&
+      typeof result[OPENAPI_TO_GRAPHQL] === 'object'
+    ) {
+      items.forEach((item) => {
+        if (
+          item &&
+          typeof item === 'object' &&
+          typeof item[OPENAPI_TO_GRAPHQL] === 'undefined'
+        ) {
+          item[OPENAPI_TO_GRAPHQL] = result[OPENAPI_TO_GRAPHQL]
+        }
+      })
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    items = []
+  }
+
+  let nextToken: PageToken | undefined
+  switch (pagination.type) {
+    case PaginationType.offset:
+      if (items.length > 0) {
+        nextToken = (token as number) + items.length
+      }
+      break
+
+    case PaginationType.page:
+      if (items.length > 0) {
+        nextToken = (token as number) + 1
+      }
+      break
+
+    case PaginationType.cursor:
+      if (typeof pagination.nextCursorProperty === 'string') {
+        const nextCursor =
+          result && typeof result === 'object'
+            ? result[Oas3Tools.getSaneName(pagination.nextCursorProperty, data)]
+            : undefined
+
+        if (
+          (typeof nextCursor === 'string' && nextCursor !== '') ||
+          typeof nextCursor === 'number'
+        ) {
+          nextToken = nextCursor
+        }
+      } else {
+        const nextUrl = getNextUrl(result, items, getIdentifier(info))
+        if (typeof nextUrl === 'string') {
+          const nextCursor = new URL(
+            nextUrl,
+            'http://localhost'
+          ).searchParams.get(pagination.startParameter.name)
+          if (nextCursor !== null && nextCursor !== '') {
+            nextToken = nextCursor
+          }
+        }
+      }
+      break
+
+    case PaginationType.link:
+      nextToken = getNextUrl(result, items, getIdentifier(info))
+      break
+  }
+
+  // Prevent infinite loops if the API keeps returning the same page
+  if (nextToken === token) {
+    nextToken = undefined
+  }
+
+  return { items, nextToken }
+}
+
+/**
+ * Returns the URL of the next page from the Link header of the response
+ */
+function getNextUrl(
+  result: any,
+  items: any[],
+  identifier: string
+): string | undefined {
+  // The response headers are passed on as part of _openAPIToGraphQL
+  const openAPIToGraphQL = [result, ...items]
+    .filter((value) => value && typeof value === 'object')
+    .map((value) => value[OPENAPI_TO_GRAPHQL])
+    .find((value) => {
+      return (
+        typeof value === 'object' &&
+        typeof value.data === 'object' &&
+        typeof value.data[identifier] === 'object'
+      )
+    })
+
+  if (typeof openAPIToGraphQL === 'undefined') {
+    return
+  }
+
+  const responseHeaders = openAPIToGraphQL.data[identifier].responseHeaders
+  if (
+    typeof responseHeaders !== 'object' ||
+    typeof responseHeaders['link'] !== 'string'
+  ) {
+    return
+  }
+
+  // E.g. <https://api.example.com/items?page=2>; rel="next", <...>; rel="last"
+  for (const link of responseHeaders['link'].split(',')) {
+    const match = link.match(/<([^>]*)>(.*)/)
+    if (
+      match &&
+      /rel="?([^"]*\s)?next(\s[^"]*)?"?(;|$)/.test(match[2].trim())
+    ) {
+      return match[1]
+    }
+  }
+}
+
+/**
+ * Convert the query string of a URL to the arguments of the operation
+ */
+function getArgsFromUrl<TSource, TContext, TArgs>(
+  url: string,
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): { [argName: string]: any } {
+  const searchParams = new URL(url, 'http://localhost').searchParams
+  const args = {}
+
+  operation.parameters
+    .filter((parameter) => {
+      return parameter.in === 'query' && searchParams.has(parameter.name)
+    })
+    .forEach((parameter) => {
+      let value: any = searchParams.get(parameter.name)
+
+      let schema = parameter.schema
+      if (typeof schema === 'object' && '$ref' in schema) {
+        schema = Oas3Tools.resolveRef<SchemaObject>(schema.$ref, operation.oas)
+      }
+
+      if (typeof schema === 'object') {
+        const type = schema.type
+        if (type === 'integer' || type === 'number') {
+          value = Number(value)
+        } else if (type === 'boolean') {
+          value = value === 'true'
+        }
+      }
+
+      args[Oas3Tools.getSaneName(parameter.name, data)] = value
+    })
+
+  return args
+}
+
+/**
+ * Returns the size of the pages to request, respecting the maximum of the
+ * size parameter
+ */
+function getPageSize(size: number, operation: Operation): number | undefined {
+  const sizeParameter = operation.pagination.sizeParameter
+  if (typeof sizeParameter !== 'object') {
+    return
+  }
+
+  let schema = sizeParameter.schema
+  if (typeof schema === 'object' && '$ref' in schema) {
+    schema = Oas3Tools.resolveRef<SchemaObject>(schema.$ref, operation.oas)
+  }
+
+  if (typeof schema === 'object' && typeof schema.maximum === 'number') {
+    return Math.min(size, schema.maximum)
+  }
+
+  return size
+}
+
+/**
+ * Returns the token of the first page, i.e. the default (or minimum) of the
+ * offset or page parameter
+ */
+function getInitialToken(operation: Operation): PageToken {
+  const pagination = operation.pagination
+
+  if (
+    pagination.type !== PaginationType.offset &&
+    pagination.type !== PaginationType.page
+  ) {
+    return null
+  }
+
+  let schema = pagination.startParameter.schema
+  if (typeof schema === 'object' && '$ref' in schema) {
+    schema = Oas3Tools.resolveRef<SchemaObject>(schema.$ref, operation.oas)
+  }
+
+  if (typeof schema === 'object') {
+    if (typeof schema.default === 'number') {
+      return schema.default
+    } else if (typeof schema.minimum === 'number') {
+      return schema.minimum
+    }
+  }
+
+  return pagination.type === PaginationType.offset ? 0 : 1
+}
+
+/**
+ * Offsets identify items on their own, so the index is always 0
+ */
+function getPosition(
+  token: PageToken,
+  index: number,
+  size: number | undefined,
+  operation: Operation
+): Position {
+  return operation.pagination.type === PaginationType.offset
+    ? { token: (token as number) + index, index: 0 }
+    : { token, index, size }
+}
+
+function isSamePosition(position: Position, otherPosition: Position): boolean {
+  return (
+    position.token === otherPosition.token &&
+    position.index === otherPosition.index
+  )
+}
+
+function encodeCursor(position: Position): string {
+  return Buffer.from(
+    JSON.stringify([position.token, position.index, position.size])
+  ).toString('base64')
+}
+
+function decodeCursor(cursor: string, operation: Operation): Position {
+  let decoded: any
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64').toString())
+  } catch (e) {
+    decoded = undefined
+  }
+
+  if (
+    !Array.isArray(decoded) ||
+    !['number', 'string', 'object'].includes(typeof decoded[0]) ||
+    typeof decoded[1] !== 'number' ||
+    // The page size must be a positive integer, if present
+    !(
+      decoded[2] === null ||
+      decoded[2] === undefined ||
+      (Number.isInteger(decoded[2]) && decoded[2] > 0)
+    ) ||
+    (operation.pagination.type === PaginationType.offset &&
+      typeof decoded[0] !== 'number')
+  ) {
+    throw new Error(
+      `Invalid cursor '${cursor}' for operation ${operation.operationString}`
+    )
+  }
+
+  return {
+    token: decoded[0],
+    index: decoded[1],
+    size: typeof decoded[2] === 'number' ? decoded[2] : undefined
+  }
+}
@@ -0,0 +1,100 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to read the events of streaming responses, i.e. Server-Sent Events
+ * and newline-delimited JSON.
+ */
+
+// Imports:
+import { StringDecoder } from 'string_decoder'
+
+/**
+ * Reads the events of the given response body, which has the given content
+ * type, and yields their data
+ *
+ * Yields the data of every Server-Sent Event (multiple data lines are joined
+ * by line breaks) or every line of newline-delimited JSON. Calls the given
+ * function to close the connection once the events are no longer consumed.
+ *
+ * @param body the body of a response, either a Node stream or a web stream
+ * @param contentType the content type of the response
+ * @param close closes the connection
+ */
+export async function* readEvents(
+  body: any,
+  contentType: string,
+  close: () => void
+): AsyncGenerator<string> {
+  const isEventStream = contentType.startsWith('text/event-stream')
+  const decoder = new StringDecoder('utf8')
+
+  let buffer = ''
+  let dataLines: string[] = []
+
+  try {
+    for await (const chunk of readChunks(body)) {
+      buffer += decoder.write(Buffer.from(chunk))
+
+      // A carriage return may be followed by a line feed in the next chunk
+      const end = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length
+      const lines = buffer.substring(0, end).split(/\r\n|\r|\n/)
+      buffer = lines.pop() + buffer.substring(end)
+
+      for (const line of lines) {
+        if (!isEventStream) {
+          if (line.trim() !== '') {
+            yield line
+          }
+        } else if (line === '') {
+          // Empty lines dispatch events
+          if (dataLines.length > 0) {
+            yield dataLines.join('\n')
+            dataLines = []
+          }
+        } else if (line.startsWith('data:')) {
+          dataLines.push(line.substring(5).replace(/^ /, ''))
+        } else if (line === 'data') {
+          dataLines.push('')
+        }
+
+        // Ignore comments and the event, id, and retry fields
+      }
+    }
+
+    // The last line of newline-delimited JSON may not end with a line break
+    buffer += decoder.end()
+    if (!isEventStream && buffer.trim() !== '') {
+      yield buffer
+    }
+  } finally {
+    close()
+  }
+}
+
+/**
+ * Yields the chunks of the given response body
+ */
+async function* readChunks(body: any): AsyncGenerator<Uint8Array> {
+  // Node streams and web streams in Node.js are async iterable
+  if (typeof body[Symbol.asyncIterator] === 'function') {
+    yield* body
+    return
+  }
+
+  const reader = body.getReader()
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) {
+        return
+      }
+
+      yield value
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
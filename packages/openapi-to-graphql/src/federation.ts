@@ -0,0 +1,311 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to turn the schema into an Apollo Federation subgraph, i.e. to
+ * create the @key directives and the reference resolvers of entities, and the
+ * _service and _entities fields.
+ *
+ * See https://www.apollographql.com/docs/federation/subgraph-spec/
+ */
+
+// Type imports:
+import { DataDefinition } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import {
+  DirectiveNode,
+  GraphQLFieldConfigMap,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLResolveInfo,
+  GraphQLScalarType,
+  GraphQLSchema,
+  GraphQLString,
+  GraphQLUnionType,
+  Kind,
+  parse,
+  print,
+  printSchema,
+  visit
+} from 'graphql'
+import { GraphQLJSON } from 'graphql-scalars'
+import * as Oas3Tools from './oas_3_tools'
+import { getResolver } from './resolver_builder'
+import { getWrapperExtensions } from './schema_binding'
+import crossFetch from 'cross-fetch'
+import { debug } from 'debug'
+
+const translationLog = debug('translation')
+
+const FEDERATION_SPEC_URL = 'https://specs.apollo.dev/federation/v2.0'
+
+// Names of the object types of the entities that were resolved by references
+const entityTypeNames = new WeakMap<object, string>()
+
+// SDL of the subgraph schemas, which is only printed once
+const subgraphSdls = new WeakMap<GraphQLSchema, string>()
+
+const AnyType = new GraphQLScalarType({
+  ...GraphQLJSON.toConfig(),
+  name: '_Any',
+  description: 'A representation of an entity, sent by the router'
+})
+
+const ServiceType = new GraphQLObjectType({
+  name: '_Service',
+  fields: {
+    sdl: {
+      type: new GraphQLNonNull(GraphQLString),
+      description: 'The SDL of the subgraph'
+    }
+  }
+})
+
+export type ResolveReference<TContext> = (
+  reference: { [fieldName: string]: any },
+  context: TContext,
+  info: GraphQLResolveInfo
+) => Promise<any>
+
+export type EntityExtensions<TContext> = {
+  apollo: {
+    subgraph: {
+      resolveReference: ResolveReference<TContext>
+    }
+  }
+}
+
+/**
+ * Returns the extensions of the object type of an entity, which contain the
+ * function that resolves references to the entity in the same place as
+ * @apollo/subgraph does
+ */
+export function getEntityExtensions<TSource, TContext, TArgs extends object>(
+  def: DataDefinition,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  fetch: typeof crossFetch
+): EntityExtensions<TContext> {
+  const { operation, idProperties } = def.entity
+  const keyFieldNames = getKeyFieldNames(def, data)
+
+  const resolver = getResolver<TSource, TContext, TArgs>({
+    operation,
+    data,
+    baseUrl: data.options.baseUrl,
+    requestOptions: data.options.requestOptions,
+    fileUploadOptions: data.options.fileUploadOptions,
+    fetch
+  })
+
+  const resolveReference: ResolveReference<TContext> = async (
+    reference,
+    context,
+    info
+  ) => {
+    const operationArgs = {} as TArgs
+    idProperties.forEach(({ parameter }, index) => {
+      const value = reference[keyFieldNames[index]]
+
+      if (typeof value === 'undefined' || value === null) {
+        throw new Error(
+          `Cannot resolve reference to '${def.graphQLTypeName}' entity ` +
+            `because it does not contain field '${keyFieldNames[index]}'`
+        )
+      }
+
+      operationArgs[Oas3Tools.getSaneName(parameter.name, data)] = value
+    })
+
+    translationLog(
+      `Resolve reference to '${def.graphQLTypeName}' entity using ` +
+        operation.operationString
+    )
+
+    const entity = await Promise.resolve(
+      resolver(undefined, operationArgs, context, info)
+    )
+
+    if (typeof entity === 'object' && entity !== null) {
+      entityTypeNames.set(entity, def.graphQLTypeName)
+    }
+
+    return entity
+  }
+
+  return { apollo: { subgraph: { resolveReference } } }
+}
+
+/**
+ * Returns the _service field and, if there are entities, the _entities field
+ * of the Query type of a subgraph
+ */
+export function getFederationFields<TSource, TContext, TArgs>(
+  data: PreprocessingData<TSource, TContext, TArgs>
+): GraphQLFieldConfigMap<TSource, TContext> {
+  const entityDefs: { [typeName: string]: DataDefinition } = {}
+  Object.values(data.operations).forEach((operation) => {
+    const def = operation.responseDefinition
+    if (
+      typeof def.entity === 'object' &&
+      def.entity.operation === operation &&
+      def.graphQLType instanceof GraphQLObjectType
+    ) {
+      entityDefs[def.graphQLTypeName] = def
+    }
+  })
+
+  const keyFields: { [typeName: string]: string } = {}
+  Object.entries(entityDefs).forEach(([typeName, def]) => {
+    keyFields[typeName] = getKeyFieldNames(def, data).join(' ')
+  })
+
+  const fields: GraphQLFieldConfigMap<TSource, TContext> = {
+    _service: {
+      type: new GraphQLNonNull(ServiceType),
+      resolve: (source, args, context, info) => {
+        if (!subgraphSdls.has(info.schema)) {
+          subgraphSdls.set(
+            info.schema,
+            printSubgraphSchema(info.schema, keyFields)
+          )
+        }
+
+        return { sdl: subgraphSdls.get(info.schema) }
+      },
+      extensions: getWrapperExtensions({ wrapper: '_service' })
+    }
+  }
+
+  if (Object.keys(entityDefs).length === 0) {
+    return fields
+  }
+
+  fields._entities = {
+    type: new GraphQLNonNull(
+      new GraphQLList(
+        new GraphQLUnionType({
+          name: '_Entity',
+          types: Object.values(entityDefs).map((def) => {
+            return def.graphQLType as GraphQLObjectType
+          }),
+          resolveType: (source) => {
+            return entityTypeNames.get(source)
+          }
+        })
+      )
+    ),
+    args: {
+      representations: {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(AnyType)))
+      }
+    },
+    resolve: (source, args, context, info) => {
+      return args.representations.map(async (reference) => {
+        // The type name is supplied by the router
+        const typeName = reference.__typename
+        if (!Object.prototype.hasOwnProperty.call(entityDefs, typeName)) {
+          throw new Error(`Unknown entity type '${typeName}'`)
+        }
+
+        const entityType = entityDefs[typeName].graphQLType as GraphQLObjectType
+        const extensions = entityType.extensions as EntityExtensions<TContext>
+        return extensions.apollo.subgraph.resolveReference(
+          reference,
+          context,
+          info
+        )
+      })
+    },
+    description:
+      'Resolves references to entities.\n\n' +
+      `Supported types: ${Object.keys(entityDefs).join(', ')}`,
+    extensions: getWrapperExtensions({ wrapper: '_entities' })
+  }
+
+  return fields
+}
+
+/**
+ * Prints the SDL of a subgraph, which links to the federation specification
+ * and contains the @key directives of the entities, but not the fields and
+ * types that the federation specification adds to subgraphs
+ */
+function printSubgraphSchema(
+  schema: GraphQLSchema,
+  keyFields: { [typeName: string]: string }
+): string {
+  const queryTypeName = schema.getQueryType().name
+  const federationTypeNames = [AnyType.name, ServiceType.name, '_Entity']
+  const federationFieldNames = ['_service', '_entities']
+
+  const document = visit(parse(printSchema(schema)), {
+    ScalarTypeDefinition: (node) => {
+      return federationTypeNames.includes(node.name.value) ? null : undefined
+    },
+    UnionTypeDefinition: (node) => {
+      return federationTypeNames.includes(node.name.value) ? null : undefined
+    },
+    ObjectTypeDefinition: (node) => {
+      const typeName = node.name.value
+
+      if (federationTypeNames.includes(typeName)) {
+        return null
+      } else if (typeName === queryTypeName) {
+        const fields = node.fields.filter((field) => {
+          return !federationFieldNames.includes(field.name.value)
+        })
+
+        return fields.length > 0 ? { ...node, fields } : null
+      } else if (typeName in keyFields) {
+        const keyDirective: DirectiveNode = {
+          kind: Kind.DIRECTIVE,
+          name: { kind: Kind.NAME, value: 'key' },
+          arguments: [
+            {
+              kind: Kind.ARGUMENT,
+              name: { kind: Kind.NAME, value: 'fields' },
+              value: { kind: Kind.STRING, value: keyFields[typeName] }
+            }
+          ]
+        }
+
+        return {
+          ...node,
+          directives: [...(node.directives || []), keyDirective]
+        }
+      }
+    }
+  })
+
+  return (
+    `extend schema @link(url: "${FEDERATION_SPEC_URL}", import: ["@key"])\n\n` +
+    print(document)
+  )
+}
+
+/**
+ * Returns the names of the fields that identify an entity, i.e. the fields of
+ * its @key directive
+ *
+ * If the object type implements the Node interface, the original id property
+ * is exposed by another field.
+ */
+function getKeyFieldNames<TSource, TContext, TArgs>(
+  def: DataDefinition,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): string[] {
+  return def.entity.idProperties.map(({ propertyName }) => {
+    const fieldName = Oas3Tools.getSaneName(propertyName, data)
+
+    return fieldName === 'id' &&
+      typeof def.node === 'object' &&
+      typeof def.node.rawIdFieldName === 'string'
+      ? def.node.rawIdFieldName
+      : fieldName
+  })
+}
@@ -0,0 +1,139 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to translate schemas with string formats (e.g. date-time, email,
+ * or uuid) into custom scalars, and to turn the values of these scalars back
+ * into the strings the API expects.
+ */
+
+// Type imports:
+import { InternalOptions } from './types/options'
+
+// Imports:
+import {
+  getNullableType,
+  GraphQLInputObjectType,
+  GraphQLInputType,
+  GraphQLList,
+  GraphQLScalarType
+} from 'graphql'
+import {
+  GraphQLByte,
+  GraphQLDate,
+  GraphQLDateTime,
+  GraphQLEmailAddress,
+  GraphQLIPv4,
+  GraphQLIPv6,
+  GraphQLTime,
+  GraphQLURL,
+  GraphQLUUID
+} from 'graphql-scalars'
+
+/**
+ * The Byte scalar of graphql-scalars serializes values into Buffers, which
+ * would be sent to clients as JSON objects rather than as base64 strings
+ */
+const GraphQLBase64Byte = new GraphQLScalarType({
+  ...GraphQLByte.toConfig(),
+  serialize(value) {
+    return GraphQLByte.serialize(value).toString('base64')
+  }
+})
+
+/**
+ * The custom scalars that schemas with the given formats are translated into
+ * by default
+ */
+export const DEFAULT_FORMAT_SCALARS: { [format: string]: GraphQLScalarType } = {
+  'date-time': GraphQLDateTime,
+  date: GraphQLDate,
+  time: GraphQLTime,
+  email: GraphQLEmailAddress,
+  uuid: GraphQLUUID,
+  uri: GraphQLURL,
+  url: GraphQLURL,
+  byte: GraphQLBase64Byte,
+  ipv4: GraphQLIPv4,
+  ipv6: GraphQLIPv6
+}
+
+/**
+ * Returns the mapping from formats to custom scalars defined by the
+ * formatScalars option
+ */
+function getFormatScalars<TSource, TContext, TArgs>(
+  options: InternalOptions<TSource, TContext, TArgs>
+): { [format: string]: GraphQLScalarType } {
+  const formatScalars = options.formatScalars
+
+  if (typeof formatScalars === 'object') {
+    return { ...DEFAULT_FORMAT_SCALARS, ...formatScalars }
+  } else if (formatScalars === true) {
+    return DEFAULT_FORMAT_SCALARS
+  }
+
+  return {}
+}
+
+/**
+ * Returns the custom scalar that schemas with the given format should be
+ * translated into, or undefined if they should not be translated into one
+ */
+export function getFormatScalar<TSource, TContext, TArgs>(
+  format: string,
+  options: InternalOptions<TSource, TContext, TArgs>
+): GraphQLScalarType | undefined {
+  const formatScalars = getFormatScalars(options)
+
+  if (Object.prototype.hasOwnProperty.call(formatScalars, format)) {
+    return formatScalars[format]
+  }
+}
+
+/**
+ * Turns the values of custom scalars in the given argument value, which have
+ * been parsed by the scalars (e.g. into Date objects), back into the strings
+ * defined by the OAS
+ */
+export function serializeFormatScalars<TSource, TContext, TArgs>(
+  value: any,
+  type: GraphQLInputType,
+  options: InternalOptions<TSource, TContext, TArgs>
+): any {
+  const nullableType = getNullableType(type)
+
+  if (value === null || typeof value === 'undefined') {
+    return value
+  } else if (nullableType instanceof GraphQLList) {
+    return Array.isArray(value)
+      ? value.map((item) => {
+          return serializeFormatScalars(item, nullableType.ofType, options)
+        })
+      : serializeFormatScalars(value, nullableType.ofType, options)
+  } else if (nullableType instanceof GraphQLInputObjectType) {
+    const fields = nullableType.getFields()
+
+    const serializedValue = {}
+    Object.entries(value).forEach(([fieldName, fieldValue]) => {
+      serializedValue[fieldName] =
+        fieldName in fields
+          ? serializeFormatScalars(fieldValue, fields[fieldName].type, options)
+          : fieldValue
+    })
+
+    return serializedValue
+  } else if (
+    nullableType instanceof GraphQLScalarType &&
+    Object.values(getFormatScalars(options)).includes(nullableType)
+  ) {
+    const serializedValue = nullableType.serialize(value)
+    return serializedValue instanceof Date
+      ? serializedValue.toISOString()
+      : serializedValue
+  }
+
+  return value
+}
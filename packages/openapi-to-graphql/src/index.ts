@@ -46,13 +46,14 @@ import {
   GraphQLOperationType,
   SubscriptionContext
 } from './types/graphql'
-import { Operation } from './types/operation'
+import { Operation, TargetGraphQLType } from './types/operation'
 import { PreprocessingData } from './types/preprocessing_data'
 import {
   GraphQLSchema,
   GraphQLObjectType,
   GraphQLOutputType,
   GraphQLFieldConfig,
+  printSchema
 } from 'graphql'
 
 // Imports:
@@ -60,12 +61,35 @@ import { getGraphQLType, getArgs } from './schema_builder'
 import {
   getResolver,
   getSubscribe,
+  getStreamSubscribe,
   getPublishResolver
 } from './resolver_builder'
 import * as GraphQLTools from './graphql_tools'
 import { preprocessOas } from './preprocessor'
 import * as Oas3Tools from './oas_3_tools'
 import { createAndLoadViewer } from './auth_builder'
+import { createMemoryResponseCache } from './response_cache'
+import { loadOpenIdConnectDocuments } from './openid_connect'
+import { getConnectionField } from './connection_builder'
+import { getNodeField } from './node_builder'
+import { getFederationFields } from './federation'
+import {
+  FieldBinding,
+  getBindingExtensions,
+  getResolversFromBinding,
+  getSchemaBinding,
+  ResolverMap
+} from './schema_binding'
+import { printTypeScriptModule } from './code_generator'
+import { getSchemaComparison, SchemaComparison } from './schema_comparison'
+import { getOperationReports } from './report_builder'
+import {
+  Namespace,
+  getOperationFieldMaps,
+  getFieldNamePrefixes,
+  createNamespaceFields,
+  countNamespaceFields
+} from './namespace_builder'
 import { GraphQLSchemaConfig } from 'graphql/type/schema'
 import { sortObject, handleWarning, MitigationTypes } from './utils'
 import crossFetch from 'cross-fetch'
@@ -80,6 +104,11 @@ type Result<TSource, TContext, TArgs> = {
   data: PreprocessingData<TSource, TContext, TArgs>
 }
 
+/**
+ * Options that may contain credentials, e.g. client secrets and refresh tokens
+ */
+const REDACTED_OPTIONS = ['oauthClients', 'authProviders', 'contextCredentials']
+
 const DEFAULT_OPTIONS: InternalOptions<any, any, any> = {
   report: {
     warnings: [],
@@ -100,12 +129,20 @@ const DEFAULT_OPTIONS: InternalOptions<any, any, any> = {
   fillEmptyResponses: false,
   addLimitArgument: false,
   idFormats: [],
+  formatScalars: false,
   selectQueryOrMutationField: {},
   genericPayloadArgName: false,
   simpleNames: false,
   simpleEnumValues: false,
   singularNames: false,
   createSubscriptionsFromCallbacks: false,
+  createSubscriptionsFromStreams: false,
+  relayConnections: false,
+  omitDeprecated: false,
+  tagNamespaces: false,
+  tagNamespacePolicy: 'first',
+  nodeInterface: false,
+  federation: false,
 
   // Resolver options
   headers: {},
@@ -114,6 +151,9 @@ const DEFAULT_OPTIONS: InternalOptions<any, any, any> = {
   customResolvers: {},
   customSubscriptionResolvers: {},
   fileUploadOptions: {},
+  batchRequests: false,
+  responseCache: false,
+  validateRequests: false,
 
   // Authentication options
   viewer: true,
@@ -140,6 +180,8 @@ export async function createGraphQLSchema<TSource, TContext, TArgs extends objec
   // Setting default options
   const internalOptions: InternalOptions<TSource, TContext, TArgs> = {
     ...DEFAULT_OPTIONS,
+    // Do not share the default report between schemas
+    report: { ...DEFAULT_OPTIONS.report, warnings: [] },
     ...options
   }
 
@@ -154,6 +196,10 @@ export async function createGraphQLSchema<TSource, TContext, TArgs extends objec
         )
       )
     )
+    internalOptions.openIdConnectDocuments = await loadOpenIdConnectDocuments(
+      oass,
+      internalOptions
+    )
     return translateOpenAPIToGraphQL(oass, internalOptions)
   } else {
     /**
@@ -166,10 +212,86 @@ export async function createGraphQLSchema<TSource, TContext, TArgs extends objec
       internalOptions.oasValidatorOptions,
       internalOptions.swagger2OpenAPIOptions
     )
+    internalOptions.openIdConnectDocuments = await loadOpenIdConnectDocuments(
+      [oas],
+      internalOptions
+    )
     return translateOpenAPIToGraphQL([oas], internalOptions)
   }
 }
 
+/**
+ * Creates the SDL of a GraphQL interface from the given OpenAPI Specification
+ * (2 or 3) and describes the operations that its fields are bound to, so that
+ * the resolve functions can be recreated using createResolversFromBinding.
+ */
+export async function createSchemaBinding<TSource, TContext, TArgs extends object>(
+  spec: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  options?: Options<TSource, TContext, TArgs>
+): Promise<{ sdl: string; binding: FieldBinding[]; report: Report }> {
+  const { schema, report } = await createGraphQLSchema(spec, options)
+
+  return { sdl: printSchema(schema), binding: getSchemaBinding(schema), report }
+}
+
+/**
+ * Creates the resolve functions of the fields described by a binding, which
+ * was created by createSchemaBinding, from the given OpenAPI Specification (2
+ * or 3)
+ *
+ * The arguments of the fields are mapped to the parameters of the operations
+ * as described by the binding. The GraphQL interface is still created from the
+ * OAS, because the resolve functions rely on the sanitized names and the types
+ * that creating it determines.
+ */
+export async function createResolversFromBinding<TSource, TContext, TArgs extends object>(
+  spec: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  binding: FieldBinding[],
+  options?: Options<TSource, TContext, TArgs>
+): Promise<ResolverMap> {
+  const { schema } = await createGraphQLSchema(spec, options)
+
+  return getResolversFromBinding(schema, binding)
+}
+
+/**
+ * Creates the code of a TypeScript module from the given OpenAPI
+ * Specification (2 or 3), which exports the type definitions of the GraphQL
+ * interface and resolvers that invoke the operations using the given runtime
+ * module, so that the schema can be built without processing the OAS.
+ */
+export async function generateTypeScriptModule<TSource, TContext, TArgs extends object>(
+  spec: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  options?: Options<TSource, TContext, TArgs>,
+  runtimeModule: string = 'openapi-to-graphql/runtime'
+): Promise<{ code: string; report: Report }> {
+  const { schema, report, data } = await createGraphQLSchema(spec, options)
+
+  return { code: printTypeScriptModule(schema, data, runtimeModule), report }
+}
+
+/**
+ * Compares the GraphQL interfaces created from two versions of an OpenAPI
+ * Specification (2 or 3), i.e. finds the breaking, dangerous, and safe changes
+ * between them and traces the changes back to the operations and schemas of
+ * the OAS.
+ */
+export async function compareSchemas<TSource, TContext, TArgs extends object>(
+  oldSpec: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  newSpec: Oas3 | Oas2 | (Oas3 | Oas2)[],
+  options?: Options<TSource, TContext, TArgs>
+): Promise<SchemaComparison> {
+  const oldResult = await createGraphQLSchema(oldSpec, options)
+  const newResult = await createGraphQLSchema(newSpec, options)
+
+  return getSchemaComparison(
+    oldResult.schema,
+    oldResult.data,
+    newResult.schema,
+    newResult.data
+  )
+}
+
 /**
  * Creates a GraphQL interface from the given OpenAPI Specification 3
  */
@@ -184,12 +306,22 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     fillEmptyResponses,
     addLimitArgument,
     idFormats,
+    formatScalars,
     selectQueryOrMutationField,
+    include,
+    exclude,
     genericPayloadArgName,
     simpleNames,
     simpleEnumValues,
     singularNames,
     createSubscriptionsFromCallbacks,
+    createSubscriptionsFromStreams,
+    relayConnections,
+    omitDeprecated,
+    tagNamespaces,
+    tagNamespacePolicy,
+    nodeInterface,
+    federation,
 
     // Resolver options
     headers,
@@ -200,11 +332,19 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     baseUrl,
     customResolvers,
     customSubscriptionResolvers,
+    batchRequests,
+    responseCache,
+    responseCacheTTL,
+    validateRequests,
 
     // Authentication options
     viewer,
     tokenJSONpath,
     sendOAuthTokenInQuery,
+    oauthClients,
+    openIdConnectDocuments,
+    authProviders,
+    contextCredentials,
 
     // Validation options
     oasValidatorOptions,
@@ -226,12 +366,22 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     fillEmptyResponses,
     addLimitArgument,
     idFormats,
+    formatScalars,
     selectQueryOrMutationField,
+    include,
+    exclude,
     genericPayloadArgName,
     simpleNames,
     simpleEnumValues,
     singularNames,
     createSubscriptionsFromCallbacks,
+    createSubscriptionsFromStreams,
+    relayConnections,
+    omitDeprecated,
+    tagNamespaces,
+    tagNamespacePolicy,
+    nodeInterface,
+    federation,
 
     // Resolver options
     headers,
@@ -242,11 +392,20 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     baseUrl,
     customResolvers,
     customSubscriptionResolvers,
+    batchRequests,
+    responseCache:
+      responseCache === true ? createMemoryResponseCache() : responseCache,
+    responseCacheTTL,
+    validateRequests,
 
     // Authentication options
     viewer,
     tokenJSONpath,
     sendOAuthTokenInQuery,
+    oauthClients,
+    openIdConnectDocuments,
+    authProviders,
+    contextCredentials,
 
     // Validation options
     oasValidatorOptions,
@@ -258,7 +417,9 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
 
     fetch
   }
-  translationLog(`Options: ${JSON.stringify(options)}`)
+  if (translationLog.enabled) {
+    translationLog(`Options: ${describeOptions(options)}`)
+  }
 
   /**
    * Extract information from the OASs and put it inside a data structure that
@@ -295,27 +456,58 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     }
   } = {}
 
-  // Add Query and Mutation fields
+  // Namespaces of Query fields
+  const queryNamespaces: { [namespaceName: string]: Namespace } = {}
+
+  // Add Query, Mutation, and streaming Subscription fields
   Object.entries(data.operations).forEach(([operationId, operation]) => {
+    // Operations can be hidden using the x-graphql-hidden extension
+    if (operation.hidden) {
+      translationLog(`Skip hidden operation '${operation.operationString}'`)
+      return
+    }
+
     translationLog(`Process operation '${operation.operationString}'...`)
     // Check if the operation should be added as a Query or Mutation
     if (operation.operationType === GraphQLOperationType.Query) {
-      addQueryFields({
-        authQueryFields,
-        queryFields,
-        operationId,
+      getOperationFieldMaps(
         operation,
-        options,
+        { fields: queryFields, authFields: authQueryFields },
+        queryNamespaces,
         data
+      ).forEach(({ fields, authFields }) => {
+        addQueryFields({
+          authQueryFields: authFields,
+          queryFields: fields,
+          operationId,
+          operation,
+          options,
+          data
+        })
       })
     } else if (operation.operationType === GraphQLOperationType.Mutation) {
-      addMutationFields({
-        authMutationFields,
-        mutationFields,
-        operationId,
-        operation,
-        options,
-        data
+      getFieldNamePrefixes(operation, data).forEach((fieldNamePrefix) => {
+        addMutationFields({
+          authMutationFields,
+          mutationFields,
+          operationId,
+          operation,
+          fieldNamePrefix,
+          options,
+          data
+        })
+      })
+    } else if (operation.operationType === GraphQLOperationType.Subscription) {
+      getFieldNamePrefixes(operation, data).forEach((fieldNamePrefix) => {
+        addSubscriptionFields({
+          authSubscriptionFields,
+          subscriptionFields,
+          operationId,
+          operation,
+          fieldNamePrefix,
+          options,
+          data
+        })
       })
     }
   })
@@ -323,15 +515,23 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
   // Add Subscription fields
   Object.entries(data.callbackOperations).forEach(
     ([operationId, operation]) => {
+      if (operation.hidden) {
+        translationLog(`Skip hidden operation '${operationId}'`)
+        return
+      }
+
       translationLog(`Process operation '${operationId}'...`)
 
-      addSubscriptionFields({
-        authSubscriptionFields,
-        subscriptionFields,
-        operationId,
-        operation,
-        options,
-        data
+      getFieldNamePrefixes(operation, data).forEach((fieldNamePrefix) => {
+        addSubscriptionFields({
+          authSubscriptionFields,
+          subscriptionFields,
+          operationId,
+          operation,
+          fieldNamePrefix,
+          options,
+          data
+        })
       })
     }
   )
@@ -358,7 +558,8 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     Object.keys(queryFields).length +
     Object.keys(authQueryFields).reduce((sum, key) => {
       return sum + Object.keys(authQueryFields[key]).length
-    }, 0)
+    }, 0) +
+    countNamespaceFields(queryNamespaces)
 
   report.numMutationsCreated =
     Object.keys(mutationFields).length +
@@ -372,6 +573,45 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
       return sum + Object.keys(authSubscriptionFields[key]).length
     }, 0)
 
+  // Add the node field, which refetches objects by their global IDs
+  if (options.nodeInterface) {
+    const nodeField = getNodeField({
+      data,
+      baseUrl: options.baseUrl,
+      requestOptions: options.requestOptions,
+      fileUploadOptions: options.fileUploadOptions,
+      fetch
+    })
+
+    if (typeof nodeField === 'object') {
+      if ('node' in queryFields) {
+        handleWarning({
+          mitigationType: MitigationTypes.NODE_FIELD_NAME_COLLISION,
+          message:
+            `Cannot create the 'node' field because the Query object type ` +
+            `already contains a field with the same name.`,
+          data,
+          log: translationLog
+        })
+      } else {
+        queryFields.node = nodeField
+      }
+    }
+  }
+
+  // Add the fields that make the schema an Apollo Federation subgraph
+  if (options.federation) {
+    Object.assign(queryFields, getFederationFields(data))
+  }
+
+  // Add namespaces, which contain their own viewer objects
+  queryFields = sortObject(
+    Object.assign(
+      createNamespaceFields(queryNamespaces, queryFields, data, fetch),
+      queryFields
+    )
+  )
+
   /**
    * Organize authenticated Query, Mutation, and Subscriptions fields into
    * viewer objects.
@@ -452,8 +692,34 @@ export function translateOpenAPIToGraphQL<TSource, TContext, TArgs extends objec
     }
   })
 
+  /**
+   * Add the object types that implement interface types because they are not
+   * necessarily referenced by any field.
+   */
+  const implementingTypes: GraphQLObjectType[] = []
+  data.defs.forEach((def) => {
+    if (
+      def.targetGraphQLType === TargetGraphQLType.interface &&
+      typeof def.graphQLType !== 'undefined'
+    ) {
+      Object.values(def.discriminator.mapping).forEach((implementingDef) => {
+        const implementingType =
+          implementingDef.graphQLType as GraphQLObjectType
+        if (!implementingTypes.includes(implementingType)) {
+          implementingTypes.push(implementingType)
+        }
+      })
+    }
+  })
+
+  if (implementingTypes.length > 0) {
+    schemaConfig.types = implementingTypes
+  }
+
   const schema = new GraphQLSchema(schemaConfig)
 
+  report.operations = getOperationReports(schema, data)
+
   return { schema, report, data }
 }
 
@@ -546,7 +812,10 @@ function addQueryFields<TSource, TContext, TArgs extends object>({
 
   // Generate viewer
   if (operation.inViewer) {
-    for (let securityRequirement of operation.securityRequirements) {
+    for (let requirement of operation.securityRequirements) {
+      const securityRequirement =
+        Oas3Tools.getSecurityRequirementKey(requirement)
+
       if (typeof authQueryFields[securityRequirement] !== 'object') {
         authQueryFields[securityRequirement] = {}
       }
@@ -585,6 +854,7 @@ function addQueryFields<TSource, TContext, TArgs extends object>({
             `'${securityRequirement}'. GraphQL field names must be ` +
             `unique so only one can be added to the authentication ` +
             `viewer. Operation '${operation.operationString}' will be ignored.`,
+          source: operation.operation,
           data,
           log: translationLog
         })
@@ -625,6 +895,7 @@ function addQueryFields<TSource, TContext, TArgs extends object>({
           `'${fieldName}'. GraphQL field names must be ` +
           `unique so only one can be added to the Query object. ` +
           `Operation '${operation.operationString}' will be ignored.`,
+        source: operation.operation,
         data,
         log: translationLog
       })
@@ -642,6 +913,7 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
   mutationFields,
   operationId,
   operation,
+  fieldNamePrefix,
   options,
   data
 }: {
@@ -653,6 +925,8 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
   mutationFields: { [fieldName: string]: GraphQLFieldConfig<any, any> }
   operationId: string
   operation: Operation
+  // Name of the namespace of the field, if any
+  fieldNamePrefix?: string
   options: InternalOptions<TSource, TContext, TArgs>
   data: PreprocessingData<TSource, TContext, TArgs>
 }) {
@@ -715,11 +989,17 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
    *
    *  3. (default) use the (generated) operationId.
    */
-  const fieldName = extensionFieldName || generatedFieldName
+  const fieldName = getPrefixedFieldName(
+    extensionFieldName || generatedFieldName,
+    fieldNamePrefix
+  )
 
   // Generate viewer
   if (operation.inViewer) {
-    for (let securityRequirement of operation.securityRequirements) {
+    for (let requirement of operation.securityRequirements) {
+      const securityRequirement =
+        Oas3Tools.getSecurityRequirementKey(requirement)
+
       if (typeof authMutationFields[securityRequirement] !== 'object') {
         authMutationFields[securityRequirement] = {}
       }
@@ -727,7 +1007,7 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
       // Check for extensionFieldName because it can create conflicts
       if (
         extensionFieldName &&
-        extensionFieldName in authMutationFields[securityRequirement]
+        fieldName in authMutationFields[securityRequirement]
       ) {
         throw new Error(
           `Cannot create mutation field with name ` +
@@ -747,6 +1027,7 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
             `'${securityRequirement}'. GraphQL field names must be ` +
             `unique so only one can be added to the authentication ` +
             `viewer. Operation '${operation.operationString}' will be ignored.`,
+          source: operation.operation,
           data,
           log: translationLog
         })
@@ -761,7 +1042,7 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
     // No viewer
   } else {
     // Check for extensionFieldName because it can create conflicts
-    if (extensionFieldName && extensionFieldName in mutationFields) {
+    if (extensionFieldName && fieldName in mutationFields) {
       throw new Error(
         `Cannot create mutation field with name ` +
           `"${extensionFieldName}".\nYou provided "${extensionFieldName}" ` +
@@ -779,6 +1060,7 @@ function addMutationFields<TSource, TContext, TArgs extends object>({
           `'${fieldName}'. GraphQL field names must be ` +
           `unique so only one can be added to the Mutation object. ` +
           `Operation '${operation.operationString}' will be ignored.`,
+        source: operation.operation,
         data,
         log: translationLog
       })
@@ -796,6 +1078,7 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
   subscriptionFields,
   operationId,
   operation,
+  fieldNamePrefix,
   options,
   data
 }: {
@@ -807,6 +1090,8 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
   subscriptionFields: { [fieldName: string]: GraphQLFieldConfig<any, any> }
   operationId: string
   operation: Operation
+  // Name of the namespace of the field, if any
+  fieldNamePrefix?: string
   options: InternalOptions<TSource, TContext, TArgs>
   data: PreprocessingData<TSource, TContext, TArgs>
 }) {
@@ -839,18 +1124,24 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
     )
   }
 
-  const fieldName = extensionFieldName || saneOperationId
+  const fieldName = getPrefixedFieldName(
+    extensionFieldName || saneOperationId,
+    fieldNamePrefix
+  )
 
   // Generate viewer
   if (operation.inViewer) {
-    for (let securityRequirement of operation.securityRequirements) {
+    for (let requirement of operation.securityRequirements) {
+      const securityRequirement =
+        Oas3Tools.getSecurityRequirementKey(requirement)
+
       if (typeof authSubscriptionFields[securityRequirement] !== 'object') {
         authSubscriptionFields[securityRequirement] = {}
       }
 
       if (
         extensionFieldName &&
-        extensionFieldName in authSubscriptionFields[securityRequirement]
+        fieldName in authSubscriptionFields[securityRequirement]
       ) {
         throw new Error(
           `Cannot create subscription field with name ` +
@@ -870,6 +1161,7 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
             `'${securityRequirement}'. GraphQL field names must be ` +
             `unique so only one can be added to the authentication ` +
             `viewer. Operation '${operation.operationString}' will be ignored.`,
+          source: operation.operation,
           data,
           log: translationLog
         })
@@ -883,7 +1175,7 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
 
     // No viewer
   } else {
-    if (extensionFieldName && extensionFieldName in subscriptionFields) {
+    if (extensionFieldName && fieldName in subscriptionFields) {
       throw new Error(
         `Cannot create subscription field with name ` +
           `"${extensionFieldName}".\nYou provided "${extensionFieldName}" ` +
@@ -901,6 +1193,7 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
           `'${fieldName}'. GraphQL field names must be ` +
           `unique so only one can be added to the Mutation object. ` +
           `Operation '${operation.operationString}' will be ignored.`,
+        source: operation.operation,
         data,
         log: translationLog
       })
@@ -913,6 +1206,17 @@ function addSubscriptionFields<TSource, TContext, TArgs extends object>({
   }
 }
 
+/**
+ * Prepends the name of the namespace to the name of a Mutation or Subscription
+ * field, e.g. 'createInvoice' in the namespace 'billing' becomes
+ * 'billingCreateInvoice'
+ */
+function getPrefixedFieldName(fieldName: string, prefix?: string): string {
+  return typeof prefix === 'string'
+    ? `${prefix}${Oas3Tools.capitalize(fieldName)}`
+    : fieldName
+}
+
 /**
  * Creates the field object for the given operation.
  */
@@ -951,6 +1255,9 @@ function getFieldForOperation<TSource, TContext, TArgs extends object>(
     fetch
   })
 
+  // Describe the operation that the field is bound to
+  const extensions = getBindingExtensions(operation, args, data)
+
   // Get resolver and subscribe function for Subscription fields
   if (operation.operationType === GraphQLOperationType.Subscription) {
     const responseSchemaName = operation.responseDefinition
@@ -964,20 +1271,35 @@ function getFieldForOperation<TSource, TContext, TArgs extends object>(
       fetch
     })
 
-    const subscribe = getSubscribe({
-      operation,
-      payloadName: payloadSchemaName,
-      data,
-      baseUrl,
-      connectOptions
-    })
+    // Operations that stream events are subscribed to by calling them
+    const subscribe = Oas3Tools.isStreamContentType(
+      operation.responseContentType
+    )
+      ? getStreamSubscribe({
+          operation,
+          payloadName: payloadSchemaName,
+          data,
+          baseUrl,
+          requestOptions,
+          fileUploadOptions,
+          fetch
+        })
+      : getSubscribe({
+          operation,
+          payloadName: payloadSchemaName,
+          data,
+          baseUrl,
+          connectOptions
+        })
 
     return {
       type,
       resolve,
       subscribe,
       args,
-      description: operation.description
+      description: operation.description,
+      deprecationReason: operation.deprecationReason,
+      extensions
     }
 
     // Get resolver for Query and Mutation fields
@@ -992,11 +1314,23 @@ function getFieldForOperation<TSource, TContext, TArgs extends object>(
       fetch
     })
 
+    // Expose paginated lists as connections
+    if (typeof operation.pagination === 'object') {
+      return {
+        ...getConnectionField({ operation, args, resolve, data, fetch }),
+        description: operation.description,
+        deprecationReason: operation.deprecationReason,
+        extensions
+      }
+    }
+
     return {
       type,
       resolve,
       args,
-      description: operation.description
+      description: operation.description,
+      deprecationReason: operation.deprecationReason,
+      extensions
     }
   }
 }
@@ -1094,5 +1428,91 @@ function preliminaryChecks<TSource, TContext, TArgs>(
   checkCustomResolversStructure(options.customSubscriptionResolvers, data)
 }
 
+/**
+ * Returns the given options as JSON for the debug log.
+ *
+ * Options that hold objects other than plain objects and arrays (e.g. a
+ * responseCache backed by a Redis or LRU client) are replaced by a
+ * placeholder, as they may contain circular references. Options that may
+ * contain credentials are redacted.
+ */
+function describeOptions<TSource, TContext, TArgs>(
+  options: InternalOptions<TSource, TContext, TArgs>
+): string {
+  const described = {}
+
+  Object.entries(options).forEach(([name, value]) => {
+    if (REDACTED_OPTIONS.includes(name) && typeof value !== 'undefined') {
+      described[name] = '[redacted]'
+    } else {
+      described[name] = isSerializable(value)
+        ? value
+        : `[${value.constructor?.name ?? 'object'}]`
+    }
+  })
+
+  return JSON.stringify(described)
+}
+
+/**
+ * Whether the given option value can be written to the debug log as JSON
+ */
+function isSerializable(value: any): boolean {
+  if (typeof value !== 'object' || value === null) {
+    return true
+  } else if (
+    !Array.isArray(value) &&
+    Object.getPrototypeOf(value) !== Object.prototype
+  ) {
+    return false
+  }
+
+  try {
+    JSON.stringify(value)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
 export { CaseStyle, sanitize } from './oas_3_tools'
+export {
+  AuthProvider,
+  AuthRequest,
+  OAuthClient,
+  OasLocation,
+  OpenIdConnectDocument,
+  OperationFilter,
+  OperationReport,
+  Report,
+  TagNamespacePolicy,
+  Warning
+} from './types/options'
 export { GraphQLOperationType } from './types/graphql'
+export {
+  createCallbackReceiver,
+  CallbackReceiver,
+  CallbackReceiverOptions,
+  CallbackRequest
+} from './callback_receiver'
+export { getNumRequestsSaved } from './request_loader'
+export { SchemaViolation } from './schema_validator'
+export {
+  Binding,
+  FieldBinding,
+  OperationBinding,
+  ResolverMap,
+  WrapperBinding
+} from './schema_binding'
+export { RuntimeOperation, RuntimeOptions } from './runtime'
+export {
+  ChangeSource,
+  SafeChangeType,
+  SchemaChange,
+  SchemaComparison
+} from './schema_comparison'
+export {
+  createMemoryResponseCache,
+  CachedResponse,
+  ResponseCache
+} from './response_cache'
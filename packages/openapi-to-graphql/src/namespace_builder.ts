@@ -0,0 +1,302 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to group the fields of the root operation types under namespace
+ * fields, which are derived from the tags of the operations.
+ *
+ * GraphQL only executes the fields of the Mutation object type serially and
+ * only subscribes to the fields of the Subscription object type, so their
+ * namespaces are prepended to the field names instead.
+ */
+
+// Type imports:
+import { GraphQLFieldConfigMap, GraphQLObjectType } from 'graphql'
+import { GraphQLOperationType } from './types/graphql'
+import { Operation } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import { createAndLoadViewer } from './auth_builder'
+import { getWrapperExtensions } from './schema_binding'
+import { handleWarning, sortObject, MitigationTypes } from './utils'
+import crossFetch from 'cross-fetch'
+import { debug } from 'debug'
+
+const translationLog = debug('translation')
+
+/**
+ * Fields of a root operation type or of a namespace, before authenticated
+ * fields are organized into viewers
+ */
+export type FieldMaps = {
+  fields: GraphQLFieldConfigMap<any, any>
+  authFields: {
+    [securityRequirement: string]: GraphQLFieldConfigMap<any, any>
+  }
+}
+
+export type Namespace = FieldMaps & {
+  // Description of the tag(s) that the namespace is derived from
+  description?: string
+}
+
+/**
+ * Returns the field maps that the Query field of the given operation should be
+ * added to, i.e. the field maps of the Query object type or of one or more
+ * namespaces, which are created if necessary
+ */
+export function getOperationFieldMaps<TSource, TContext, TArgs>(
+  operation: Operation,
+  root: FieldMaps,
+  namespaces: { [namespaceName: string]: Namespace },
+  data: PreprocessingData<TSource, TContext, TArgs>
+): FieldMaps[] {
+  const namespaceNames = getNamespaceNames(operation, data)
+  if (namespaceNames.length === 0) {
+    return [root]
+  }
+
+  return namespaceNames.map(({ namespaceName, description }) => {
+    if (typeof namespaces[namespaceName] !== 'object') {
+      namespaces[namespaceName] = { fields: {}, authFields: {} }
+    }
+
+    const namespace = namespaces[namespaceName]
+    if (
+      typeof namespace.description !== 'string' &&
+      typeof description === 'string'
+    ) {
+      namespace.description = description
+    }
+
+    return namespace
+  })
+}
+
+/**
+ * Returns the prefixes of the names of the Mutation or Subscription fields of
+ * the given operation, i.e. the names of its namespaces, or a list with a
+ * single undefined prefix if it does not belong to a namespace
+ */
+export function getFieldNamePrefixes<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): (string | undefined)[] {
+  const namespaceNames = getNamespaceNames(operation, data)
+  if (namespaceNames.length === 0) {
+    return [undefined]
+  }
+
+  return namespaceNames.map(({ namespaceName }) => namespaceName)
+}
+
+/**
+ * Returns the names of the namespaces that the field of the given operation
+ * should be placed in, or an empty list if it should be placed in the root
+ * operation type
+ */
+function getNamespaceNames<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): { namespaceName: string; description?: string }[] {
+  if (!data.options.tagNamespaces) {
+    return []
+  }
+
+  // Namespace provided by x-graphql-namespace OAS extension
+  const extensionNamespace =
+    operation.operation[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Namespace]
+
+  if (
+    typeof extensionNamespace !== 'undefined' &&
+    checkNamespaceName(
+      extensionNamespace,
+      operation.operationString,
+      operation.operation,
+      data
+    )
+  ) {
+    return [{ namespaceName: extensionNamespace }]
+  }
+
+  const tags = operation.tags
+  if (
+    tags.length === 0 ||
+    (tags.length > 1 && data.options.tagNamespacePolicy === 'root')
+  ) {
+    return []
+  }
+
+  const namespaceNames: { namespaceName: string; description?: string }[] = []
+  for (let tag of data.options.tagNamespacePolicy === 'all'
+    ? tags
+    : tags.slice(0, 1)) {
+    const tagObject = Array.isArray(operation.oas.tags)
+      ? operation.oas.tags.find((tagObject) => tagObject.name === tag)
+      : undefined
+
+    let namespaceName: string
+    if (
+      typeof tagObject === 'object' &&
+      typeof tagObject[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Namespace] !==
+        'undefined' &&
+      checkNamespaceName(
+        tagObject[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Namespace],
+        `tag '${tag}'`,
+        tagObject,
+        data
+      )
+    ) {
+      // Namespace provided by x-graphql-namespace OAS extension in tag object
+      namespaceName = tagObject[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Namespace]
+    } else {
+      namespaceName = Oas3Tools.sanitize(tag, Oas3Tools.CaseStyle.camelCase)
+    }
+
+    if (
+      !namespaceNames.some((namespace) => {
+        return namespace.namespaceName === namespaceName
+      })
+    ) {
+      namespaceNames.push({
+        namespaceName,
+        description:
+          typeof tagObject === 'object' ? tagObject.description : undefined
+      })
+    }
+  }
+
+  return namespaceNames
+}
+
+/**
+ * Checks whether the namespace name provided by the x-graphql-namespace
+ * extension is GraphQL-safe, and creates a warning if it is not
+ *
+ * @param source The tag or operation object that contains the extension
+ */
+function checkNamespaceName<TSource, TContext, TArgs>(
+  namespaceName: any,
+  elementName: string,
+  source: object,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): boolean {
+  if (
+    typeof namespaceName !== 'string' ||
+    !/^[_a-zA-Z][_a-zA-Z0-9]*$/.test(namespaceName)
+  ) {
+    handleWarning({
+      mitigationType: MitigationTypes.INVALID_FIELD_EXTENSION,
+      message:
+        `Cannot create namespace with name "${namespaceName}". You ` +
+        `provided "${namespaceName}" in ` +
+        `${Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Namespace} of ${elementName}, ` +
+        `but it is not GraphQL-safe.`,
+      source,
+      data,
+      log: translationLog
+    })
+
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Creates the namespace fields of the Query object type, whose object types
+ * contain the fields and viewers of the namespaces
+ *
+ * @param rootFields Fields of the Query object type, which take precedence
+ * over namespaces with the same name
+ */
+export function createNamespaceFields<TSource, TContext, TArgs extends object>(
+  namespaces: { [namespaceName: string]: Namespace },
+  rootFields: GraphQLFieldConfigMap<any, any>,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  fetch: typeof crossFetch
+): GraphQLFieldConfigMap<any, any> {
+  const namespaceFields: GraphQLFieldConfigMap<any, any> = {}
+  for (let namespaceName in namespaces) {
+    if (namespaceName in rootFields) {
+      handleWarning({
+        mitigationType: MitigationTypes.NAMESPACE_NAME_COLLISION,
+        message:
+          `Cannot create namespace '${namespaceName}' because the ` +
+          `Query object type already contains a field with the same name.`,
+        data,
+        log: translationLog
+      })
+      continue
+    }
+
+    const { fields, authFields, description } = namespaces[namespaceName]
+    const typeName = Oas3Tools.getUniqueTypeName(`${namespaceName} Query`, data)
+
+    const namespaceFieldMap = sortObject(fields)
+    if (Object.keys(authFields).length > 0) {
+      const sortedAuthFields = sortObject(authFields)
+      Object.keys(sortedAuthFields).forEach((key) => {
+        sortedAuthFields[key] = sortObject(sortedAuthFields[key])
+      })
+
+      Object.assign(
+        namespaceFieldMap,
+        createAndLoadViewer(
+          sortedAuthFields,
+          GraphQLOperationType.Query,
+          data,
+          fetch,
+          namespaceName
+        )
+      )
+    }
+
+    translationLog(`Create namespace '${namespaceName}' in Query object type`)
+
+    namespaceFields[namespaceName] = {
+      type: new GraphQLObjectType({
+        name: typeName,
+        description,
+        fields: namespaceFieldMap
+      }),
+
+      /**
+       * Pass on the source so that the fields of the namespace resolve as if
+       * they were fields of the root operation type
+       */
+      resolve: (source) => {
+        return typeof source === 'object' && source !== null ? source : {}
+      },
+      description,
+      extensions: getWrapperExtensions({
+        wrapper: 'namespace',
+        namespace: namespaceName
+      })
+    }
+  }
+
+  return namespaceFields
+}
+
+/**
+ * Returns the number of fields in the given namespaces, including the fields
+ * in their viewers
+ */
+export function countNamespaceFields(namespaces: {
+  [namespaceName: string]: Namespace
+}): number {
+  return Object.values(namespaces).reduce((sum, { fields, authFields }) => {
+    return (
+      sum +
+      Object.keys(fields).length +
+      Object.values(authFields).reduce((authSum, securityFields) => {
+        return authSum + Object.keys(securityFields).length
+      }, 0)
+    )
+  }, 0)
+}
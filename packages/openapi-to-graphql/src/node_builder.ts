@@ -0,0 +1,250 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to create the Node interface and the node field, which provide
+ * global object identification for resources that can be fetched by their IDs.
+ *
+ * See https://graphql.org/learn/global-object-identification/
+ */
+
+// Type imports:
+import {
+  GraphQLFieldConfig,
+  GraphQLFieldConfigMap,
+  GraphQLFieldResolver,
+  GraphQLID,
+  GraphQLInterfaceType,
+  GraphQLNonNull
+} from 'graphql'
+import { DataDefinition } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+import { FileUploadOptions, RequestOptions } from './types/options'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import { getResolver } from './resolver_builder'
+import { getWrapperExtensions } from './schema_binding'
+import crossFetch from 'cross-fetch'
+import { debug } from 'debug'
+
+const translationLog = debug('translation')
+
+const nodeInterfaces = new WeakMap<
+  PreprocessingData<any, any, any>,
+  GraphQLInterfaceType
+>()
+
+// Names of the object types of the objects that were resolved by node fields
+const nodeTypeNames = new WeakMap<object, string>()
+
+type GetNodeFieldParams<TSource, TContext, TArgs> = {
+  data: PreprocessingData<TSource, TContext, TArgs>
+  baseUrl?: string
+  requestOptions?: Partial<RequestOptions<TSource, TContext, TArgs>>
+  fileUploadOptions?: FileUploadOptions
+  fetch: typeof crossFetch
+}
+
+/**
+ * Returns the Node interface, which is implemented by the object types of
+ * resources that can be fetched by their IDs
+ */
+export function getNodeInterface<TSource, TContext, TArgs>(
+  data: PreprocessingData<TSource, TContext, TArgs>
+): GraphQLInterfaceType {
+  if (!nodeInterfaces.has(data)) {
+    nodeInterfaces.set(
+      data,
+      new GraphQLInterfaceType({
+        name: Oas3Tools.getUniqueTypeName('Node', data),
+        description: 'An object with a globally unique ID',
+        fields: {
+          id: {
+            type: new GraphQLNonNull(GraphQLID),
+            description: 'The globally unique ID of the object'
+          }
+        },
+        resolveType: (source) => {
+          return nodeTypeNames.get(source)
+        }
+      })
+    )
+  }
+
+  return nodeInterfaces.get(data)
+}
+
+/**
+ * Adds the id field, which contains the global ID, to the fields of an object
+ * type that implements the Node interface
+ *
+ * The field of the original id property, if any, is renamed.
+ */
+export function addNodeIdField<TSource, TContext, TArgs>(
+  fields: GraphQLFieldConfigMap<any, any>,
+  def: DataDefinition,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): void {
+  const { idProperties, rawIdFieldName } = def.node
+
+  if (typeof rawIdFieldName === 'string' && 'id' in fields) {
+    fields[rawIdFieldName] = {
+      ...fields.id,
+      resolve: (source) => {
+        return source.id
+      },
+      extensions: getWrapperExtensions({
+        wrapper: 'rawId',
+        objectType: def.graphQLTypeName
+      })
+    }
+  }
+
+  fields.id = {
+    type: new GraphQLNonNull(GraphQLID),
+    description: 'The globally unique ID of the object',
+    resolve: (source) => {
+      const values = idProperties.map(({ propertyName }) => {
+        const value = source[Oas3Tools.getSaneName(propertyName, data)]
+
+        if (typeof value === 'undefined' || value === null) {
+          throw new Error(
+            `Cannot create ID of '${def.graphQLTypeName}' object because ` +
+              `it does not contain property '${propertyName}'`
+          )
+        }
+
+        return value
+      })
+
+      return encodeGlobalId(def.graphQLTypeName, values)
+    },
+    extensions: getWrapperExtensions({
+      wrapper: 'id',
+      objectType: def.graphQLTypeName
+    })
+  }
+}
+
+/**
+ * Returns the node field, which refetches any object that implements the Node
+ * interface by its global ID, or undefined if there are no such objects
+ */
+export function getNodeField<TSource, TContext, TArgs extends object>({
+  data,
+  baseUrl,
+  requestOptions,
+  fileUploadOptions,
+  fetch
+}: GetNodeFieldParams<TSource, TContext, TArgs>):
+  | GraphQLFieldConfig<TSource, TContext, { id: string }>
+  | undefined {
+  const nodeDefs: { [typeName: string]: DataDefinition } = {}
+  Object.values(data.operations).forEach((operation) => {
+    const def = operation.responseDefinition
+    if (
+      typeof def.node === 'object' &&
+      def.node.operation === operation &&
+      typeof def.graphQLType !== 'undefined'
+    ) {
+      nodeDefs[def.graphQLTypeName] = def
+    }
+  })
+
+  if (Object.keys(nodeDefs).length === 0) {
+    return
+  }
+
+  // Resolve functions of the operations that fetch the objects
+  const resolvers: {
+    [typeName: string]: GraphQLFieldResolver<TSource, TContext, TArgs>
+  } = {}
+
+  return {
+    type: getNodeInterface(data),
+    args: {
+      id: {
+        type: new GraphQLNonNull(GraphQLID),
+        description: 'The globally unique ID of the object'
+      }
+    },
+    resolve: async (source, args, context, info) => {
+      const { typeName, values } = decodeGlobalId(args.id)
+      // The type name is supplied by the client
+      const def = Object.prototype.hasOwnProperty.call(nodeDefs, typeName)
+        ? nodeDefs[typeName]
+        : undefined
+
+      if (
+        typeof def !== 'object' ||
+        values.length !== def.node.idProperties.length
+      ) {
+        throw new Error(`Invalid ID '${args.id}'`)
+      }
+
+      translationLog(
+        `Refetch '${typeName}' object using ${def.node.operation.operationString}`
+      )
+
+      if (typeof resolvers[typeName] !== 'function') {
+        resolvers[typeName] = getResolver({
+          operation: def.node.operation,
+          data,
+          baseUrl,
+          requestOptions,
+          fileUploadOptions,
+          fetch
+        })
+      }
+
+      const operationArgs = {} as TArgs
+      def.node.idProperties.forEach(({ parameter }, index) => {
+        operationArgs[Oas3Tools.getSaneName(parameter.name, data)] =
+          values[index]
+      })
+
+      const node = await Promise.resolve(
+        resolvers[typeName](source, operationArgs, context, info)
+      )
+
+      if (typeof node === 'object' && node !== null) {
+        nodeTypeNames.set(node, typeName)
+      }
+
+      return node
+    },
+    description:
+      'Fetches an object given its globally unique ID.\n\n' +
+      `Supported types: ${Object.keys(nodeDefs).join(', ')}`,
+    extensions: getWrapperExtensions({ wrapper: 'node' })
+  }
+}
+
+/**
+ * Encodes the type name and the path parameter values of an object into an
+ * opaque global ID
+ */
+function encodeGlobalId(typeName: string, values: any[]): string {
+  return Buffer.from(`${typeName}:${JSON.stringify(values)}`).toString('base64')
+}
+
+function decodeGlobalId(id: string): { typeName: string; values: any[] } {
+  const decoded = Buffer.from(id, 'base64').toString()
+  const separator = decoded.indexOf(':')
+
+  if (separator !== -1) {
+    try {
+      const values = JSON.parse(decoded.substring(separator + 1))
+      if (Array.isArray(values)) {
+        return { typeName: decoded.substring(0, separator), values }
+      }
+    } catch (e) {
+      // Handled below
+    }
+  }
+
+  throw new Error(`Invalid ID '${id}'`)
+}
@@ -9,7 +9,11 @@
 
 // Type imports:
 import { Oas2 } from './types/oas2'
-import { TargetGraphQLType, Operation } from './types/operation'
+import {
+  TargetGraphQLType,
+  Operation,
+  OAuthRequirement
+} from './types/operation'
 import {
   Oas3,
   ServerObject,
@@ -29,15 +33,18 @@ import {
 } from './types/oas3'
 import {
   PreprocessingData,
+  ProcessedOAuthScheme,
   ProcessedSecurityScheme
 } from './types/preprocessing_data'
-import { InternalOptions } from './types/options'
+import { AuthProvider, InternalOptions } from './types/options'
 
 // Imports:
+import { DEFAULT_DEPRECATION_REASON } from 'graphql'
 import * as Swagger2OpenAPI from 'swagger2openapi'
 import * as OASValidator from 'oas-validator'
 import debug from 'debug'
 import { handleWarning, MitigationTypes } from './utils'
+import { getFormatScalar } from './format_scalars'
 import * as jsonptr from 'json-ptr'
 import * as pluralize from 'pluralize'
 
@@ -88,10 +95,107 @@ export enum HTTP_METHODS {
 
 export const SUCCESS_STATUS_RX = /2[0-9]{2}|2XX/
 
+// Content types of responses that stream events
+export const STREAM_CONTENT_TYPES = [
+  'text/event-stream',
+  'application/x-ndjson',
+  'application/ndjson'
+]
+
 export enum OAS_GRAPHQL_EXTENSIONS {
   TypeName = 'x-graphql-type-name',
   FieldName = 'x-graphql-field-name',
-  EnumMapping = 'x-graphql-enum-mapping'
+  EnumMapping = 'x-graphql-enum-mapping',
+  Batch = 'x-graphql-batch',
+  Deprecated = 'x-graphql-deprecated',
+  Hidden = 'x-graphql-hidden',
+  Description = 'x-graphql-description',
+  Namespace = 'x-graphql-namespace'
+}
+
+/**
+ * Values of the x-graphql-deprecated, x-graphql-hidden, and
+ * x-graphql-description extensions
+ */
+export type FieldExtensions = {
+  deprecationReason?: string
+  hidden: boolean
+  description?: string
+}
+
+/**
+ * Returns the values of the x-graphql-deprecated, x-graphql-hidden, and
+ * x-graphql-description extensions of an operation, parameter, or schema
+ *
+ * Elements that are marked as deprecated by the OAS are deprecated as well, or
+ * hidden if the omitDeprecated option is enabled.
+ *
+ * @param elementName Describes the element in warnings about invalid values
+ */
+export function getFieldExtensions<TSource, TContext, TArgs>(
+  element: object | undefined,
+  elementName: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): FieldExtensions {
+  const extensions: FieldExtensions = { hidden: false }
+
+  if (typeof element !== 'object' || element === null) {
+    return extensions
+  }
+
+  const warnInvalidValue = (extension: OAS_GRAPHQL_EXTENSIONS, expected) => {
+    handleWarning({
+      mitigationType: MitigationTypes.INVALID_FIELD_EXTENSION,
+      message:
+        `The ${extension} extension of ${elementName} must be ${expected} ` +
+        `but is '${JSON.stringify(element[extension])}'.`,
+      source: element,
+      data,
+      log: preprocessingLog
+    })
+  }
+
+  const deprecated = element[OAS_GRAPHQL_EXTENSIONS.Deprecated]
+  if (deprecated === true) {
+    extensions.deprecationReason = DEFAULT_DEPRECATION_REASON
+  } else if (typeof deprecated === 'string' && deprecated !== '') {
+    extensions.deprecationReason = deprecated
+  } else if (typeof deprecated !== 'undefined' && deprecated !== false) {
+    warnInvalidValue(
+      OAS_GRAPHQL_EXTENSIONS.Deprecated,
+      'a boolean or a non-empty string'
+    )
+  }
+
+  if (
+    typeof extensions.deprecationReason === 'undefined' &&
+    element['deprecated'] === true
+  ) {
+    extensions.deprecationReason = DEFAULT_DEPRECATION_REASON
+  }
+
+  const hidden = element[OAS_GRAPHQL_EXTENSIONS.Hidden]
+  if (typeof hidden === 'boolean') {
+    extensions.hidden = hidden
+  } else if (typeof hidden !== 'undefined') {
+    warnInvalidValue(OAS_GRAPHQL_EXTENSIONS.Hidden, 'a boolean')
+  }
+
+  if (
+    data.options.omitDeprecated &&
+    typeof extensions.deprecationReason === 'string'
+  ) {
+    extensions.hidden = true
+  }
+
+  const description = element[OAS_GRAPHQL_EXTENSIONS.Description]
+  if (typeof description === 'string') {
+    extensions.description = description
+  } else if (typeof description !== 'undefined') {
+    warnInvalidValue(OAS_GRAPHQL_EXTENSIONS.Description, 'a string')
+  }
+
+  return extensions
 }
 
 /**
@@ -321,6 +425,7 @@ export function resolveAllOf<TSource, TContext, TArgs>(
               `Resolving 'allOf' field in schema '${JSON.stringify(
                 collapsedSchema
               )}' ` + `results in incompatible schema type.`,
+            source: schema,
             data,
             log: preprocessingLog
           })
@@ -347,6 +452,7 @@ export function resolveAllOf<TSource, TContext, TArgs>(
                     collapsedSchema
                   )}' ` +
                   `results in incompatible property field '${propertyName}'.`,
+                source: schema,
                 data,
                 log: preprocessingLog
               })
@@ -395,6 +501,74 @@ export function resolveAllOf<TSource, TContext, TArgs>(
   return collapsedSchema
 }
 
+/**
+ * Returns the references of the schemas that the values of the discriminator
+ * in the given schema map to
+ *
+ * Besides the explicit mapping of the discriminator, the names of schemas in
+ * the components object are implicit values. These schemas are the members of
+ * the oneOf of the given schema, or if there is no oneOf, the schemas that
+ * include the given schema using allOf.
+ */
+export function getDiscriminatorMapping(
+  schema: SchemaObject,
+  oas: Oas3
+): { [value: string]: string } {
+  const mapping: { [value: string]: string } = {}
+
+  if (typeof schema.discriminator !== 'object') {
+    return mapping
+  }
+
+  if (typeof schema.discriminator.mapping === 'object') {
+    Object.entries(schema.discriminator.mapping).forEach(([value, target]) => {
+      // The target is either a reference or the name of a schema
+      mapping[value] = target.startsWith('#')
+        ? target
+        : `#/components/schemas/${target}`
+    })
+  }
+
+  const implicitRefs: string[] = []
+  if (Array.isArray(schema.oneOf)) {
+    schema.oneOf.forEach((memberSchema) => {
+      if ('$ref' in memberSchema && typeof memberSchema.$ref === 'string') {
+        implicitRefs.push(memberSchema.$ref)
+      }
+    })
+  } else if (
+    typeof oas.components === 'object' &&
+    typeof oas.components.schemas === 'object'
+  ) {
+    Object.entries(oas.components.schemas).forEach(
+      ([schemaName, schemaOrRef]) => {
+        if (
+          Array.isArray((schemaOrRef as SchemaObject).allOf) &&
+          (schemaOrRef as SchemaObject).allOf.some((memberSchema) => {
+            return (
+              '$ref' in memberSchema &&
+              typeof memberSchema.$ref === 'string' &&
+              resolveRef(memberSchema.$ref, oas) === schema
+            )
+          })
+        ) {
+          implicitRefs.push(`#/components/schemas/${schemaName}`)
+        }
+      }
+    )
+  }
+
+  const explicitRefs = Object.values(mapping)
+  implicitRefs.forEach((ref) => {
+    const value = ref.split('/').pop()
+    if (!explicitRefs.includes(ref) && !(value in mapping)) {
+      mapping[value] = ref
+    }
+  })
+
+  return mapping
+}
+
 /**
  * Returns the base URL to use for the given operation.
  */
@@ -559,6 +733,7 @@ export function getSchemaTargetGraphQLType<TSource, TContext, TArgs>(
         `'anyOf' and 'oneOf' or nested 'anyOf' and 'oneOf' which ` +
         `is currently not supported.`,
       mitigationAddendum: `Use arbitrary JSON type instead.`,
+      source: schema,
       data,
       log: preprocessingLog
     })
@@ -597,19 +772,26 @@ export function getSchemaTargetGraphQLType<TSource, TContext, TArgs>(
 
   // Special edge cases involving the schema format
   if (typeof schema.format === 'string') {
-    if (schema.type === 'integer' && schema.format === 'int64') {
+    // CASE: custom ID format, which takes precedence over custom scalars
+    if (
+      schema.type === 'string' &&
+      Array.isArray(data.options.idFormats) &&
+      data.options.idFormats.includes(schema.format)
+    ) {
+      return TargetGraphQLType.id
+      // CASE: custom scalar
+    } else if (
+      typeof getFormatScalar(schema.format, data.options) !== 'undefined'
+    ) {
+      return TargetGraphQLType.formatScalar
+      // CASE: bigint
+    } else if (schema.type === 'integer' && schema.format === 'int64') {
       return TargetGraphQLType.bigint
       // CASE: file upload
     } else if (schema.type === 'string' && schema.format === 'binary') {
       return TargetGraphQLType.upload
       // CASE: id
-    } else if (
-      schema.type === 'string' &&
-      (schema.format === 'uuid' ||
-        // Custom ID format
-        (Array.isArray(data.options.idFormats) &&
-          data.options.idFormats.includes(schema.format)))
-    ) {
+    } else if (schema.type === 'string' && schema.format === 'uuid') {
       return TargetGraphQLType.id
     }
   }
@@ -875,7 +1057,11 @@ function extractBasePath(
   }
 }
 
-function isIdParam(part) {
+/**
+ * Determines if the given path part is a path parameter that identifies a
+ * resource, e.g. "{userId}"
+ */
+export function isIdParam(part) {
   return /^{.*(id|name|key).*}$/gi.test(part)
 }
 
@@ -1084,8 +1270,15 @@ export function getResponseSchemaAndNames<TSource, TContext, TArgs>(
         content !== null &&
         Object.keys(content).length > 0
       ) {
+        // Streaming responses take precedence if they become subscriptions
+        const streamContentType = options.createSubscriptionsFromStreams
+          ? Object.keys(content).find(isStreamContentType)
+          : undefined
+
         // Prioritize content-type JSON
-        if ('application/json' in content) {
+        if (typeof streamContentType === 'string') {
+          responseContentType = streamContentType
+        } else if ('application/json' in content) {
           responseContentType = 'application/json'
         } else {
           // Pick first (random) content type
@@ -1093,9 +1286,12 @@ export function getResponseSchemaAndNames<TSource, TContext, TArgs>(
           responseContentType = randomContentType
         }
 
+        // The schemas of streaming responses describe their events
         if (
           responseContentType === 'application/json' ||
-          responseContentType === '*/*'
+          responseContentType === '*/*' ||
+          (typeof streamContentType === 'string' &&
+            typeof content[streamContentType].schema === 'object')
         ) {
           // Name from reference, if applicable
           let fromRef: string
@@ -1175,6 +1371,17 @@ export function getResponseSchemaAndNames<TSource, TContext, TArgs>(
   }
 }
 
+/**
+ * Returns whether responses with the given content type are streams of events,
+ * i.e. Server-Sent Events or newline-delimited JSON
+ */
+export function isStreamContentType(contentType: string): boolean {
+  return (
+    typeof contentType === 'string' &&
+    STREAM_CONTENT_TYPES.includes(contentType.split(';')[0].trim())
+  )
+}
+
 /**
  * Returns a success status code for the given operation
  */
@@ -1208,6 +1415,7 @@ export function getResponseStatusCode<TSource, TContext, TArgs>(
         mitigationAddendum:
           `The response object with the HTTP code ` +
           `${successCodes[0]} will be selected`,
+        source: operation,
         data,
         log: translationLog
       })
@@ -1397,50 +1605,148 @@ export function getSecuritySchemes(
 }
 
 /**
- * Returns the list of sanitized keys of non-OAuth2 security schemes
- * required by the operation at the given path and method.
+ * Returns the auth provider for the given security scheme, if any
+ *
+ * Providers for the name of the security scheme take precedence over those for
+ * the HTTP authentication scheme and those for the type of security scheme.
+ */
+export function getAuthProvider<TSource, TContext, TArgs>(
+  schemeKey: string,
+  securityScheme: SecuritySchemeObject,
+  options: InternalOptions<TSource, TContext, TArgs>
+): AuthProvider<TContext> | undefined {
+  const authProviders = options.authProviders
+  if (typeof authProviders !== 'object') {
+    return
+  }
+
+  const keys = [schemeKey]
+  if (
+    securityScheme.type === 'http' &&
+    typeof securityScheme.scheme === 'string'
+  ) {
+    // HTTP authentication schemes are case-insensitive
+    keys.push(`http:${securityScheme.scheme.toLowerCase()}`)
+  }
+  keys.push(securityScheme.type)
+
+  const key = keys.find((key) => typeof authProviders[key] === 'object')
+  if (typeof key === 'string') {
+    return authProviders[key]
+  }
+}
+
+/**
+ * Returns the alternative security requirements of the operation at the given
+ * path and method, in order. Each security requirement is the list of keys of
+ * the security schemes that all have to be satisfied.
+ *
+ * Security requirements of the operation override the global ones. OAuth 2
+ * security schemes are left out, unless they are supported by an auth provider,
+ * as access tokens are obtained using the tokenJSONpath or oauthClients options
+ * instead.
  */
 export function getSecurityRequirements(
   operation: OperationObject,
   securitySchemes: { [key: string]: ProcessedSecurityScheme },
   oas: Oas3
-): string[] {
-  const results: string[] = []
-
-  // First, consider global requirements
-  const globalSecurity: SecurityRequirementObject[] = oas.security
-  if (globalSecurity && typeof globalSecurity !== 'undefined') {
-    for (let secReq of globalSecurity) {
-      for (let schemaKey in secReq) {
-        if (
-          securitySchemes[schemaKey] &&
-          typeof securitySchemes[schemaKey] === 'object' &&
-          securitySchemes[schemaKey].def.type !== 'oauth2'
-        ) {
-          results.push(schemaKey)
-        }
+): string[][] {
+  const results: string[][] = []
+
+  const security: SecurityRequirementObject[] = Array.isArray(
+    operation.security
+  )
+    ? operation.security
+    : oas.security
+
+  if (Array.isArray(security)) {
+    for (let secReq of security) {
+      const schemeKeys = Object.keys(secReq).filter((schemeKey) => {
+        return (
+          typeof securitySchemes[schemeKey] === 'object' &&
+          (securitySchemes[schemeKey].def.type !== 'oauth2' ||
+            typeof securitySchemes[schemeKey].authProvider === 'object')
+        )
+      })
+
+      if (
+        schemeKeys.length > 0 &&
+        !results.some((result) => {
+          return (
+            getSecurityRequirementKey(result) ===
+            getSecurityRequirementKey(schemeKeys)
+          )
+        })
+      ) {
+        results.push(schemeKeys)
       }
     }
   }
 
-  // Second, consider operation requirements
-  const localSecurity: SecurityRequirementObject[] = operation.security
-  if (localSecurity && typeof localSecurity !== 'undefined') {
-    for (let secReq of localSecurity) {
-      for (let schemaKey in secReq) {
+  return results
+}
+
+/**
+ * Returns whether the credentials of all security schemes of the given
+ * security requirement are taken from the GraphQL context
+ */
+export function isContextSecurityRequirement(
+  securityRequirement: string[],
+  securitySchemes: { [key: string]: ProcessedSecurityScheme }
+): boolean {
+  return securityRequirement.every((schemeKey) => {
+    return typeof securitySchemes[schemeKey].contextCredentials === 'object'
+  })
+}
+
+/**
+ * Returns the key that identifies the given security requirement in the
+ * fields of viewers
+ *
+ * Names of security schemes cannot contain spaces, so the keys of combined
+ * security requirements never clash with the names of security schemes.
+ */
+export function getSecurityRequirementKey(
+  securityRequirement: string[]
+): string {
+  return securityRequirement.join(' and ')
+}
+
+/**
+ * Returns the first security requirement of the operation at the given path
+ * and method that can be satisfied with an access token obtained by
+ * OpenAPI-to-GraphQL, i.e. that uses one of the given OAuth 2 security schemes.
+ *
+ * Security requirements of the operation take precedence over the global ones.
+ */
+export function getOAuthRequirement(
+  operation: OperationObject,
+  oauthSchemes: {
+    [title: string]: { [schemeKey: string]: ProcessedOAuthScheme }
+  },
+  oas: Oas3
+): OAuthRequirement | undefined {
+  const security: SecurityRequirementObject[] = Array.isArray(
+    operation.security
+  )
+    ? operation.security
+    : oas.security
+
+  if (Array.isArray(security)) {
+    for (let secReq of security) {
+      for (let schemeKey in secReq) {
         if (
-          securitySchemes[schemaKey] &&
-          typeof securitySchemes[schemaKey] === 'object' &&
-          securitySchemes[schemaKey].def.type !== 'oauth2'
+          typeof oauthSchemes[oas.info.title] === 'object' &&
+          typeof oauthSchemes[oas.info.title][schemeKey] === 'object'
         ) {
-          if (!results.includes(schemaKey)) {
-            results.push(schemaKey)
+          return {
+            securityScheme: schemeKey,
+            scopes: secReq[schemeKey]
           }
         }
       }
     }
   }
-  return results
 }
 
 export enum CaseStyle {
@@ -1515,6 +1821,43 @@ export function sanitize(str: string, caseStyle: CaseStyle): string {
   return sanitized
 }
 
+/**
+ * Returns the given type name, or a variation of it if the name is already
+ * used, and marks it as used
+ */
+export function getUniqueTypeName<TSource, TContext, TArgs>(
+  name: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): string {
+  let typeName = sanitize(name, CaseStyle.PascalCase)
+
+  if (data.usedTypeNames.includes(typeName)) {
+    let appendix = 2
+    while (data.usedTypeNames.includes(`${typeName}${appendix}`)) {
+      appendix++
+    }
+    typeName = `${typeName}${appendix}`
+  }
+
+  data.usedTypeNames.push(typeName)
+  return typeName
+}
+
+/**
+ * Sanitizes the name of a parameter or property in the same way as the
+ * arguments and the response data of resolve functions, i.e. depending on the
+ * simpleNames option
+ */
+export function getSaneName<TSource, TContext, TArgs>(
+  name: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): string {
+  return sanitize(
+    name,
+    !data.options.simpleNames ? CaseStyle.camelCase : CaseStyle.simple
+  )
+}
+
 /**
  * Sanitizes the given string and stores the sanitized-to-original mapping in
  * the given mapping.
@@ -0,0 +1,344 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to obtain OAuth 2 access tokens using the client credentials and
+ * refresh token grants, to cache them until they expire, and to renew them if
+ * they are rejected before.
+ *
+ * See https://tools.ietf.org/html/rfc6749#section-4.4 and
+ * https://tools.ietf.org/html/rfc6749#section-6
+ */
+
+// Type imports:
+import { Oas3 } from './types/oas3'
+import { OAuthRequirement } from './types/operation'
+import {
+  PreprocessingData,
+  ProcessedOAuthScheme
+} from './types/preprocessing_data'
+import { LoadResponse } from './request_loader'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import crossFetch from 'cross-fetch'
+import { debug } from 'debug'
+
+const httpLog = debug('http')
+
+// Access tokens are renewed this many milliseconds before they expire
+const EXPIRATION_MARGIN = 10 * 1000
+
+type AccessToken = {
+  accessToken: string
+
+  /**
+   * Time (in milliseconds since the epoch) after which the access token has
+   * to be renewed
+   */
+  expiresAt: number
+}
+
+type OAuthClientState = {
+  /**
+   * Obtained or pending access tokens, identified by their space-separated
+   * scopes
+   */
+  accessTokens: { [scopes: string]: Promise<AccessToken> }
+
+  refreshToken?: string
+}
+
+// Client states, identified by the titles of the OASs and the security schemes
+const clientStates = new WeakMap<
+  PreprocessingData<any, any, any>,
+  { [title: string]: { [schemeKey: string]: OAuthClientState } }
+>()
+
+type GetAccessTokenParams<TSource, TContext, TArgs> = {
+  requirement: OAuthRequirement
+  data: PreprocessingData<TSource, TContext, TArgs>
+
+  // OAS that the operation originated from
+  oas: Oas3
+
+  // Base URL of the operation, which relative token URLs are resolved against
+  baseUrl: string
+  fetch: typeof crossFetch
+}
+
+/**
+ * Returns an access token that satisfies the given OAuth 2 security
+ * requirement, which is either cached or obtained from the token endpoint of
+ * the security scheme
+ */
+export async function getAccessToken<TSource, TContext, TArgs>(
+  params: GetAccessTokenParams<TSource, TContext, TArgs>
+): Promise<{ accessToken: string; cached: boolean }> {
+  const { requirement, data, oas, baseUrl, fetch } = params
+  const oauthScheme =
+    data.oauthSchemes[oas.info.title][requirement.securityScheme]
+  const state = getClientState(oauthScheme, data)
+
+  const scopes = getScopes(requirement, oauthScheme)
+  const scopesKey = scopes.join(' ')
+
+  const cachedToken = state.accessTokens[scopesKey]
+  if (typeof cachedToken !== 'undefined') {
+    try {
+      const { accessToken, expiresAt } = await cachedToken
+      if (expiresAt > Date.now()) {
+        return { accessToken, cached: true }
+      }
+    } catch (e) {
+      // A new access token is requested below
+    }
+
+    // Another request may have renewed the access token in the meantime
+    if (state.accessTokens[scopesKey] !== cachedToken) {
+      return getAccessToken(params)
+    }
+  }
+
+  const token = requestAccessToken(oauthScheme, state, scopes, baseUrl, fetch)
+  state.accessTokens[scopesKey] = token
+
+  return { accessToken: (await token).accessToken, cached: false }
+}
+
+/**
+ * Wraps the given function to make requests with a cached access token, so
+ * that the access token is renewed and the request is retried once if the
+ * access token is rejected (e.g. because it was revoked before it expired)
+ */
+export function getRenewingLoadResponse<TSource, TContext, TArgs>(
+  loadResponse: LoadResponse,
+  params: GetAccessTokenParams<TSource, TContext, TArgs>,
+  accessToken: string
+): LoadResponse {
+  return async (url, options) => {
+    const response = await loadResponse(url, options)
+
+    // Tokens from the context (see tokenJSONpath) take precedence
+    const requestUrl = new URL(url)
+    const headers = options.headers as { [key: string]: string }
+    const sentInQuery =
+      requestUrl.searchParams.get('access_token') === accessToken
+    const sentInHeader = headers['Authorization'] === `Bearer ${accessToken}`
+    if (response.status !== 401 || (!sentInQuery && !sentInHeader)) {
+      return response
+    }
+
+    httpLog(
+      `Access token for security scheme ` +
+        `'${params.requirement.securityScheme}' was rejected. Renew it.`
+    )
+
+    const { requirement, data, oas } = params
+    const oauthScheme =
+      data.oauthSchemes[oas.info.title][requirement.securityScheme]
+    const state = getClientState(oauthScheme, data)
+    const scopesKey = getScopes(requirement, oauthScheme).join(' ')
+
+    // Only discard the access token if no other request has renewed it yet
+    const cachedToken = state.accessTokens[scopesKey]
+    if (typeof cachedToken !== 'undefined') {
+      try {
+        if ((await cachedToken).accessToken === accessToken) {
+          delete state.accessTokens[scopesKey]
+        }
+      } catch (e) {
+        // The access token is renewed by getAccessToken()
+      }
+    }
+
+    const renewedToken = (await getAccessToken(params)).accessToken
+    if (sentInQuery) {
+      requestUrl.searchParams.set('access_token', renewedToken)
+    }
+
+    return loadResponse(requestUrl.toString(), {
+      ...options,
+      headers: sentInHeader
+        ? { ...headers, Authorization: `Bearer ${renewedToken}` }
+        : headers
+    })
+  }
+}
+
+/**
+ * Returns the sorted scopes to request access tokens for
+ */
+function getScopes(
+  requirement: OAuthRequirement,
+  oauthScheme: ProcessedOAuthScheme
+): string[] {
+  return (
+    Array.isArray(oauthScheme.client.scopes)
+      ? oauthScheme.client.scopes
+      : requirement.scopes
+  )
+    .slice()
+    .sort()
+}
+
+function getClientState<TSource, TContext, TArgs>(
+  oauthScheme: ProcessedOAuthScheme,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): OAuthClientState {
+  if (!clientStates.has(data)) {
+    clientStates.set(data, {})
+  }
+
+  // Security schemes with the same name may differ between OASs
+  const states = clientStates.get(data)
+  const title = oauthScheme.oas.info.title
+  if (typeof states[title] === 'undefined') {
+    states[title] = {}
+  }
+
+  if (typeof states[title][oauthScheme.rawName] === 'undefined') {
+    states[title][oauthScheme.rawName] = {
+      accessTokens: {},
+      refreshToken: oauthScheme.client.refreshToken
+    }
+  }
+
+  return states[title][oauthScheme.rawName]
+}
+
+/**
+ * Uses the refresh token, if there is one, to obtain a new access token, and
+ * falls back to the client credentials grant
+ */
+async function requestAccessToken(
+  oauthScheme: ProcessedOAuthScheme,
+  state: OAuthClientState,
+  scopes: string[],
+  baseUrl: string,
+  fetch: typeof crossFetch
+): Promise<AccessToken> {
+  if (
+    typeof state.refreshToken === 'string' &&
+    typeof oauthScheme.refreshUrl === 'string'
+  ) {
+    try {
+      return await requestToken(
+        oauthScheme,
+        state,
+        {
+          grant_type: 'refresh_token',
+          refresh_token: state.refreshToken
+        },
+        scopes,
+        new URL(oauthScheme.refreshUrl, baseUrl).toString(),
+        fetch
+      )
+    } catch (e) {
+      if (typeof oauthScheme.tokenUrl !== 'string') {
+        throw e
+      }
+
+      httpLog(`${e.message}. Use the client credentials grant instead.`)
+    }
+  }
+
+  return requestToken(
+    oauthScheme,
+    state,
+    {
+      grant_type: 'client_credentials'
+    },
+    scopes,
+    new URL(oauthScheme.tokenUrl, baseUrl).toString(),
+    fetch
+  )
+}
+
+async function requestToken(
+  oauthScheme: ProcessedOAuthScheme,
+  state: OAuthClientState,
+  grant: { [key: string]: string },
+  scopes: string[],
+  url: string,
+  fetch: typeof crossFetch
+): Promise<AccessToken> {
+  const { client } = oauthScheme
+  const errorString =
+    `Could not obtain OAuth 2 access token for security scheme ` +
+    `'${oauthScheme.rawName}'`
+
+  const headers: { [key: string]: string } = {
+    'content-type': 'application/x-www-form-urlencoded',
+    accept: 'application/json'
+  }
+
+  const body = new URLSearchParams(grant)
+  if (scopes.length > 0) {
+    body.set('scope', scopes.join(' '))
+  }
+
+  if (client.clientAuthentication === 'body') {
+    body.set('client_id', client.clientId)
+    if (typeof client.clientSecret === 'string') {
+      body.set('client_secret', client.clientSecret)
+    }
+  } else {
+    // Credentials are form-encoded before they are sent using basic auth
+    const clientSecret =
+      typeof client.clientSecret === 'string' ? client.clientSecret : ''
+    const credentials = `${formEncode(client.clientId)}:${formEncode(
+      clientSecret
+    )}`
+
+    headers.authorization = `Basic ${Buffer.from(credentials).toString(
+      'base64'
+    )}`
+  }
+
+  httpLog(`Call POST ${url} (${grant.grant_type} grant)`)
+
+  const response = await fetch(url, {
+    method: 'post',
+    headers,
+    body: body.toString()
+  })
+  const responseBody = await response.text()
+
+  if (response.status < 200 || response.status > 299) {
+    httpLog(`${response.status} - ${Oas3Tools.trim(responseBody, 100)}`)
+    throw new Error(`${errorString}: ${response.status} ${response.statusText}`)
+  }
+
+  let tokenResponse
+  try {
+    tokenResponse = JSON.parse(responseBody)
+  } catch (e) {
+    throw new Error(`${errorString}: token response is not valid JSON`)
+  }
+
+  if (typeof tokenResponse.access_token !== 'string') {
+    throw new Error(`${errorString}: token response contains no access token`)
+  }
+
+  // The previous refresh token remains valid unless a new one is issued
+  if (typeof tokenResponse.refresh_token === 'string') {
+    state.refreshToken = tokenResponse.refresh_token
+  }
+
+  const expiresIn = Number(tokenResponse.expires_in)
+
+  return {
+    accessToken: tokenResponse.access_token,
+    expiresAt:
+      typeof tokenResponse.expires_in !== 'undefined' && !isNaN(expiresIn)
+        ? Date.now() + expiresIn * 1000 - EXPIRATION_MARGIN
+        : Infinity
+  }
+}
+
+function formEncode(value: string): string {
+  return encodeURIComponent(value).replace(/%20/g, '+')
+}
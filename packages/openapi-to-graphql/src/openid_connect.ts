@@ -0,0 +1,137 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to load the discovery documents of OpenID Connect security
+ * schemes, which describe the endpoints of the OpenID providers.
+ *
+ * See https://openid.net/specs/openid-connect-discovery-1_0.html
+ */
+
+// Type imports:
+import { Oas3 } from './types/oas3'
+import { InternalOptions, OpenIdConnectDocument } from './types/options'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+import crossFetch from 'cross-fetch'
+import { promises as fs } from 'fs'
+import { debug } from 'debug'
+
+const preprocessingLog = debug('preprocessing')
+
+// Discovery documents that take longer to load are left out
+const FETCH_TIMEOUT = 10 * 1000
+
+/**
+ * Loads the discovery documents of the OpenID Connect security schemes in the
+ * given OASs, either from the files given in the openIdConnectDocuments option
+ * or from the openIdConnectUrls of the security schemes
+ *
+ * Documents that cannot be loaded from an openIdConnectUrl are left out and
+ * reported during preprocessing.
+ */
+export async function loadOpenIdConnectDocuments<TSource, TContext, TArgs>(
+  oass: Oas3[],
+  options: InternalOptions<TSource, TContext, TArgs>
+): Promise<{ [securitySchemeName: string]: OpenIdConnectDocument }> {
+  const providedDocuments =
+    typeof options.openIdConnectDocuments === 'object'
+      ? options.openIdConnectDocuments
+      : {}
+  const documents: { [securitySchemeName: string]: OpenIdConnectDocument } = {}
+
+  for (let oas of oass) {
+    const securitySchemes = Oas3Tools.getSecuritySchemes(oas)
+
+    for (let schemeKey in securitySchemes) {
+      const securityScheme = securitySchemes[schemeKey]
+
+      // Security schemes with the same name in other OASs are ignored
+      if (
+        securityScheme.type !== 'openIdConnect' ||
+        typeof documents[schemeKey] === 'object'
+      ) {
+        continue
+      }
+
+      const providedDocument = providedDocuments[schemeKey]
+      if (typeof providedDocument === 'object') {
+        documents[schemeKey] = providedDocument
+      } else if (typeof providedDocument === 'string') {
+        documents[schemeKey] = await readDocument(schemeKey, providedDocument)
+      } else if (typeof securityScheme.openIdConnectUrl === 'string') {
+        const document = await fetchDocument(
+          securityScheme.openIdConnectUrl,
+          options.fetch
+        )
+
+        if (typeof document === 'object') {
+          documents[schemeKey] = document
+        }
+      }
+    }
+  }
+
+  return documents
+}
+
+async function readDocument(
+  schemeKey: string,
+  path: string
+): Promise<OpenIdConnectDocument> {
+  try {
+    return JSON.parse(await fs.readFile(path, 'utf8'))
+  } catch (e) {
+    throw new Error(
+      `Cannot read discovery document of OpenID Connect security scheme ` +
+        `'${schemeKey}' from '${path}': ${e.message}`
+    )
+  }
+}
+
+async function fetchDocument(
+  url: string,
+  fetch: typeof crossFetch
+): Promise<OpenIdConnectDocument | undefined> {
+  preprocessingLog(`Load OpenID Connect discovery document from '${url}'`)
+
+  let timeout: NodeJS.Timeout
+  try {
+    const document = await Promise.race([
+      fetchJSON(url, fetch),
+      new Promise<never>((resolve, reject) => {
+        timeout = setTimeout(() => {
+          reject(new Error(`Timed out after ${FETCH_TIMEOUT} ms`))
+        }, FETCH_TIMEOUT)
+      })
+    ])
+
+    if (typeof document === 'object' && document !== null) {
+      return document
+    }
+  } catch (e) {
+    preprocessingLog(
+      `Cannot load OpenID Connect discovery document from '${url}': ` +
+        e.message
+    )
+  } finally {
+    clearTimeout(timeout)
+  }
+}
+
+async function fetchJSON(url: string, fetch: typeof crossFetch): Promise<any> {
+  const response = await fetch(url, {
+    headers: {
+      accept: 'application/json'
+    }
+  })
+
+  if (response.status < 200 || response.status > 299) {
+    throw new Error(`${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
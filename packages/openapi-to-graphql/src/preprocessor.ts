@@ -11,10 +11,27 @@ import {
   OperationObject,
   ReferenceObject,
   SchemaObject,
-  PathItemObject
+  OAuthFlowsObject,
+  PathItemObject,
+  ResponseObject,
+  SecuritySchemeObject
 } from './types/oas3'
-import { InternalOptions } from './types/options'
-import { Operation, DataDefinition, TargetGraphQLType } from './types/operation'
+import {
+  AuthProvider,
+  InternalOptions,
+  OpenIdConnectDocument,
+  OperationFilter
+} from './types/options'
+import {
+  BatchDefinition,
+  Operation,
+  DataDefinition,
+  DiscriminatorDefinition,
+  NodeDefinition,
+  PaginationDefinition,
+  PaginationType,
+  TargetGraphQLType
+} from './types/operation'
 import {
   PreprocessingData,
   ProcessedSecurityScheme
@@ -70,13 +87,31 @@ function processOperation<TSource, TContext, TArgs>(
     options
   )
 
+  // Operations whose responses stream events become subscriptions
+  if (
+    options.createSubscriptionsFromStreams &&
+    Oas3Tools.isStreamContentType(responseContentType)
+  ) {
+    operationType = GraphQLOperationType.Subscription
+  }
+
   /**
    * All GraphQL fields must have a type, which is derived from the response
    * schema. Therefore, the response schema is the first to be determined.
    */
   if (typeof responseSchema === 'object') {
+    // Values of x-graphql-deprecated, x-graphql-hidden, and x-graphql-description
+    const extensions = Oas3Tools.getFieldExtensions(
+      operation,
+      `operation ${operationString}`,
+      data
+    )
+
     // Description
-    let description = operation.description
+    let description =
+      typeof extensions.description === 'string'
+        ? extensions.description
+        : operation.description
     if (
       (typeof description !== 'string' || description === '') &&
       typeof operation.summary === 'string'
@@ -144,17 +179,47 @@ function processOperation<TSource, TContext, TArgs>(
       oas
     )
 
-    // Security protocols
-    const securityRequirements = options.viewer
-      ? Oas3Tools.getSecurityRequirements(operation, data.security, oas)
-      : []
+    /**
+     * Security protocols
+     *
+     * Without viewers, only credentials from the context can be used
+     */
+    const securityRequirements = Oas3Tools.getSecurityRequirements(
+      operation,
+      data.security,
+      oas
+    ).filter((securityRequirement) => {
+      return (
+        options.viewer ||
+        Oas3Tools.isContextSecurityRequirement(
+          securityRequirement,
+          data.security
+        )
+      )
+    })
+
+    const oauthRequirement = Oas3Tools.getOAuthRequirement(
+      operation,
+      data.oauthSchemes,
+      oas
+    )
 
     // Servers
     const servers = Oas3Tools.getServers(operation, pathItem, oas)
 
-    // Whether to place this operation into an authentication viewer
+    /**
+     * Whether to place this operation into an authentication viewer, which is
+     * not needed if the credentials can be taken from the context
+     */
     const inViewer =
-      securityRequirements.length > 0 && data.options.viewer !== false
+      securityRequirements.length > 0 &&
+      data.options.viewer !== false &&
+      !securityRequirements.some((securityRequirement) => {
+        return Oas3Tools.isContextSecurityRequirement(
+          securityRequirement,
+          data.security
+        )
+      })
 
     return {
       operation,
@@ -162,6 +227,8 @@ function processOperation<TSource, TContext, TArgs>(
       operationString,
       operationType,
       description,
+      deprecationReason: extensions.deprecationReason,
+      hidden: extensions.hidden,
       tags,
       path,
       method,
@@ -172,6 +239,7 @@ function processOperation<TSource, TContext, TArgs>(
       responseDefinition,
       parameters,
       securityRequirements,
+      oauthRequirement,
       servers,
       inViewer,
       statusCode,
@@ -184,6 +252,7 @@ function processOperation<TSource, TContext, TArgs>(
         `Operation ${operationString} has no (valid) response schema. ` +
         `You can use the fillEmptyResponses option to create a ` +
         `placeholder schema`,
+      source: operation,
       data,
       log: preprocessingLog
     })
@@ -201,6 +270,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
   const data: PreprocessingData<TSource, TContext, TArgs> = {
     operations: {},
     callbackOperations: {},
+    excludedOperationIds: [],
     usedTypeNames: [
       'Query', // Used by OpenAPI-to-GraphQL for root-level element
       'Mutation', // Used by OpenAPI-to-GraphQL for root-level element
@@ -208,6 +278,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
     ],
     defs: [],
     security: {},
+    oauthSchemes: {},
     saneMap: {},
     options,
     oass
@@ -239,6 +310,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
         mitigationAddendum:
           `The security scheme from OAS ` +
           `'${currentSecurity[propertyName].oas.info.title}' will be ignored`,
+        source: currentSecurity[propertyName].def,
         data,
         log: preprocessingLog
       })
@@ -277,6 +349,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
             handleWarning({
               mitigationType: MitigationTypes.INVALID_HTTP_METHOD,
               message: `Invalid HTTP method '${rawMethod}' in operation '${operationString}'`,
+              source: pathItem[rawMethod],
               data,
               log: preprocessingLog
             })
@@ -286,6 +359,20 @@ export function preprocessOas<TSource, TContext, TArgs>(
 
           const operation = pathItem[httpMethod] as OperationObject
 
+          // Options include and exclude can leave out operations
+          if (!isOperationSelected(path, httpMethod, operation, options)) {
+            preprocessingLog(
+              `Skip operation '${operationString}' because it is not ` +
+                `selected by the include and exclude options`
+            )
+            data.excludedOperationIds.push(
+              typeof operation.operationId === 'string'
+                ? operation.operationId
+                : Oas3Tools.generateOperationId(httpMethod, path)
+            )
+            return
+          }
+
           let operationType =
             httpMethod === Oas3Tools.HTTP_METHODS.get
               ? GraphQLOperationType.Query
@@ -330,6 +417,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
                 mitigationType: MitigationTypes.DUPLICATE_OPERATIONID,
                 message: `Multiple OASs share operations with the same operationId '${operationData.operationId}'`,
                 mitigationAddendum: `The operation from the OAS '${operationData.oas.info.title}' will be ignored`,
+                source: operation,
                 data,
                 log: preprocessingLog
               })
@@ -382,6 +470,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
                             MitigationTypes.CALLBACKS_MULTIPLE_OPERATION_OBJECTS,
                           message: `Callback '${callbackExpression}' on operation '${operationString}' has multiple operation objects with the methods '${callbackOperationObjectMethods}'. OpenAPI-to-GraphQL can only utilize one of these operation objects.`,
                           mitigationAddendum: `The operation with the method '${callbackOperationObjectMethods[0]}' will be selected and all others will be ignored.`,
+                          source: resolvedCallbackPathItem,
                           data,
                           log: preprocessingLog
                         })
@@ -413,6 +502,7 @@ export function preprocessOas<TSource, TContext, TArgs>(
                         handleWarning({
                           mitigationType: MitigationTypes.INVALID_HTTP_METHOD,
                           message: `Invalid HTTP method '${rawMethod}' in callback '${callbackOperationString}' in operation '${operationString}'`,
+                          source: resolvedCallbackPathItem[callbackRawMethod],
                           data,
                           log: preprocessingLog
                         })
@@ -453,6 +543,8 @@ export function preprocessOas<TSource, TContext, TArgs>(
                               MitigationTypes.DUPLICATE_OPERATIONID,
                             message: `Multiple OASs share callback operations with the same operationId '${callbackOperation.operationId}'`,
                             mitigationAddendum: `The callback operation from the OAS '${operationData.oas.info.title}' will be ignored`,
+                            source:
+                              resolvedCallbackPathItem[callbackHttpMethod],
                             data,
                             log: preprocessingLog
                           })
@@ -468,9 +560,630 @@ export function preprocessOas<TSource, TContext, TArgs>(
     }
   })
 
+  // Resolve batch endpoints declared using the x-graphql-batch extension
+  if (data.options.batchRequests) {
+    Object.values(data.operations).forEach((operation) => {
+      const batch = getBatchDefinition(operation, data)
+      if (typeof batch === 'object') {
+        operation.batch = batch
+      }
+    })
+  }
+
+  // Detect operations that page through lists
+  if (data.options.relayConnections) {
+    Object.values(data.operations).forEach((operation) => {
+      const pagination = getPaginationDefinition(operation, data)
+      if (typeof pagination === 'object') {
+        operation.pagination = pagination
+      }
+    })
+  }
+
+  // Detect operations that fetch single resources by their IDs
+  if (data.options.nodeInterface) {
+    Object.values(data.operations).forEach((operation) => {
+      if (typeof operation.responseDefinition.node === 'undefined') {
+        const node = getNodeDefinition(operation, data)
+        if (typeof node === 'object') {
+          operation.responseDefinition.node = node
+        }
+      }
+    })
+  }
+
+  // Detect operations that resolve references to entities of a supergraph
+  if (data.options.federation) {
+    Object.values(data.operations).forEach((operation) => {
+      if (typeof operation.responseDefinition.entity === 'undefined') {
+        const idProperties = getIdProperties(operation, data)
+
+        // References are resolved without the credentials of viewers
+        if (Array.isArray(idProperties) && operation.inViewer) {
+          handleWarning({
+            mitigationType: MitigationTypes.ENTITY_REQUIRES_VIEWER,
+            message:
+              `Operation ${operation.operationString} cannot resolve ` +
+              `references to '${operation.responseDefinition.graphQLTypeName}' ` +
+              `entities because it requires credentials that can only be ` +
+              `passed to viewers`,
+            source: operation.operation,
+            data,
+            log: preprocessingLog
+          })
+        } else if (Array.isArray(idProperties)) {
+          preprocessingLog(
+            `Operation ${operation.operationString} resolves references ` +
+              `to '${operation.responseDefinition.graphQLTypeName}' entities`
+          )
+
+          operation.responseDefinition.entity = { operation, idProperties }
+        }
+      }
+    })
+  }
+
   return data
 }
 
+/**
+ * Returns whether the given operation matches the include option (if any) and
+ * does not match the exclude option (if any)
+ */
+function isOperationSelected<TSource, TContext, TArgs>(
+  path: string,
+  httpMethod: Oas3Tools.HTTP_METHODS,
+  operation: OperationObject,
+  options: InternalOptions<TSource, TContext, TArgs>
+): boolean {
+  if (
+    typeof options.include === 'object' &&
+    !matchesOperationFilter(path, httpMethod, operation, options.include)
+  ) {
+    return false
+  }
+
+  if (
+    typeof options.exclude === 'object' &&
+    matchesOperationFilter(path, httpMethod, operation, options.exclude)
+  ) {
+    return false
+  }
+
+  return true
+}
+
+/**
+ * Returns whether the given operation matches any of the tags, path globs,
+ * methods, or operationIds of the filter
+ */
+function matchesOperationFilter(
+  path: string,
+  httpMethod: Oas3Tools.HTTP_METHODS,
+  operation: OperationObject,
+  filter: OperationFilter
+): boolean {
+  if (
+    Array.isArray(filter.tags) &&
+    Array.isArray(operation.tags) &&
+    operation.tags.some((tag) => filter.tags.includes(tag))
+  ) {
+    return true
+  }
+
+  if (
+    Array.isArray(filter.paths) &&
+    filter.paths.some((glob) => globToRegExp(glob).test(path))
+  ) {
+    return true
+  }
+
+  if (
+    Array.isArray(filter.methods) &&
+    filter.methods.some((method) => method.toLowerCase() === httpMethod)
+  ) {
+    return true
+  }
+
+  if (
+    Array.isArray(filter.operationIds) &&
+    typeof operation.operationId === 'string' &&
+    filter.operationIds.includes(operation.operationId)
+  ) {
+    return true
+  }
+
+  return false
+}
+
+/**
+ * Converts a path glob into a regular expression, where '**' matches any
+ * characters, '*' matches any characters except '/', and '?' matches a single
+ * character except '/'
+ */
+function globToRegExp(glob: string): RegExp {
+  let pattern = ''
+  for (let i = 0; i < glob.length; i++) {
+    if (glob[i] === '*' && glob[i + 1] === '*') {
+      pattern += '.*'
+      i++
+    } else if (glob[i] === '*') {
+      pattern += '[^/]*'
+    } else if (glob[i] === '?') {
+      pattern += '[^/]'
+    } else {
+      pattern += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+
+  return new RegExp(`^${pattern}$`)
+}
+
+/**
+ * Names of query parameters and response properties that are used by common
+ * pagination patterns
+ */
+const OFFSET_PARAMETER_NAMES = ['offset', 'skip', 'start']
+const LIMIT_PARAMETER_NAMES = ['limit', 'max', 'take']
+const PAGE_PARAMETER_NAMES = ['page', 'pageNumber', 'page_number']
+const PAGE_SIZE_PARAMETER_NAMES = [
+  'size',
+  'pageSize',
+  'page_size',
+  'perPage',
+  'per_page',
+  'limit'
+]
+const CURSOR_PARAMETER_NAMES = [
+  'cursor',
+  'after',
+  'pageToken',
+  'page_token',
+  'nextToken',
+  'next_token',
+  'continuationToken'
+]
+const NEXT_CURSOR_PROPERTY_NAMES = [
+  'nextCursor',
+  'next_cursor',
+  'cursor',
+  'nextPageToken',
+  'next_page_token',
+  'nextToken',
+  'next_token',
+  'next'
+]
+
+/**
+ * Names of the arguments of Relay connection fields
+ */
+export const CONNECTION_ARGUMENT_NAMES = ['first', 'after', 'last', 'before']
+
+/**
+ * Returns how the given operation pages through the list it returns, if it
+ * follows one of the following patterns:
+ *
+ * - offset: query parameters for the offset and the number of items, e.g.
+ *   ?offset=20&limit=10
+ * - page: query parameters for the page number and (optionally) the page
+ *   size, e.g. ?page=3&size=10
+ * - cursor: a query parameter for a cursor, which is returned in a property
+ *   of the response object or in a Link header, e.g. ?cursor=abc
+ * - link: a Link header with relation type 'next'
+ *
+ * The list can either be the response itself or the only list property of
+ * the response object.
+ */
+function getPaginationDefinition<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): PaginationDefinition | undefined {
+  if (
+    operation.method !== Oas3Tools.HTTP_METHODS.get ||
+    operation.operationType !== GraphQLOperationType.Query
+  ) {
+    return
+  }
+
+  // Find the list of items
+  const responseDef = operation.responseDefinition
+  let itemsProperty: string
+  let itemDefinition: DataDefinition
+  let nextCursorProperty: string
+
+  if (responseDef.targetGraphQLType === TargetGraphQLType.list) {
+    itemDefinition = responseDef.subDefinitions as DataDefinition
+  } else if (responseDef.targetGraphQLType === TargetGraphQLType.object) {
+    const propertyDefs = responseDef.subDefinitions as {
+      [fieldName: string]: DataDefinition
+    }
+
+    const listProperties = Object.keys(propertyDefs).filter((propertyName) => {
+      return (
+        propertyDefs[propertyName].targetGraphQLType === TargetGraphQLType.list
+      )
+    })
+
+    if (listProperties.length !== 1) {
+      return
+    }
+
+    itemsProperty = listProperties[0]
+    itemDefinition = propertyDefs[itemsProperty]
+      .subDefinitions as DataDefinition
+
+    nextCursorProperty = NEXT_CURSOR_PROPERTY_NAMES.find((propertyName) => {
+      return (
+        propertyName in propertyDefs &&
+        propertyDefs[propertyName].targetGraphQLType ===
+          TargetGraphQLType.string
+      )
+    })
+  } else {
+    return
+  }
+
+  const queryParameters = operation.parameters.filter((parameter) => {
+    return parameter.in === 'query'
+  })
+  const findParameter = (names: string[]) => {
+    return queryParameters.find((parameter) => {
+      return names.includes(parameter.name)
+    })
+  }
+
+  // Check whether the response declares a Link header
+  let response = operation.operation.responses[operation.statusCode]
+  if (typeof response === 'object' && '$ref' in response) {
+    response = Oas3Tools.resolveRef<ResponseObject>(
+      response.$ref,
+      operation.oas
+    )
+  }
+  const hasLinkHeader =
+    typeof response === 'object' &&
+    typeof response.headers === 'object' &&
+    Object.keys(response.headers).some((headerName) => {
+      return headerName.toLowerCase() === 'link'
+    })
+
+  let pagination: PaginationDefinition
+  const offsetParameter = findParameter(OFFSET_PARAMETER_NAMES)
+  const limitParameter = findParameter(LIMIT_PARAMETER_NAMES)
+  const pageParameter = findParameter(PAGE_PARAMETER_NAMES)
+  const cursorParameter = findParameter(CURSOR_PARAMETER_NAMES)
+
+  if (
+    typeof offsetParameter === 'object' &&
+    typeof limitParameter === 'object'
+  ) {
+    pagination = {
+      type: PaginationType.offset,
+      startParameter: offsetParameter,
+      sizeParameter: limitParameter,
+      itemsProperty,
+      itemDefinition
+    }
+  } else if (typeof pageParameter === 'object') {
+    pagination = {
+      type: PaginationType.page,
+      startParameter: pageParameter,
+      sizeParameter: findParameter(PAGE_SIZE_PARAMETER_NAMES),
+      itemsProperty,
+      itemDefinition
+    }
+  } else if (
+    typeof cursorParameter === 'object' &&
+    (typeof nextCursorProperty === 'string' || hasLinkHeader)
+  ) {
+    pagination = {
+      type: PaginationType.cursor,
+      startParameter: cursorParameter,
+      sizeParameter: findParameter(PAGE_SIZE_PARAMETER_NAMES),
+      itemsProperty,
+      nextCursorProperty,
+      itemDefinition
+    }
+  } else if (hasLinkHeader) {
+    pagination = {
+      type: PaginationType.link,
+      sizeParameter: findParameter(PAGE_SIZE_PARAMETER_NAMES),
+      itemsProperty,
+      itemDefinition
+    }
+  } else {
+    return
+  }
+
+  // Make sure the connection arguments will not overwrite other arguments
+  const collidingParameter = operation.parameters.find((parameter) => {
+    return (
+      parameter !== pagination.startParameter &&
+      parameter !== pagination.sizeParameter &&
+      CONNECTION_ARGUMENT_NAMES.includes(
+        Oas3Tools.sanitize(
+          parameter.name,
+          !data.options.simpleNames
+            ? Oas3Tools.CaseStyle.camelCase
+            : Oas3Tools.CaseStyle.simple
+        )
+      )
+    )
+  })
+
+  if (typeof collidingParameter === 'object') {
+    handleWarning({
+      mitigationType: MitigationTypes.CONNECTION_ARGUMENT_NAME_COLLISION,
+      message:
+        `The connection arguments cannot be added because of a preexisting ` +
+        `parameter '${collidingParameter.name}' in operation ` +
+        `${operation.operationString}`,
+      source: operation.operation,
+      data,
+      log: preprocessingLog
+    })
+    return
+  }
+
+  preprocessingLog(
+    `Operation ${operation.operationString} uses ${pagination.type}-based ` +
+      `pagination`
+  )
+
+  return pagination
+}
+
+/**
+ * Returns the properties of the resource returned by the given operation that
+ * identify it, if the operation is a GET operation whose path ends with an ID
+ * parameter, e.g. /users/{userId}
+ *
+ * The values of all path parameters must be contained in properties of the
+ * resource, which either have the same name as the parameter or, in the case
+ * of the last path parameter, are named 'id'.
+ */
+function getIdProperties<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): NodeDefinition['idProperties'] | undefined {
+  const responseDef = operation.responseDefinition
+  const pathParts = operation.path.split('/')
+
+  if (
+    operation.method !== Oas3Tools.HTTP_METHODS.get ||
+    operation.operationType !== GraphQLOperationType.Query ||
+    operation.hidden ||
+    responseDef.targetGraphQLType !== TargetGraphQLType.object ||
+    !Oas3Tools.isIdParam(pathParts[pathParts.length - 1])
+  ) {
+    return
+  }
+
+  // The path parameters must be the only required arguments
+  if (
+    operation.payloadRequired ||
+    operation.parameters.some((parameter) => {
+      return parameter.in !== 'path' && parameter.required
+    })
+  ) {
+    return
+  }
+
+  const pathParameters = operation.parameters
+    .filter((parameter) => {
+      return parameter.in === 'path'
+    })
+    .sort((parameter1, parameter2) => {
+      return (
+        operation.path.indexOf(`{${parameter1.name}}`) -
+        operation.path.indexOf(`{${parameter2.name}}`)
+      )
+    })
+
+  const propertyNames = Object.keys(responseDef.subDefinitions)
+
+  const idProperties: NodeDefinition['idProperties'] = []
+  for (let i = 0; i < pathParameters.length; i++) {
+    const parameter = pathParameters[i]
+    let propertyName = propertyNames.find((propertyName) => {
+      return (
+        Oas3Tools.getSaneName(propertyName, data) ===
+        Oas3Tools.getSaneName(parameter.name, data)
+      )
+    })
+
+    if (
+      typeof propertyName === 'undefined' &&
+      i === pathParameters.length - 1
+    ) {
+      propertyName = propertyNames.find((propertyName) => {
+        return Oas3Tools.getSaneName(propertyName, data) === 'id'
+      })
+    }
+
+    if (typeof propertyName === 'undefined') {
+      preprocessingLog(
+        `Operation ${operation.operationString} cannot identify ` +
+          `'${responseDef.graphQLTypeName}' objects because they do not ` +
+          `contain the path parameter '${parameter.name}'`
+      )
+      return
+    }
+
+    idProperties.push({ parameter, propertyName })
+  }
+
+  return idProperties
+}
+
+/**
+ * Returns how the resource returned by the given operation can be refetched
+ * using a global ID, if the operation fetches it by its ID properties
+ */
+function getNodeDefinition<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): NodeDefinition | undefined {
+  // Objects cannot be refetched with the credentials of viewers
+  const idProperties = getIdProperties(operation, data)
+  if (typeof idProperties === 'undefined' || operation.inViewer) {
+    return
+  }
+
+  const responseDef = operation.responseDefinition
+  const propertyNames = Object.keys(responseDef.subDefinitions)
+
+  // The id field is reserved for the global ID
+  let rawIdFieldName: string
+  if (
+    propertyNames.some((propertyName) => {
+      return Oas3Tools.getSaneName(propertyName, data) === 'id'
+    })
+  ) {
+    rawIdFieldName = Oas3Tools.getSaneName(
+      `${responseDef.graphQLTypeName} id`,
+      data
+    )
+
+    if (
+      propertyNames.some((propertyName) => {
+        return Oas3Tools.getSaneName(propertyName, data) === rawIdFieldName
+      })
+    ) {
+      handleWarning({
+        mitigationType: MitigationTypes.NODE_ID_NAME_COLLISION,
+        message:
+          `Cannot move the id property of type ` +
+          `'${responseDef.graphQLTypeName}' to field '${rawIdFieldName}' ` +
+          `because the type already has a property with that name.`,
+        source: responseDef.schema,
+        data,
+        log: preprocessingLog
+      })
+      return
+    }
+  }
+
+  preprocessingLog(
+    `Operation ${operation.operationString} refetches ` +
+      `'${responseDef.graphQLTypeName}' objects by their global IDs`
+  )
+
+  return { operation, idProperties, rawIdFieldName }
+}
+
+/**
+ * Returns the batch endpoint declared by the given operation using the
+ * x-graphql-batch extension, e.g.:
+ *
+ * x-graphql-batch:
+ *   operationId: getUsersByIds
+ *   parameter: id
+ *   batchParameter: ids
+ *   responseKey: id
+ *
+ * Where 'parameter' is the parameter of the operation that identifies a single
+ * resource, 'batchParameter' is a query parameter of the batch operation that
+ * takes a comma-separated list of such identifiers, and 'responseKey' is the
+ * property of the returned resources that contains their identifier (defaults
+ * to 'parameter').
+ */
+function getBatchDefinition<TSource, TContext, TArgs>(
+  operation: Operation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): BatchDefinition | undefined {
+  const extension = operation.operation[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Batch]
+  if (typeof extension === 'undefined') {
+    return
+  }
+
+  const warn = (message: string) => {
+    handleWarning({
+      mitigationType: MitigationTypes.INVALID_BATCH_EXTENSION,
+      message:
+        `Operation ${operation.operationString} has an invalid ` +
+        `${Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Batch} extension. ${message}`,
+      source: operation.operation,
+      data,
+      log: preprocessingLog
+    })
+  }
+
+  if (
+    typeof extension !== 'object' ||
+    typeof extension.operationId !== 'string' ||
+    typeof extension.parameter !== 'string' ||
+    typeof extension.batchParameter !== 'string'
+  ) {
+    warn(
+      `The extension must contain the fields 'operationId', 'parameter', ` +
+        `and 'batchParameter'.`
+    )
+    return
+  }
+
+  if (operation.method !== Oas3Tools.HTTP_METHODS.get) {
+    warn(`Only GET operations can be batched.`)
+    return
+  }
+
+  const batchOperation = Object.values(data.operations).find(
+    (batchOperation) => {
+      return (
+        batchOperation.oas === operation.oas &&
+        batchOperation.operation.operationId === extension.operationId
+      )
+    }
+  )
+
+  if (typeof batchOperation === 'undefined') {
+    warn(`Cannot find batch operation '${extension.operationId}'.`)
+    return
+  } else if (batchOperation.method !== Oas3Tools.HTTP_METHODS.get) {
+    warn(
+      `Batch operation ${batchOperation.operationString} must be a GET ` +
+        `operation.`
+    )
+    return
+  }
+
+  const parameter = operation.parameters.find((parameter) => {
+    return (
+      parameter.name === extension.parameter &&
+      (parameter.in === 'path' || parameter.in === 'query')
+    )
+  })
+
+  if (typeof parameter === 'undefined') {
+    warn(`Cannot find path or query parameter '${extension.parameter}'.`)
+    return
+  }
+
+  const batchParameter = batchOperation.parameters.find((parameter) => {
+    return (
+      parameter.name === extension.batchParameter && parameter.in === 'query'
+    )
+  })
+
+  if (typeof batchParameter === 'undefined') {
+    warn(
+      `Cannot find query parameter '${extension.batchParameter}' in batch ` +
+        `operation ${batchOperation.operationString}.`
+    )
+    return
+  }
+
+  return {
+    operation: batchOperation,
+    parameter,
+    batchParameter,
+    responseKey:
+      typeof extension.responseKey === 'string'
+        ? extension.responseKey
+        : extension.parameter
+  }
+}
+
 /**
  * Extracts the security schemes from given OAS and organizes the information in
  * a data structure that is easier for OpenAPI-to-GraphQL to use
@@ -520,6 +1233,23 @@ function getProcessedSecuritySchemes<TSource, TContext, TArgs>(
   for (let schemeKey in security) {
     const securityScheme = security[schemeKey]
 
+    // Auth providers take precedence over the built-in security protocols
+    const authProvider = Oas3Tools.getAuthProvider(
+      schemeKey,
+      securityScheme,
+      data.options
+    )
+    if (typeof authProvider === 'object') {
+      result[schemeKey] = getAuthProviderSecurityScheme(
+        schemeKey,
+        securityScheme,
+        authProvider,
+        oas,
+        data
+      )
+      continue
+    }
+
     // Determine the schema and the parameters for the security protocol
     let schema
     let parameters = {}
@@ -552,7 +1282,9 @@ function getProcessedSecuritySchemes<TSource, TContext, TArgs>(
       case 'http':
         switch (securityScheme.scheme) {
           /**
-           * TODO: HTTP has a number of authentication types
+           * HTTP has a number of authentication types, of which only basic
+           * and bearer are supported natively. Other types can be supported
+           * using the authProviders option.
            *
            * See http://www.iana.org/assignments/http-authschemes/http-authschemes.xhtml
            */
@@ -612,29 +1344,105 @@ function getProcessedSecuritySchemes<TSource, TContext, TArgs>(
                 `Currently unsupported HTTP authentication protocol ` +
                 `type 'http' and scheme '${securityScheme.scheme}' in OAS ` +
                 `'${oas.info.title}'`,
+              source: securityScheme,
               data,
               log: preprocessingLog
             })
         }
         break
 
-      // TODO: Implement
       case 'openIdConnect':
-        handleWarning({
-          mitigationType: MitigationTypes.UNSUPPORTED_HTTP_SECURITY_SCHEME,
-          message:
-            `Currently unsupported HTTP authentication protocol ` +
-            `type 'openIdConnect' in OAS '${oas.info.title}'`,
-          data,
-          log: preprocessingLog
-        })
+        const openIdConnectDocument = getOpenIdConnectDocument(schemeKey, data)
+        const openIdConnectDocumentPath = getOpenIdConnectDocumentPath(
+          schemeKey,
+          data
+        )
+        if (typeof openIdConnectDocumentPath === 'string') {
+          // Files are only read by createGraphQLSchema()
+          handleWarning({
+            mitigationType: MitigationTypes.UNRESOLVABLE_OPENID_CONNECT_URL,
+            message:
+              `Cannot use discovery document of OpenID Connect security ` +
+              `scheme '${schemeKey}' in OAS '${oas.info.title}' from file ` +
+              `'${openIdConnectDocumentPath}', which has not been read. ` +
+              `Use createGraphQLSchema() or provide the document as an object.`,
+            source: securityScheme,
+            data,
+            log: preprocessingLog
+          })
+        } else if (typeof openIdConnectDocument !== 'object') {
+          handleWarning({
+            mitigationType: MitigationTypes.UNRESOLVABLE_OPENID_CONNECT_URL,
+            message:
+              `Cannot load discovery document of OpenID Connect security ` +
+              `scheme '${schemeKey}' from ` +
+              `'${securityScheme.openIdConnectUrl}' in OAS '${oas.info.title}'`,
+            source: securityScheme,
+            data,
+            log: preprocessingLog
+          })
+        } else if (
+          typeof data.options.oauthClients === 'object' &&
+          typeof data.options.oauthClients[schemeKey] === 'object'
+        ) {
+          addProcessedOAuthScheme(
+            schemeKey,
+            securityScheme,
+            getOpenIdConnectFlows(openIdConnectDocument),
+            oas,
+            data
+          )
+
+          // Continue because access tokens are obtained by OpenAPI-to-GraphQL
+          continue
+        }
+
+        // Access tokens are passed like bearer tokens
+        description = `OpenID Connect credentials for security protocol '${schemeKey}'`
+        if (typeof openIdConnectDocument === 'object') {
+          description += ` issued by '${openIdConnectDocument.issuer}'`
+        }
+
+        parameters = {
+          token: Oas3Tools.sanitize(
+            `${schemeKey}_token`,
+            Oas3Tools.CaseStyle.camelCase
+          )
+        }
 
+        schema = {
+          type: 'object',
+          description,
+          properties: {
+            token: {
+              type: 'string'
+            }
+          }
+        }
         break
 
       case 'oauth2':
+        if (
+          typeof data.options.oauthClients === 'object' &&
+          typeof data.options.oauthClients[schemeKey] === 'object'
+        ) {
+          addProcessedOAuthScheme(
+            schemeKey,
+            securityScheme,
+            typeof securityScheme.flows === 'object'
+              ? securityScheme.flows
+              : {},
+            oas,
+            data
+          )
+
+          continue
+        }
+
         handleWarning({
           mitigationType: MitigationTypes.OAUTH_SECURITY_SCHEME,
           message: `OAuth security scheme found in OAS '${oas.info.title}'`,
+          source: securityScheme,
           data,
           log: preprocessingLog
         })
@@ -648,6 +1456,7 @@ function getProcessedSecuritySchemes<TSource, TContext, TArgs>(
           message:
             `Unsupported HTTP authentication protocol` +
             `type '${securityScheme.type}' in OAS '${oas.info.title}'`,
+          source: securityScheme,
           data,
           log: preprocessingLog
         })
@@ -662,9 +1471,261 @@ function getProcessedSecuritySchemes<TSource, TContext, TArgs>(
       oas
     }
   }
+
+  // Credentials may also be taken from the GraphQL context
+  for (let schemeKey in result) {
+    const contextCredentials = getContextCredentials(
+      schemeKey,
+      result[schemeKey],
+      data
+    )
+
+    if (typeof contextCredentials === 'object') {
+      result[schemeKey].contextCredentials = contextCredentials
+    }
+  }
+
   return result
 }
 
+/**
+ * Returns the JSONPaths of the credentials of the given security scheme in the
+ * GraphQL context, if the contextCredentials option provides them
+ */
+function getContextCredentials<TSource, TContext, TArgs>(
+  schemeKey: string,
+  securityScheme: ProcessedSecurityScheme,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): { [credential: string]: string } | undefined {
+  if (
+    typeof data.options.contextCredentials !== 'object' ||
+    typeof data.options.contextCredentials[schemeKey] === 'undefined'
+  ) {
+    return
+  }
+
+  const paths = data.options.contextCredentials[schemeKey]
+  const credentials = Object.keys(
+    typeof securityScheme.parameters === 'object'
+      ? securityScheme.parameters
+      : {}
+  )
+
+  if (typeof paths === 'string' && credentials.length === 1) {
+    return { [credentials[0]]: paths }
+  } else if (
+    typeof paths === 'object' &&
+    credentials.length > 0 &&
+    credentials.every((credential) => typeof paths[credential] === 'string')
+  ) {
+    const contextCredentials = {}
+    credentials.forEach((credential) => {
+      contextCredentials[credential] = paths[credential]
+    })
+    return contextCredentials
+  }
+
+  handleWarning({
+    mitigationType: MitigationTypes.INVALID_CONTEXT_CREDENTIALS,
+    message:
+      `Cannot take the credentials of security scheme '${schemeKey}' from ` +
+      `the context. The contextCredentials option must provide a JSONPath ` +
+      `for each of the credentials ` +
+      `${credentials.map((credential) => `'${credential}'`).join(', ')}`,
+    source: securityScheme.def,
+    data,
+    log: preprocessingLog
+  })
+}
+
+/**
+ * Creates the processed security scheme for a security scheme that is
+ * supported by an auth provider, whose viewer takes the credentials of the
+ * auth provider
+ */
+function getAuthProviderSecurityScheme<TSource, TContext, TArgs>(
+  schemeKey: string,
+  securityScheme: SecuritySchemeObject,
+  authProvider: AuthProvider<TContext>,
+  oas: Oas3,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): ProcessedSecurityScheme {
+  let description = `Credentials for security protocol '${schemeKey}'`
+  if (data.oass.length > 1) {
+    description += ` in ${oas.info.title}`
+  }
+
+  const parameters = {}
+  const properties = {}
+  authProvider.credentials.forEach((credential) => {
+    parameters[credential] = Oas3Tools.sanitize(
+      `${schemeKey}_${credential}`,
+      Oas3Tools.CaseStyle.camelCase
+    )
+    properties[credential] = {
+      type: 'string'
+    }
+  })
+
+  return {
+    rawName: schemeKey,
+    def: securityScheme,
+    parameters,
+    schema: {
+      type: 'object',
+      description,
+      properties
+    },
+    authProvider,
+    oas
+  }
+}
+
+/**
+ * Determines the token endpoints of an OAuth 2 or OpenID Connect security
+ * scheme that the oauthClients option provides a client for
+ *
+ * Access tokens are obtained using the client credentials flow and, if the
+ * client has a refresh token, using the refresh token grant of the other flows.
+ */
+function addProcessedOAuthScheme<TSource, TContext, TArgs>(
+  schemeKey: string,
+  securityScheme: SecuritySchemeObject,
+  flows: OAuthFlowsObject,
+  oas: Oas3,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): void {
+  const client = data.options.oauthClients[schemeKey]
+
+  let tokenUrl: string
+  if (typeof client.tokenUrl === 'string') {
+    tokenUrl = client.tokenUrl
+  } else if (typeof flows.clientCredentials === 'object') {
+    tokenUrl = flows.clientCredentials.tokenUrl
+  }
+
+  let refreshUrl: string
+  if (typeof client.refreshToken === 'string') {
+    if (typeof client.tokenUrl === 'string') {
+      refreshUrl = client.tokenUrl
+    } else {
+      // The implicit flow does not support refresh tokens
+      const flow = [
+        flows.authorizationCode,
+        flows.password,
+        flows.clientCredentials
+      ].find((flow) => {
+        return (
+          typeof flow === 'object' &&
+          (typeof flow.refreshUrl === 'string' ||
+            typeof flow.tokenUrl === 'string')
+        )
+      })
+
+      if (typeof flow === 'object') {
+        refreshUrl =
+          typeof flow.refreshUrl === 'string' ? flow.refreshUrl : flow.tokenUrl
+      }
+    }
+  }
+
+  if (typeof tokenUrl !== 'string' && typeof refreshUrl !== 'string') {
+    handleWarning({
+      mitigationType: MitigationTypes.OAUTH_SECURITY_SCHEME,
+      message:
+        `Cannot obtain access tokens for OAuth security scheme ` +
+        `'${schemeKey}' in OAS '${oas.info.title}' because it neither ` +
+        `defines a client credentials flow nor a refresh token is provided`,
+      source: securityScheme,
+      data,
+      log: preprocessingLog
+    })
+
+    return
+  }
+
+  // Security schemes with the same name may differ between OASs
+  if (typeof data.oauthSchemes[oas.info.title] !== 'object') {
+    data.oauthSchemes[oas.info.title] = {}
+  }
+
+  data.oauthSchemes[oas.info.title][schemeKey] = {
+    rawName: schemeKey,
+    def: securityScheme,
+    client,
+    tokenUrl,
+    refreshUrl,
+    oas
+  }
+}
+
+/**
+ * Returns the discovery document of an OpenID Connect security scheme, which
+ * is loaded by createGraphQLSchema()
+ */
+function getOpenIdConnectDocument<TSource, TContext, TArgs>(
+  schemeKey: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): OpenIdConnectDocument | undefined {
+  const documents = data.options.openIdConnectDocuments
+  if (
+    typeof documents === 'object' &&
+    typeof documents[schemeKey] === 'object'
+  ) {
+    return documents[schemeKey] as OpenIdConnectDocument
+  }
+}
+
+/**
+ * Returns the path to the discovery document of an OpenID Connect security
+ * scheme, if the openIdConnectDocuments option provides one that has not been
+ * read, i.e. if translateOpenAPIToGraphQL() is called directly
+ */
+function getOpenIdConnectDocumentPath<TSource, TContext, TArgs>(
+  schemeKey: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): string | undefined {
+  const documents = data.options.openIdConnectDocuments
+  if (
+    typeof documents === 'object' &&
+    typeof documents[schemeKey] === 'string'
+  ) {
+    return documents[schemeKey] as string
+  }
+}
+
+/**
+ * Derives the OAuth flows of an OpenID Connect security scheme from the grant
+ * types that the OpenID provider supports
+ */
+function getOpenIdConnectFlows(
+  document: OpenIdConnectDocument
+): OAuthFlowsObject {
+  const flows: OAuthFlowsObject = {}
+
+  if (typeof document.token_endpoint === 'string') {
+    // Default according to the OpenID Connect Discovery specification
+    const grantTypes = Array.isArray(document.grant_types_supported)
+      ? document.grant_types_supported
+      : ['authorization_code', 'implicit']
+
+    if (grantTypes.includes('client_credentials')) {
+      flows.clientCredentials = {
+        tokenUrl: document.token_endpoint
+      }
+    }
+
+    if (grantTypes.includes('authorization_code')) {
+      flows.authorizationCode = {
+        authorizationUrl: document.authorization_endpoint,
+        tokenUrl: document.token_endpoint
+      }
+    }
+  }
+
+  return flows
+}
+
 /**
  * Method to either create a new or reuse an existing, centrally stored data
  * definition.
@@ -836,6 +1897,7 @@ export function createDataDef<TSource, TContext, TArgs>(
           message:
             `Schema ${JSON.stringify(schema)} does not have ` +
             `any properties`,
+          source: schema,
           data,
           log: preprocessingLog
         })
@@ -843,6 +1905,13 @@ export function createDataDef<TSource, TContext, TArgs>(
         def.targetGraphQLType = TargetGraphQLType.json
       }
 
+      if (
+        def.targetGraphQLType === TargetGraphQLType.object &&
+        typeof collapsedSchema.discriminator === 'object'
+      ) {
+        createDiscriminatedInterface(schema, def, data, oas)
+      }
+
       break
 
     case TargetGraphQLType.list:
@@ -941,6 +2010,7 @@ export function createDataDef<TSource, TContext, TArgs>(
         message: `No GraphQL target type could be identified for schema '${JSON.stringify(
           schema
         )}'.`,
+        source: schema,
         data,
         log: preprocessingLog
       })
@@ -1197,6 +2267,7 @@ function collapseLinksIntoDataDefinition<TSource, TContext, TArgs>({
             `link key '${saneLinkKey}' but have different link definitions ` +
             `'${JSON.stringify(existingDataDef.links[saneLinkKey])}' and ` +
             `'${JSON.stringify(additionalLinks[saneLinkKey])}'.`,
+          source: additionalLinks[saneLinkKey],
           data,
           log: preprocessingLog
         })
@@ -1283,6 +2354,7 @@ function addObjectPropertiesToDataDef<TSource, TContext, TArgs>(
             schema
           )}' ` +
           `to dataDefinition '${JSON.stringify(def)}'`,
+        source: def.schema,
         data,
         log: preprocessingLog
       })
@@ -1542,20 +2614,11 @@ function createOneOfUnion<TSource, TContext, TArgs>(
   data: PreprocessingData<TSource, TContext, TArgs>,
   oas: Oas3
 ) {
-  if (isInputObjectType) {
-    handleWarning({
-      mitigationType: MitigationTypes.INPUT_UNION,
-      message: `Input object types cannot be composed of union types.`,
-      data,
-      log: preprocessingLog
-    })
-
-    def.targetGraphQLType = TargetGraphQLType.json
-    return def
-  }
-
   def.subDefinitions = []
 
+  // References of the member schemas, used to resolve the discriminator
+  const memberRefs: string[] = []
+
   collapsedSchema.oneOf.forEach((memberSchemaOrRef) => {
     // Collapsed schema should already be recursively resolved
     let fromRef: string
@@ -1564,9 +2627,11 @@ function createOneOfUnion<TSource, TContext, TArgs>(
       '$ref' in memberSchemaOrRef &&
       typeof memberSchemaOrRef.$ref === 'string'
     ) {
+      memberRefs.push(memberSchemaOrRef.$ref)
       fromRef = memberSchemaOrRef.$ref.split('/').pop()
       memberSchema = Oas3Tools.resolveRef(memberSchemaOrRef.$ref, oas)
     } else {
+      memberRefs.push(undefined)
       memberSchema = memberSchemaOrRef as SchemaObject
     }
 
@@ -1603,6 +2668,38 @@ function createOneOfUnion<TSource, TContext, TArgs>(
     data.defs.push(def)
 
     def.targetGraphQLType = TargetGraphQLType.oneOfUnion
+
+    if (typeof collapsedSchema.discriminator === 'object') {
+      const mapping: { [value: string]: DataDefinition } = {}
+
+      Object.entries(
+        Oas3Tools.getDiscriminatorMapping(collapsedSchema, oas)
+      ).forEach(([value, ref]) => {
+        const index = memberRefs.indexOf(ref)
+
+        if (index !== -1) {
+          mapping[value] = (def.subDefinitions as DataDefinition[])[index]
+        } else {
+          handleWarning({
+            mitigationType: MitigationTypes.INVALID_DISCRIMINATOR_MAPPING,
+            message:
+              `Discriminator value '${value}' in schema ` +
+              `'${JSON.stringify(def.schema)}' maps to schema '${ref}', ` +
+              `which is not a member of the 'oneOf'.`,
+            source: def.schema,
+            data,
+            log: preprocessingLog
+          })
+        }
+      })
+
+      def.discriminator = createDiscriminatorDefinition(
+        collapsedSchema,
+        mapping,
+        data
+      )
+    }
+
     return def
   } else {
     handleWarning({
@@ -1612,6 +2709,7 @@ function createOneOfUnion<TSource, TContext, TArgs>(
         `create a GraphQL union type but all member schemas are not` +
         `object types and union member types must be object types.`,
       mitigationAddendum: `Use arbitrary JSON type instead.`,
+      source: def.schema,
       data,
       log: preprocessingLog
     })
@@ -1620,3 +2718,102 @@ function createOneOfUnion<TSource, TContext, TArgs>(
     return def
   }
 }
+
+/**
+ * Turns the data definition of an object type into the definition of an
+ * interface type if the schema contains a discriminator
+ *
+ * The object types of the schemas that the discriminator values map to
+ * implement the interface type.
+ */
+function createDiscriminatedInterface<TSource, TContext, TArgs>(
+  schema: SchemaObject,
+  def: DataDefinition,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  oas: Oas3
+): void {
+  const mapping: { [value: string]: DataDefinition } = {}
+
+  Object.entries(Oas3Tools.getDiscriminatorMapping(schema, oas)).forEach(
+    ([value, ref]) => {
+      const implementingSchema = Oas3Tools.resolveRef<SchemaObject>(ref, oas)
+
+      // The schema of the interface type cannot be instantiated
+      if (implementingSchema === schema) {
+        preprocessingLog(
+          `Discriminator value '${value}' maps to interface type ` +
+            `'${def.graphQLTypeName}' itself`
+        )
+        return
+      }
+
+      const implementingDef =
+        typeof implementingSchema === 'object'
+          ? createDataDef(
+              {
+                fromExtension:
+                  implementingSchema[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.TypeName],
+                fromRef: ref.split('/').pop(),
+                fromSchema: implementingSchema.title
+              },
+              { $ref: ref },
+              false,
+              data,
+              oas
+            )
+          : undefined
+
+      // Object types must contain all fields of the interface type
+      if (
+        typeof implementingDef === 'object' &&
+        implementingDef.targetGraphQLType === TargetGraphQLType.object &&
+        Object.keys(def.subDefinitions).every((propertyName) => {
+          return propertyName in implementingDef.subDefinitions
+        })
+      ) {
+        if (!Array.isArray(implementingDef.interfaces)) {
+          implementingDef.interfaces = []
+        }
+
+        if (!implementingDef.interfaces.includes(def)) {
+          implementingDef.interfaces.push(def)
+        }
+
+        mapping[value] = implementingDef
+      } else {
+        handleWarning({
+          mitigationType: MitigationTypes.INVALID_DISCRIMINATOR_MAPPING,
+          message:
+            `Discriminator value '${value}' in schema ` +
+            `'${JSON.stringify(schema)}' maps to schema '${ref}', which ` +
+            `is not an object schema that includes all properties of the ` +
+            `schema.`,
+          data,
+          log: preprocessingLog
+        })
+      }
+    }
+  )
+
+  if (Object.keys(mapping).length > 0) {
+    def.targetGraphQLType = TargetGraphQLType.interface
+    def.discriminator = createDiscriminatorDefinition(schema, mapping, data)
+  }
+}
+
+function createDiscriminatorDefinition<TSource, TContext, TArgs>(
+  schema: SchemaObject,
+  mapping: { [value: string]: DataDefinition },
+  data: PreprocessingData<TSource, TContext, TArgs>
+): DiscriminatorDefinition {
+  return {
+    // Response data is sanitized in the same way
+    propertyName: Oas3Tools.sanitize(
+      schema.discriminator.propertyName,
+      !data.options.simpleNames
+        ? Oas3Tools.CaseStyle.camelCase
+        : Oas3Tools.CaseStyle.simple
+    ),
+    mapping
+  }
+}
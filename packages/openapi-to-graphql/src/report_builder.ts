@@ -0,0 +1,268 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to describe what has been created from each operation of the OASs,
+ * i.e. the fields that invoke the operation and their types, or why no field
+ * has been created, so that it can be added to the report.
+ */
+
+// Type imports:
+import {
+  GraphQLObjectType,
+  GraphQLSchema,
+  getNamedType,
+  isSpecifiedScalarType
+} from 'graphql'
+import {
+  CallbackObject,
+  Oas3,
+  OperationObject,
+  PathItemObject,
+  ReferenceObject
+} from './types/oas3'
+import { Operation } from './types/operation'
+import { OasLocation, OperationReport } from './types/options'
+import { PreprocessingData } from './types/preprocessing_data'
+import {
+  FieldBinding,
+  getSchemaBinding,
+  isOperationBinding
+} from './schema_binding'
+
+// Imports:
+import * as jsonptr from 'json-ptr'
+import * as Oas3Tools from './oas_3_tools'
+import { GraphQLOperationType } from './types/graphql'
+import { getOasLocation } from './utils'
+
+/**
+ * An operation object of an OAS, which may be the operation of a callback
+ */
+type OasOperation = {
+  oas: Oas3
+
+  // Path or, for the operations of callbacks, callback expression
+  path: string
+  method: string
+  operationObject: OperationObject
+
+  // JSON pointer segments that lead to the operation object
+  segments: string[]
+}
+
+/**
+ * Describes what has been created from each operation of the OASs that the
+ * given schema has been created from
+ */
+export function getOperationReports<TSource, TContext, TArgs>(
+  schema: GraphQLSchema,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): OperationReport[] {
+  const bindings = getSchemaBinding(schema).filter(isOperationBinding)
+  const operations = [
+    ...Object.values(data.operations),
+    ...Object.values(data.callbackOperations)
+  ]
+
+  return getOasOperations(data).map((oasOperation) => {
+    const { oas, path, method, operationObject, segments } = oasOperation
+    const operation = operations.find((operation) => {
+      return operation.operation === operationObject
+    })
+
+    const source = getOasLocation(operationObject, data) || {
+      title: oas.info.title,
+      pointer: jsonptr.encodePointer(segments)
+    }
+
+    const fieldBindings =
+      typeof operation === 'object'
+        ? bindings.filter((binding) => {
+            return (
+              binding.title === operation.oas.info.title &&
+              binding.path === operation.path &&
+              binding.method === operation.method
+            )
+          })
+        : []
+
+    return {
+      source,
+      path,
+      method,
+      ...(typeof operationObject.operationId === 'string'
+        ? { operationId: operationObject.operationId }
+        : {}),
+      ...(fieldBindings.length > 0
+        ? { operationType: getOperationType(operation) }
+        : {
+            operationType: 'skipped',
+            reason: getSkipReason(oasOperation, operation, source, data)
+          }),
+      fields: fieldBindings.map(({ typeName, fieldName }) => {
+        return `${typeName}.${fieldName}`
+      }),
+      typeNames: getTypeNames(fieldBindings, schema)
+    }
+  })
+}
+
+/**
+ * Returns the operation objects of the OASs, including the operation objects
+ * of callbacks if subscriptions are created from them
+ */
+function getOasOperations<TSource, TContext, TArgs>(
+  data: PreprocessingData<TSource, TContext, TArgs>
+): OasOperation[] {
+  const oasOperations: OasOperation[] = []
+
+  const addOperations = (
+    oas: Oas3,
+    path: string,
+    pathItemOrRef: PathItemObject | ReferenceObject,
+    segments: string[]
+  ) => {
+    const pathItem = resolveObject<PathItemObject>(pathItemOrRef, oas)
+
+    Object.keys(pathItem)
+      .filter((method) => Oas3Tools.isHttpMethod(method))
+      .forEach((method) => {
+        const operationObject = pathItem[method] as OperationObject
+        oasOperations.push({
+          oas,
+          path,
+          method: method.toLowerCase(),
+          operationObject,
+          segments: [...segments, method]
+        })
+
+        if (
+          data.options.createSubscriptionsFromCallbacks &&
+          typeof operationObject.callbacks === 'object'
+        ) {
+          Object.entries(operationObject.callbacks).forEach(
+            ([callbackName, callbackOrRef]) => {
+              const callback = resolveObject<CallbackObject>(callbackOrRef, oas)
+
+              Object.entries(callback).forEach(
+                ([callbackExpression, callbackPathItem]) => {
+                  addOperations(oas, callbackExpression, callbackPathItem, [
+                    ...segments,
+                    method,
+                    'callbacks',
+                    callbackName,
+                    callbackExpression
+                  ])
+                }
+              )
+            }
+          )
+        }
+      })
+  }
+
+  data.oass.forEach((oas) => {
+    Object.entries(oas.paths).forEach(([path, pathItem]) => {
+      addOperations(oas, path, pathItem, ['paths', path])
+    })
+  })
+
+  return oasOperations
+}
+
+function getOperationType(
+  operation: Operation
+): OperationReport['operationType'] {
+  switch (operation.operationType) {
+    case GraphQLOperationType.Query:
+      return 'query'
+
+    case GraphQLOperationType.Mutation:
+      return 'mutation'
+
+    case GraphQLOperationType.Subscription:
+      return 'subscription'
+  }
+}
+
+function resolveObject<T>(objectOrRef: T | ReferenceObject, oas: Oas3): T {
+  return typeof (objectOrRef as ReferenceObject).$ref === 'string'
+    ? Oas3Tools.resolveRef((objectOrRef as ReferenceObject).$ref, oas)
+    : (objectOrRef as T)
+}
+
+/**
+ * Returns the names of the types that the given fields return and take as
+ * arguments, except for the standard scalar types
+ */
+function getTypeNames(
+  fieldBindings: FieldBinding[],
+  schema: GraphQLSchema
+): string[] {
+  const typeNames: string[] = []
+
+  fieldBindings.forEach(({ typeName, fieldName }) => {
+    const field = (schema.getType(typeName) as GraphQLObjectType).getFields()[
+      fieldName
+    ]
+
+    ;[field.type, ...field.args.map((arg) => arg.type)].forEach((type) => {
+      const namedType = getNamedType(type)
+
+      if (
+        !isSpecifiedScalarType(namedType) &&
+        !typeNames.includes(namedType.name)
+      ) {
+        typeNames.push(namedType.name)
+      }
+    })
+  })
+
+  return typeNames
+}
+
+/**
+ * Returns why no field invokes the given operation
+ *
+ * @param operation Undefined if the operation has not been preprocessed
+ */
+function getSkipReason<TSource, TContext, TArgs>(
+  { path, method, operationObject }: OasOperation,
+  operation: Operation | undefined,
+  source: OasLocation,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): string {
+  const operationId =
+    typeof operationObject.operationId === 'string'
+      ? operationObject.operationId
+      : Oas3Tools.generateOperationId(method as Oas3Tools.HTTP_METHODS, path)
+
+  if (
+    typeof operation === 'undefined' &&
+    data.excludedOperationIds.includes(operationId)
+  ) {
+    return 'Not selected by the include and exclude options'
+  } else if (typeof operation === 'object' && operation.hidden) {
+    return operationObject[Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Hidden] === true
+      ? `Hidden by the ${Oas3Tools.OAS_GRAPHQL_EXTENSIONS.Hidden} extension`
+      : 'Deprecated and omitted by the omitDeprecated option'
+  }
+
+  // Most operations are skipped because of problems, which cause warnings
+  const warning = data.options.report.warnings
+    .filter((warning) => {
+      return (
+        typeof warning.source === 'object' &&
+        warning.source.title === source.title &&
+        warning.source.pointer === source.pointer
+      )
+    })
+    .pop()
+
+  return typeof warning === 'object'
+    ? warning.message
+    : 'No field invokes the operation'
+}
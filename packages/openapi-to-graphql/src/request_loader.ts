@@ -0,0 +1,356 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to deduplicate and batch the requests that resolve functions make
+ * while executing a single GraphQL operation.
+ */
+
+// Type imports:
+import { BatchDefinition } from './types/operation'
+import crossFetch from 'cross-fetch'
+
+// Imports:
+import { debug } from 'debug'
+
+const httpLog = debug('http')
+
+/**
+ * A response whose body has already been read
+ *
+ * Unlike a fetch Response, it can be handed to multiple resolvers.
+ */
+export type LoadedResponse = {
+  status: number
+  statusText: string
+  headers: Headers
+  body: string
+}
+
+/**
+ * Makes a request and reads the response body
+ */
+export type LoadResponse = (
+  url: string,
+  options: RequestInit
+) => Promise<LoadedResponse>
+
+export type RequestLoader = {
+  /**
+   * Make a request, unless an identical request is already in flight
+   */
+  load: (
+    url: string,
+    options: RequestInit,
+    loadResponse: LoadResponse
+  ) => Promise<LoadedResponse>
+
+  /**
+   * Queue a request to an operation with a batch endpoint
+   *
+   * All requests that are queued with the same batch URL and request options
+   * in the same tick are combined into a single request.
+   */
+  loadBatch: (
+    url: string,
+    batchUrl: string,
+    options: RequestInit,
+    batch: BatchDefinition,
+    value: any,
+    loadResponse: LoadResponse
+  ) => Promise<LoadedResponse>
+
+  /**
+   * Forget about all requests in flight
+   */
+  clear: () => void
+
+  /**
+   * Number of requests that did not have to be made because they were
+   * deduplicated or batched
+   */
+  getNumRequestsSaved: () => number
+}
+
+type QueuedBatch = {
+  batchUrl: string
+  options: RequestInit
+  batch: BatchDefinition
+  loadResponse: LoadResponse
+  // Single requests that make up the batch, mapped by the batch value
+  requests: Map<
+    string,
+    {
+      url: string
+      resolve: (response: LoadedResponse) => void
+      reject: (error: Error) => void
+    }
+  >
+}
+
+/**
+ * Request loaders are scoped to the GraphQL context, which is usually created
+ * anew for every GraphQL request
+ */
+const requestLoaders = new WeakMap<object, RequestLoader>()
+
+/**
+ * Return the request loader for the given GraphQL context, or undefined if no
+ * context object is available to store it on
+ */
+export function getRequestLoader(context: any): RequestLoader | undefined {
+  if (!context || typeof context !== 'object') {
+    return undefined
+  }
+
+  let requestLoader = requestLoaders.get(context)
+  if (typeof requestLoader === 'undefined') {
+    requestLoader = createRequestLoader()
+    requestLoaders.set(context, requestLoader)
+  }
+
+  return requestLoader
+}
+
+/**
+ * Return the number of requests that the batchRequests option saved while
+ * executing GraphQL operations with the given context
+ */
+export function getNumRequestsSaved(context: any): number {
+  const requestLoader =
+    context && typeof context === 'object'
+      ? requestLoaders.get(context)
+      : undefined
+
+  return typeof requestLoader === 'object'
+    ? requestLoader.getNumRequestsSaved()
+    : 0
+}
+
+/**
+ * Make a request using the given fetch implementation and read the response
+ * body
+ */
+export async function fetchResponse(
+  fetch: typeof crossFetch,
+  url: string,
+  options: RequestInit
+): Promise<LoadedResponse> {
+  const response = await fetch(url, options)
+  const body = await response.text()
+
+  return {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+    body
+  }
+}
+
+function createRequestLoader(): RequestLoader {
+  /**
+   * Only requests in flight are shared, so that neither stale responses nor
+   * failures are kept if the context is reused across GraphQL requests
+   */
+  let inFlight = new Map<string, Promise<LoadedResponse>>()
+  const batches = new Map<string, QueuedBatch>()
+  let numRequestsSaved = 0
+
+  const track = (cacheKey: string, promise: Promise<LoadedResponse>) => {
+    const requests = inFlight
+    requests.set(cacheKey, promise)
+
+    const remove = () => {
+      if (requests.get(cacheKey) === promise) {
+        requests.delete(cacheKey)
+      }
+    }
+    promise.then(remove, remove)
+
+    return promise
+  }
+
+  const load = (
+    url: string,
+    options: RequestInit,
+    loadResponse: LoadResponse
+  ) => {
+    const cacheKey = getRequestKey(url, options)
+
+    if (inFlight.has(cacheKey)) {
+      httpLog(`Reuse response of ${options.method.toUpperCase()} ${url}`)
+      numRequestsSaved++
+      return inFlight.get(cacheKey)
+    }
+
+    return track(cacheKey, loadResponse(url, options))
+  }
+
+  const loadBatch = (
+    url: string,
+    batchUrl: string,
+    options: RequestInit,
+    batch: BatchDefinition,
+    value: any,
+    loadResponse: LoadResponse
+  ) => {
+    const batchKey = getRequestKey(batchUrl, options)
+    const cacheKey = `${batchKey} ${String(value)}`
+
+    if (inFlight.has(cacheKey)) {
+      httpLog(`Reuse response of ${options.method.toUpperCase()} ${url}`)
+      numRequestsSaved++
+      return inFlight.get(cacheKey)
+    }
+
+    let queuedBatch = batches.get(batchKey)
+    if (typeof queuedBatch === 'undefined') {
+      queuedBatch = {
+        batchUrl,
+        options,
+        batch,
+        loadResponse,
+        requests: new Map()
+      }
+      batches.set(batchKey, queuedBatch)
+
+      enqueue(() => {
+        batches.delete(batchKey)
+
+        // Batches of one are made using the regular operation
+        if (queuedBatch.requests.size > 1) {
+          numRequestsSaved += queuedBatch.requests.size - 1
+        }
+
+        dispatchBatch(queuedBatch).catch((error) => {
+          queuedBatch.requests.forEach((request) => request.reject(error))
+        })
+      })
+    }
+
+    return track(
+      cacheKey,
+      new Promise<LoadedResponse>((resolve, reject) => {
+        queuedBatch.requests.set(String(value), { url, resolve, reject })
+      })
+    )
+  }
+
+  const clear = () => {
+    inFlight = new Map()
+  }
+
+  const getNumRequestsSaved = () => numRequestsSaved
+
+  return { load, loadBatch, clear, getNumRequestsSaved }
+}
+
+/**
+ * Requests are considered identical if they share the URL (including the
+ * query string), the method, and the headers
+ */
+export function getRequestKey(url: string, options: RequestInit): string {
+  const headers = options.headers || {}
+  const sortedHeaders = Object.keys(headers)
+    .sort()
+    .map((key) => [key.toLowerCase(), headers[key]])
+
+  return JSON.stringify([options.method, url, sortedHeaders])
+}
+
+/**
+ * Wait until all resolve functions of the current execution step had the
+ * chance to queue their requests
+ *
+ * Same approach as the DataLoader library.
+ */
+function enqueue(fn: () => void) {
+  Promise.resolve()
+    .then(() => process.nextTick(fn))
+    .catch((error) => httpLog(error))
+}
+
+/**
+ * Make the request to the batch operation and settle the queued requests
+ *
+ * Rejects if the batch URL cannot be built, in which case the queued requests
+ * must be rejected by the caller.
+ */
+async function dispatchBatch(queuedBatch: QueuedBatch) {
+  const { batchUrl, options, batch, loadResponse, requests } = queuedBatch
+
+  // A batch of one is made using the regular operation
+  if (requests.size === 1) {
+    const [request] = requests.values()
+    loadResponse(request.url, options).then(request.resolve, request.reject)
+    return
+  }
+
+  const url = new URL(batchUrl)
+  url.searchParams.set(
+    batch.batchParameter.name,
+    Array.from(requests.keys()).join(',')
+  )
+
+  httpLog(
+    `Batch ${requests.size} requests to ${batch.operation.operationString} ` +
+      `into ${options.method.toUpperCase()} ${url.toString()}`
+  )
+  let batchResponse: LoadedResponse
+  try {
+    batchResponse = await loadResponse(url.toString(), options)
+  } catch (err) {
+    requests.forEach((request) => request.reject(err))
+    return
+  }
+
+  // Unsuccessful responses are passed on as they are
+  if (batchResponse.status < 200 || batchResponse.status > 299) {
+    requests.forEach((request) => request.resolve(batchResponse))
+    return
+  }
+
+  let items: any
+  try {
+    items = JSON.parse(batchResponse.body)
+  } catch (e) {
+    items = undefined
+  }
+
+  if (!Array.isArray(items)) {
+    const error = new Error(
+      `Batch operation ${batch.operation.operationString} ` +
+        `did not return a list of resources`
+    )
+    requests.forEach((request) => request.reject(error))
+    return
+  }
+
+  requests.forEach((request, value) => {
+    const item = items.find((item) => {
+      return (
+        item &&
+        typeof item === 'object' &&
+        String(item[batch.responseKey]) === value
+      )
+    })
+
+    if (typeof item === 'undefined') {
+      request.resolve({
+        status: 404,
+        statusText: 'Not Found',
+        headers: batchResponse.headers,
+        body: ''
+      })
+    } else {
+      request.resolve({
+        status: batchResponse.status,
+        statusText: batchResponse.statusText,
+        headers: batchResponse.headers,
+        body: JSON.stringify(item)
+      })
+    }
+  })
+}
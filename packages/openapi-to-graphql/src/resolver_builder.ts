@@ -9,49 +9,93 @@
 
 // Type imports:
 import { SchemaObject, ParameterObject } from './types/oas3'
-import { ConnectOptions } from './types/options'
-import { TargetGraphQLType, Operation } from './types/operation'
-import { SubscriptionContext } from './types/graphql'
+import { AuthRequest, ConnectOptions } from './types/options'
+import {
+  TargetGraphQLType,
+  Operation,
+  BatchDefinition
+} from './types/operation'
+import { GraphQLOperationType, SubscriptionContext } from './types/graphql'
 import { PreprocessingData } from './types/preprocessing_data'
 import { RequestOptions, FileUploadOptions } from './types/options'
 import crossFetch from 'cross-fetch'
+import AbortController from 'abort-controller'
 import { FileUpload } from 'graphql-upload/Upload'
 
 // Imports:
 import stream from 'stream'
 import * as Oas3Tools from './oas_3_tools'
 import { JSONPath } from 'jsonpath-plus'
-import * as JSONPointer from 'jsonpointer'
 import { debug } from 'debug'
-import { GraphQLError, GraphQLFieldResolver } from 'graphql'
-import formurlencoded from 'form-urlencoded'
+import {
+  getNullableType,
+  GraphQLFieldResolver,
+  GraphQLInputObjectType,
+  GraphQLInputType,
+  GraphQLList
+} from 'graphql'
 import { PubSub } from 'graphql-subscriptions'
 import urljoin from 'url-join'
 import FormData from 'form-data'
-
-const pubsub = new PubSub()
+import {
+  getRequestLoader,
+  fetchResponse,
+  LoadedResponse,
+  LoadResponse
+} from './request_loader'
+import { getCachedLoadResponse } from './response_cache'
+import { getAccessToken, getRenewingLoadResponse } from './oauth_client'
+import { readEvents } from './event_stream'
+import { serializeFormatScalars } from './format_scalars'
+import { SchemaViolation, validateAgainstSchema } from './schema_validator'
+import {
+  extractRequestData,
+  getResponseData,
+  getResponseError,
+  graphQLErrorWithExtensions,
+  headersToObject,
+  resolveLinkParameter,
+  serializeRequestBody,
+  setSearchParamsFromObj
+} from './runtime'
+
+// PubSub engine used by subscriptions if the context does not contain one
+export const pubsub = new PubSub()
 
 const translationLog = debug('translation')
 const httpLog = debug('http')
 const pubsubLog = debug('pubsub')
 const uploadLog = debug('fileUpload')
 
-// OAS runtime expression reference locations
-const RUNTIME_REFERENCES = ['header.', 'query.', 'path.', 'body']
-
 export const OPENAPI_TO_GRAPHQL = '_openAPIToGraphQL'
 
+// Types of events that are published as they are, i.e. not JSON-decoded
+const TEXT_EVENT_TYPES = [
+  TargetGraphQLType.string,
+  TargetGraphQLType.id,
+  TargetGraphQLType.enum,
+  TargetGraphQLType.formatScalar
+]
+
 // Type definitions & exports:
 type AuthReqAndProtcolName = {
   authRequired: boolean
-  securityRequirement?: string
-  sanitizedSecurityRequirement?: string
+  securityRequirement?: string[]
+}
+
+type MissingContextCredential = {
+  securityScheme: string
+  credential: string
+  path: string
 }
 
-type AuthOptions = {
+type AuthOptions<TContext> = {
   authHeaders: { [key: string]: string }
   authQs: { [key: string]: string }
   authCookie: string
+
+  // Authenticates the final request using an auth provider
+  authenticate?: (request: AuthRequest, context: TContext) => Promise<void>
 }
 
 type GetResolverParams<TSource, TContext, TArgs> = {
@@ -66,14 +110,6 @@ type GetResolverParams<TSource, TContext, TArgs> = {
   fetch: typeof crossFetch
 }
 
-type inferLinkArgumentsParam<TSource, TContext, TArgs> = {
-  paramName: string
-  value: any
-  resolveData: Partial<ResolveData<TSource, TContext, TArgs>>
-  source: TSource
-  args: TArgs
-}
-
 type GetSubscribeParams<TSource, TContext, TArgs> = {
   operation: Operation
   argsFromLink?: { [key: string]: string }
@@ -198,40 +234,25 @@ export function getSubscribe<TSource, TContext, TArgs extends object>({
 
     pubsubLog(`Subscription schema: ${JSON.stringify(resolveData.usedPayload)}`)
 
-    let value = path
     let paramNameWithoutLocation = paramName
     if (paramName.indexOf('.') !== -1) {
       paramNameWithoutLocation = paramName.split('.')[1]
     }
 
-    // See if the callback path contains constants expression
-    if (value.search(/{|}/) === -1) {
-      args[paramNameWithoutLocation] = isRuntimeExpression(value)
-        ? resolveRuntimeExpression(paramName, value, resolveData, root, args)
-        : value
-    } else {
-      // Replace callback expression with appropriate values
-      const cbParams = value.match(/{([^}]*)}/g)
-      pubsubLog(`Analyzing subscription path: ${cbParams.toString()}`)
-
-      cbParams.forEach((cbParam) => {
-        value = value.replace(
-          cbParam,
-          resolveRuntimeExpression(
-            paramName,
-            cbParam.substring(1, cbParam.length - 1),
-            resolveData,
-            root,
-            args
-          )
-        )
-      })
-      args[paramNameWithoutLocation] = value
-    }
+    // Replace callback expressions with appropriate values
+    args[paramNameWithoutLocation] = resolveLinkParameter(
+      paramName,
+      path,
+      resolveData,
+      root,
+      !data.options.simpleNames
+        ? Oas3Tools.CaseStyle.camelCase
+        : Oas3Tools.CaseStyle.simple
+    )
 
     const topic = args[paramNameWithoutLocation] || 'test'
     pubsubLog(`Subscribing to: ${topic}`)
-    return context.pubsub
+    return context && context.pubsub
       ? context.pubsub.asyncIterator(topic)
       : pubsub.asyncIterator(topic)
   }
@@ -283,8 +304,11 @@ export function getPublishResolver<TSource, TContext, TArgs>({
     let responseBody
     let saneData
 
+    // Events of other types, e.g. lists, numbers, or booleans, are JSON-encoded
+    const isJsonEvent = !TEXT_EVENT_TYPES.includes(typeOfResponse)
+
     if (typeof payload === 'object') {
-      if (typeOfResponse === TargetGraphQLType.object) {
+      if (isJsonEvent) {
         if (Buffer.isBuffer(payload)) {
           try {
             responseBody = JSON.parse(payload.toString())
@@ -300,7 +324,7 @@ export function getPublishResolver<TSource, TContext, TArgs>({
         } else {
           responseBody = payload
         }
-        saneData = Oas3Tools.sanitizeObjectKeys(payload)
+        saneData = Oas3Tools.sanitizeObjectKeys(responseBody)
       } else if (
         (Buffer.isBuffer(payload) || Array.isArray(payload)) &&
         typeOfResponse === TargetGraphQLType.string
@@ -308,7 +332,7 @@ export function getPublishResolver<TSource, TContext, TArgs>({
         saneData = payload.toString()
       }
     } else if (typeof payload === 'string') {
-      if (typeOfResponse === TargetGraphQLType.object) {
+      if (isJsonEvent) {
         try {
           responseBody = JSON.parse(payload)
           saneData = Oas3Tools.sanitizeObjectKeys(responseBody)
@@ -326,66 +350,55 @@ export function getPublishResolver<TSource, TContext, TArgs>({
       }
     }
 
-    pubsubLog(
-      `Message forwarded: ${JSON.stringify(saneData ? saneData : payload)}`
-    )
-    return saneData ? saneData : payload
+    // Parsed events may be falsy, e.g. false or 0
+    const event = typeof saneData !== 'undefined' ? saneData : payload
+    pubsubLog(`Message forwarded: ${JSON.stringify(event)}`)
+    return event
   }
 }
 
 /**
- * Returns values for link arguments, also covers the cases for
- * if the link parameter contains constants that are appended to the link parameter
+ * If the operation streams events, i.e. Server-Sent Events or newline-delimited
+ * JSON, create and return a subscribe function, which calls the operation and
+ * returns an async iterator of the data of the events
  *
- * e.g. instead of:
- * $response.body#/employerId
- *
- * it could be:
- * abc_{$response.body#/employerId}
+ * The events are turned into field values by the publish resolver.
  */
-function inferLinkArguments<TSource, TContext, TArgs>({
-  paramName,
-  value,
-  resolveData,
-  source,
-  args
-}: inferLinkArgumentsParam<TSource, TContext, TArgs>) {
-  if (typeof value === 'object') {
-    return Object.entries(value).reduce((acc, [key, value]) => {
-      acc[key] = inferLinkArguments({
-        paramName,
-        value,
-        resolveData,
-        source,
-        args
-      })
-      return acc
-    }, {})
-  }
+export function getStreamSubscribe<TSource, TContext, TArgs extends object>(
+  params: GetResolverParams<TSource, TContext, TArgs>
+): GraphQLFieldResolver<
+  TSource & OpenAPIToGraphQLSource<TSource, TContext, TArgs>,
+  TContext,
+  TArgs
+> {
+  const { operation, data } = params
 
-  if (typeof value !== 'string') {
-    return value
-  } else if (value.search(/{|}/) === -1) {
-    return isRuntimeExpression(value)
-      ? resolveRuntimeExpression(paramName, value, resolveData, source, args)
-      : value
-  } else {
-    // Replace link parameters with appropriate values
-    const linkParams = value.match(/{([^}]*)}/g)
-    linkParams.forEach((linkParam) => {
-      value = value.replace(
-        linkParam,
-        resolveRuntimeExpression(
-          paramName,
-          linkParam.substring(1, linkParam.length - 1),
-          resolveData,
-          source,
-          args
-        )
-      )
-    })
-    return value
+  // Return custom subscribe function if it is defined
+  const customResolvers = data.options.customSubscriptionResolvers
+  const title = operation.oas.info.title
+  const path = operation.path
+  const method = operation.method
+
+  if (
+    typeof customResolvers === 'object' &&
+    typeof customResolvers[title] === 'object' &&
+    typeof customResolvers[title][path] === 'object' &&
+    typeof customResolvers[title][path][method] === 'object' &&
+    typeof customResolvers[title][path][method].subscribe === 'function'
+  ) {
+    translationLog(
+      `Use custom subscribe function for ${operation.operationString}`
+    )
+
+    // Custom subscribe functions are typed for the subscription context
+    const subscribe: GraphQLFieldResolver<any, any, TArgs> =
+      customResolvers[title][path][method].subscribe
+
+    return subscribe
   }
+
+  // The resolver of the operation keeps the response open
+  return getResolver(params)
 }
 
 /**
@@ -428,6 +441,29 @@ export function getResolver<TSource, TContext, TArgs extends object>({
     return customResolvers[title][path][method]
   }
 
+  // Serve responses of GET operations from the response cache if possible
+  const responseCache = data.options.responseCache
+  const responseCacheTTL = data.options.responseCacheTTL
+
+  let loadResponse: LoadResponse = (url, options) => {
+    return fetchResponse(fetch, url, options)
+  }
+
+  if (
+    typeof responseCache === 'object' &&
+    method === Oas3Tools.HTTP_METHODS.get
+  ) {
+    loadResponse = getCachedLoadResponse(
+      responseCache,
+      loadResponse,
+      typeof responseCacheTTL === 'object' &&
+        typeof responseCacheTTL[title] === 'object' &&
+        typeof responseCacheTTL[title][path] === 'object'
+        ? responseCacheTTL[title][path][method]
+        : undefined
+    )
+  }
+
   // Return resolve function:
   return async (source, args, context, info) => {
     /**
@@ -463,6 +499,22 @@ export function getResolver<TSource, TContext, TArgs extends object>({
       resolveData.usedParams = {}
     }
 
+    // Turn the values of custom scalars (e.g. Dates) back into strings
+    if (data.options.formatScalars && info && info.parentType) {
+      const field = info.parentType.getFields()[info.fieldName]
+      if (field) {
+        field.args.forEach((arg) => {
+          if (typeof args[arg.name] !== 'undefined') {
+            args[arg.name] = serializeFormatScalars(
+              args[arg.name],
+              arg.type,
+              data.options
+            )
+          }
+        })
+      }
+    }
+
     /**
      * Handle default values of parameters, if they have not yet been defined by
      * the user.
@@ -506,15 +558,19 @@ export function getResolver<TSource, TContext, TArgs extends object>({
           : Oas3Tools.CaseStyle.simple
       )
 
-      let value = argsFromLink[paramName]
-
-      args[saneParamName] = inferLinkArguments({
+      /**
+       * The link parameter may also contain constants that are appended to
+       * runtime expressions, e.g. abc_{$response.body#/employerId}
+       */
+      args[saneParamName] = resolveLinkParameter(
         paramName,
-        value,
+        argsFromLink[paramName],
         resolveData,
         source,
-        args
-      })
+        !data.options.simpleNames
+          ? Oas3Tools.CaseStyle.camelCase
+          : Oas3Tools.CaseStyle.simple
+      )
     }
 
     // Stored used parameters to future requests:
@@ -529,6 +585,29 @@ export function getResolver<TSource, TContext, TArgs extends object>({
     )
     const url = new URL(urljoin(baseUrl, path))
 
+    // Reject requests that violate the OAS before sending them
+    if (data.options.validateRequests) {
+      const violations = getRequestViolations(
+        operation,
+        args,
+        payloadName,
+        data
+      )
+
+      if (violations.length > 0) {
+        throw graphQLErrorWithExtensions(
+          `Invalid request to operation ${operation.operationString}: ` +
+            violations
+              .map(({ path, message }) => `'${path}' ${message}`)
+              .join(', '),
+          {
+            code: 'BAD_USER_INPUT',
+            violations
+          }
+        )
+      }
+    }
+
     /**
      * The Content-Type and Accept property should not be changed because the
      * object type has already been created and unlike these properties, it
@@ -602,21 +681,17 @@ export function getResolver<TSource, TContext, TArgs extends object>({
         ? 'requestBody'
         : Oas3Tools.sanitize(payloadName, Oas3Tools.CaseStyle.camelCase)
 
+      // Only the member of a @oneOf input object is sent to the API
+      const payload = unwrapOneOfInputObjects(
+        args[sanePayloadName],
+        operation.payloadDefinition.graphQLInputObjectType
+      )
+
       let rawPayload
-      if (operation.payloadContentType === 'application/json') {
-        rawPayload = JSON.stringify(
-          Oas3Tools.desanitizeObjectKeys(args[sanePayloadName], data.saneMap)
-        )
-      } else if (
-        operation.payloadContentType === 'application/x-www-form-urlencoded'
-      ) {
-        rawPayload = formurlencoded(
-          Oas3Tools.desanitizeObjectKeys(args[sanePayloadName], data.saneMap)
-        )
-      } else if (operation.payloadContentType === 'multipart/form-data') {
+      if (operation.payloadContentType === 'multipart/form-data') {
         form = new FormData(fileUploadOptions)
 
-        const formFieldsPayloadEntries = Object.entries(args[sanePayloadName])
+        const formFieldsPayloadEntries = Object.entries(payload)
 
         ;(
           await Promise.all(formFieldsPayloadEntries.map(([_, v]) => v))
@@ -677,8 +752,11 @@ export function getResolver<TSource, TContext, TArgs extends object>({
 
         rawPayload = form
       } else {
-        // Payload is not an object
-        rawPayload = args[sanePayloadName]
+        rawPayload = serializeRequestBody(
+          payload,
+          operation.payloadContentType,
+          data.saneMap
+        )
       }
       options.body = rawPayload
       resolveData.usedPayload = rawPayload
@@ -722,16 +800,41 @@ export function getResolver<TSource, TContext, TArgs extends object>({
     }
 
     // Get authentication headers and query parameters
+    let authenticate: AuthOptions<TContext>['authenticate']
+    const { contextSecurity, missingContextCredentials } = getContextSecurity(
+      operation,
+      context,
+      data
+    )
     if (
-      source &&
-      typeof source === 'object' &&
-      typeof source[OPENAPI_TO_GRAPHQL] === 'object'
+      (source &&
+        typeof source === 'object' &&
+        typeof source[OPENAPI_TO_GRAPHQL] === 'object') ||
+      Object.keys(contextSecurity).length > 0 ||
+      missingContextCredentials.length > 0
     ) {
-      const { authHeaders, authQs, authCookie } = getAuthOptions(
+      const _openAPIToGraphQL =
+        source && typeof source === 'object'
+          ? source[OPENAPI_TO_GRAPHQL]
+          : undefined
+
+      // Credentials passed to viewers take precedence
+      const authOptions = getAuthOptions(
         operation,
-        source[OPENAPI_TO_GRAPHQL],
-        data
+        {
+          ..._openAPIToGraphQL,
+          security: {
+            ...contextSecurity,
+            ...(typeof _openAPIToGraphQL === 'object'
+              ? _openAPIToGraphQL.security
+              : {})
+          }
+        },
+        data,
+        missingContextCredentials
       )
+      const { authHeaders, authQs, authCookie } = authOptions
+      authenticate = authOptions.authenticate
 
       // ...and pass them to the options
       Object.assign(options.headers, authHeaders)
@@ -744,6 +847,34 @@ export function getResolver<TSource, TContext, TArgs extends object>({
       }
     }
 
+    // Obtain OAuth token using the client of the required security scheme
+    let loadOperationResponse = loadResponse
+    if (typeof operation.oauthRequirement === 'object') {
+      const accessTokenParams = {
+        requirement: operation.oauthRequirement,
+        data,
+        oas: operation.oas,
+        baseUrl,
+        fetch
+      }
+      const { accessToken, cached } = await getAccessToken(accessTokenParams)
+
+      if (data.options.sendOAuthTokenInQuery) {
+        qs.access_token = accessToken
+      } else {
+        options.headers['Authorization'] = `Bearer ${accessToken}`
+      }
+
+      // Cached access tokens may have been revoked
+      if (cached) {
+        loadOperationResponse = getRenewingLoadResponse(
+          loadResponse,
+          accessTokenParams,
+          accessToken
+        )
+      }
+    }
+
     // Extract OAuth token from context (if available)
     if (data.options.sendOAuthTokenInQuery) {
       const oauthQueryObj = createOAuthQS(data, context)
@@ -757,6 +888,20 @@ export function getResolver<TSource, TContext, TArgs extends object>({
     resolveData.usedRequestOptions = options
     resolveData.usedStatusCode = operation.statusCode
     setSearchParamsFromObj(url, qs, [])
+
+    // Auth providers may sign the request, so it has to be complete
+    if (typeof authenticate === 'function') {
+      await authenticate(
+        {
+          method: options.method.toUpperCase(),
+          url,
+          headers: options.headers as { [key: string]: string },
+          body: options.body
+        },
+        context
+      )
+    }
+
     resolveData.url = url.toString().replace(url.search, '')
 
     // Make the call
@@ -766,41 +911,89 @@ export function getResolver<TSource, TContext, TArgs extends object>({
         `request body: ${options.body}`
     )
 
-    let response: Response
+    // Keep the responses of streaming operations open and yield their events
+    if (operation.operationType === GraphQLOperationType.Subscription) {
+      // The global AbortController requires Node.js 15
+      const controller = new AbortController()
+      const response = await fetch(url.toString(), {
+        ...options,
+        signal: controller.signal as AbortSignal
+      })
+
+      if (!response.ok) {
+        const body = await response.text()
+        httpLog(`${response.status} - ${Oas3Tools.trim(body, 100)}`)
+
+        throw getOperationError(
+          operation,
+          url,
+          {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            body
+          },
+          data
+        )
+      }
+
+      httpLog(`${response.status} - Streaming events`)
+      return readEvents(
+        response.body,
+        typeof response.headers.get('content-type') === 'string'
+          ? response.headers.get('content-type')
+          : operation.responseContentType,
+        () => controller.abort()
+      )
+    }
+
+    /**
+     * Deduplicate and batch requests made while executing the same GraphQL
+     * operation
+     */
+    const requestLoader = data.options.batchRequests
+      ? getRequestLoader(context)
+      : undefined
+
+    let response: LoadedResponse
     try {
-      response = await fetch(url.toString(), options)
+      if (typeof requestLoader === 'undefined') {
+        response = await loadOperationResponse(url.toString(), options)
+      } else if (operation.method !== Oas3Tools.HTTP_METHODS.get) {
+        // Requests with side effects may change previously loaded resources
+        requestLoader.clear()
+        response = await loadOperationResponse(url.toString(), options)
+      } else if (
+        typeof operation.batch === 'object' &&
+        typeof args[
+          Oas3Tools.getSaneName(operation.batch.parameter.name, data)
+        ] !== 'undefined'
+      ) {
+        response = await requestLoader.loadBatch(
+          url.toString(),
+          getBatchUrl(url, args, operation.batch, data).toString(),
+          options,
+          operation.batch,
+          args[Oas3Tools.getSaneName(operation.batch.parameter.name, data)],
+          loadOperationResponse
+        )
+      } else {
+        response = await requestLoader.load(
+          url.toString(),
+          options,
+          loadOperationResponse
+        )
+      }
     } catch (err) {
       httpLog(err)
       throw err
     }
 
-    const body = await response.text()
+    const body = response.body
     if (response.status < 200 || response.status > 299) {
       httpLog(`${response.status} - ${Oas3Tools.trim(body, 100)}`)
 
-      const errorString = `Could not invoke operation ${operation.operationString}`
-
-      if (data.options.provideErrorExtensions) {
-        let responseBody
-        try {
-          responseBody = JSON.parse(body)
-        } catch (e) {
-          responseBody = body
-        }
-
-        const extensions = {
-          method: operation.method,
-          path: operation.path,
-          url: url.toString(),
-          statusText: response.statusText,
-          statusCode: response.status,
-          responseHeaders: headersToObject(response.headers),
-          responseBody
-        }
-        throw graphQLErrorWithExtensions(errorString, extensions)
-      } else {
-        throw new Error(errorString)
-      }
+      throw getOperationError(operation, url, response, data)
 
       // Successful response code 200-299
     } else {
@@ -837,68 +1030,24 @@ export function getResolver<TSource, TContext, TArgs extends object>({
           httpLog(errorString)
           throw new Error(errorString)
         } else {
-          /**
-           * If the response body is type JSON, then parse it
-           *
-           * content-type may not be necessarily 'application/json' it can be
-           * 'application/json; charset=utf-8' for example
-           */
-          if (
-            response.headers.get('content-type').includes('application/json')
-          ) {
-            let responseBody
-            try {
-              responseBody = JSON.parse(body)
-            } catch (e) {
-              const errorString =
-                `Cannot JSON parse response body of ` +
-                `operation ${operation.operationString} ` +
-                `even though it has content-type 'application/json'`
-
-              httpLog(errorString)
-              throw new Error(errorString)
-            }
-
-            resolveData.responseHeaders = {}
-            response.headers.forEach((val, key) => {
-              resolveData.responseHeaders[key] = val
-            })
-
-            // Deal with the fact that the server might send unsanitized data
-            let saneData = Oas3Tools.sanitizeObjectKeys(
-              responseBody,
-              !data.options.simpleNames
-                ? Oas3Tools.CaseStyle.camelCase
-                : Oas3Tools.CaseStyle.simple
-            )
-
-            // Pass on _openAPIToGraphQL to subsequent resolvers
-            if (saneData && typeof saneData === 'object') {
-              if (Array.isArray(saneData)) {
-                saneData.forEach((element) => {
-                  if (typeof element[OPENAPI_TO_GRAPHQL] === 'undefined') {
-                    element[OPENAPI_TO_GRAPHQL] = {
-                      data: {}
-                    }
-                  }
-
-                  if (
-                    source &&
-                    typeof source === 'object' &&
-                    typeof source[OPENAPI_TO_GRAPHQL] === 'object'
-                  ) {
-                    Object.assign(
-                      element[OPENAPI_TO_GRAPHQL],
-                      source[OPENAPI_TO_GRAPHQL]
-                    )
-                  }
+          resolveData.responseHeaders = headersToObject(response.headers)
+
+          // Parse the response body if it is JSON
+          let saneData = getResponseData(
+            operation.operationString,
+            body,
+            response.headers.get('content-type'),
+            !data.options.simpleNames
+              ? Oas3Tools.CaseStyle.camelCase
+              : Oas3Tools.CaseStyle.simple
+          )
 
-                  element[OPENAPI_TO_GRAPHQL].data[getIdentifier(info)] =
-                    resolveData
-                })
-              } else {
-                if (typeof saneData[OPENAPI_TO_GRAPHQL] === 'undefined') {
-                  saneData[OPENAPI_TO_GRAPHQL] = {
+          // Pass on _openAPIToGraphQL to subsequent resolvers
+          if (saneData && typeof saneData === 'object') {
+            if (Array.isArray(saneData)) {
+              saneData.forEach((element) => {
+                if (typeof element[OPENAPI_TO_GRAPHQL] === 'undefined') {
+                  element[OPENAPI_TO_GRAPHQL] = {
                     data: {}
                   }
                 }
@@ -909,62 +1058,79 @@ export function getResolver<TSource, TContext, TArgs extends object>({
                   typeof source[OPENAPI_TO_GRAPHQL] === 'object'
                 ) {
                   Object.assign(
-                    saneData[OPENAPI_TO_GRAPHQL],
+                    element[OPENAPI_TO_GRAPHQL],
                     source[OPENAPI_TO_GRAPHQL]
                   )
                 }
 
-                saneData[OPENAPI_TO_GRAPHQL].data[getIdentifier(info)] =
+                element[OPENAPI_TO_GRAPHQL].data[getIdentifier(info)] =
                   resolveData
+              })
+            } else {
+              if (typeof saneData[OPENAPI_TO_GRAPHQL] === 'undefined') {
+                saneData[OPENAPI_TO_GRAPHQL] = {
+                  data: {}
+                }
+              }
+
+              if (
+                source &&
+                typeof source === 'object' &&
+                typeof source[OPENAPI_TO_GRAPHQL] === 'object'
+              ) {
+                Object.assign(
+                  saneData[OPENAPI_TO_GRAPHQL],
+                  source[OPENAPI_TO_GRAPHQL]
+                )
               }
+
+              saneData[OPENAPI_TO_GRAPHQL].data[getIdentifier(info)] =
+                resolveData
             }
+          }
 
-            // Apply limit argument
-            if (
-              data.options.addLimitArgument &&
-              /**
-               * NOTE: Does not differentiate between autogenerated args and
-               * preexisting args
-               *
-               * Ensure that there is not preexisting 'limit' argument
-               */
-              !operation.parameters.find((parameter) => {
-                return parameter.name === 'limit'
-              }) &&
-              // Only array data
-              Array.isArray(saneData) &&
-              // Only array of objects/arrays
-              saneData.some((data) => {
-                return typeof data === 'object'
-              })
-            ) {
-              let arraySaneData = saneData
+          // Apply limit argument
+          if (
+            data.options.addLimitArgument &&
+            typeof operation.pagination === 'undefined' &&
+            /**
+             * NOTE: Does not differentiate between autogenerated args and
+             * preexisting args
+             *
+             * Ensure that there is not preexisting 'limit' argument
+             */
+            !operation.parameters.find((parameter) => {
+              return parameter.name === 'limit'
+            }) &&
+            // Only array data
+            Array.isArray(saneData) &&
+            // Only array of objects/arrays
+            saneData.some((data) => {
+              return typeof data === 'object'
+            })
+          ) {
+            let arraySaneData = saneData
 
-              if ('limit' in args && typeof args['limit'] === 'number') {
-                const limit = args['limit'] as number
+            if ('limit' in args && typeof args['limit'] === 'number') {
+              const limit = args['limit'] as number
 
-                if (limit >= 0) {
-                  arraySaneData = arraySaneData.slice(0, limit)
-                } else {
-                  throw new Error(
-                    `Auto-generated 'limit' argument must be greater than or equal to 0`
-                  )
-                }
+              if (limit >= 0) {
+                arraySaneData = arraySaneData.slice(0, limit)
               } else {
                 throw new Error(
-                  `Cannot get value for auto-generated 'limit' argument`
+                  `Auto-generated 'limit' argument must be greater than or equal to 0`
                 )
               }
-
-              saneData = arraySaneData
+            } else {
+              throw new Error(
+                `Cannot get value for auto-generated 'limit' argument`
+              )
             }
 
-            return saneData
-          } else {
-            // TODO: Handle YAML
-
-            return body
+            saneData = arraySaneData
           }
+
+          return saneData
         }
       } else {
         /**
@@ -985,12 +1151,189 @@ export function getResolver<TSource, TContext, TArgs extends object>({
   }
 }
 
-function headersToObject(headers: Headers) {
-  const headersObj: HeadersInit = {}
-  headers.forEach((value, key) => {
-    headersObj[key] = value
+/**
+ * Returns the violations of the schemas in the OAS by the parameters and the
+ * request body that the given arguments make up
+ *
+ * The paths of the violations are JSON pointers that start with the location
+ * of the violating value, e.g. '/query/limit' or '/body/email'.
+ */
+function getRequestViolations<TSource, TContext, TArgs extends object>(
+  operation: Operation,
+  args: TArgs,
+  payloadName: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): SchemaViolation[] {
+  let violations: SchemaViolation[] = []
+
+  operation.parameters.forEach((param) => {
+    const value = args[Oas3Tools.getSaneName(param.name, data)]
+    if (typeof param.schema === 'object' && typeof value !== 'undefined') {
+      violations = violations.concat(
+        prefixViolations(
+          validateAgainstSchema(value, param.schema, operation.oas, true),
+          `/${param.in}/${escapeJsonPointer(param.name)}`
+        )
+      )
+    }
   })
-  return headersObj
+
+  // Files in multipart form data cannot be validated
+  if (
+    typeof payloadName === 'string' &&
+    typeof operation.payloadDefinition === 'object' &&
+    operation.payloadContentType !== 'multipart/form-data'
+  ) {
+    const sanePayloadName = data.options.genericPayloadArgName
+      ? 'requestBody'
+      : Oas3Tools.sanitize(payloadName, Oas3Tools.CaseStyle.camelCase)
+
+    if (typeof args[sanePayloadName] !== 'undefined') {
+      const payload = Oas3Tools.desanitizeObjectKeys(
+        unwrapOneOfInputObjects(
+          args[sanePayloadName],
+          operation.payloadDefinition.graphQLInputObjectType
+        ),
+        data.saneMap
+      )
+
+      violations = violations.concat(
+        prefixViolations(
+          validateAgainstSchema(
+            payload,
+            operation.payloadDefinition.schema,
+            operation.oas,
+            true
+          ),
+          '/body'
+        )
+      )
+    }
+  }
+
+  return violations
+}
+
+function prefixViolations(
+  violations: SchemaViolation[],
+  prefix: string
+): SchemaViolation[] {
+  return violations.map(({ path, message }) => {
+    return { path: `${prefix}${path}`, message }
+  })
+}
+
+function escapeJsonPointer(token: string): string {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Creates the error for an unsuccessful response of the given operation
+ */
+function getOperationError<TSource, TContext, TArgs>(
+  operation: Operation,
+  url: URL,
+  response: LoadedResponse,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): Error {
+  return getResponseError(
+    operation.operationString,
+    operation.method,
+    operation.path,
+    url,
+    response,
+    data.options.provideErrorExtensions
+  )
+}
+
+/**
+ * Replaces the values of @oneOf input object types in the given argument value
+ * with the values of their only fields, i.e. the data of the member schemas
+ */
+function unwrapOneOfInputObjects(value: any, type: GraphQLInputType): any {
+  const nullableType = getNullableType(type)
+
+  if (value === null || typeof value !== 'object') {
+    return value
+  } else if (nullableType instanceof GraphQLList) {
+    return Array.isArray(value)
+      ? value.map((item) => {
+          return unwrapOneOfInputObjects(item, nullableType.ofType)
+        })
+      : value
+  } else if (nullableType instanceof GraphQLInputObjectType) {
+    const fields = nullableType.getFields()
+
+    if (nullableType.isOneOf) {
+      // GraphQL.js only validates @oneOf input objects as of v16.9.0
+      const fieldNames = Object.keys(value).filter((fieldName) => {
+        return value[fieldName] !== null && value[fieldName] !== undefined
+      })
+
+      if (fieldNames.length !== 1 || !(fieldNames[0] in fields)) {
+        throw new Error(
+          `OneOf Input Object "${nullableType.name}" must specify exactly one key.`
+        )
+      }
+
+      const [fieldName] = fieldNames
+      return unwrapOneOfInputObjects(value[fieldName], fields[fieldName].type)
+    }
+
+    const unwrappedValue = {}
+    Object.entries(value).forEach(([fieldName, fieldValue]) => {
+      unwrappedValue[fieldName] =
+        fieldName in fields
+          ? unwrapOneOfInputObjects(fieldValue, fields[fieldName].type)
+          : fieldValue
+    })
+
+    return unwrappedValue
+  }
+
+  return value
+}
+
+/**
+ * Returns the URL of the batch endpoint for a request to the given URL
+ *
+ * The URL does not yet contain the batch parameter, which is only added once
+ * all requests of a batch are known.
+ */
+function getBatchUrl<TSource, TContext, TArgs extends object>(
+  url: URL,
+  args: TArgs,
+  batch: BatchDefinition,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): URL {
+  const batchArgs = { ...args }
+  delete batchArgs[Oas3Tools.getSaneName(batch.parameter.name, data)]
+  delete batchArgs[Oas3Tools.getSaneName(batch.batchParameter.name, data)]
+
+  const { path } = extractRequestDataFromArgs(
+    batch.operation.path,
+    batch.operation.parameters,
+    batchArgs,
+    data
+  )
+
+  const batchUrl = new URL(
+    urljoin(
+      typeof data.options.baseUrl === 'string'
+        ? data.options.baseUrl
+        : Oas3Tools.getBaseUrl(batch.operation),
+      path
+    )
+  )
+
+  // Other query parameters, e.g. for authentication, also apply to the batch
+  url.searchParams.forEach((value, key) => {
+    if (!(batch.parameter.in === 'query' && key === batch.parameter.name)) {
+      batchUrl.searchParams.append(key, value)
+    }
+  })
+
+  return batchUrl
 }
 
 /**
@@ -1065,22 +1408,28 @@ function createOAuthHeader<TSource, TContext, TArgs>(
  * Return the headers and query strings to authenticate a request (if any).
  * Return authHeader and authQs, which hold headers and query parameters
  * respectively to authentication a request.
+ *
+ * All security schemes of the chosen security requirement are applied.
  */
 function getAuthOptions<TSource, TContext, TArgs>(
   operation: Operation,
   _openAPIToGraphQL: OpenAPIToGraphQLRoot<TSource, TContext, TArgs>,
-  data: PreprocessingData<TSource, TContext, TArgs>
-): AuthOptions {
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  missingContextCredentials: MissingContextCredential[] = []
+): AuthOptions<TContext> {
   const authHeaders = {}
   const authQs = {}
   let authCookie = null
+  const authenticators: AuthOptions<TContext>['authenticate'][] = []
 
   /**
-   * Determine if authentication is required, and which protocol (if any) we can
-   * use
+   * Determine if authentication is required, and which protocols (if any) we
+   * can use
    */
-  const { authRequired, securityRequirement, sanitizedSecurityRequirement } =
-    getAuthReqAndProtcolName(operation, _openAPIToGraphQL)
+  const { authRequired, securityRequirement } = getAuthReqAndProtcolName(
+    operation,
+    _openAPIToGraphQL
+  )
 
   // Possibly, we don't need to do anything:
   if (!authRequired) {
@@ -1088,16 +1437,58 @@ function getAuthOptions<TSource, TContext, TArgs>(
   }
 
   // If authentication is required, but we can't fulfill the protocol, throw:
-  if (authRequired && typeof securityRequirement !== 'string') {
+  if (authRequired && !Array.isArray(securityRequirement)) {
+    if (missingContextCredentials.length > 0) {
+      const { securityScheme, credential, path } = missingContextCredentials[0]
+      throw graphQLErrorWithExtensions(
+        `Missing credential '${credential}' of security scheme ` +
+          `'${securityScheme}' in the context at '${path}'`,
+        {
+          code: 'UNAUTHENTICATED',
+          securityScheme,
+          credential,
+          path
+        }
+      )
+    }
+
     throw new Error(`Missing information to authenticate API request.`)
   }
 
-  if (typeof securityRequirement === 'string') {
-    const security = data.security[securityRequirement]
+  for (let schemeKey of securityRequirement) {
+    const security = data.security[schemeKey]
+    const viewerCredentials =
+      _openAPIToGraphQL.security[
+        Oas3Tools.sanitize(schemeKey, Oas3Tools.CaseStyle.camelCase)
+      ]
+
+    if (typeof security.authProvider === 'object') {
+      const { authProvider } = security
+
+      // Credentials are passed to the viewers using sanitized names
+      const credentials = {}
+      authProvider.credentials.forEach((credential) => {
+        credentials[credential] =
+          viewerCredentials[
+            Oas3Tools.sanitize(credential, Oas3Tools.CaseStyle.camelCase)
+          ]
+      })
+
+      authenticators.push(async (request: AuthRequest, context: TContext) => {
+        await authProvider.authenticate({
+          request,
+          credentials,
+          securityScheme: security.def,
+          context
+        })
+      })
+
+      continue
+    }
+
     switch (security.def.type) {
       case 'apiKey':
-        const apiKey =
-          _openAPIToGraphQL.security[sanitizedSecurityRequirement].apiKey
+        const apiKey = viewerCredentials.apiKey
         if ('in' in security.def) {
           if (typeof security.def.name === 'string') {
             if (security.def.in === 'header') {
@@ -1105,7 +1496,9 @@ function getAuthOptions<TSource, TContext, TArgs>(
             } else if (security.def.in === 'query') {
               authQs[security.def.name] = apiKey
             } else if (security.def.in === 'cookie') {
-              authCookie = `${security.def.name}=${apiKey}`
+              const cookie = `${security.def.name}=${apiKey}`
+              authCookie =
+                authCookie === null ? cookie : `${authCookie}; ${cookie}`
             }
           } else {
             throw new Error(
@@ -1118,18 +1511,15 @@ function getAuthOptions<TSource, TContext, TArgs>(
       case 'http':
         switch (security.def.scheme) {
           case 'basic':
-            const username =
-              _openAPIToGraphQL.security[sanitizedSecurityRequirement].username
-            const password =
-              _openAPIToGraphQL.security[sanitizedSecurityRequirement].password
+            const username = viewerCredentials.username
+            const password = viewerCredentials.password
             const credentials = `${username}:${password}`
             authHeaders['Authorization'] = `Basic ${Buffer.from(
               credentials
             ).toString('base64')}`
             break
           case 'bearer':
-            const token =
-              _openAPIToGraphQL.security[sanitizedSecurityRequirement].token
+            const token = viewerCredentials.token
             authHeaders['Authorization'] = `Bearer ${token}`
             break
           default:
@@ -1144,19 +1534,111 @@ function getAuthOptions<TSource, TContext, TArgs>(
         break
 
       case 'openIdConnect':
+        const token = viewerCredentials.token
+        authHeaders['Authorization'] = `Bearer ${token}`
         break
 
       default:
         throw new Error(`Cannot recognize security type '${security.def.type}'`)
     }
   }
+
+  if (authenticators.length > 0) {
+    // Auth providers are applied one after the other, in order
+    const authenticate = async (request: AuthRequest, context: TContext) => {
+      for (let authenticator of authenticators) {
+        await authenticator(request, context)
+      }
+    }
+
+    return { authHeaders, authQs, authCookie, authenticate }
+  }
+
   return { authHeaders, authQs, authCookie }
 }
 
+/**
+ * Extracts the credentials of the security schemes required by the given
+ * operation from the GraphQL context, if the contextCredentials option provides
+ * their JSONPaths
+ *
+ * Credentials are returned in the same structure that viewers pass them in.
+ * Credentials that cannot be found in the context are returned separately.
+ */
+function getContextSecurity<TSource, TContext, TArgs>(
+  operation: Operation,
+  context: TContext,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): {
+  contextSecurity: { [saneProtocolName: string]: any }
+  missingContextCredentials: MissingContextCredential[]
+} {
+  const contextSecurity = {}
+  const missingContextCredentials: MissingContextCredential[] = []
+
+  const schemeKeys = new Set<string>()
+  if (Array.isArray(operation.securityRequirements)) {
+    operation.securityRequirements.forEach((securityRequirement) => {
+      securityRequirement.forEach((schemeKey) => schemeKeys.add(schemeKey))
+    })
+  }
+
+  schemeKeys.forEach((schemeKey) => {
+    const { contextCredentials } = data.security[schemeKey]
+    if (typeof contextCredentials !== 'object') {
+      return
+    }
+
+    const credentials = {}
+    for (let credential in contextCredentials) {
+      const path = contextCredentials[credential]
+      const values =
+        typeof context === 'object' && context !== null
+          ? JSONPath({
+              path,
+              json: context as unknown as object
+            })
+          : []
+
+      if (
+        Array.isArray(values) &&
+        values.length > 0 &&
+        typeof values[0] !== 'undefined' &&
+        values[0] !== null
+      ) {
+        credentials[
+          Oas3Tools.sanitize(credential, Oas3Tools.CaseStyle.camelCase)
+        ] = values[0]
+      } else {
+        missingContextCredentials.push({
+          securityScheme: schemeKey,
+          credential,
+          path
+        })
+      }
+    }
+
+    if (
+      !missingContextCredentials.some((missingCredential) => {
+        return missingCredential.securityScheme === schemeKey
+      })
+    ) {
+      contextSecurity[
+        Oas3Tools.sanitize(schemeKey, Oas3Tools.CaseStyle.camelCase)
+      ] = credentials
+    }
+  })
+
+  return { contextSecurity, missingContextCredentials }
+}
+
 /**
  * Determines whether a given operation requires authentication, and which of
- * the (possibly multiple) authentication protocols can be used based on the
+ * the (possibly multiple) security requirements can be satisfied based on the
  * data present in the given context.
+ *
+ * Security requirements are tried in order. A security requirement can only be
+ * satisfied if credentials for all of its security schemes are present.
  */
 function getAuthReqAndProtcolName<TSource, TContext, TArgs>(
   operation: Operation,
@@ -1170,18 +1652,20 @@ function getAuthReqAndProtcolName<TSource, TContext, TArgs>(
     authRequired = true
 
     for (let securityRequirement of operation.securityRequirements) {
-      const sanitizedSecurityRequirement = Oas3Tools.sanitize(
-        securityRequirement,
-        Oas3Tools.CaseStyle.camelCase
-      )
       if (
-        typeof _openAPIToGraphQL.security[sanitizedSecurityRequirement] ===
-        'object'
+        securityRequirement.every((schemeKey) => {
+          const sanitizedSchemeKey = Oas3Tools.sanitize(
+            schemeKey,
+            Oas3Tools.CaseStyle.camelCase
+          )
+          return (
+            typeof _openAPIToGraphQL.security[sanitizedSchemeKey] === 'object'
+          )
+        })
       ) {
         return {
           authRequired,
-          securityRequirement,
-          sanitizedSecurityRequirement
+          securityRequirement
         }
       }
     }
@@ -1191,149 +1675,13 @@ function getAuthReqAndProtcolName<TSource, TContext, TArgs>(
   }
 }
 
-/**
- * Given a link parameter or callback path, determine the value from the runtime
- * expression
- *
- * The link parameter or callback path is a reference to data contained in the
- * url/method/statuscode or response/request body/query/path/header
- */
-function resolveRuntimeExpression(
-  paramName: string,
-  runtimeExpression: string,
-  resolveData: any,
-  root: any,
-  args: any
-): any {
-  if (runtimeExpression === '$url') {
-    return resolveData.url
-  } else if (runtimeExpression === '$method') {
-    return resolveData.usedRequestOptions.method
-  } else if (runtimeExpression === '$statusCode') {
-    return resolveData.usedStatusCode
-  } else if (runtimeExpression.startsWith('$request.')) {
-    // CASE: parameter is previous body
-    if (runtimeExpression === '$request.body') {
-      return resolveData.usedPayload
-
-      // CASE: parameter in previous body
-    } else if (runtimeExpression.startsWith('$request.body#')) {
-      const tokens = JSONPath({
-        path: runtimeExpression.split('body#/')[1],
-        json: resolveData.usedPayload
-      })
-      if (Array.isArray(tokens) && tokens.length > 0) {
-        return tokens[0]
-      } else {
-        httpLog(`Warning: could not extract parameter '${paramName}' from link`)
-      }
-
-      // CASE: parameter in previous query parameter
-    } else if (runtimeExpression.startsWith('$request.query')) {
-      return resolveData.usedParams[
-        Oas3Tools.sanitize(
-          runtimeExpression.split('query.')[1],
-          Oas3Tools.CaseStyle.camelCase
-        )
-      ]
-
-      // CASE: parameter in previous path parameter
-    } else if (runtimeExpression.startsWith('$request.path')) {
-      return resolveData.usedParams[
-        Oas3Tools.sanitize(
-          runtimeExpression.split('path.')[1],
-          Oas3Tools.CaseStyle.camelCase
-        )
-      ]
-
-      // CASE: parameter in previous header parameter
-    } else if (runtimeExpression.startsWith('$request.header')) {
-      return resolveData.usedRequestOptions.headers[
-        runtimeExpression.split('header.')[1]
-      ]
-    }
-  } else if (runtimeExpression.startsWith('$response.')) {
-    /**
-     * CASE: parameter is body
-     *
-     * NOTE: may not be used because it implies that the operation does not
-     * return a JSON object and OpenAPI-to-GraphQL does not create GraphQL
-     * objects for non-JSON data and links can only exists between objects.
-     */
-    if (runtimeExpression === '$response.body') {
-      const result = JSON.parse(JSON.stringify(root))
-      /**
-       * _openAPIToGraphQL contains data used by OpenAPI-to-GraphQL to create the GraphQL interface
-       * and should not be exposed
-       */
-      result._openAPIToGraphQL = undefined
-      return result
-
-      // CASE: parameter in body
-    } else if (runtimeExpression.startsWith('$response.body#')) {
-      return JSONPointer.get(root, runtimeExpression.split('body#')[1])
-
-      // CASE: parameter in query parameter
-    } else if (runtimeExpression.startsWith('$response.query')) {
-      // NOTE: handled the same way $request.query is handled
-      return resolveData.usedParams[
-        Oas3Tools.sanitize(
-          runtimeExpression.split('query.')[1],
-          Oas3Tools.CaseStyle.camelCase
-        )
-      ]
-
-      // CASE: parameter in path parameter
-    } else if (runtimeExpression.startsWith('$response.path')) {
-      // NOTE: handled the same way $request.path is handled
-      return resolveData.usedParams[
-        Oas3Tools.sanitize(
-          runtimeExpression.split('path.')[1],
-          Oas3Tools.CaseStyle.camelCase
-        )
-      ]
-
-      // CASE: parameter in header parameter
-    } else if (runtimeExpression.startsWith('$response.header')) {
-      return resolveData.responseHeaders[runtimeExpression.split('header.')[1]]
-    }
-  }
-
-  throw new Error(
-    `Cannot resolve link because '${runtimeExpression}' is an invalid runtime expression.`
-  )
-}
-
-/**
- * Check if a string is a runtime expression in the context of link parameters
- */
-function isRuntimeExpression(str: string): boolean {
-  if (str === '$url' || str === '$method' || str === '$statusCode') {
-    return true
-  } else if (str.startsWith('$request.')) {
-    for (let i = 0; i < RUNTIME_REFERENCES.length; i++) {
-      if (str.startsWith(`$request.${RUNTIME_REFERENCES[i]}`)) {
-        return true
-      }
-    }
-  } else if (str.startsWith('$response.')) {
-    for (let i = 0; i < RUNTIME_REFERENCES.length; i++) {
-      if (str.startsWith(`$response.${RUNTIME_REFERENCES[i]}`)) {
-        return true
-      }
-    }
-  }
-
-  return false
-}
-
 /**
  * From the info object provided by the resolver, get a unique identifier, which
  * is the path formed from the nested field names (or aliases if provided)
  *
  * Used to store and retrieve the _openAPIToGraphQL of parent field
  */
-function getIdentifier(info): string {
+export function getIdentifier(info): string {
   return getIdentifierRecursive(info.path)
 }
 
@@ -1362,16 +1710,6 @@ function getIdentifierRecursive(path): string {
     : getIdentifierRecursive(path.prev)
 }
 
-/**
- * Create a new GraphQLError with an extensions field
- */
-function graphQLErrorWithExtensions(
-  message: string,
-  extensions: { [key: string]: any }
-): GraphQLError {
-  return new GraphQLError(message, null, null, null, null, null, extensions)
-}
-
 /**
  * Extracts data from the GraphQL arguments of a particular field
  *
@@ -1392,95 +1730,12 @@ export function extractRequestDataFromArgs<
   qs: { [key: string]: string }
   headers: { [key: string]: string }
 } {
-  const qs = {}
-  const headers = {}
-
-  // Iterate parameters:
-  for (const param of parameters) {
-    const saneParamName = Oas3Tools.sanitize(
-      param.name,
-      !data.options.simpleNames
-        ? Oas3Tools.CaseStyle.camelCase
-        : Oas3Tools.CaseStyle.simple
-    )
-
-    if (saneParamName && saneParamName in args) {
-      switch (param.in) {
-        // Path parameters
-        case 'path':
-          path = path.replace(`{${param.name}}`, args[saneParamName])
-          break
-
-        // Query parameters
-        case 'query':
-          // setting param style as form assumes explode is true by default
-          if (
-            param.style === 'form' &&
-            typeof args[saneParamName] === 'object'
-          ) {
-            if (param.explode === false) {
-              qs[param.name] = Object.entries(args[saneParamName]).reduce(
-                (acc, val) => {
-                  acc += val.join(',')
-                  return acc
-                },
-                ''
-              )
-            } else {
-              Object.entries(args[saneParamName]).forEach(([key, value]) => {
-                qs[key] = value
-              })
-            }
-          } else if (
-            Array.isArray(args[saneParamName]) &&
-            param.style === 'form' &&
-            param.explode !== false
-          ) {
-            qs[param.name] = args[saneParamName].join(',')
-          } else {
-            qs[param.name] = args[saneParamName]
-          }
-          break
-
-        // Header parameters
-        case 'header':
-          headers[param.name] = args[saneParamName]
-          break
-
-        // Cookie parameters
-        case 'cookie':
-          if (!('cookie' in headers)) {
-            headers['cookie'] = ''
-          }
-
-          headers['cookie'] += `${param.name}=${args[saneParamName]}; `
-          break
-
-        default:
-          httpLog(
-            `Warning: The parameter location '${param.in}' in the ` +
-              `parameter '${param.name}' of operation '${path}' is not ` +
-              `supported`
-          )
-      }
-    }
-  }
-
-  return { path, qs, headers }
-}
-
-const setSearchParamsFromObj = (url: URL, obj: any, path: string[]) => {
-  for (const key in obj) {
-    const val = obj[key]
-    const newPath = [...path, key]
-    if (typeof val === 'object') {
-      setSearchParamsFromObj(url, val, newPath)
-    } else {
-      const finalKey = newPath.reduce(
-        (acc, pathElem, i) => (i === 0 ? pathElem : `${acc}[${pathElem}]`),
-        ''
-      )
-      url.searchParams.set(finalKey, val)
-    }
-  }
+  return extractRequestData(
+    path,
+    parameters,
+    args,
+    !data.options.simpleNames
+      ? Oas3Tools.CaseStyle.camelCase
+      : Oas3Tools.CaseStyle.simple
+  )
 }
@@ -0,0 +1,248 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to cache the responses of GET requests made by resolve functions,
+ * following the Cache-Control, Expires, Vary, ETag, and Last-Modified headers.
+ */
+
+// Imports:
+import { Headers } from 'cross-fetch'
+import { debug } from 'debug'
+import { getRequestKey, LoadedResponse, LoadResponse } from './request_loader'
+import { headersToObject } from './runtime'
+
+const httpLog = debug('http')
+
+/**
+ * A serializable representation of a cached response
+ */
+export type CachedResponse = {
+  status: number
+  statusText: string
+  headers: { [key: string]: string }
+  body: string
+
+  /**
+   * Time (in milliseconds since the epoch) until which the response can be
+   * used without revalidating it with the API
+   */
+  expiresAt: number
+}
+
+/**
+ * A store for cached responses
+ *
+ * Methods may return promises so that external stores (e.g. Redis) can be
+ * used.
+ */
+export type ResponseCache = {
+  get: (
+    key: string
+  ) => CachedResponse | undefined | Promise<CachedResponse | undefined>
+  set: (key: string, response: CachedResponse) => void | Promise<void>
+  delete: (key: string) => void | Promise<void>
+}
+
+/**
+ * Create an in-memory response cache that evicts the least recently used
+ * response once it holds more than the given number of responses
+ */
+export function createMemoryResponseCache(maxSize = 1000): ResponseCache {
+  // Maps preserve the insertion order, so the first key is the least recent
+  const responses = new Map<string, CachedResponse>()
+
+  return {
+    get: (key) => {
+      const response = responses.get(key)
+      if (typeof response !== 'undefined') {
+        responses.delete(key)
+        responses.set(key, response)
+      }
+      return response
+    },
+    set: (key, response) => {
+      responses.delete(key)
+      responses.set(key, response)
+
+      if (responses.size > maxSize) {
+        responses.delete(responses.keys().next().value)
+      }
+    },
+    delete: (key) => {
+      responses.delete(key)
+    }
+  }
+}
+
+/**
+ * Wrap the given function to make requests so that responses are served from
+ * the given cache if possible
+ *
+ * @param ttl Overrides the freshness lifetime (in seconds) of responses that
+ * is otherwise given by the Cache-Control and Expires headers
+ */
+export function getCachedLoadResponse(
+  cache: ResponseCache,
+  loadResponse: LoadResponse,
+  ttl?: number
+): LoadResponse {
+  return async (url, options) => {
+    const key = getRequestKey(url, options)
+    const cachedResponse = await cache.get(key)
+
+    if (
+      typeof cachedResponse === 'object' &&
+      cachedResponse.expiresAt > Date.now()
+    ) {
+      httpLog(`Use cached response of ${options.method.toUpperCase()} ${url}`)
+      return toLoadedResponse(cachedResponse)
+    }
+
+    // Revalidate stale responses
+    let requestOptions = options
+    if (typeof cachedResponse === 'object') {
+      const conditionalHeaders = {}
+      if (typeof cachedResponse.headers['etag'] === 'string') {
+        conditionalHeaders['if-none-match'] = cachedResponse.headers['etag']
+      }
+      if (typeof cachedResponse.headers['last-modified'] === 'string') {
+        conditionalHeaders['if-modified-since'] =
+          cachedResponse.headers['last-modified']
+      }
+
+      requestOptions = {
+        ...options,
+        headers: { ...options.headers, ...conditionalHeaders }
+      }
+    }
+
+    const response = await loadResponse(url, requestOptions)
+
+    if (typeof cachedResponse === 'object' && response.status === 304) {
+      httpLog(`Revalidated cached response of ${url}`)
+
+      const headers = {
+        ...cachedResponse.headers,
+        ...headersToObject(response.headers)
+      }
+      const expiresAt = getExpiresAt(new Headers(headers), ttl)
+      const revalidatedResponse: CachedResponse = {
+        ...cachedResponse,
+        headers,
+        expiresAt
+      }
+
+      if (typeof expiresAt === 'number') {
+        await cache.set(key, revalidatedResponse)
+      } else {
+        await cache.delete(key)
+      }
+      return toLoadedResponse(revalidatedResponse)
+    }
+
+    if (response.status === 200) {
+      const expiresAt = getExpiresAt(response.headers, ttl)
+
+      if (
+        typeof expiresAt === 'number' &&
+        (expiresAt > Date.now() ||
+          response.headers.has('etag') ||
+          response.headers.has('last-modified'))
+      ) {
+        await cache.set(key, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: headersToObject(response.headers),
+          body: response.body,
+          expiresAt
+        })
+      } else if (typeof cachedResponse === 'object') {
+        await cache.delete(key)
+      }
+    }
+
+    return response
+  }
+}
+
+/**
+ * Returns the time until which a response with the given headers is fresh, or
+ * undefined if it must not be stored
+ *
+ * The ttl only overrides the freshness lifetime, so responses that must not be
+ * stored are never stored.
+ */
+function getExpiresAt(headers: Headers, ttl?: number): number | undefined {
+  const now = Date.now()
+  const cacheControl = parseCacheControl(headers.get('cache-control'))
+
+  /**
+   * The cache is shared by all clients of the GraphQL interface, so private
+   * responses must not be stored.
+   *
+   * Responses are stored by URL and request headers, which honors the Vary
+   * header, unless it contains '*', i.e. the response depends on more than the
+   * request.
+   */
+  if (
+    'no-store' in cacheControl ||
+    'private' in cacheControl ||
+    (headers.get('vary') || '')
+      .split(',')
+      .some((fieldName) => fieldName.trim() === '*')
+  ) {
+    return undefined
+  } else if (typeof ttl === 'number') {
+    return now + ttl * 1000
+  } else if ('no-cache' in cacheControl) {
+    return now
+  } else if ('max-age' in cacheControl) {
+    const maxAge = parseInt(cacheControl['max-age'], 10)
+    const age = parseInt(headers.get('age'), 10)
+
+    if (isNaN(maxAge)) {
+      return now
+    }
+    return now + (maxAge - (isNaN(age) ? 0 : age)) * 1000
+  } else if (headers.has('expires')) {
+    const expires = Date.parse(headers.get('expires'))
+    const date = Date.parse(headers.get('date'))
+
+    if (isNaN(expires)) {
+      return now
+    }
+    return now + expires - (isNaN(date) ? now : date)
+  }
+
+  return now
+}
+
+/**
+ * Parse the directives of a Cache-Control header, e.g.
+ * 'max-age=60, must-revalidate' becomes
+ * { 'max-age': '60', 'must-revalidate': '' }
+ */
+function parseCacheControl(header: string | null): { [key: string]: string } {
+  const directives = {}
+  if (typeof header === 'string') {
+    header.split(',').forEach((directive) => {
+      const [name, value = ''] = directive.trim().split('=')
+      if (name !== '') {
+        directives[name.toLowerCase()] = value.replace(/^"|"$/g, '')
+      }
+    })
+  }
+  return directives
+}
+
+function toLoadedResponse(cachedResponse: CachedResponse): LoadedResponse {
+  return {
+    status: cachedResponse.status,
+    statusText: cachedResponse.statusText,
+    headers: new Headers(cachedResponse.headers),
+    body: cachedResponse.body
+  }
+}
@@ -0,0 +1,888 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * The runtime of the modules created by generateTypeScriptModule, i.e.
+ * functions to build requests from GraphQL arguments, to invoke operations,
+ * and to build executable schemas from type definitions and resolvers.
+ *
+ * Unlike the rest of the library, the runtime does not process OASs. The
+ * resolve functions created by createGraphQLSchema use it to build requests
+ * as well.
+ */
+
+// Type imports:
+import {
+  buildSchema,
+  GraphQLDirective,
+  GraphQLEnumType,
+  GraphQLEnumValueConfigMap,
+  GraphQLError,
+  GraphQLFieldConfigArgumentMap,
+  GraphQLFieldConfigMap,
+  GraphQLFieldResolver,
+  GraphQLInputFieldConfigMap,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLList,
+  GraphQLNamedType,
+  GraphQLNonNull,
+  GraphQLObjectType,
+  GraphQLResolveInfo,
+  GraphQLSchema,
+  GraphQLType,
+  GraphQLTypeResolver,
+  GraphQLUnionType,
+  isAbstractType,
+  isEnumType,
+  isInputObjectType,
+  isInterfaceType,
+  isIntrospectionType,
+  isListType,
+  isNonNullType,
+  isObjectType,
+  isScalarType,
+  isSpecifiedDirective,
+  isUnionType
+} from 'graphql'
+import { ParameterObject } from './types/oas3'
+import { ResolverMap } from './schema_binding'
+
+// Imports:
+import crossFetch from 'cross-fetch'
+import formurlencoded from 'form-urlencoded'
+import { JSONPath } from 'jsonpath-plus'
+import * as JSONPointer from 'jsonpointer'
+import urljoin from 'url-join'
+import { debug } from 'debug'
+import * as Oas3Tools from './oas_3_tools'
+
+const httpLog = debug('http')
+
+const RUNTIME_REFERENCES = ['header.', 'query.', 'path.', 'body']
+
+export { ResolverMap }
+
+/**
+ * An operation that a field of a generated module invokes
+ */
+export type RuntimeOperation = {
+  // Title of the OAS that contains the operation
+  title: string
+
+  // Path of the operation
+  path: string
+
+  // HTTP method of the operation
+  method: string
+
+  // Base URL of the operation, which the baseUrl option overrides
+  baseUrl: string
+
+  // The parameters of the operation
+  parameters: Pick<ParameterObject, 'name' | 'in' | 'style' | 'explode'>[]
+
+  // The argument of the field that contains the request body, if any
+  requestBody?: {
+    argName: string
+    contentType: string
+
+    // Original names of the sanitized properties of the request body
+    saneMap: { [saneName: string]: string }
+  }
+
+  // Content type of the response, which is sent in the Accept header
+  responseContentType?: string
+
+  /**
+   * The parameters of the operation that a link fills in, which map to
+   * runtime expressions or constants
+   */
+  linkParameters?: { [parameterName: string]: any }
+
+  // Whether the schema was created with the simpleNames option
+  simpleNames?: boolean
+}
+
+export type RuntimeOptions = {
+  // Overrides the base URLs of all operations
+  baseUrl?: string
+
+  // Headers to send with every request
+  headers?:
+    | { [key: string]: string }
+    | ((
+        method: string,
+        path: string,
+        title: string,
+        resolverParams?: {
+          source: any
+          args: any
+          context: any
+          info: GraphQLResolveInfo
+        }
+      ) => { [key: string]: string })
+
+  // Query parameters to send with every request
+  qs?: { [key: string]: string }
+
+  // Whether errors contain the details of unsuccessful responses
+  provideErrorExtensions?: boolean
+
+  // Overrides the fetch function used to make requests
+  fetch?: typeof crossFetch
+}
+
+/**
+ * The request that returned an object and its response, which the runtime
+ * expressions of links and callbacks refer to
+ */
+export type RequestData = {
+  // URL of the request without the query string
+  url?: string
+
+  // Arguments of the field, i.e. the sanitized parameters
+  usedParams?: { [argName: string]: any }
+
+  // Body of the request
+  usedPayload?: any
+
+  usedRequestOptions?: { method?: string; headers?: any }
+  usedStatusCode?: string
+  responseHeaders?: HeadersInit
+}
+
+/**
+ * The requests that objects were returned by
+ */
+const requestData = new WeakMap<object, RequestData>()
+
+/**
+ * Returns a resolve function that invokes the given operation
+ */
+export function createOperationResolver(
+  operation: RuntimeOperation,
+  options: RuntimeOptions = {}
+): GraphQLFieldResolver<any, any> {
+  const { title, path, method } = operation
+  const operationString = Oas3Tools.formatOperationString(method, path)
+  const caseStyle = operation.simpleNames
+    ? Oas3Tools.CaseStyle.simple
+    : Oas3Tools.CaseStyle.camelCase
+  const fetch = options.fetch || crossFetch
+
+  return async (source, args, context, info) => {
+    args = { ...args }
+
+    // Fill in the parameters of links
+    if (typeof operation.linkParameters === 'object') {
+      const sourceRequestData =
+        typeof source === 'object' && source !== null
+          ? requestData.get(source) || {}
+          : {}
+
+      Object.entries(operation.linkParameters).forEach(
+        ([parameterName, value]) => {
+          args[Oas3Tools.sanitize(parameterName, caseStyle)] =
+            resolveLinkParameter(
+              parameterName,
+              value,
+              sourceRequestData,
+              source,
+              caseStyle
+            )
+        }
+      )
+    }
+
+    const request = extractRequestData(
+      path,
+      operation.parameters,
+      args,
+      caseStyle
+    )
+    const url = new URL(
+      urljoin(options.baseUrl || operation.baseUrl, request.path)
+    )
+    const headers = request.headers
+
+    let body: any
+    if (
+      typeof operation.requestBody === 'object' &&
+      typeof args[operation.requestBody.argName] !== 'undefined'
+    ) {
+      const { argName, contentType, saneMap } = operation.requestBody
+
+      body = serializeRequestBody(args[argName], contentType, saneMap)
+      headers['content-type'] = contentType
+    }
+
+    headers['accept'] = operation.responseContentType || 'application/json'
+
+    if (typeof options.headers === 'object') {
+      Object.assign(headers, options.headers)
+    } else if (typeof options.headers === 'function') {
+      Object.assign(
+        headers,
+        options.headers(method, path, title, { source, args, context, info })
+      )
+    }
+
+    if (typeof options.qs === 'object') {
+      Object.assign(request.qs, options.qs)
+    }
+    setSearchParamsFromObj(url, request.qs, [])
+
+    httpLog(`Call ${operationString} at ${url.toString()}`)
+    const response = await fetch(url.toString(), { method, headers, body })
+    const responseBody = await response.text()
+    httpLog(`${response.status} - ${Oas3Tools.trim(responseBody, 100)}`)
+
+    if (!response.ok) {
+      throw getResponseError(
+        operationString,
+        method,
+        path,
+        url,
+        {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers,
+          body: responseBody
+        },
+        options.provideErrorExtensions !== false
+      )
+    }
+
+    const saneData = getResponseData(
+      operationString,
+      responseBody,
+      response.headers.get('content-type') || '',
+      caseStyle
+    )
+
+    const objectRequestData: RequestData = {
+      url: url.toString().replace(url.search, ''),
+      usedParams: args,
+      usedPayload: body,
+      usedRequestOptions: { method, headers },
+      usedStatusCode: String(response.status),
+      responseHeaders: headersToObject(response.headers)
+    }
+
+    const objects = Array.isArray(saneData) ? saneData : [saneData]
+    objects.forEach((object) => {
+      if (typeof object === 'object' && object !== null) {
+        requestData.set(object, objectRequestData)
+      }
+    })
+
+    return saneData
+  }
+}
+
+/**
+ * Returns an executable schema built from the given type definitions, whose
+ * fields use the resolve functions in the given resolver map
+ *
+ * Type definitions cannot contain the values of enum types, which the API
+ * sends and expects, so they are replaced by the given ones.
+ */
+export function buildExecutableSchema(
+  typeDefs: string,
+  resolvers: ResolverMap,
+  enumValues: { [typeName: string]: { [valueName: string]: any } } = {}
+): GraphQLSchema {
+  const schema = buildSchema(typeDefs)
+
+  Object.keys(enumValues).forEach((typeName) => {
+    if (!isEnumType(schema.getType(typeName))) {
+      throw new Error(`Cannot set values of unknown enum type '${typeName}'`)
+    }
+  })
+
+  Object.entries(resolvers).forEach(([typeName, fieldResolvers]) => {
+    const type = schema.getType(typeName)
+    if (isAbstractType(type)) {
+      return
+    } else if (!isObjectType(type)) {
+      throw new Error(
+        `Cannot add resolvers to unknown object type '${typeName}'`
+      )
+    }
+
+    const fields = type.getFields()
+    Object.keys(fieldResolvers).forEach((fieldName) => {
+      if (!(fieldName in fields)) {
+        throw new Error(
+          `Cannot add resolver to unknown field '${fieldName}' of type ` +
+            `'${typeName}'`
+        )
+      }
+    })
+  })
+
+  return rebuildSchema(schema, resolvers, enumValues)
+}
+
+/**
+ * Returns a copy of the given schema whose types contain the given resolvers
+ * and enum values
+ *
+ * Types cannot be changed once they are created, so all types are created
+ * again, referring to each other rather than to the types of the given schema.
+ */
+function rebuildSchema(
+  schema: GraphQLSchema,
+  resolvers: ResolverMap,
+  enumValues: { [typeName: string]: { [valueName: string]: any } }
+): GraphQLSchema {
+  const schemaConfig = schema.toConfig()
+  const typeMap: { [typeName: string]: GraphQLNamedType } = {}
+
+  const getOwn = <T>(object: { [key: string]: T }, key: string): T => {
+    return Object.prototype.hasOwnProperty.call(object, key)
+      ? object[key]
+      : undefined
+  }
+
+  const replaceNamedType = <T extends GraphQLNamedType>(type: T): T => {
+    return typeMap[type.name] as T
+  }
+
+  const replaceType = <T extends GraphQLType>(type: T): T => {
+    if (isListType(type)) {
+      return new GraphQLList(replaceType(type.ofType)) as T
+    } else if (isNonNullType(type)) {
+      return new GraphQLNonNull(replaceType(type.ofType)) as T
+    }
+
+    return replaceNamedType(type as GraphQLNamedType) as T
+  }
+
+  const replaceArgs = (
+    args: GraphQLFieldConfigArgumentMap
+  ): GraphQLFieldConfigArgumentMap => {
+    const newArgs: GraphQLFieldConfigArgumentMap = {}
+    Object.entries(args).forEach(([argName, arg]) => {
+      newArgs[argName] = { ...arg, type: replaceType(arg.type) }
+    })
+
+    return newArgs
+  }
+
+  const replaceFields = (
+    fields: GraphQLFieldConfigMap<any, any>,
+    typeName: string
+  ): GraphQLFieldConfigMap<any, any> => {
+    const fieldResolvers = getOwn(resolvers, typeName) ?? {}
+
+    const newFields: GraphQLFieldConfigMap<any, any> = {}
+    Object.entries(fields).forEach(([fieldName, field]) => {
+      newFields[fieldName] = {
+        ...field,
+        type: replaceType(field.type),
+        args: replaceArgs(field.args)
+      }
+
+      const resolver = getOwn(fieldResolvers, fieldName)
+      if (typeof resolver === 'function') {
+        newFields[fieldName].resolve = resolver as GraphQLFieldResolver<
+          any,
+          any
+        >
+      } else if (typeof resolver === 'object') {
+        newFields[fieldName].resolve = resolver.resolve
+        newFields[fieldName].subscribe = resolver.subscribe
+      }
+    })
+
+    return newFields
+  }
+
+  const getTypeResolver = (
+    typeName: string
+  ): GraphQLTypeResolver<any, any> | undefined => {
+    const typeResolvers = getOwn(resolvers, typeName) ?? {}
+    return getOwn(typeResolvers, '__resolveType') as GraphQLTypeResolver<
+      any,
+      any
+    >
+  }
+
+  const buildType = (type: GraphQLNamedType): GraphQLNamedType => {
+    if (isScalarType(type) || isIntrospectionType(type)) {
+      return type
+    } else if (isObjectType(type)) {
+      const config = type.toConfig()
+      return new GraphQLObjectType({
+        ...config,
+        interfaces: () => config.interfaces.map(replaceNamedType),
+        fields: () => replaceFields(config.fields, type.name)
+      })
+    } else if (isInterfaceType(type)) {
+      const config = type.toConfig()
+      return new GraphQLInterfaceType({
+        ...config,
+        interfaces: () => config.interfaces.map(replaceNamedType),
+        fields: () => replaceFields(config.fields, type.name),
+        resolveType: getTypeResolver(type.name)
+      })
+    } else if (isUnionType(type)) {
+      const config = type.toConfig()
+      return new GraphQLUnionType({
+        ...config,
+        types: () => config.types.map(replaceNamedType),
+        resolveType: getTypeResolver(type.name)
+      })
+    } else if (isEnumType(type)) {
+      const config = type.toConfig()
+      const values = getOwn(enumValues, type.name) ?? {}
+
+      const newValues: GraphQLEnumValueConfigMap = {}
+      Object.entries(config.values).forEach(([valueName, value]) => {
+        newValues[valueName] = Object.prototype.hasOwnProperty.call(
+          values,
+          valueName
+        )
+          ? { ...value, value: values[valueName] }
+          : value
+      })
+
+      return new GraphQLEnumType({ ...config, values: newValues })
+    } else if (isInputObjectType(type)) {
+      const config = type.toConfig()
+      return new GraphQLInputObjectType({
+        ...config,
+        fields: () => {
+          const newFields: GraphQLInputFieldConfigMap = {}
+          Object.entries(config.fields).forEach(([fieldName, field]) => {
+            newFields[fieldName] = { ...field, type: replaceType(field.type) }
+          })
+
+          return newFields
+        }
+      })
+    }
+  }
+
+  schemaConfig.types.forEach((type) => {
+    typeMap[type.name] = buildType(type)
+  })
+
+  return new GraphQLSchema({
+    ...schemaConfig,
+    types: Object.values(typeMap),
+    query: schemaConfig.query && replaceNamedType(schemaConfig.query),
+    mutation: schemaConfig.mutation && replaceNamedType(schemaConfig.mutation),
+    subscription:
+      schemaConfig.subscription && replaceNamedType(schemaConfig.subscription),
+    directives: schemaConfig.directives.map((directive) => {
+      if (isSpecifiedDirective(directive)) {
+        return directive
+      }
+
+      const config = directive.toConfig()
+      return new GraphQLDirective({ ...config, args: replaceArgs(config.args) })
+    })
+  })
+}
+
+/**
+ * Returns the value of a parameter that a link or a callback fills in, which
+ * may be or contain runtime expressions
+ *
+ * The runtime expressions may refer to the object that contains the link and
+ * to the request that returned it.
+ */
+export function resolveLinkParameter(
+  paramName: string,
+  value: any,
+  requestData: RequestData,
+  source: any,
+  caseStyle: Oas3Tools.CaseStyle
+): any {
+  if (typeof value === 'object' && value !== null) {
+    const resolvedValue = {}
+    Object.entries(value).forEach(([key, nestedValue]) => {
+      resolvedValue[key] = resolveLinkParameter(
+        paramName,
+        nestedValue,
+        requestData,
+        source,
+        caseStyle
+      )
+    })
+
+    return resolvedValue
+  } else if (typeof value !== 'string') {
+    return value
+  } else if (value.search(/{|}/) === -1) {
+    return isRuntimeExpression(value)
+      ? resolveRuntimeExpression(
+          paramName,
+          value,
+          requestData,
+          source,
+          caseStyle
+        )
+      : value
+  }
+
+  // Replace the embedded runtime expressions
+  return value.replace(/{([^}]*)}/g, (match, runtimeExpression) => {
+    return resolveRuntimeExpression(
+      paramName,
+      runtimeExpression,
+      requestData,
+      source,
+      caseStyle
+    )
+  })
+}
+
+/**
+ * Given a link parameter or callback path, determine the value from the runtime
+ * expression
+ *
+ * The link parameter or callback path is a reference to data contained in the
+ * url/method/statuscode or response/request body/query/path/header
+ */
+function resolveRuntimeExpression(
+  paramName: string,
+  runtimeExpression: string,
+  requestData: RequestData,
+  root: any,
+  caseStyle: Oas3Tools.CaseStyle
+): any {
+  const { usedParams = {}, usedRequestOptions = {} } = requestData
+
+  if (runtimeExpression === '$url') {
+    return requestData.url
+  } else if (runtimeExpression === '$method') {
+    return usedRequestOptions.method
+  } else if (runtimeExpression === '$statusCode') {
+    return requestData.usedStatusCode
+  } else if (runtimeExpression.startsWith('$request.')) {
+    // CASE: parameter is previous body
+    if (runtimeExpression === '$request.body') {
+      return requestData.usedPayload
+
+      // CASE: parameter in previous body
+    } else if (runtimeExpression.startsWith('$request.body#')) {
+      const tokens = JSONPath({
+        path: runtimeExpression.split('body#/')[1],
+        json: requestData.usedPayload
+      })
+      if (Array.isArray(tokens) && tokens.length > 0) {
+        return tokens[0]
+      } else {
+        httpLog(`Warning: could not extract parameter '${paramName}' from link`)
+      }
+
+      // CASE: parameter in previous query parameter
+    } else if (runtimeExpression.startsWith('$request.query')) {
+      return usedParams[
+        Oas3Tools.sanitize(runtimeExpression.split('query.')[1], caseStyle)
+      ]
+
+      // CASE: parameter in previous path parameter
+    } else if (runtimeExpression.startsWith('$request.path')) {
+      return usedParams[
+        Oas3Tools.sanitize(runtimeExpression.split('path.')[1], caseStyle)
+      ]
+
+      // CASE: parameter in previous header parameter
+    } else if (runtimeExpression.startsWith('$request.header')) {
+      return usedRequestOptions.headers[runtimeExpression.split('header.')[1]]
+    }
+  } else if (runtimeExpression.startsWith('$response.')) {
+    /**
+     * CASE: parameter is body
+     *
+     * NOTE: may not be used because it implies that the operation does not
+     * return a JSON object and OpenAPI-to-GraphQL does not create GraphQL
+     * objects for non-JSON data and links can only exists between objects.
+     */
+    if (runtimeExpression === '$response.body') {
+      const result = JSON.parse(JSON.stringify(root))
+      /**
+       * _openAPIToGraphQL contains data used by OpenAPI-to-GraphQL to create the GraphQL interface
+       * and should not be exposed
+       */
+      result._openAPIToGraphQL = undefined
+      return result
+
+      // CASE: parameter in body
+    } else if (runtimeExpression.startsWith('$response.body#')) {
+      return JSONPointer.get(root, runtimeExpression.split('body#')[1])
+
+      // CASE: parameter in query parameter
+    } else if (runtimeExpression.startsWith('$response.query')) {
+      // NOTE: handled the same way $request.query is handled
+      return usedParams[
+        Oas3Tools.sanitize(runtimeExpression.split('query.')[1], caseStyle)
+      ]
+
+      // CASE: parameter in path parameter
+    } else if (runtimeExpression.startsWith('$response.path')) {
+      // NOTE: handled the same way $request.path is handled
+      return usedParams[
+        Oas3Tools.sanitize(runtimeExpression.split('path.')[1], caseStyle)
+      ]
+
+      // CASE: parameter in header parameter
+    } else if (runtimeExpression.startsWith('$response.header')) {
+      return requestData.responseHeaders[runtimeExpression.split('header.')[1]]
+    }
+  }
+
+  throw new Error(
+    `Cannot resolve link because '${runtimeExpression}' is an invalid runtime expression.`
+  )
+}
+
+/**
+ * Check if a string is a runtime expression in the context of link parameters
+ */
+function isRuntimeExpression(str: string): boolean {
+  if (str === '$url' || str === '$method' || str === '$statusCode') {
+    return true
+  } else if (str.startsWith('$request.')) {
+    for (let i = 0; i < RUNTIME_REFERENCES.length; i++) {
+      if (str.startsWith(`$request.${RUNTIME_REFERENCES[i]}`)) {
+        return true
+      }
+    }
+  } else if (str.startsWith('$response.')) {
+    for (let i = 0; i < RUNTIME_REFERENCES.length; i++) {
+      if (str.startsWith(`$response.${RUNTIME_REFERENCES[i]}`)) {
+        return true
+      }
+    }
+  }
+
+  return false
+}
+
+/**
+ * Extracts data from the GraphQL arguments of a particular field
+ *
+ * Replaces the path parameter in the given path with values in the given args.
+ * Furthermore adds the query parameters for a request.
+ */
+export function extractRequestData(
+  path: string,
+  parameters: Pick<ParameterObject, 'name' | 'in' | 'style' | 'explode'>[],
+  args: { [argName: string]: any },
+  caseStyle: Oas3Tools.CaseStyle
+): {
+  path: string
+  qs: { [key: string]: string }
+  headers: { [key: string]: string }
+} {
+  const qs = {}
+  const headers = {}
+
+  // Iterate parameters:
+  for (const param of parameters) {
+    const saneParamName = Oas3Tools.sanitize(param.name, caseStyle)
+
+    if (saneParamName && saneParamName in args) {
+      switch (param.in) {
+        // Path parameters
+        case 'path':
+          path = path.replace(`{${param.name}}`, args[saneParamName])
+          break
+
+        // Query parameters
+        case 'query':
+          // setting param style as form assumes explode is true by default
+          if (
+            param.style === 'form' &&
+            typeof args[saneParamName] === 'object'
+          ) {
+            if (param.explode === false) {
+              qs[param.name] = Object.entries(args[saneParamName]).reduce(
+                (acc, val) => {
+                  acc += val.join(',')
+                  return acc
+                },
+                ''
+              )
+            } else {
+              Object.entries(args[saneParamName]).forEach(([key, value]) => {
+                qs[key] = value
+              })
+            }
+          } else if (
+            Array.isArray(args[saneParamName]) &&
+            param.style === 'form' &&
+            param.explode !== false
+          ) {
+            qs[param.name] = args[saneParamName].join(',')
+          } else {
+            qs[param.name] = args[saneParamName]
+          }
+          break
+
+        // Header parameters
+        case 'header':
+          headers[param.name] = args[saneParamName]
+          break
+
+        // Cookie parameters
+        case 'cookie':
+          if (!('cookie' in headers)) {
+            headers['cookie'] = ''
+          }
+
+          headers['cookie'] += `${param.name}=${args[saneParamName]}; `
+          break
+
+        default:
+          httpLog(
+            `Warning: The parameter location '${param.in}' in the ` +
+              `parameter '${param.name}' of operation '${path}' is not ` +
+              `supported`
+          )
+      }
+    }
+  }
+
+  return { path, qs, headers }
+}
+
+/**
+ * Serializes a request body, whose keys are sanitized, according to its
+ * content type
+ */
+export function serializeRequestBody(
+  payload: any,
+  contentType: string,
+  saneMap: { [saneName: string]: string }
+): any {
+  if (contentType === 'application/json') {
+    return JSON.stringify(Oas3Tools.desanitizeObjectKeys(payload, saneMap))
+  } else if (contentType === 'application/x-www-form-urlencoded') {
+    return formurlencoded(Oas3Tools.desanitizeObjectKeys(payload, saneMap))
+  }
+
+  // Payload is not an object
+  return payload
+}
+
+/**
+ * Returns the data of a successful response, i.e. the parsed JSON with
+ * sanitized keys or the response body as is
+ */
+export function getResponseData(
+  operationString: string,
+  body: string,
+  contentType: string,
+  caseStyle: Oas3Tools.CaseStyle
+): any {
+  /**
+   * content-type may not be necessarily 'application/json' it can be
+   * 'application/json; charset=utf-8' for example
+   */
+  if (!contentType.includes('application/json')) {
+    // TODO: Handle YAML
+    return body
+  }
+
+  let data
+  try {
+    data = JSON.parse(body)
+  } catch (e) {
+    const errorString =
+      `Cannot JSON parse response body of operation ${operationString} ` +
+      `even though it has content-type 'application/json'`
+
+    httpLog(errorString)
+    throw new Error(errorString)
+  }
+
+  // Deal with the fact that the server might send unsanitized data
+  return Oas3Tools.sanitizeObjectKeys(data, caseStyle)
+}
+
+export const setSearchParamsFromObj = (url: URL, obj: any, path: string[]) => {
+  for (const key in obj) {
+    const val = obj[key]
+    const newPath = [...path, key]
+    if (typeof val === 'object') {
+      setSearchParamsFromObj(url, val, newPath)
+    } else {
+      const finalKey = newPath.reduce(
+        (acc, pathElem, i) => (i === 0 ? pathElem : `${acc}[${pathElem}]`),
+        ''
+      )
+      url.searchParams.set(finalKey, val)
+    }
+  }
+}
+
+/**
+ * Creates the error for an unsuccessful response of an operation
+ */
+export function getResponseError(
+  operationString: string,
+  method: string,
+  path: string,
+  url: URL,
+  response: {
+    status: number
+    statusText: string
+    headers: Headers
+    body: string
+  },
+  provideErrorExtensions: boolean
+): Error {
+  const errorString = `Could not invoke operation ${operationString}`
+
+  if (provideErrorExtensions) {
+    let responseBody
+    try {
+      responseBody = JSON.parse(response.body)
+    } catch (e) {
+      responseBody = response.body
+    }
+
+    const extensions = {
+      method,
+      path,
+      url: url.toString(),
+      statusText: response.statusText,
+      statusCode: response.status,
+      responseHeaders: headersToObject(response.headers),
+      responseBody
+    }
+    return graphQLErrorWithExtensions(errorString, extensions)
+  } else {
+    return new Error(errorString)
+  }
+}
+
+/**
+ * Returns the given headers as an object
+ */
+export function headersToObject(headers: Headers): { [key: string]: string } {
+  const headersObj: { [key: string]: string } = {}
+  headers.forEach((value, key) => {
+    headersObj[key] = value
+  })
+  return headersObj
+}
+
+/**
+ * Create a new GraphQLError with an extensions field
+ */
+export function graphQLErrorWithExtensions(
+  message: string,
+  extensions: { [key: string]: any }
+): GraphQLError {
+  return new GraphQLError(message, null, null, null, null, null, extensions)
+}
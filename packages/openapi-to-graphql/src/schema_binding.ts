@@ -0,0 +1,414 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to describe which operations the fields of a schema are bound to,
+ * in a form that can be serialized next to the SDL of the schema, and to
+ * obtain the resolve functions of these fields from such a description.
+ */
+
+// Type imports:
+import {
+  GraphQLField,
+  GraphQLFieldConfigArgumentMap,
+  GraphQLFieldResolver,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLTypeResolver,
+  getNamedType,
+  isAbstractType
+} from 'graphql'
+import { Operation } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+
+// Imports:
+import * as Oas3Tools from './oas_3_tools'
+
+/**
+ * The operation that a field is bound to
+ */
+export type OperationBinding = {
+  // Title of the OAS that contains the operation
+  title: string
+
+  // Path of the operation
+  path: string
+
+  // HTTP method of the operation
+  method: string
+
+  // The parameters of the operation that the arguments of the field map to
+  parameters: {
+    [argName: string]: {
+      name: string
+      in: string
+    }
+  }
+
+  // The argument of the field that contains the request body, if any
+  requestBody?: string
+
+  /**
+   * The parameters of the operation that a link fills in, which map to
+   * runtime expressions
+   */
+  linkParameters?: { [parameterName: string]: string }
+}
+
+/**
+ * A field that is not bound to an operation, but wraps fields that are (i.e.
+ * viewers and namespaces) or is required by a specification (i.e. the node
+ * field, the id fields of the objects it returns, and the fields of Apollo
+ * Federation)
+ */
+export type WrapperBinding = {
+  wrapper:
+    | 'viewer'
+    | 'namespace'
+    | 'node'
+    | 'id'
+    | 'rawId'
+    | '_service'
+    | '_entities'
+
+  // Root operation type of a viewer, i.e. query, mutation, or subscription
+  operationType?: string
+
+  // Security scheme of a viewer, which AnyAuth viewers do not have
+  securityScheme?: string
+
+  // Name of a namespace or of the namespace that contains a viewer
+  namespace?: string
+
+  // Object type whose global ID or original id property a field contains
+  objectType?: string
+}
+
+export type Binding = OperationBinding | WrapperBinding
+
+/**
+ * A field of an object type and what it is bound to
+ */
+export type FieldBinding = Binding & {
+  typeName: string
+  fieldName: string
+}
+
+/**
+ * Resolve functions of fields and, under the key __resolveType, the type
+ * resolvers of interface and union types
+ */
+export type ResolverMap = {
+  [typeName: string]: {
+    [fieldName: string]:
+      | GraphQLFieldResolver<any, any>
+      | GraphQLTypeResolver<any, any>
+      | {
+          subscribe: GraphQLFieldResolver<any, any>
+          resolve: GraphQLFieldResolver<any, any>
+        }
+  }
+}
+
+/**
+ * Returns the extensions of a field that is bound to the given operation
+ *
+ * The arguments of the field must already be created.
+ */
+export function getBindingExtensions<TSource, TContext, TArgs>(
+  operation: Operation,
+  args: GraphQLFieldConfigArgumentMap,
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  linkParameters?: { [parameterName: string]: string }
+): { openAPIToGraphQL: OperationBinding } {
+  const binding: OperationBinding = {
+    title: operation.oas.info.title,
+    path: operation.path,
+    method: operation.method,
+    parameters: {}
+  }
+
+  operation.parameters.forEach((parameter) => {
+    const argName = Oas3Tools.sanitize(
+      parameter.name,
+      !data.options.simpleNames
+        ? Oas3Tools.CaseStyle.camelCase
+        : Oas3Tools.CaseStyle.simple
+    )
+
+    if (argName in args) {
+      binding.parameters[argName] = { name: parameter.name, in: parameter.in }
+    }
+  })
+
+  // Links do not send request bodies
+  if (typeof linkParameters === 'object') {
+    binding.linkParameters = linkParameters
+  } else if (typeof operation.payloadDefinition === 'object') {
+    const argName = data.options.genericPayloadArgName
+      ? 'requestBody'
+      : Oas3Tools.sanitize(
+          operation.payloadDefinition.graphQLInputObjectTypeName,
+          Oas3Tools.CaseStyle.camelCase
+        )
+
+    if (argName in args) {
+      binding.requestBody = argName
+    }
+  }
+
+  return { openAPIToGraphQL: binding }
+}
+
+/**
+ * Returns the extensions of a field that wraps other fields or is required by
+ * a specification
+ */
+export function getWrapperExtensions(binding: WrapperBinding): {
+  openAPIToGraphQL: WrapperBinding
+} {
+  return { openAPIToGraphQL: binding }
+}
+
+/**
+ * Returns whether the given binding binds a field to an operation
+ */
+export function isOperationBinding<T extends Binding>(
+  binding: T
+): binding is T & OperationBinding {
+  return !('wrapper' in binding)
+}
+
+/**
+ * Returns the bindings of all fields of the given schema that are bound to
+ * operations or wrap such fields
+ */
+export function getSchemaBinding(schema: GraphQLSchema): FieldBinding[] {
+  const fieldBindings: FieldBinding[] = []
+
+  getBoundFields(schema).forEach(({ typeName, field, binding }) => {
+    fieldBindings.push({ typeName, fieldName: field.name, ...binding })
+  })
+
+  return fieldBindings
+}
+
+/**
+ * Returns a resolver map (e.g. for makeExecutableSchema of graphql-tools) that
+ * contains the resolve functions of the fields in the given bindings
+ *
+ * The resolve functions are taken from the fields of the given schema that
+ * have the same bindings, regardless of their names. The arguments are passed
+ * on to them according to the parameters and the request body in the given
+ * bindings, so that they can be renamed as well.
+ *
+ * Fields that return interface or union types, like the node field, also add
+ * the type resolvers of these types.
+ */
+export function getResolversFromBinding(
+  schema: GraphQLSchema,
+  fieldBindings: FieldBinding[]
+): ResolverMap {
+  const fields: {
+    [key: string]: { field: GraphQLField<any, any>; binding: Binding }
+  } = {}
+  getBoundFields(schema).forEach(({ field, binding }) => {
+    const key = getBindingKey(binding)
+    if (!(key in fields)) {
+      fields[key] = { field, binding }
+    }
+  })
+
+  const resolvers: ResolverMap = {}
+  fieldBindings.forEach((fieldBinding) => {
+    const { typeName, fieldName } = fieldBinding
+    const key = getBindingKey(fieldBinding)
+
+    if (!(key in fields)) {
+      throw new Error(
+        `Cannot create resolver for field '${fieldName}' of type ` +
+          `'${typeName}' because ` +
+          (isOperationBinding(fieldBinding)
+            ? `OAS '${fieldBinding.title}' does not contain operation ` +
+              `${fieldBinding.method.toUpperCase()} ${fieldBinding.path}`
+            : `the schema does not contain ${getWrapperDescription(
+                fieldBinding
+              )}`)
+      )
+    }
+
+    const { field, binding } = fields[key]
+    let resolve = field.resolve
+    if (isOperationBinding(fieldBinding)) {
+      const argNames = getArgNames(
+        fieldBinding,
+        binding as OperationBinding,
+        typeName
+      )
+
+      resolve = (source, args, context, info) => {
+        const fieldArgs = {}
+        Object.keys(args).forEach((argName) => {
+          fieldArgs[argName in argNames ? argNames[argName] : argName] =
+            args[argName]
+        })
+
+        return field.resolve(source, fieldArgs, context, info)
+      }
+    }
+
+    if (!(typeName in resolvers)) {
+      resolvers[typeName] = {}
+    }
+
+    resolvers[typeName][fieldName] =
+      typeof field.subscribe === 'function'
+        ? { subscribe: field.subscribe, resolve }
+        : resolve
+
+    const namedType = getNamedType(field.type)
+    if (isAbstractType(namedType)) {
+      if (!(namedType.name in resolvers)) {
+        resolvers[namedType.name] = {}
+      }
+
+      resolvers[namedType.name].__resolveType = namedType.resolveType
+    }
+  })
+
+  return resolvers
+}
+
+/**
+ * Maps the arguments of a field binding to the arguments of the field that
+ * is bound to the same operation in the schema
+ */
+function getArgNames(
+  fieldBinding: FieldBinding & OperationBinding,
+  binding: OperationBinding,
+  typeName: string
+): { [argName: string]: string } {
+  const { fieldName, parameters, requestBody } = fieldBinding
+  const argNames: { [argName: string]: string } = {}
+
+  Object.entries(parameters).forEach(([argName, parameter]) => {
+    const schemaArgName = Object.keys(binding.parameters).find((name) => {
+      return (
+        binding.parameters[name].name === parameter.name &&
+        binding.parameters[name].in === parameter.in
+      )
+    })
+
+    if (typeof schemaArgName !== 'string') {
+      throw new Error(
+        `Cannot create resolver for field '${fieldName}' of type ` +
+          `'${typeName}' because operation ` +
+          `${binding.method.toUpperCase()} ${binding.path} does not contain ` +
+          `${parameter.in} parameter '${parameter.name}'`
+      )
+    }
+
+    argNames[argName] = schemaArgName
+  })
+
+  if (typeof requestBody === 'string') {
+    if (typeof binding.requestBody !== 'string') {
+      throw new Error(
+        `Cannot create resolver for field '${fieldName}' of type ` +
+          `'${typeName}' because operation ` +
+          `${binding.method.toUpperCase()} ${binding.path} does not accept ` +
+          `a request body`
+      )
+    }
+
+    argNames[requestBody] = binding.requestBody
+  }
+
+  return argNames
+}
+
+/**
+ * Describes a field that wraps other fields for error messages
+ */
+function getWrapperDescription(binding: WrapperBinding): string {
+  const { wrapper, operationType, securityScheme, namespace } = binding
+  let description: string
+
+  switch (wrapper) {
+    case 'viewer':
+      description =
+        typeof securityScheme === 'string'
+          ? `the ${operationType} viewer for security scheme '${securityScheme}'`
+          : `the ${operationType} AnyAuth viewer`
+      break
+
+    case 'namespace':
+      return `namespace '${namespace}'`
+
+    case 'id':
+      return `the global ID field of type '${binding.objectType}'`
+
+    case 'rawId':
+      return `the original id field of type '${binding.objectType}'`
+
+    default:
+      return `the '${wrapper}' field`
+  }
+
+  return typeof namespace === 'string'
+    ? `${description} of namespace '${namespace}'`
+    : description
+}
+
+/**
+ * Returns the fields of the given schema that are bound to operations or wrap
+ * such fields
+ */
+function getBoundFields(schema: GraphQLSchema): {
+  typeName: string
+  field: GraphQLField<any, any>
+  binding: Binding
+}[] {
+  const boundFields = []
+
+  Object.values(schema.getTypeMap()).forEach((type) => {
+    if (type instanceof GraphQLObjectType && !type.name.startsWith('__')) {
+      Object.values(type.getFields()).forEach((field) => {
+        const binding = field.extensions.openAPIToGraphQL as Binding
+        if (typeof binding === 'object' && binding !== null) {
+          boundFields.push({ typeName: type.name, field, binding })
+        }
+      })
+    }
+  })
+
+  return boundFields
+}
+
+/**
+ * Identifies the operation of a binding and the parameters filled in by
+ * links, which change the behavior of the resolve function, or the field that
+ * a binding wraps
+ */
+function getBindingKey(binding: Binding): string {
+  if (!isOperationBinding(binding)) {
+    const { wrapper, operationType, securityScheme, namespace, objectType } =
+      binding
+    return JSON.stringify([
+      wrapper,
+      operationType || null,
+      securityScheme || null,
+      namespace || null,
+      objectType || null
+    ])
+  }
+
+  return JSON.stringify([
+    binding.title,
+    binding.path,
+    binding.method.toLowerCase(),
+    binding.linkParameters || null
+  ])
+}
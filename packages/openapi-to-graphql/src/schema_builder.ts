@@ -33,6 +33,7 @@ import {
   GraphQLFieldConfigMap,
   GraphQLOutputType,
   GraphQLUnionType,
+  GraphQLInterfaceType,
   GraphQLInputType,
   GraphQLInputFieldConfigMap
 } from 'graphql'
@@ -43,6 +44,11 @@ import { GraphQLBigInt, GraphQLJSON } from 'graphql-scalars'
 import * as Oas3Tools from './oas_3_tools'
 import { getResolver, OPENAPI_TO_GRAPHQL } from './resolver_builder'
 import { createDataDef } from './preprocessor'
+import { getConnectionField } from './connection_builder'
+import { getFormatScalar } from './format_scalars'
+import { addNodeIdField, getNodeInterface } from './node_builder'
+import { getEntityExtensions } from './federation'
+import { getBindingExtensions } from './schema_binding'
 import debug from 'debug'
 import { handleWarning, sortObject, MitigationTypes } from './utils'
 import crossFetch from 'cross-fetch'
@@ -167,8 +173,39 @@ export function getGraphQLType<TSource, TContext, TArgs extends object>({
         fetch
       })
 
-    // CASE: union - create union type
+    // CASE: interface - create interface type or input object type
+    case TargetGraphQLType.interface:
+      if (isInputObjectType) {
+        return createOrReuseOt({
+          def,
+          operation,
+          data,
+          iteration,
+          isInputObjectType,
+          fetch
+        })
+      }
+
+      return createOrReuseInterface({
+        def,
+        operation,
+        data,
+        iteration,
+        fetch
+      })
+
+    // CASE: union - create union type or @oneOf input object type
     case TargetGraphQLType.oneOfUnion:
+      if (isInputObjectType) {
+        return createOrReuseOneOfInputObject({
+          def,
+          operation,
+          data,
+          iteration,
+          fetch
+        })
+      }
+
       return createOrReuseUnion({
         def,
         operation,
@@ -227,6 +264,10 @@ export function getGraphQLType<TSource, TContext, TArgs extends object>({
     case TargetGraphQLType.upload:
       def.graphQLType = GraphQLUpload
       return def.graphQLType
+
+    case TargetGraphQLType.formatScalar:
+      def.graphQLType = getFormatScalar(def.schema.format, data.options)
+      return def.graphQLType
   }
 }
 
@@ -303,6 +344,30 @@ function createOrReuseOt<TSource, TContext, TArgs extends object>({
     def.graphQLType = new GraphQLObjectType({
       name: def.graphQLTypeName,
       description,
+      interfaces: () => {
+        const interfaces: GraphQLInterfaceType[] = []
+
+        if (typeof def.node === 'object') {
+          interfaces.push(getNodeInterface(data))
+        }
+
+        if (Array.isArray(def.interfaces)) {
+          def.interfaces.forEach((interfaceDef) => {
+            interfaces.push(
+              getGraphQLType({
+                def: interfaceDef,
+                operation,
+                data,
+                iteration: iteration + 1,
+                isInputObjectType: false,
+                fetch
+              }) as GraphQLInterfaceType
+            )
+          })
+        }
+
+        return interfaces
+      },
       fields: () => {
         return createFields({
           def,
@@ -313,7 +378,11 @@ function createOrReuseOt<TSource, TContext, TArgs extends object>({
           isInputObjectType: false,
           fetch
         }) as GraphQLFieldConfigMap<TSource, TContext>
-      }
+      },
+      extensions:
+        typeof def.entity === 'object'
+          ? getEntityExtensions(def, data, fetch)
+          : undefined
     })
 
     return def.graphQLType
@@ -400,39 +469,186 @@ function createOrReuseUnion<TSource, TContext, TArgs extends object>({
      * Check for ambiguous member types
      *
      * i.e. member types that can be confused with each other.
+     *
+     * Member types cannot be confused if the discriminator identifies them.
      */
-    checkAmbiguousMemberTypes(def, types, data)
+    if (
+      typeof def.discriminator !== 'object' ||
+      !memberTypeDefinitions.every((memberTypeDefinition) => {
+        return Object.values(def.discriminator.mapping).includes(
+          memberTypeDefinition
+        )
+      })
+    ) {
+      checkAmbiguousMemberTypes(def, types, data)
+    }
 
     def.graphQLType = new GraphQLUnionType({
       name: def.graphQLTypeName,
       description,
       types,
       resolveType: (source, context, info) => {
-        const properties = Object.keys(source)
-          // Remove custom _openAPIToGraphQL property used to pass data
-          .filter((property) => property !== '_openAPIToGraphQL')
+        const discriminatedTypeName = getDiscriminatedTypeName(source, def)
+        if (typeof discriminatedTypeName === 'string') {
+          return discriminatedTypeName
+        }
 
-        /**
-         * Find appropriate member type
-         *
-         * TODO: currently, the check is performed by only checking the property
-         * names. In the future, we should also check the types of those
-         * properties.
-         *
-         * TODO: there is a chance a that an intended member type cannot be
-         * identified if, for whatever reason, the return data is a superset
-         * of the fields specified in the OAS
-         */
-        return types.find((type) => {
-          const typeFields = Object.keys(type.getFields())
+        return getTypeNameFromProperties(source, types)
+      }
+    })
+
+    return def.graphQLType
+  }
+}
 
-          // The type should be a superset of the properties
-          if (properties.length <= typeFields.length) {
-            return properties.every((property) => typeFields.includes(property))
+/**
+ * Creates a @oneOf input object type, which contains one field for every
+ * member schema, or returns an existing one, and stores it in data
+ */
+function createOrReuseOneOfInputObject<
+  TSource,
+  TContext,
+  TArgs extends object
+>({
+  def,
+  operation,
+  data,
+  iteration,
+  fetch
+}: CreateOrReuseComplexTypeParams<
+  TSource,
+  TContext,
+  TArgs
+>): GraphQLInputObjectType {
+  // Try to reuse existing input object type
+  if (typeof def.graphQLInputObjectType !== 'undefined') {
+    translationLog(
+      `Reuse @oneOf input object type '${def.graphQLInputObjectTypeName}'` +
+        (typeof operation === 'object'
+          ? ` (for operation '${operation.operationString}')`
+          : '')
+    )
+    return def.graphQLInputObjectType as GraphQLInputObjectType
+  } else {
+    translationLog(
+      `Create @oneOf input object type '${def.graphQLInputObjectTypeName}'` +
+        (typeof operation === 'object'
+          ? ` (for operation '${operation.operationString}')`
+          : '')
+    )
+
+    const memberTypeDefinitions = def.subDefinitions as DataDefinition[]
+
+    def.graphQLInputObjectType = new GraphQLInputObjectType({
+      name: def.graphQLInputObjectTypeName,
+      description: def.schema.description,
+      isOneOf: true,
+      fields: () => {
+        const fields: GraphQLInputFieldConfigMap = {}
+
+        memberTypeDefinitions.forEach((memberTypeDefinition) => {
+          // Type names are already sanitized
+          const fieldName = Oas3Tools.uncapitalize(
+            memberTypeDefinition.graphQLTypeName
+          )
+
+          if (!(fieldName in fields)) {
+            fields[fieldName] = {
+              // Fields of @oneOf input object types must be nullable
+              type: getGraphQLType({
+                def: memberTypeDefinition,
+                operation,
+                data,
+                iteration: iteration + 1,
+                isInputObjectType: true,
+                fetch
+              }) as GraphQLInputType,
+              description: memberTypeDefinition.schema.description
+            }
           }
+        })
+
+        return fields
+      }
+    })
+
+    return def.graphQLInputObjectType
+  }
+}
+
+/**
+ * Creates an interface type or returns an existing one, and stores it in data
+ *
+ * The object types that implement the interface type are created as well
+ * because they are not necessarily referenced by other types.
+ */
+function createOrReuseInterface<TSource, TContext, TArgs extends object>({
+  def,
+  operation,
+  data,
+  iteration,
+  fetch
+}: CreateOrReuseComplexTypeParams<
+  TSource,
+  TContext,
+  TArgs
+>): GraphQLInterfaceType {
+  // Try to reuse existing interface type
+  if (typeof def.graphQLType !== 'undefined') {
+    translationLog(
+      `Reuse interface type '${def.graphQLTypeName}'` +
+        (typeof operation === 'object'
+          ? ` (for operation '${operation.operationString}')`
+          : '')
+    )
+    return def.graphQLType as GraphQLInterfaceType
+  } else {
+    translationLog(
+      `Create interface type '${def.graphQLTypeName}'` +
+        (typeof operation === 'object'
+          ? ` (for operation '${operation.operationString}')`
+          : '')
+    )
+
+    const implementingTypes: GraphQLObjectType[] = []
+
+    def.graphQLType = new GraphQLInterfaceType({
+      name: def.graphQLTypeName,
+      description: def.schema.description,
+      fields: () => {
+        return createFields({
+          def,
+          // Links are only resolved in the object types
+          links: {},
+          operation,
+          data,
+          iteration,
+          isInputObjectType: false,
+          fetch
+        }) as GraphQLFieldConfigMap<TSource, TContext>
+      },
+      resolveType: (source, context, info) => {
+        const discriminatedTypeName = getDiscriminatedTypeName(source, def)
+        if (typeof discriminatedTypeName === 'string') {
+          return discriminatedTypeName
+        }
 
-          return false
-        })?.name
+        return getTypeNameFromProperties(source, implementingTypes)
+      }
+    })
+
+    Object.values(def.discriminator.mapping).forEach((implementingDef) => {
+      const implementingType = getGraphQLType({
+        def: implementingDef,
+        operation,
+        data,
+        iteration: iteration + 1,
+        isInputObjectType: false,
+        fetch
+      }) as GraphQLObjectType
+
+      if (!implementingTypes.includes(implementingType)) {
+        implementingTypes.push(implementingType)
       }
     })
 
@@ -440,6 +656,61 @@ function createOrReuseUnion<TSource, TContext, TArgs extends object>({
   }
 }
 
+/**
+ * Returns the name of the object type that the discriminator value in the
+ * given data maps to, if any
+ */
+function getDiscriminatedTypeName(
+  source: any,
+  def: DataDefinition
+): string | undefined {
+  if (
+    typeof def.discriminator === 'object' &&
+    typeof source === 'object' &&
+    source !== null
+  ) {
+    const value = source[def.discriminator.propertyName]
+
+    if (
+      Object.prototype.hasOwnProperty.call(def.discriminator.mapping, value)
+    ) {
+      return def.discriminator.mapping[value].graphQLTypeName
+    }
+  }
+}
+
+/**
+ * Returns the name of the object type that contains all properties of the
+ * given data, if any
+ *
+ * TODO: currently, the check is performed by only checking the property
+ * names. In the future, we should also check the types of those
+ * properties.
+ *
+ * TODO: there is a chance a that an intended member type cannot be
+ * identified if, for whatever reason, the return data is a superset
+ * of the fields specified in the OAS
+ */
+function getTypeNameFromProperties(
+  source: any,
+  types: GraphQLObjectType[]
+): string | undefined {
+  const properties = Object.keys(source)
+    // Remove custom _openAPIToGraphQL property used to pass data
+    .filter((property) => property !== '_openAPIToGraphQL')
+
+  return types.find((type) => {
+    const typeFields = Object.keys(type.getFields())
+
+    // The type should be a superset of the properties
+    if (properties.length <= typeFields.length) {
+      return properties.every((property) => typeFields.includes(property))
+    }
+
+    return false
+  })?.name
+}
+
 /**
  * Check for ambiguous member types
  *
@@ -482,6 +753,7 @@ function checkAmbiguousMemberTypes<TSource, TContext, TArgs>(
             `member types such as '${currentType}' and '${otherType}' ` +
             `which are ambiguous. Ambiguous member types can cause ` +
             `problems when trying to resolve types.`,
+          source: def.schema,
           data,
           log: translationLog
         })
@@ -654,6 +926,27 @@ function createFields<TSource, TContext, TArgs extends object>({
     const fieldTypeDefinition = fieldTypeDefinitions[fieldName]
     const fieldSchema = fieldTypeDefinition.schema
 
+    const requiredProperty =
+      typeof def.required === 'object' && def.required.includes(fieldName)
+
+    const { deprecationReason, hidden, description } = getElementExtensions({
+      element: fieldSchema,
+      elementName:
+        `property '${fieldName}' of type ` +
+        `'${
+          isInputObjectType
+            ? def.graphQLInputObjectTypeName
+            : def.graphQLTypeName
+        }'`,
+      // Required input fields cannot be left out or deprecated
+      required: isInputObjectType && requiredProperty,
+      data
+    })
+
+    if (hidden) {
+      continue
+    }
+
     // Get object type describing the property
     const objectType = getGraphQLType({
       def: fieldTypeDefinition,
@@ -664,9 +957,6 @@ function createFields<TSource, TContext, TArgs extends object>({
       fetch
     })
 
-    const requiredProperty =
-      typeof def.required === 'object' && def.required.includes(fieldName)
-
     // Finally, add the object type to the fields (using sanitized field name)
     if (objectType) {
       const extensionFieldName =
@@ -711,7 +1001,12 @@ function createFields<TSource, TContext, TArgs extends object>({
           : (objectType as GraphQLOutputType),
 
         description:
-          typeof fieldSchema === 'object' ? fieldSchema.description : null
+          typeof description === 'string'
+            ? description
+            : typeof fieldSchema === 'object'
+            ? fieldSchema.description
+            : null,
+        deprecationReason
       }
     } else {
       handleWarning({
@@ -719,12 +1014,18 @@ function createFields<TSource, TContext, TArgs extends object>({
         message:
           `Cannot obtain GraphQL type for field '${fieldName}' in ` +
           `GraphQL type '${JSON.stringify(def.schema)}'.`,
+        source: def.schema,
         data,
         log: translationLog
       })
     }
   }
 
+  // Objects that can be refetched by their IDs implement the Node interface
+  if (!isInputObjectType && typeof def.node === 'object') {
+    addNodeIdField(fields, def, data)
+  }
+
   if (
     typeof links === 'object' && // Links are present
     !isInputObjectType // Only object type (input object types cannot make use of links)
@@ -740,6 +1041,7 @@ function createFields<TSource, TContext, TArgs extends object>({
             `Cannot create link '${saneLinkKey}' because parent ` +
             `object type already contains a field with the same ` +
             `(sanitized) name.`,
+          source: links[saneLinkKey],
           data,
           log: translationLog
         })
@@ -767,6 +1069,15 @@ function createFields<TSource, TContext, TArgs extends object>({
         if (typeof linkedOpId === 'string' && linkedOpId in data.operations) {
           const linkedOp = data.operations[linkedOpId]
 
+          // Operations can be hidden using the x-graphql-hidden extension
+          if (linkedOp.hidden) {
+            translationLog(
+              `Skip link '${saneLinkKey}' to hidden operation ` +
+                `'${linkedOp.operationString}'`
+            )
+            continue
+          }
+
           // Determine parameters provided via link
           let argsFromLink = link.parameters
 
@@ -820,18 +1131,55 @@ function createFields<TSource, TContext, TArgs extends object>({
             }
           }
 
+          // Describe the operation that the field is bound to
+          const extensions = getBindingExtensions(
+            linkedOp,
+            args,
+            data,
+            typeof argsFromLink === 'object'
+              ? (argsFromLink as { [key: string]: string })
+              : {}
+          )
+
           // Finally, add the object type to the fields (using sanitized field name)
           // TODO: check if fields already has this field name
           fields[saneLinkKey] = {
             type: resObjectType,
             resolve: linkResolver,
             args,
-            description
+            description,
+            deprecationReason: linkedOp.deprecationReason,
+            extensions
+          }
+
+          // Expose paginated lists as connections
+          if (typeof linkedOp.pagination === 'object') {
+            fields[saneLinkKey] = {
+              ...getConnectionField({
+                operation: linkedOp,
+                args,
+                resolve: linkResolver,
+                data,
+                fetch
+              }),
+              description,
+              deprecationReason: linkedOp.deprecationReason,
+              extensions
+            }
           }
+        } else if (
+          typeof linkedOpId === 'string' &&
+          data.excludedOperationIds.includes(linkedOpId)
+        ) {
+          translationLog(
+            `Skip link '${saneLinkKey}' to operation '${linkedOpId}', which ` +
+              `is left out by the include and exclude options`
+          )
         } else {
           handleWarning({
             mitigationType: MitigationTypes.UNRESOLVABLE_LINK,
             message: `Cannot resolve target of link '${saneLinkKey}'`,
+            source: links[saneLinkKey],
             data,
             log: translationLog
           })
@@ -895,6 +1243,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
               `The link '${linkKey}' in operation '${operation.operationString}' ` +
               `contains an ambiguous operationRef '${operationRef}', ` +
               `meaning it has multiple instances of the string '#/paths/'`,
+            source: link,
             data,
             log: translationLog
           })
@@ -913,6 +1262,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
             `The link '${linkKey}' in operation '${operation.operationString}' ` +
             `does not contain a valid path in operationRef '${operationRef}', ` +
             `meaning it does not contain a string '#/paths/'`,
+          source: link,
           data,
           log: translationLog
         })
@@ -959,6 +1309,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
               message:
                 `The operationRef '${operationRef}' contains an ` +
                 `invalid HTTP method '${linkMethod}'`,
+              source: link,
               data,
               log: translationLog
             })
@@ -973,6 +1324,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
             message:
               `The operationRef '${operationRef}' does not contain an` +
               `HTTP method`,
+            source: link,
             data,
             log: translationLog
           })
@@ -1030,6 +1382,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
                   `operationId '${linkedOpId}' but no such operation exists. ` +
                   `Note that the operationId may be autogenerated but ` +
                   `regardless, the link could not be matched to an operation.`,
+                source: link,
                 data,
                 log: translationLog
               })
@@ -1045,6 +1398,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
                 `Cannot identify path and/or method, '${linkPath} and ` +
                 `'${linkMethod}' respectively, from operationRef ` +
                 `'${operationRef}' in link '${linkKey}'`,
+              source: link,
               data,
               log: translationLog
             })
@@ -1059,6 +1413,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
             message:
               `The link '${link.operationRef}' references an external OAS ` +
               `but it was not provided`,
+            source: link,
             data,
             log: translationLog
           })
@@ -1073,6 +1428,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
           message:
             `Cannot extract path and/or method from operationRef ` +
             `'${operationRef}' in link '${linkKey}'`,
+          source: link,
           data,
           log: translationLog
         })
@@ -1087,6 +1443,7 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
         message:
           `Cannot extract path and/or method from operationRef ` +
           `'${operationRef}' in link '${linkKey}'`,
+        source: link,
         data,
         log: translationLog
       })
@@ -1096,6 +1453,55 @@ function linkOpRefToOpId<TSource, TContext, TArgs>({
   }
 }
 
+/**
+ * Returns the values of the x-graphql-deprecated, x-graphql-hidden, and
+ * x-graphql-description extensions of a property or parameter, which take the
+ * deprecated keyword of the OAS into account
+ *
+ * Required input fields and arguments cannot be left out or deprecated.
+ */
+function getElementExtensions<TSource, TContext, TArgs>({
+  element,
+  elementName,
+  required,
+  data
+}: {
+  element: object | undefined
+  elementName: string
+  required: boolean
+  data: PreprocessingData<TSource, TContext, TArgs>
+}): Oas3Tools.FieldExtensions {
+  const extensions = Oas3Tools.getFieldExtensions(element, elementName, data)
+
+  if (required && extensions.hidden) {
+    handleWarning({
+      mitigationType: MitigationTypes.REQUIRED_HIDDEN_ELEMENT,
+      message:
+        `Cannot hide ${elementName} because it is required and has no ` +
+        `default value.`,
+      source: element,
+      data,
+      log: translationLog
+    })
+    extensions.hidden = false
+  }
+
+  if (required && typeof extensions.deprecationReason === 'string') {
+    handleWarning({
+      mitigationType: MitigationTypes.REQUIRED_DEPRECATED_ELEMENT,
+      message:
+        `Cannot deprecate ${elementName} because it is required and has no ` +
+        `default value.`,
+      source: element,
+      data,
+      log: translationLog
+    })
+    delete extensions.deprecationReason
+  }
+
+  return extensions
+}
+
 /**
  * Determin if an argument should be created if the argument has already been
  * provided through the options
@@ -1196,6 +1602,7 @@ export function getArgs<TSource, TContext, TArgs extends object>({
         message:
           `The operation '${operation.operationString}' contains a ` +
           `parameter '${JSON.stringify(parameter)}' with no 'name' property`,
+        source: parameter,
         data,
         log: translationLog
       })
@@ -1207,6 +1614,32 @@ export function getArgs<TSource, TContext, TArgs extends object>({
       return
     }
 
+    // Parameters are not required when a default exists:
+    let hasDefault = false
+    if (typeof parameter.schema === 'object') {
+      let schema = parameter.schema
+      if ('$ref' in schema) {
+        schema = Oas3Tools.resolveRef<SchemaObject>(schema.$ref, operation.oas)
+      }
+      if (typeof schema.default !== 'undefined') {
+        hasDefault = true
+      }
+    }
+    const paramRequired = parameter.required && !hasDefault
+
+    const { deprecationReason, hidden, description } = getElementExtensions({
+      element: parameter,
+      elementName:
+        `parameter '${parameter.name}' of operation ` +
+        `${operation.operationString}`,
+      required: paramRequired,
+      data
+    })
+
+    if (hidden) {
+      return
+    }
+
     /**
      * Determine type of parameter
      *
@@ -1230,6 +1663,7 @@ export function getArgs<TSource, TContext, TArgs extends object>({
             `parameter '${JSON.stringify(parameter)}' that has a 'content' ` +
             `property but no schemas in application/json format. The ` +
             `parameter will not be created`,
+          source: parameter,
           data,
           log: translationLog
         })
@@ -1243,6 +1677,7 @@ export function getArgs<TSource, TContext, TArgs extends object>({
           `The operation '${operation.operationString}' contains a ` +
           `parameter '${JSON.stringify(parameter)}' with no 'schema' or ` +
           `'content' property`,
+        source: parameter,
         data,
         log: translationLog
       })
@@ -1290,28 +1725,20 @@ export function getArgs<TSource, TContext, TArgs extends object>({
         : Oas3Tools.CaseStyle.simple
     )
 
-    // Parameters are not required when a default exists:
-    let hasDefault = false
-    if (typeof parameter.schema === 'object') {
-      let schema = parameter.schema
-      if ('$ref' in schema) {
-        schema = Oas3Tools.resolveRef<SchemaObject>(schema.$ref, operation.oas)
-      }
-      if (typeof schema.default !== 'undefined') {
-        hasDefault = true
-      }
-    }
-    const paramRequired = parameter.required && !hasDefault
-
     args[saneName] = {
       type: paramRequired ? new GraphQLNonNull(type) : type,
-      description: parameter.description // Might be undefined
+      // Might be undefined
+      description:
+        typeof description === 'string' ? description : parameter.description,
+      deprecationReason
     }
   })
 
   // Add limit argument
   if (
     data.options.addLimitArgument &&
+    // Connections are sliced using their own arguments
+    typeof operation.pagination === 'undefined' &&
     typeof operation.responseDefinition === 'object' &&
     operation.responseDefinition.schema.type === 'array' &&
     // Only add limit argument to lists of object types, not to lists of scalar types
@@ -1328,6 +1755,7 @@ export function getArgs<TSource, TContext, TArgs extends object>({
           `The 'limit' argument cannot be added ` +
           `because of a preexisting argument in ` +
           `operation ${operation.operationString}`,
+        source: operation.operation,
         data,
         log: translationLog
       })
@@ -1413,6 +1841,7 @@ function getOasFromLinkLocation<TSource, TContext, TArgs>(
           message:
             `The operationRef '${link.operationRef}' references an ` +
             `OAS '${linkLocation}' but multiple OASs share the same title`,
+          source: link,
           data,
           log: translationLog
         })
@@ -1423,6 +1852,7 @@ function getOasFromLinkLocation<TSource, TContext, TArgs>(
           message:
             `The operationRef '${link.operationRef}' references an ` +
             `OAS '${linkLocation}' but no such OAS was provided`,
+          source: link,
           data,
           log: translationLog
         })
@@ -1446,6 +1876,7 @@ function getOasFromLinkLocation<TSource, TContext, TArgs>(
           `The link location of the operationRef ` +
           `'${link.operationRef}' is currently not supported\n` +
           `Currently only the title of the OAS is supported`,
+        source: link,
         data,
         log: translationLog
       })
@@ -0,0 +1,570 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to compare the schemas created from two versions of an OAS, i.e.
+ * to find the breaking, dangerous, and safe changes between them and to trace
+ * the changes back to the operations and schemas of the OASs that caused them.
+ */
+
+// Type imports:
+import {
+  BreakingChange,
+  DangerousChange,
+  findBreakingChanges,
+  findDangerousChanges,
+  GraphQLEnumType,
+  GraphQLField,
+  GraphQLInputField,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLNamedType,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLUnionType
+} from 'graphql'
+import { SchemaObject } from './types/oas3'
+import { OasLocation } from './types/options'
+import { DataDefinition, Operation } from './types/operation'
+import { PreprocessingData } from './types/preprocessing_data'
+import { Binding, isOperationBinding } from './schema_binding'
+
+// Imports:
+import * as jsonptr from 'json-ptr'
+import { getOasLocation } from './utils'
+
+export enum SafeChangeType {
+  TYPE_ADDED = 'TYPE_ADDED',
+  FIELD_ADDED = 'FIELD_ADDED'
+}
+
+/**
+ * The part of the old or the new OAS that caused a change
+ */
+export type ChangeSource = OasLocation & {
+  version: 'old' | 'new'
+}
+
+export type SchemaChange = {
+  type: BreakingChange['type'] | DangerousChange['type'] | SafeChangeType
+  description: string
+
+  // Undefined if the change cannot be traced back to the OAS
+  source?: ChangeSource
+}
+
+/**
+ * A type or a field of a type, e.g. 'User' or 'User.name'
+ */
+type SchemaCoordinate = {
+  typeName: string
+  fieldName?: string
+}
+
+export type SchemaComparison = {
+  // Changes that break existing clients
+  breakingChanges: SchemaChange[]
+
+  // Changes that may change the behavior of existing clients
+  dangerousChanges: SchemaChange[]
+
+  // Changes that do not affect existing clients
+  safeChanges: SchemaChange[]
+}
+
+/**
+ * Describes the changes between the given schemas, which were created from
+ * two versions of an OAS
+ */
+export function getSchemaComparison<TSource, TContext, TArgs>(
+  oldSchema: GraphQLSchema,
+  oldData: PreprocessingData<TSource, TContext, TArgs>,
+  newSchema: GraphQLSchema,
+  newData: PreprocessingData<TSource, TContext, TArgs>
+): SchemaComparison {
+  // Removed types and fields can only be traced back to the old OAS
+  const sources: { [coordinate: string]: ChangeSource } = {}
+  Object.entries(getOasLocations(oldSchema, oldData)).forEach(
+    ([coordinate, location]) => {
+      sources[coordinate] = { ...location, version: 'old' }
+    }
+  )
+  Object.entries(getOasLocations(newSchema, newData)).forEach(
+    ([coordinate, location]) => {
+      sources[coordinate] = { ...location, version: 'new' }
+    }
+  )
+
+  const addSource = (
+    { type, description }: { type: SchemaChange['type']; description: string },
+    coordinate?: SchemaCoordinate
+  ): SchemaChange => {
+    const source =
+      typeof coordinate === 'object'
+        ? sources[`${coordinate.typeName}.${coordinate.fieldName}`] ||
+          sources[coordinate.typeName]
+        : undefined
+
+    return typeof source === 'object'
+      ? { type, description, source }
+      : { type, description }
+  }
+
+  /**
+   * findBreakingChanges and findDangerousChanges of graphql-js only describe
+   * changes in words, so they are matched with the types and fields that
+   * differ between the schemas
+   */
+  const changedCoordinates = findChangedCoordinates(oldSchema, newSchema)
+  const addChangedSource = (change: {
+    type: SchemaChange['type']
+    description: string
+  }): SchemaChange => {
+    return addSource(
+      change,
+      getSchemaCoordinate(change.description, changedCoordinates)
+    )
+  }
+
+  return {
+    breakingChanges: findBreakingChanges(oldSchema, newSchema).map(
+      addChangedSource
+    ),
+    dangerousChanges: findDangerousChanges(oldSchema, newSchema).map(
+      addChangedSource
+    ),
+    safeChanges: findSafeChanges(oldSchema, newSchema).map(
+      ({ coordinate, ...change }) => addSource(change, coordinate)
+    )
+  }
+}
+
+/**
+ * Finds the added types and output fields, which findBreakingChanges and
+ * findDangerousChanges of graphql-js do not report
+ */
+function findSafeChanges(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema
+): {
+  type: SafeChangeType
+  description: string
+  coordinate: SchemaCoordinate
+}[] {
+  const safeChanges = []
+  const oldTypeMap = oldSchema.getTypeMap()
+
+  Object.values(newSchema.getTypeMap()).forEach((newType) => {
+    const oldType = oldTypeMap[newType.name]
+
+    if (newType.name.startsWith('__')) {
+      return
+    } else if (typeof oldType === 'undefined') {
+      safeChanges.push({
+        type: SafeChangeType.TYPE_ADDED,
+        description: `${newType.name} was added.`,
+        coordinate: { typeName: newType.name }
+      })
+    } else if (
+      (newType instanceof GraphQLObjectType &&
+        oldType instanceof GraphQLObjectType) ||
+      (newType instanceof GraphQLInterfaceType &&
+        oldType instanceof GraphQLInterfaceType)
+    ) {
+      const oldFields = oldType.getFields()
+
+      Object.keys(newType.getFields()).forEach((fieldName) => {
+        if (!(fieldName in oldFields)) {
+          safeChanges.push({
+            type: SafeChangeType.FIELD_ADDED,
+            description: `${newType.name}.${fieldName} was added.`,
+            coordinate: { typeName: newType.name, fieldName }
+          })
+        }
+      })
+    }
+  })
+
+  return safeChanges
+}
+
+/**
+ * Returns the types and the fields of object, interface, and input object
+ * types that were added, removed, or changed between the given schemas
+ */
+function findChangedCoordinates(
+  oldSchema: GraphQLSchema,
+  newSchema: GraphQLSchema
+): SchemaCoordinate[] {
+  const changedCoordinates: SchemaCoordinate[] = []
+  const oldTypeMap = oldSchema.getTypeMap()
+  const newTypeMap = newSchema.getTypeMap()
+  const typeNames = new Set([
+    ...Object.keys(oldTypeMap),
+    ...Object.keys(newTypeMap)
+  ])
+
+  typeNames.forEach((typeName) => {
+    const oldType = oldTypeMap[typeName]
+    const newType = newTypeMap[typeName]
+
+    if (typeName.startsWith('__')) {
+      return
+    } else if (
+      typeof oldType === 'undefined' ||
+      typeof newType === 'undefined' ||
+      oldType.constructor !== newType.constructor ||
+      describeMembers(oldType) !== describeMembers(newType)
+    ) {
+      changedCoordinates.push({ typeName })
+    }
+
+    if (
+      (oldType instanceof GraphQLObjectType ||
+        oldType instanceof GraphQLInterfaceType ||
+        oldType instanceof GraphQLInputObjectType) &&
+      (newType instanceof GraphQLObjectType ||
+        newType instanceof GraphQLInterfaceType ||
+        newType instanceof GraphQLInputObjectType)
+    ) {
+      const oldFields = oldType.getFields()
+      const newFields = newType.getFields()
+      const fieldNames = new Set([
+        ...Object.keys(oldFields),
+        ...Object.keys(newFields)
+      ])
+
+      fieldNames.forEach((fieldName) => {
+        if (
+          describeField(oldFields[fieldName]) !==
+          describeField(newFields[fieldName])
+        ) {
+          changedCoordinates.push({ typeName, fieldName })
+        }
+      })
+    }
+  })
+
+  return changedCoordinates
+}
+
+/**
+ * Describes the members of a union type, the values of an enum type, or the
+ * interfaces of an object or interface type, which can change without
+ * changing the fields
+ */
+function describeMembers(type: GraphQLNamedType): string {
+  if (type instanceof GraphQLUnionType) {
+    return type
+      .getTypes()
+      .map(({ name }) => name)
+      .join()
+  } else if (type instanceof GraphQLEnumType) {
+    return type
+      .getValues()
+      .map(({ name }) => name)
+      .join()
+  } else if (
+    type instanceof GraphQLObjectType ||
+    type instanceof GraphQLInterfaceType
+  ) {
+    return type
+      .getInterfaces()
+      .map(({ name }) => name)
+      .join()
+  }
+
+  return ''
+}
+
+/**
+ * Describes the type, the arguments, and the default value of a field, which
+ * may be undefined if the type does not contain the field
+ */
+function describeField(
+  field: GraphQLField<any, any> | GraphQLInputField | undefined
+): string {
+  if (typeof field === 'undefined') {
+    return ''
+  }
+
+  return JSON.stringify([
+    String(field.type),
+    'defaultValue' in field ? field.defaultValue : null,
+    'args' in field
+      ? field.args.map((arg) => {
+          return [arg.name, String(arg.type), arg.defaultValue]
+        })
+      : []
+  ])
+}
+
+/**
+ * Returns the changed type or field that the description of a change refers
+ * to, if any
+ *
+ * Descriptions name fields by their schema coordinates (e.g. 'User.name') or,
+ * in case of input fields, before their types (e.g. 'A required field name on
+ * input type UserInput was added.'). Types that contain other changed types,
+ * e.g. union types, are named last.
+ */
+function getSchemaCoordinate(
+  description: string,
+  changedCoordinates: SchemaCoordinate[]
+): SchemaCoordinate | undefined {
+  const tokens = description
+    .split(/[^\w.]+/)
+    .map((token) => token.replace(/\.+$/, ''))
+  const words = new Set(
+    tokens.reduce((acc, token) => acc.concat(token.split('.')), [])
+  )
+
+  const fieldCoordinate =
+    changedCoordinates.find(({ typeName, fieldName }) => {
+      return (
+        typeof fieldName === 'string' &&
+        tokens.includes(`${typeName}.${fieldName}`)
+      )
+    }) ||
+    changedCoordinates.find(({ typeName, fieldName }) => {
+      return (
+        typeof fieldName === 'string' &&
+        words.has(typeName) &&
+        words.has(fieldName)
+      )
+    })
+  if (typeof fieldCoordinate === 'object') {
+    return fieldCoordinate
+  }
+
+  const typeName = tokens
+    .slice()
+    .reverse()
+    .find((token) => {
+      return changedCoordinates.some((coordinate) => {
+        return coordinate.typeName === token
+      })
+    })
+  if (typeof typeName === 'string') {
+    return { typeName }
+  }
+}
+
+/**
+ * Returns the parts of the OAS that the types and fields of the given schema
+ * were created from, by type name and by schema coordinate (e.g. 'User.name')
+ */
+function getOasLocations<TSource, TContext, TArgs>(
+  schema: GraphQLSchema,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): { [coordinate: string]: OasLocation } {
+  const locations: { [coordinate: string]: OasLocation } = {}
+  const operations = Object.values(data.operations)
+
+  // Types are created from schemas
+  data.defs.forEach((def) => {
+    const location = getSchemaLocation(def, operations, data)
+
+    if (typeof location === 'object') {
+      const typeNames = [def.graphQLTypeName, def.graphQLInputObjectTypeName]
+      typeNames.forEach((typeName) => {
+        if (typeof typeName === 'string' && !(typeName in locations)) {
+          locations[typeName] = location
+        }
+      })
+    }
+  })
+
+  Object.values(schema.getTypeMap()).forEach((type) => {
+    if (
+      !(type instanceof GraphQLObjectType) &&
+      !(type instanceof GraphQLInterfaceType) &&
+      !(type instanceof GraphQLInputObjectType)
+    ) {
+      return
+    }
+
+    Object.values(type.getFields()).forEach((field) => {
+      const coordinate = `${type.name}.${field.name}`
+      const binding = field.extensions.openAPIToGraphQL as Binding
+
+      // Fields that invoke operations are created from the operations
+      if (
+        typeof binding === 'object' &&
+        binding !== null &&
+        isOperationBinding(binding)
+      ) {
+        locations[coordinate] = {
+          title: binding.title,
+          pointer: jsonptr.encodePointer([
+            'paths',
+            binding.path,
+            binding.method
+          ])
+        }
+      } else if (type.name in locations) {
+        locations[coordinate] = getPropertyLocation(
+          locations[type.name],
+          data.saneMap[field.name] || field.name,
+          data
+        )
+      }
+    })
+  })
+
+  return locations
+}
+
+/**
+ * Returns the part of the OAS that the given data definition was created from,
+ * i.e. its schema or, if the schema has been copied during preprocessing (e.g.
+ * to resolve allOf), the property or the operation that it is used in
+ */
+function getSchemaLocation<TSource, TContext, TArgs>(
+  def: DataDefinition,
+  operations: Operation[],
+  data: PreprocessingData<TSource, TContext, TArgs>,
+  visitedDefs: Set<DataDefinition> = new Set()
+): OasLocation | undefined {
+  const schemaLocation =
+    typeof def.schema === 'object' && def.schema !== null
+      ? getOasLocation(def.schema, data)
+      : undefined
+  if (typeof schemaLocation === 'object') {
+    return schemaLocation
+  }
+
+  visitedDefs.add(def)
+
+  for (const parentDef of data.defs) {
+    const subDefinitions = getPropertyDefinitions(parentDef)
+    const propertyName = Object.keys(subDefinitions).find((propertyName) => {
+      return subDefinitions[propertyName] === def
+    })
+
+    if (typeof propertyName === 'string' && !visitedDefs.has(parentDef)) {
+      const parentLocation = getSchemaLocation(
+        parentDef,
+        operations,
+        data,
+        visitedDefs
+      )
+
+      if (typeof parentLocation === 'object') {
+        return getPropertyLocation(parentLocation, propertyName, data)
+      }
+    }
+  }
+
+  const operation = operations.find((operation) => {
+    return [operation.responseDefinition, operation.payloadDefinition].some(
+      (operationDef) => containsDataDefinition(operationDef, def, new Set())
+    )
+  })
+
+  if (typeof operation === 'object') {
+    return {
+      title: operation.oas.info.title,
+      pointer: jsonptr.encodePointer([
+        'paths',
+        operation.path,
+        operation.method
+      ])
+    }
+  }
+}
+
+/**
+ * Returns the part of the OAS that the property of a schema was created from,
+ * or the part that the schema was created from if the property cannot be
+ * found in it
+ */
+function getPropertyLocation<TSource, TContext, TArgs>(
+  schemaLocation: OasLocation,
+  propertyName: string,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): OasLocation {
+  const oas = data.oass.find(({ info }) => info.title === schemaLocation.title)
+  const schema = jsonptr.JsonPointer.get(
+    oas,
+    schemaLocation.pointer
+  ) as SchemaObject
+
+  if (
+    typeof schema === 'object' &&
+    schema !== null &&
+    typeof schema.properties === 'object' &&
+    propertyName in schema.properties
+  ) {
+    return {
+      title: schemaLocation.title,
+      pointer: jsonptr.encodePointer([
+        ...jsonptr.decodePointer(schemaLocation.pointer),
+        'properties',
+        propertyName
+      ])
+    }
+  }
+
+  return schemaLocation
+}
+
+/**
+ * Checks whether the given data definition is, or is nested in, the other
+ * data definition
+ */
+function containsDataDefinition(
+  outerDef: DataDefinition | undefined,
+  def: DataDefinition,
+  visitedDefs: Set<DataDefinition>
+): boolean {
+  if (typeof outerDef !== 'object' || outerDef === null) {
+    return false
+  } else if (outerDef === def) {
+    return true
+  } else if (visitedDefs.has(outerDef)) {
+    return false
+  }
+
+  visitedDefs.add(outerDef)
+
+  const subDefinitions = outerDef.subDefinitions
+  if (typeof subDefinitions !== 'object' || subDefinitions === null) {
+    return false
+  }
+
+  const nestedDefs: DataDefinition[] = isDataDefinition(subDefinitions)
+    ? [subDefinitions]
+    : Object.values(subDefinitions)
+
+  return nestedDefs.some((nestedDef) => {
+    return containsDataDefinition(nestedDef, def, visitedDefs)
+  })
+}
+
+/**
+ * Returns the data definitions of the properties of an object schema
+ */
+function getPropertyDefinitions(def: DataDefinition): {
+  [propertyName: string]: DataDefinition
+} {
+  const subDefinitions = def.subDefinitions
+
+  return typeof subDefinitions === 'object' &&
+    subDefinitions !== null &&
+    !Array.isArray(subDefinitions) &&
+    !isDataDefinition(subDefinitions)
+    ? subDefinitions
+    : {}
+}
+
+/**
+ * Sub definitions of lists are single data definitions rather than maps
+ */
+function isDataDefinition(
+  subDefinitions: DataDefinition['subDefinitions']
+): subDefinitions is DataDefinition {
+  return 'schema' in subDefinitions && 'preferredName' in subDefinitions
+}
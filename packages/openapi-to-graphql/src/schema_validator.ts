@@ -0,0 +1,292 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+/**
+ * Functions to validate values against the schemas defined in an OAS.
+ *
+ * OAS 3.0 schemas are converted into JSON schemas (draft-07) first, as they
+ * differ in some keywords.
+ */
+
+// Type imports:
+import { Oas3, ReferenceObject, SchemaObject } from './types/oas3'
+
+// Imports:
+import Ajv from 'ajv'
+import { debug } from 'debug'
+import * as Oas3Tools from './oas_3_tools'
+
+const translationLog = debug('translation')
+
+/**
+ * A value that violates a schema
+ */
+export type SchemaViolation = {
+  /**
+   * JSON pointer to the violating value, e.g. '/items/0/price'
+   */
+  path: string
+  message: string
+}
+
+const ajv = new Ajv({
+  allErrors: true,
+  jsonPointers: true,
+
+  // Support the OAS 'nullable' keyword
+  nullable: true,
+
+  // Ignore OAS formats like 'int32' or 'binary' that JSON schema does not know
+  unknownFormats: 'ignore',
+
+  // Do not log every ignored format
+  logger: false
+})
+
+// Keywords of OAS 3.0 schemas that do not affect validation
+const ANNOTATION_KEYWORDS = ['discriminator', 'xml', 'example', 'externalDocs']
+
+/**
+ * Compiled validation functions for each schema, OAS, and whether readOnly
+ * properties are ignored, which are null if the schema could not be compiled
+ */
+const validators = new WeakMap<
+  SchemaObject | ReferenceObject,
+  WeakMap<Oas3, Map<boolean, Ajv.ValidateFunction | null>>
+>()
+
+// Converted schemas for each OAS and whether readOnly properties are ignored
+const convertedSchemas = new WeakMap<
+  Oas3,
+  Map<boolean, WeakMap<object, object>>
+>()
+
+/**
+ * Validates the given value against the given schema and returns the
+ * violations, if any
+ *
+ * References in the schema are resolved against the components of the OAS.
+ * Properties that are marked as readOnly, i.e. that are only part of
+ * responses, can be ignored when validating requests.
+ */
+export function validateAgainstSchema(
+  value: any,
+  schema: SchemaObject | ReferenceObject,
+  oas: Oas3,
+  ignoreReadOnly: boolean = false
+): SchemaViolation[] {
+  if (!validators.has(schema)) {
+    validators.set(schema, new WeakMap())
+  }
+
+  if (!validators.get(schema).has(oas)) {
+    validators.get(schema).set(oas, new Map())
+  }
+
+  const oasValidators = validators.get(schema).get(oas)
+  if (!oasValidators.has(ignoreReadOnly)) {
+    oasValidators.set(ignoreReadOnly, compile(schema, oas, ignoreReadOnly))
+  }
+
+  // Values cannot be validated against schemas that could not be compiled
+  const validate = oasValidators.get(ignoreReadOnly)
+  if (validate === null || validate(value)) {
+    return []
+  }
+
+  return validate.errors.map((error) => {
+    // Point to missing properties rather than to the objects missing them
+    const path =
+      error.keyword === 'required'
+        ? `${error.dataPath}/${
+            (error.params as Ajv.RequiredParams).missingProperty
+          }`
+        : error.dataPath
+
+    return {
+      path,
+      message: error.message
+    }
+  })
+}
+
+function compile(
+  schema: SchemaObject | ReferenceObject,
+  oas: Oas3,
+  ignoreReadOnly: boolean
+): Ajv.ValidateFunction | null {
+  if (!convertedSchemas.has(oas)) {
+    convertedSchemas.set(oas, new Map())
+  }
+
+  if (!convertedSchemas.get(oas).has(ignoreReadOnly)) {
+    convertedSchemas.get(oas).set(ignoreReadOnly, new WeakMap())
+  }
+  const converted = convertedSchemas.get(oas).get(ignoreReadOnly)
+
+  const components: object = { ...oas.components }
+  if (typeof oas.components === 'object' && oas.components !== null) {
+    components['schemas'] = convertSchemas(
+      oas.components.schemas,
+      converted,
+      oas,
+      ignoreReadOnly
+    )
+  }
+
+  try {
+    /**
+     * Local references (e.g. '#/components/schemas/User') point into the root
+     * schema, so make the components of the OAS part of it
+     */
+    return ajv.compile({
+      ...convertSchema(schema, converted, oas, ignoreReadOnly),
+      components
+    })
+  } catch (e) {
+    translationLog(`Cannot compile schema for validation: ${e.message}`)
+    return null
+  }
+}
+
+/**
+ * Converts an OAS 3.0 schema into a JSON schema (draft-07)
+ *
+ * See https://spec.openapis.org/oas/v3.0.3#schema-object
+ */
+function convertSchema(
+  schema: any,
+  converted: WeakMap<object, object>,
+  oas: Oas3,
+  ignoreReadOnly: boolean
+): any {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    return schema
+  }
+
+  if (converted.has(schema)) {
+    return converted.get(schema)
+  }
+
+  const result: any = {}
+  converted.set(schema, result)
+
+  Object.entries(schema).forEach(([keyword, value]) => {
+    if (ANNOTATION_KEYWORDS.includes(keyword)) {
+      return
+    }
+
+    switch (keyword) {
+      case 'properties':
+        result[keyword] = convertSchemas(value, converted, oas, ignoreReadOnly)
+        break
+
+      case 'items':
+      case 'additionalProperties':
+      case 'not':
+        result[keyword] = convertSchema(value, converted, oas, ignoreReadOnly)
+        break
+
+      case 'allOf':
+      case 'anyOf':
+      case 'oneOf':
+        result[keyword] = Array.isArray(value)
+          ? value.map((subschema) => {
+              return convertSchema(subschema, converted, oas, ignoreReadOnly)
+            })
+          : value
+        break
+
+      // In OAS 3.0, these are booleans that make minimum and maximum exclusive
+      case 'exclusiveMinimum':
+      case 'exclusiveMaximum':
+        if (typeof value !== 'boolean') {
+          result[keyword] = value
+        }
+        break
+
+      default:
+        result[keyword] = value
+    }
+  })
+
+  if (schema.exclusiveMinimum === true && typeof schema.minimum === 'number') {
+    result.exclusiveMinimum = schema.minimum
+    delete result.minimum
+  }
+
+  if (schema.exclusiveMaximum === true && typeof schema.maximum === 'number') {
+    result.exclusiveMaximum = schema.maximum
+    delete result.maximum
+  }
+
+  // Accept any value for readOnly properties, even if they are required
+  if (
+    ignoreReadOnly &&
+    typeof schema.properties === 'object' &&
+    schema.properties !== null
+  ) {
+    const readOnlyProperties = Object.keys(schema.properties).filter(
+      (propertyName) => {
+        const property = resolveSchema(schema.properties[propertyName], oas)
+        return (
+          typeof property === 'object' &&
+          property !== null &&
+          property.readOnly === true
+        )
+      }
+    )
+
+    readOnlyProperties.forEach((propertyName) => {
+      result.properties[propertyName] = {}
+    })
+
+    if (Array.isArray(result.required)) {
+      result.required = result.required.filter((propertyName) => {
+        return !readOnlyProperties.includes(propertyName)
+      })
+    }
+  }
+
+  return result
+}
+
+/**
+ * Follows the references of the given schema, e.g. to find out whether a
+ * property that references another schema is readOnly
+ */
+function resolveSchema(schema: any, oas: Oas3): any {
+  const references = new Set<string>()
+
+  while (
+    typeof schema === 'object' &&
+    schema !== null &&
+    typeof schema.$ref === 'string' &&
+    !references.has(schema.$ref)
+  ) {
+    references.add(schema.$ref)
+    schema = Oas3Tools.resolveRef(schema.$ref, oas)
+  }
+
+  return schema
+}
+
+function convertSchemas(
+  schemas: { [key: string]: any },
+  converted: WeakMap<object, object>,
+  oas: Oas3,
+  ignoreReadOnly: boolean
+): { [key: string]: any } {
+  if (typeof schemas !== 'object' || schemas === null) {
+    return schemas
+  }
+
+  const result = {}
+  Object.entries(schemas).forEach(([key, schema]) => {
+    result[key] = convertSchema(schema, converted, oas, ignoreReadOnly)
+  })
+
+  return result
+}
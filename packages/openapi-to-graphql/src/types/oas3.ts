@@ -18,11 +18,14 @@ export type SchemaObject = {
   format?: string
   nullable?: boolean
   description?: string
+  deprecated?: boolean
   properties?: {
     [key: string]: SchemaObject | ReferenceObject
   }
   required?: string[]
   default?: any
+  minimum?: number
+  maximum?: number
   additionalProperties?: SchemaObject | ReferenceObject | boolean
   items?: SchemaObject | ReferenceObject // MUST be a single schema object in OAS, see https://github.com/OAI/OpenAPI-Specification/blob/master/versions/3.0.1.md#properties
   additionalItems?: boolean | string[]
@@ -31,6 +34,14 @@ export type SchemaObject = {
   anyOf?: (SchemaObject | ReferenceObject)[]
   oneOf?: (SchemaObject | ReferenceObject)[]
   not?: (SchemaObject | ReferenceObject)[]
+  discriminator?: DiscriminatorObject
+}
+
+export type DiscriminatorObject = {
+  propertyName: string
+  mapping?: {
+    [key: string]: string
+  }
 }
 
 export type ReferenceObject = {
@@ -187,7 +198,7 @@ export type CallbacksObject = {
   [key: string]: CallbackObject | ReferenceObject
 }
 
-type OAuthFlowObject = {
+export type OAuthFlowObject = {
   authorizationUrl?: string // Optional, beacause applies only to certain flows
   tokenUrl?: string // Optional, beacause applies only to certain flows
   refreshUrl?: string // Optional, beacause applies only to certain flows
@@ -197,7 +208,7 @@ type OAuthFlowObject = {
   }
 }
 
-type OAuthFlowsObject = {
+export type OAuthFlowsObject = {
   implicit?: OAuthFlowObject
   password?: OAuthFlowObject
   clientCredentials?: OAuthFlowObject
@@ -25,7 +25,8 @@ import {
   GraphQLInputObjectType,
   GraphQLList,
   GraphQLEnumType,
-  GraphQLUnionType
+  GraphQLUnionType,
+  GraphQLInterfaceType
 } from 'graphql'
 
 import { HTTP_METHODS } from '../oas_3_tools'
@@ -39,6 +40,7 @@ export enum TargetGraphQLType {
   id = 'id',
   bigint = 'bigint',
   upload = 'upload',
+  formatScalar = 'formatScalar',
 
   // JSON
   json = 'json',
@@ -47,6 +49,7 @@ export enum TargetGraphQLType {
   object = 'object',
   list = 'list',
   enum = 'enum',
+  interface = 'interface',
 
   anyOfObject = 'anyOfObject',
   oneOfUnion = 'oneOfUnion'
@@ -80,8 +83,8 @@ export type DataDefinition = {
    * I.e. If the dataDef is a list type, the subDefinition is a reference to the
    * list item type
    *
-   * Or if the dataDef is an object type, the subDefinitions are references to
-   * the field types
+   * Or if the dataDef is an object or interface type, the subDefinitions are
+   * references to the field types
    *
    * Or if the dataDef is a union type, the subDefinitions are references to
    * the member types
@@ -104,11 +107,35 @@ export type DataDefinition = {
     | GraphQLObjectType
     | GraphQLList<any>
     | GraphQLUnionType
+    | GraphQLInterfaceType
     | GraphQLEnumType
     | GraphQLScalarType
 
   // The GraphQL input object type if it is created
   graphQLInputObjectType?: GraphQLInputObjectType | GraphQLList<any>
+
+  // The GraphQL connection type if it is created for paginated lists of this data
+  graphQLConnectionType?: GraphQLObjectType
+
+  // How to refetch this data if its object type implements the Node interface
+  node?: NodeDefinition
+
+  // How to resolve references to this data if its object type is an entity
+  entity?: EntityDefinition
+
+  // How to identify the member or implementing type of a union or interface type
+  discriminator?: DiscriminatorDefinition
+
+  // The interface types that the object type implements
+  interfaces?: DataDefinition[]
+}
+
+export type DiscriminatorDefinition = {
+  // The sanitized name of the property that holds the discriminator value
+  propertyName: string
+
+  // Definitions of the member or implementing types by discriminator value
+  mapping: { [value: string]: DataDefinition }
 }
 
 export type Operation = {
@@ -138,6 +165,16 @@ export type Operation = {
    */
   description: string
 
+  /**
+   * Reason why the operation is deprecated (if it is deprecated)
+   */
+  deprecationReason?: string
+
+  /**
+   * Whether the operation should be left out of the GraphQL schema
+   */
+  hidden: boolean
+
   /**
    * Tags of this operation
    */
@@ -184,12 +221,19 @@ export type Operation = {
   parameters: ParameterObject[]
 
   /**
-   * List of keys of security schemes required by this operation
+   * Alternative security requirements of this operation, in order, each of
+   * which lists the keys of the security schemes that are all required
    *
-   * NOTE: Keys are sanitized
    * NOTE: Does not contain OAuth 2.0-related security schemes
    */
-  securityRequirements: string[]
+  securityRequirements: string[][]
+
+  /**
+   * The OAuth 2 security scheme, if any, that OpenAPI-to-GraphQL obtains
+   * access tokens for in order to invoke this operation, and the required
+   * scopes
+   */
+  oauthRequirement?: OAuthRequirement
 
   /**
    * (Local) server definitions of the operation.
@@ -217,4 +261,124 @@ export type Operation = {
    * The OAS which this operation originated from
    */
   oas: Oas3
+
+  /**
+   * Batch endpoint that can load multiple resources of this operation at once,
+   * declared using the x-graphql-batch extension
+   */
+  batch?: BatchDefinition
+
+  /**
+   * How the API pages through the list returned by this operation, if it is
+   * exposed as a Relay connection
+   */
+  pagination?: PaginationDefinition
+}
+
+export type OAuthRequirement = {
+  /**
+   * Key of the OAuth 2 security scheme
+   */
+  securityScheme: string
+
+  scopes: string[]
+}
+
+export type BatchDefinition = {
+  /**
+   * The operation that loads multiple resources at once
+   */
+  operation: Operation
+
+  /**
+   * Parameter of the batched operation that identifies a single resource
+   */
+  parameter: ParameterObject
+
+  /**
+   * Query parameter of the batch operation that takes a comma-separated list
+   * of identifiers
+   */
+  batchParameter: ParameterObject
+
+  /**
+   * Property of the returned resources that contains their identifier
+   */
+  responseKey: string
+}
+
+export enum PaginationType {
+  // Query parameters for the offset of the first item and the number of items
+  offset = 'offset',
+
+  // Query parameters for the page number and (optionally) the page size
+  page = 'page',
+
+  // Query parameter for a cursor, which is returned with the previous page
+  cursor = 'cursor',
+
+  // Link header with relation type 'next'
+  link = 'link'
+}
+
+export type PaginationDefinition = {
+  type: PaginationType
+
+  /**
+   * Query parameter that determines where a page starts, i.e. the offset, the
+   * page number, or the cursor
+   */
+  startParameter?: ParameterObject
+
+  /**
+   * Query parameter that determines the number of items in a page
+   */
+  sizeParameter?: ParameterObject
+
+  /**
+   * Property of the response object that contains the list of items, if the
+   * response is not a list itself
+   */
+  itemsProperty?: string
+
+  /**
+   * Property of the response object that contains the cursor of the next page
+   */
+  nextCursorProperty?: string
+
+  /**
+   * Information about the items in the list
+   */
+  itemDefinition: DataDefinition
 }
+
+export type NodeDefinition = {
+  /**
+   * The GET operation that fetches a single resource by its path parameters
+   */
+  operation: Operation
+
+  /**
+   * Properties of the resource that contain the values of the path parameters
+   * of the operation, in the order of the path parameters
+   */
+  idProperties: {
+    parameter: ParameterObject
+    propertyName: string
+  }[]
+
+  /**
+   * Field that exposes the original id property of the resource, if the
+   * resource has one, as the id field is reserved for the global ID
+   */
+  rawIdFieldName?: string
+}
+
+/**
+ * How to resolve references to an entity of an Apollo Federation supergraph,
+ * i.e. an object type with a @key directive
+ */
+export type EntityDefinition = Pick<
+  NodeDefinition,
+  'operation' | 'idProperties'
+>
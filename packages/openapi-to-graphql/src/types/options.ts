@@ -5,22 +5,68 @@
 
 // Type imports:
 import { GraphQLOperationType, SubscriptionContext } from './graphql'
-import { GraphQLFieldResolver, GraphQLResolveInfo } from 'graphql'
+import {
+  GraphQLFieldResolver,
+  GraphQLResolveInfo,
+  GraphQLScalarType
+} from 'graphql'
 import crossFetch from 'cross-fetch'
 import FormData from 'form-data'
+import { ResponseCache } from '../response_cache'
+import { SecuritySchemeObject } from './oas3'
 
 /**
  * Type definition of the options that users can pass to OpenAPI-to-GraphQL.
  */
+/**
+ * A part of an OAS, e.g. an operation or a schema object
+ */
+export type OasLocation = {
+  // Title of the OAS
+  title: string
+
+  // JSON pointer to the part of the OAS
+  pointer: string
+}
+
 export type Warning = {
   type: string
   message: string
   mitigation: string
   path?: string[]
+
+  // Undefined if the warning cannot be traced back to the OAS
+  source?: OasLocation
+}
+
+/**
+ * What OpenAPI-to-GraphQL created from an operation of an OAS
+ */
+export type OperationReport = {
+  // The operation, i.e. its path item or callback expression and method
+  source: OasLocation
+  path: string
+  method: string
+  operationId?: string
+
+  // Root operation type of the fields, or 'skipped' if no field was created
+  operationType: 'query' | 'mutation' | 'subscription' | 'skipped'
+
+  // Why the operation was skipped
+  reason?: string
+
+  // Schema coordinates of the fields that invoke the operation, e.g. 'Query.user'
+  fields: string[]
+
+  // Names of the types that the fields return and take as arguments
+  typeNames: string[]
 }
 
 export type Report = {
   warnings: Warning[]
+
+  // Added once the schema has been created
+  operations?: OperationReport[]
   numOps: number
   numOpsQuery: number
   numOpsMutation: number
@@ -43,6 +89,37 @@ export type OasTitlePathMethodObject<T> = {
   }
 }
 
+/**
+ * Determines where the fields of operations with multiple tags are placed if
+ * the tagNamespaces option is true
+ *
+ * 'first': in the namespace of the first tag
+ * 'all': in the namespaces of all tags
+ * 'root': in the root operation type
+ */
+export type TagNamespacePolicy = 'first' | 'all' | 'root'
+
+/**
+ * Selects operations of the OAS
+ *
+ * An operation matches the filter if it matches any of the given tags, path
+ * globs, HTTP methods, or operationIds.
+ */
+export type OperationFilter = {
+  tags?: string[]
+
+  /**
+   * Globs for the paths of operations, where '*' matches any characters
+   * except '/' and '**' matches any characters, e.g. '/v1/customers/**'
+   */
+  paths?: string[]
+
+  // Case-insensitive, e.g. 'get'
+  methods?: string[]
+
+  operationIds?: string[]
+}
+
 /**
  * Given a set parameters corresponding to a specific operation in the OAS,
  * provide the appropriate headers
@@ -88,6 +165,96 @@ export type RequestOptions<TSource, TContext, TArgs> = Omit<
  */
 export type FileUploadOptions = ConstructorParameters<typeof FormData>[0]
 
+/**
+ * Credentials of an OAuth 2 client that OpenAPI-to-GraphQL uses to obtain
+ * access tokens from the token endpoint of an OAuth 2 security scheme
+ */
+export type OAuthClient = {
+  clientId: string
+  clientSecret?: string
+
+  /**
+   * Whether the client credentials are sent to the token endpoint using HTTP
+   * basic authentication (default) or in the request body
+   *
+   * See https://tools.ietf.org/html/rfc6749#section-2.3.1
+   */
+  clientAuthentication?: 'basic' | 'body'
+
+  /**
+   * Scopes to request access tokens for. Per default, the scopes listed in the
+   * security requirements of the operations are requested.
+   */
+  scopes?: string[]
+
+  /**
+   * Refresh token (e.g. obtained using the authorization code flow) that is
+   * used to obtain access tokens before falling back to the client credentials
+   * flow
+   */
+  refreshToken?: string
+
+  /**
+   * Overrides the token URL defined in the OAuth flows of the security scheme.
+   * Relative URLs are resolved against the base URL of the operation.
+   */
+  tokenUrl?: string
+}
+
+/**
+ * Metadata of an OpenID provider, as returned by the openIdConnectUrl of an
+ * OpenID Connect security scheme
+ *
+ * See https://openid.net/specs/openid-connect-discovery-1_0.html#ProviderMetadata
+ */
+export type OpenIdConnectDocument = {
+  issuer: string
+  authorization_endpoint?: string
+  token_endpoint?: string
+  jwks_uri?: string
+  scopes_supported?: string[]
+  grant_types_supported?: string[]
+  [key: string]: any
+}
+
+/**
+ * A request to the API that an auth provider authenticates
+ */
+export type AuthRequest = {
+  // Upper case, e.g. 'GET'
+  method: string
+
+  // Contains the query parameters of the request
+  url: URL
+
+  headers: { [key: string]: string }
+  body?: any
+}
+
+/**
+ * Adds support for a security scheme, e.g. for HTTP authentication schemes
+ * other than basic and bearer or for request signatures
+ */
+export type AuthProvider<TContext> = {
+  /**
+   * Names of the credentials that users pass to the viewer of the security
+   * scheme, e.g. ['accessKeyId', 'secretAccessKey']
+   */
+  credentials: string[]
+
+  /**
+   * Authenticates a request using the credentials passed to the viewer, e.g.
+   * by adding headers or signing the request. The headers and the URL of the
+   * request can be modified.
+   */
+  authenticate: (params: {
+    request: AuthRequest
+    credentials: { [name: string]: string }
+    securityScheme: SecuritySchemeObject
+    context: TContext
+  }) => void | Promise<void>
+}
+
 export type Options<TSource, TContext, TArgs> = Partial<
   InternalOptions<TSource, TContext, TArgs>
 >
@@ -145,6 +312,18 @@ export type InternalOptions<TSource, TContext, TArgs> = {
    */
   idFormats?: string[]
 
+  /**
+   * Translate schemas of type string with formats like date-time, email, or
+   * uuid into the corresponding custom scalars of graphql-scalars (e.g.
+   * DateTime, EmailAddress, or UUID) rather than into GraphQL String types.
+   *
+   * If set to true, the built-in mapping is used. Alternatively, an object
+   * mapping formats to custom scalars can be provided, which extends and
+   * overrides the built-in mapping. Formats listed in idFormats are still
+   * translated into GraphQL ID types.
+   */
+  formatScalars: boolean | { [format: string]: GraphQLScalarType }
+
   /**
    * Allows to define the root operation type (Query or Mutation type) of any
    * OAS operation explicitly.
@@ -157,6 +336,19 @@ export type InternalOptions<TSource, TContext, TArgs> = {
    */
   selectQueryOrMutationField?: OasTitlePathMethodObject<GraphQLOperationType>
 
+  /**
+   * Only create fields for the operations that match this filter.
+   *
+   * Operations that are left out do not create any types or warnings.
+   */
+  include?: OperationFilter
+
+  /**
+   * Do not create fields for the operations that match this filter, even if
+   * they match the include filter.
+   */
+  exclude?: OperationFilter
+
   /**
    * Sets argument name for the payload of a mutation to 'requestBody'
    */
@@ -207,6 +399,79 @@ export type InternalOptions<TSource, TContext, TArgs> = {
    */
   createSubscriptionsFromCallbacks: boolean
 
+  /**
+   * Allow to generate subscription fields from operations whose responses
+   * stream events, i.e. Server-Sent Events (text/event-stream) or
+   * newline-delimited JSON (application/x-ndjson).
+   *
+   * The subscriptions keep the HTTP response open and yield one event per
+   * message or line, typed by the schema of the streaming media type.
+   */
+  createSubscriptionsFromStreams: boolean
+
+  /**
+   * Expose list operations that paginate using offset/limit, page/size, or
+   * cursor parameters, or Link headers, as Relay-style connections.
+   *
+   * Connection fields take the arguments first, after, last, and before in
+   * place of the pagination parameters, and their resolve functions page
+   * through the API.
+   *
+   * See https://relay.dev/graphql/connections.htm
+   */
+  relayConnections: boolean
+
+  /**
+   * Leave operations, parameters, and properties that are marked as deprecated
+   * (using the deprecated keyword or the x-graphql-deprecated extension) out
+   * of the GraphQL schema instead of deprecating the corresponding fields and
+   * arguments.
+   */
+  omitDeprecated: boolean
+
+  /**
+   * Group the fields of the Query object type under namespace fields that are
+   * derived from the tags of the operations, e.g.
+   * query { billing { invoices } }
+   *
+   * GraphQL only executes the root fields of mutations serially and only
+   * subscribes to root fields, so Mutation and Subscription fields are
+   * prefixed by their namespaces instead, e.g. billingCreateInvoice.
+   *
+   * Namespaces can be renamed using the x-graphql-namespace extension in tag
+   * objects, and operations can be placed in a namespace of their choosing
+   * using the x-graphql-namespace extension in operation objects.
+   *
+   * Operations without tags remain in the root operation types.
+   */
+  tagNamespaces: boolean
+
+  /**
+   * Determines where the fields of operations with multiple tags are placed if
+   * tagNamespaces is true
+   */
+  tagNamespacePolicy: TagNamespacePolicy
+
+  /**
+   * Make the object types of resources that can be fetched by their IDs, i.e.
+   * using GET operations like /users/{userId}, implement the Node interface
+   * with globally unique IDs, and add a node(id: ID!) field to the Query type
+   * that refetches any of these resources.
+   *
+   * See https://graphql.org/learn/global-object-identification/
+   */
+  nodeInterface: boolean
+
+  /**
+   * Create an Apollo Federation subgraph. The object types of resources that
+   * can be fetched by their IDs (see nodeInterface) become entities with @key
+   * directives, whose references are resolved using the GET operations, and
+   * the _service and _entities fields are added to the Query type.
+   *
+   * See https://www.apollographql.com/docs/federation/subgraph-spec/
+   */
+  federation: boolean
+
   // Resolver options
 
   /**
@@ -280,7 +545,8 @@ export type InternalOptions<TSource, TContext, TArgs> = {
    * non-standard authentication requirements.
    *
    * Note: Subscription fields will only be generated if the
-   * createSubscriptionsFromCallbacks option is enabled.
+   * createSubscriptionsFromCallbacks or the createSubscriptionsFromStreams
+   * option is enabled.
    */
   customSubscriptionResolvers?: OasTitlePathMethodObject<{
     subscribe: GraphQLFieldResolver<TSource, SubscriptionContext, TArgs>
@@ -295,6 +561,56 @@ export type InternalOptions<TSource, TContext, TArgs> = {
    */
   fileUploadOptions?: FileUploadOptions
 
+  /**
+   * Deduplicate and batch the requests made while executing a single GraphQL
+   * operation.
+   *
+   * Identical GET requests (same URL, query string, and headers) that are in
+   * flight at the same time are only made once. Requests to operations that
+   * declare a batch endpoint using the x-graphql-batch extension are combined
+   * into a single request to that endpoint.
+   *
+   * Requests are scoped to the GraphQL context, which must therefore be an
+   * object. The number of requests that did not have to be made is returned
+   * by getNumRequestsSaved(context).
+   */
+  batchRequests: boolean
+
+  /**
+   * Cache the responses of GET operations, following the Cache-Control,
+   * Expires, Vary, ETag, and Last-Modified headers sent by the API. Stale
+   * responses are revalidated using the If-None-Match and If-Modified-Since
+   * headers. The cache is shared by all GraphQL requests, so private
+   * responses are not cached.
+   *
+   * If set to true, an in-memory cache holding up to 1000 responses is used.
+   * Alternatively, a custom cache (e.g. backed by Redis) can be provided. If
+   * set to false, no responses are cached.
+   */
+  responseCache: boolean | ResponseCache
+
+  /**
+   * Allows to override the time (in seconds) for which the responses of an
+   * operation are considered fresh, regardless of the caching headers sent by
+   * the API.
+   *
+   * The field is identifed first by the title of the OAS, then the path of the
+   * operation, and lastly the method of the operation.
+   */
+  responseCacheTTL?: OasTitlePathMethodObject<number>
+
+  /**
+   * Validate the parameters and the request body of every request against the
+   * schemas in the OAS before sending it. The GraphQL types cannot express
+   * constraints like pattern, minLength, maximum, or format, so such requests
+   * would otherwise only be rejected by the API. Properties that are marked
+   * as readOnly are ignored.
+   *
+   * Invalid requests are not sent. Instead, the resolver returns an error that
+   * lists the violations, each with a JSON pointer to the violating value.
+   */
+  validateRequests: boolean
+
   // Authentication options
 
   /**
@@ -315,6 +631,56 @@ export type InternalOptions<TSource, TContext, TArgs> = {
    */
   sendOAuthTokenInQuery: boolean
 
+  /**
+   * OAuth 2 clients, identified by the names of the OAuth 2 security schemes
+   * that they belong to.
+   *
+   * OpenAPI-to-GraphQL obtains access tokens for operations that require these
+   * security schemes using the client credentials or refresh token grant,
+   * caches them until they expire, and sends them along with the requests.
+   * Rejected access tokens are renewed once.
+   */
+  oauthClients?: { [securitySchemeName: string]: OAuthClient }
+
+  /**
+   * Discovery documents of OpenID Connect security schemes, identified by the
+   * names of the security schemes. Documents can be provided as objects or as
+   * paths to local JSON files, which are only read by createGraphQLSchema().
+   *
+   * Per default, createGraphQLSchema() loads the discovery documents from the
+   * openIdConnectUrls of the security schemes, which times out after 10
+   * seconds. Providing them allows to create schemas offline.
+   */
+  openIdConnectDocuments?: {
+    [securitySchemeName: string]: OpenIdConnectDocument | string
+  }
+
+  /**
+   * Auth providers, which add support for security schemes or replace the
+   * built-in support.
+   *
+   * Keys are either names of security schemes, HTTP authentication schemes
+   * prefixed with 'http:' (e.g. 'http:digest'), or types of security schemes
+   * (e.g. 'apiKey'). If multiple keys match a security scheme, the most
+   * specific one is used.
+   */
+  authProviders?: { [securitySchemeNameOrType: string]: AuthProvider<TContext> }
+
+  /**
+   * JSONPaths of credentials in the GraphQL context, identified by the names
+   * of the security schemes that they are used for.
+   *
+   * Values are JSONPaths for security schemes with a single credential (e.g.
+   * API keys and bearer tokens) or objects, whose keys are the names of the
+   * credentials (e.g. 'username' and 'password' for basic authentication).
+   *
+   * Operations whose security requirements can be satisfied using these
+   * credentials are not wrapped in viewers.
+   */
+  contextCredentials?: {
+    [securitySchemeName: string]: string | { [credential: string]: string }
+  }
+
   // Validation options
 
   /**
@@ -8,7 +8,7 @@
  */
 
 import { Operation, DataDefinition } from './operation'
-import { InternalOptions } from './options'
+import { AuthProvider, InternalOptions, OAuthClient } from './options'
 import { SecuritySchemeObject, SchemaObject, Oas3, LinkObject } from './oas3'
 
 export type ProcessedSecurityScheme = {
@@ -28,12 +28,51 @@ export type ProcessedSecurityScheme = {
    */
   schema: SchemaObject
 
+  /**
+   * The auth provider that authenticates requests using this security scheme,
+   * if any (see the authProviders option)
+   */
+  authProvider?: AuthProvider<any>
+
+  /**
+   * JSONPaths of the credentials in the GraphQL context, if they are taken
+   * from the context (see the contextCredentials option)
+   *
+   * NOTE: Keys are the keys of the parameters
+   */
+  contextCredentials?: { [credential: string]: string }
+
   /**
    * The OAS which this operation originated from
    */
   oas: Oas3
 }
 
+export type ProcessedOAuthScheme = {
+  rawName: string
+  def: SecuritySchemeObject
+
+  /**
+   * The client to obtain access tokens with (see the oauthClients option)
+   */
+  client: OAuthClient
+
+  /**
+   * URL to obtain access tokens from using the client credentials grant
+   */
+  tokenUrl?: string
+
+  /**
+   * URL to obtain access tokens from using the refresh token grant
+   */
+  refreshUrl?: string
+
+  /**
+   * The OAS which this security scheme originated from
+   */
+  oas: Oas3
+}
+
 export type PreprocessingData<TSource, TContext, TArgs> = {
   /**
    * List of operation objects
@@ -45,6 +84,12 @@ export type PreprocessingData<TSource, TContext, TArgs> = {
    */
   callbackOperations: { [key: string]: Operation }
 
+  /**
+   * List of the operationIds of the operations that are left out by the
+   * include and exclude options
+   */
+  excludedOperationIds: string[]
+
   /**
    * List of all the used object names to avoid collision
    */
@@ -63,6 +108,17 @@ export type PreprocessingData<TSource, TContext, TArgs> = {
    */
   security: { [key: string]: ProcessedSecurityScheme }
 
+  /**
+   * The OAuth 2 security schemes for which OpenAPI-to-GraphQL obtains access
+   * tokens by itself, i.e. for which the oauthClients option provides a client
+   *
+   * NOTE: Keys are the titles of the OASs and the names of the security
+   * schemes, which may be shared by multiple OASs
+   */
+  oauthSchemes: {
+    [title: string]: { [schemeKey: string]: ProcessedOAuthScheme }
+  }
+
   /**
    * Mapping between sanitized strings and their original ones
    */
@@ -4,7 +4,9 @@
 // License text available at https://opensource.org/licenses/MIT
 
 import { PreprocessingData } from './types/preprocessing_data'
-import { Warning } from './types/options'
+import { OasLocation, Warning } from './types/options'
+
+import * as jsonptr from 'json-ptr'
 
 export enum MitigationTypes {
   /**
@@ -22,13 +24,18 @@ export enum MitigationTypes {
   DUPLICATE_FIELD_NAME = 'DUPLICATE_FIELD_NAME',
   DUPLICATE_LINK_KEY = 'DUPLICATE_LINK_KEY',
   INVALID_HTTP_METHOD = 'INVALID_HTTP_METHOD',
-  INPUT_UNION = 'INPUT_UNION',
+  INVALID_BATCH_EXTENSION = 'INVALID_BATCH_EXTENSION',
+  INVALID_DISCRIMINATOR_MAPPING = 'INVALID_DISCRIMINATOR_MAPPING',
+  INVALID_FIELD_EXTENSION = 'INVALID_FIELD_EXTENSION',
+  REQUIRED_DEPRECATED_ELEMENT = 'REQUIRED_DEPRECATED_ELEMENT',
+  REQUIRED_HIDDEN_ELEMENT = 'REQUIRED_HIDDEN_ELEMENT',
   MISSING_RESPONSE_SCHEMA = 'MISSING_RESPONSE_SCHEMA',
   MISSING_SCHEMA = 'MISSING_SCHEMA',
   MULTIPLE_RESPONSES = 'MULTIPLE_RESPONSES',
   NON_APPLICATION_JSON_SCHEMA = 'NON_APPLICATION_JSON_SCHEMA',
   OBJECT_MISSING_PROPERTIES = 'OBJECT_MISSING_PROPERTIES',
   UNKNOWN_TARGET_TYPE = 'UNKNOWN_TARGET_TYPE',
+  UNRESOLVABLE_OPENID_CONNECT_URL = 'UNRESOLVABLE_OPENID_CONNECT_URL',
   UNRESOLVABLE_SCHEMA = 'UNRESOLVABLE_SCHEMA',
   UNSUPPORTED_HTTP_SECURITY_SCHEME = 'UNSUPPORTED_HTTP_SECURITY_SCHEME',
   UNSUPPORTED_JSON_SCHEMA_KEYWORD = 'UNSUPPORTED_JSON_SCHEMA_KEYWORD',
@@ -47,9 +54,15 @@ export enum MitigationTypes {
   // Options
   CUSTOM_RESOLVER_UNKNOWN_OAS = 'CUSTOM_RESOLVER_UNKNOWN_OAS',
   CUSTOM_RESOLVER_UNKNOWN_PATH_METHOD = 'CUSTOM_RESOLVER_UNKNOWN_PATH_METHOD',
+  INVALID_CONTEXT_CREDENTIALS = 'INVALID_CONTEXT_CREDENTIALS',
   LIMIT_ARGUMENT_NAME_COLLISION = 'LIMIT_ARGUMENT_NAME_COLLISION',
+  CONNECTION_ARGUMENT_NAME_COLLISION = 'CONNECTION_ARGUMENT_NAME_COLLISION',
+  NAMESPACE_NAME_COLLISION = 'NAMESPACE_NAME_COLLISION',
+  NODE_ID_NAME_COLLISION = 'NODE_ID_NAME_COLLISION',
+  NODE_FIELD_NAME_COLLISION = 'NODE_FIELD_NAME_COLLISION',
 
   // Miscellaneous
+  ENTITY_REQUIRES_VIEWER = 'ENTITY_REQUIRES_VIEWER',
   OAUTH_SECURITY_SCHEME = 'OAUTH_SECURITY_SCHEME'
 }
 
@@ -68,7 +81,11 @@ export const mitigations: { [mitigationType in MitigationTypes]: string } = {
   COMBINE_SCHEMAS: 'Ignore combine schema keyword and continue.',
   DUPLICATE_FIELD_NAME: 'Ignore field and maintain preexisting field.',
   DUPLICATE_LINK_KEY: 'Ignore link and maintain preexisting link.',
-  INPUT_UNION: 'The data will be stored in an arbitrary JSON type.',
+  INVALID_BATCH_EXTENSION: 'Do not batch requests to this operation.',
+  INVALID_DISCRIMINATOR_MAPPING: 'Ignore the discriminator value.',
+  INVALID_FIELD_EXTENSION: 'Ignore extension and continue.',
+  REQUIRED_DEPRECATED_ELEMENT: 'Do not deprecate the element.',
+  REQUIRED_HIDDEN_ELEMENT: 'Do not hide the element.',
   INVALID_HTTP_METHOD: 'Ignore operation and continue.',
   MISSING_RESPONSE_SCHEMA: 'Ignore operation.',
   MISSING_SCHEMA: 'Use arbitrary JSON type.',
@@ -78,6 +95,7 @@ export const mitigations: { [mitigationType in MitigationTypes]: string } = {
   OBJECT_MISSING_PROPERTIES:
     'The (sub-)object will be stored in an arbitrary JSON type.',
   UNKNOWN_TARGET_TYPE: 'The data will be stored in an arbitrary JSON type.',
+  UNRESOLVABLE_OPENID_CONNECT_URL: `Do not use the discovery document. Tokens can only be passed using the viewer and the 'tokenJSONpath' option.`,
   UNRESOLVABLE_SCHEMA: 'Ignore and continue. May lead to unexpected behavior.',
   UNSUPPORTED_HTTP_SECURITY_SCHEME: 'Ignore security scheme.',
   UNSUPPORTED_JSON_SCHEMA_KEYWORD: 'Ignore keyword and continue.',
@@ -97,10 +115,16 @@ export const mitigations: { [mitigationType in MitigationTypes]: string } = {
   // Options
   CUSTOM_RESOLVER_UNKNOWN_OAS: 'Ignore this set of custom resolvers.',
   CUSTOM_RESOLVER_UNKNOWN_PATH_METHOD: 'Ignore this set of custom resolvers.',
+  INVALID_CONTEXT_CREDENTIALS: `Do not take credentials from the context. Credentials can only be passed using the viewer.`,
   LIMIT_ARGUMENT_NAME_COLLISION: `Do not override existing 'limit' argument.`,
+  CONNECTION_ARGUMENT_NAME_COLLISION: `Do not create a connection for this operation.`,
+  NAMESPACE_NAME_COLLISION: 'Ignore namespace and maintain preexisting field.',
+  NODE_ID_NAME_COLLISION: 'Do not implement the Node interface for this type.',
+  NODE_FIELD_NAME_COLLISION: `Do not create the 'node' field and maintain preexisting field.`,
 
   // Miscellaneous
-  OAUTH_SECURITY_SCHEME: `Do not create OAuth viewer. OAuth support is provided using the 'tokenJSONpath' option.`
+  ENTITY_REQUIRES_VIEWER: `Do not resolve references to this entity. Use the 'contextCredentials' option to take the credentials from the context instead.`,
+  OAUTH_SECURITY_SCHEME: `Do not create OAuth viewer. OAuth support is provided using the 'tokenJSONpath' and 'oauthClients' options.`
 }
 
 /**
@@ -111,6 +135,7 @@ export function handleWarning<TSource, TContext, TArgs>({
   message,
   mitigationAddendum,
   path,
+  source,
   data,
   log
 }: {
@@ -118,6 +143,8 @@ export function handleWarning<TSource, TContext, TArgs>({
   message: string
   mitigationAddendum?: string
   path?: string[]
+  // The part of the OAS that caused the warning, e.g. a schema object
+  source?: object
   data: PreprocessingData<TSource, TContext, TArgs>
   log?: Function
 }) {
@@ -135,6 +162,14 @@ export function handleWarning<TSource, TContext, TArgs>({
     warning['path'] = path
   }
 
+  const location =
+    typeof source === 'object' && source !== null
+      ? getOasLocation(source, data)
+      : undefined
+  if (typeof location === 'object') {
+    warning.source = location
+  }
+
   if (data.options.strict) {
     throw new Error(`${warning.type} - ${warning.message}`)
   } else {
@@ -148,6 +183,65 @@ export function handleWarning<TSource, TContext, TArgs>({
   }
 }
 
+// Locations of the objects of the OASs, by the data of the OASs
+const oasLocations = new WeakMap<
+  PreprocessingData<any, any, any>,
+  Map<object, OasLocation>
+>()
+
+/**
+ * Returns the OAS that contains the given object (e.g. an operation or a
+ * schema object) and the JSON pointer to the object in it, preferring the
+ * reusable components over the places that they are used in
+ *
+ * Returns undefined for objects that have been created or copied during
+ * preprocessing.
+ */
+export function getOasLocation<TSource, TContext, TArgs>(
+  value: object,
+  data: PreprocessingData<TSource, TContext, TArgs>
+): OasLocation | undefined {
+  if (!oasLocations.has(data)) {
+    const locations = new Map<object, OasLocation>()
+    if (Array.isArray(data.oass)) {
+      data.oass.forEach((oas) => {
+        addOasLocations(
+          oas.components,
+          ['components'],
+          oas.info.title,
+          locations
+        )
+        addOasLocations(oas, [], oas.info.title, locations)
+      })
+    }
+
+    oasLocations.set(data, locations)
+  }
+
+  return oasLocations.get(data).get(value)
+}
+
+/**
+ * Adds the locations of the given value and the objects nested in it, unless
+ * the objects already have locations
+ */
+function addOasLocations(
+  value: any,
+  segments: string[],
+  title: string,
+  locations: Map<object, OasLocation>
+): void {
+  if (typeof value !== 'object' || value === null || locations.has(value)) {
+    return
+  }
+
+  locations.set(value, { title, pointer: jsonptr.encodePointer(segments) })
+
+  Object.entries(value).forEach(([key, nestedValue]) => {
+    addOasLocations(nestedValue, [...segments, key], title, locations)
+  })
+}
+
 // Code provided by codename- from StackOverflow
 // Link: https://stackoverflow.com/a/29622653
 export function sortObject<T>(o: T): T {
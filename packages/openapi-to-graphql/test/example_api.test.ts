@@ -5,7 +5,7 @@
 
 'use strict'
 
-import { graphql, GraphQLInputObjectType, GraphQLInputObjectTypeConfig, GraphQLObjectTypeConfig, GraphQLSchema, parse, validate, GraphQLType } from 'graphql'
+import { graphql, GraphQLInputObjectType, GraphQLObjectType, GraphQLInputObjectTypeConfig, GraphQLObjectTypeConfig, GraphQLSchema, parse, validate, GraphQLType } from 'graphql'
 import { afterAll, beforeAll, expect, test } from '@jest/globals'
 
 import * as openAPIToGraphQL from '../src/index'
@@ -2039,6 +2039,75 @@ test('Option selectQueryOrMutationField', () => {
   return Promise.all([promise, promise2])
 })
 
+test('Option include', () => {
+  const options: Options<any, any, any> = {
+    include: {
+      tags: ['users'],
+      paths: ['/cars']
+    }
+  }
+
+  return openAPIToGraphQL
+    .createGraphQLSchema(oas, options)
+    .then(({ schema }) => {
+      expect(Object.keys(schema.getQueryType().getFields()).sort()).toEqual([
+        'cars',
+        'user',
+        'users'
+      ])
+      expect(Object.keys(schema.getMutationType().getFields())).toEqual([
+        'postUser'
+      ])
+
+      // Types are only created for the included operations
+      expect(schema.getType('Car')).toBeDefined()
+      expect(schema.getType('Office')).toBeUndefined()
+
+      // Links to operations that are left out are not created
+      const userType = schema.getType('User') as GraphQLObjectType
+      expect(Object.keys(userType.getFields())).not.toContain(
+        'employerCompany'
+      )
+    })
+})
+
+test('Option include with path globs and option exclude', () => {
+  const options: Options<any, any, any> = {
+    include: {
+      paths: ['/products/**', '/users/*']
+    },
+    exclude: {
+      operationIds: ['getUserByUsername']
+    }
+  }
+
+  return openAPIToGraphQL
+    .createGraphQLSchema(oas, options)
+    .then(({ schema }) => {
+      // '/products/**' does not match '/products' and '/users/*' does not match '/users/{username}/car'
+      expect(Object.keys(schema.getQueryType().getFields()).sort()).toEqual([
+        'productReviews',
+        'productWithId'
+      ])
+      expect(schema.getMutationType()).toBeNull()
+    })
+})
+
+test('Option exclude with methods', () => {
+  const options: Options<any, any, any> = {
+    exclude: {
+      methods: ['POST', 'put', 'patch', 'delete']
+    }
+  }
+
+  return openAPIToGraphQL
+    .createGraphQLSchema(oas, options)
+    .then(({ schema }) => {
+      expect(Object.keys(schema.getQueryType().getFields())).toContain('users')
+      expect(schema.getMutationType()).toBeNull()
+    })
+})
+
 test('Header arguments are not created when they are provided through headers option', () => {
   // The GET snack operation has a snack_type and snack_size header arguments
   const options: Options<any, any, any> = {
@@ -0,0 +1,428 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLObjectType, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer, takeRequests } from './example_api10_server'
+
+const oas = require('./fixtures/example_oas10.json')
+const PORT = 3013
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the relayConnections
+ * option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, {
+        relayConnections: true
+      })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Paginated list operations return connections', () => {
+  const queryType = createdSchema.getQueryType()
+  const booksField = queryType.getFields().books
+
+  expect(booksField.type.toString()).toEqual('BookConnection')
+  expect(booksField.args.map((arg) => arg.name)).toEqual([
+    'after',
+    'before',
+    'first',
+    'last'
+  ])
+
+  const connectionType = booksField.type as GraphQLObjectType
+  expect(Object.keys(connectionType.getFields())).toEqual(['edges', 'pageInfo'])
+  expect(connectionType.getFields().edges.type.toString()).toEqual('[BookEdge]')
+  expect(connectionType.getFields().pageInfo.type.toString()).toEqual(
+    'PageInfo!'
+  )
+
+  // Other arguments are kept
+  expect(queryType.getFields().reviews.args.map((arg) => arg.name)).toContain(
+    'since'
+  )
+})
+
+test('Offset-based pagination', async () => {
+  const query = `query($after: String) {
+    books(first: 3, after: $after) {
+      edges {
+        node {
+          id
+        }
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+        endCursor
+      }
+    }
+  }`
+
+  takeRequests()
+  const result1: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result1.data.books.edges.map((edge) => edge.node.id)).toEqual([
+    'book-1',
+    'book-2',
+    'book-3'
+  ])
+  expect(result1.data.books.pageInfo.hasNextPage).toEqual(true)
+  expect(result1.data.books.pageInfo.hasPreviousPage).toEqual(false)
+  expect(takeRequests()).toEqual(['/api/books?offset=0&limit=4'])
+
+  const result2: any = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: { after: result1.data.books.pageInfo.endCursor }
+  })
+
+  expect(result2.data.books.edges.map((edge) => edge.node.id)).toEqual([
+    'book-4',
+    'book-5',
+    'book-6'
+  ])
+  expect(result2.data.books.pageInfo.hasNextPage).toEqual(true)
+  expect(result2.data.books.pageInfo.hasPreviousPage).toEqual(true)
+
+  const result3: any = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: { after: result2.data.books.pageInfo.endCursor }
+  })
+
+  expect(result3.data.books.edges.map((edge) => edge.node.id)).toEqual([
+    'book-7'
+  ])
+  expect(result3.data.books.pageInfo.hasNextPage).toEqual(false)
+})
+
+test('Offset-based pagination backwards', async () => {
+  const query = `query($before: String) {
+    books(last: 2, before: $before) {
+      edges {
+        cursor
+        node {
+          id
+        }
+      }
+      pageInfo {
+        hasNextPage
+        hasPreviousPage
+      }
+    }
+  }`
+
+  const result1: any = await graphql({
+    schema: createdSchema,
+    source: `{
+      books(first: 6) {
+        edges {
+          cursor
+        }
+      }
+    }`
+  })
+
+  takeRequests()
+  const result2: any = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: { before: result1.data.books.edges[5].cursor }
+  })
+
+  expect(result2.data.books.edges.map((edge) => edge.node.id)).toEqual([
+    'book-4',
+    'book-5'
+  ])
+  expect(result2.data.books.pageInfo).toEqual({
+    hasNextPage: true,
+    hasPreviousPage: true
+  })
+  expect(takeRequests()).toEqual(['/api/books?offset=3&limit=3'])
+})
+
+test('Page-based pagination', async () => {
+  const query = `query($after: String) {
+    authors(first: 3, after: $after) {
+      edges {
+        node {
+          name
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }`
+
+  takeRequests()
+  const result1: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result1.data.authors.edges.map((edge) => edge.node.name)).toEqual([
+    'Frank Herbert',
+    'William Gibson',
+    'Isaac Asimov'
+  ])
+  expect(result1.data.authors.pageInfo.hasNextPage).toEqual(true)
+
+  // The page size is limited by the maximum of the per_page parameter
+  expect(takeRequests()).toEqual([
+    '/api/authors?page=1&per_page=2',
+    '/api/authors?page=2&per_page=2'
+  ])
+
+  const result2: any = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: { after: result1.data.authors.pageInfo.endCursor }
+  })
+
+  expect(result2.data.authors.edges.map((edge) => edge.node.name)).toEqual([
+    'Ursula K. Le Guin',
+    'Octavia E. Butler'
+  ])
+  expect(result2.data.authors.pageInfo.hasNextPage).toEqual(false)
+})
+
+test('Cursor-based pagination in links', async () => {
+  const query = `{
+    author(authorId: "author-1") {
+      name
+      books(first: 2) {
+        edges {
+          node {
+            title
+          }
+        }
+        pageInfo {
+          hasNextPage
+        }
+      }
+    }
+  }`
+
+  takeRequests()
+  const result: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      author: {
+        name: 'Frank Herbert',
+        books: {
+          edges: [
+            { node: { title: 'Dune' } },
+            { node: { title: 'Dune Messiah' } }
+          ],
+          pageInfo: {
+            hasNextPage: true
+          }
+        }
+      }
+    }
+  })
+  expect(takeRequests()).toEqual([
+    '/api/authors/author-1',
+    '/api/authors/author-1/books?size=3'
+  ])
+})
+
+test('Pagination using Link headers', async () => {
+  const query = `{
+    reviews(first: 4) {
+      edges {
+        node {
+          text
+        }
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }`
+
+  takeRequests()
+  const result: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.data.reviews.edges.map((edge) => edge.node.text)).toEqual([
+    'Great',
+    'Good',
+    'Okay',
+    'Bad'
+  ])
+  expect(result.data.reviews.pageInfo.hasNextPage).toEqual(true)
+  expect(takeRequests()).toEqual([
+    '/api/reviews?per_page=5',
+    '/api/reviews?since=3&per_page=5'
+  ])
+})
+
+test('Without first and last, a single page is returned', async () => {
+  const query = `{
+    reviews {
+      edges {
+        node {
+          text
+        }
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }`
+
+  const result: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.data.reviews.edges.map((edge) => edge.node.text)).toEqual([
+    'Great',
+    'Good'
+  ])
+  expect(result.data.reviews.pageInfo.hasNextPage).toEqual(true)
+})
+
+test('Option simpleNames keeps the names of pagination properties', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    relayConnections: true,
+    simpleNames: true
+  })
+
+  const query = `{
+    authorBooks(authorId: "author-1") {
+      edges {
+        node {
+          title
+        }
+      }
+      pageInfo {
+        hasNextPage
+      }
+    }
+  }`
+
+  const result: any = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      authorBooks: {
+        edges: [{ node: { title: 'Dune' } }],
+        pageInfo: {
+          hasNextPage: true
+        }
+      }
+    }
+  })
+})
+
+test('Using both first and last is an error', async () => {
+  const query = `{
+    books(first: 1, last: 1) {
+      edges {
+        cursor
+      }
+    }
+  }`
+
+  const result: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    `Cannot use both 'first' and 'last' arguments`
+  )
+})
+
+test('Using last without before is an error', async () => {
+  const query = `{
+    books(last: 1) {
+      edges {
+        cursor
+      }
+    }
+  }`
+
+  const result: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    `Argument 'last' requires the 'before' argument`
+  )
+})
+
+test('The page size in cursors is limited by the maximum of the size parameter', async () => {
+  const query = `query($after: String) {
+    authors(first: 1, after: $after) {
+      edges {
+        node {
+          name
+        }
+      }
+    }
+  }`
+
+  takeRequests()
+  await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: {
+      after: Buffer.from(JSON.stringify([1, 0, 100])).toString('base64')
+    }
+  })
+
+  expect(takeRequests()).toEqual([
+    '/api/authors?page=1&per_page=2',
+    '/api/authors?page=2&per_page=2'
+  ])
+})
+
+test('Cursors with page sizes that are not positive integers are an error', async () => {
+  const query = `query($after: String) {
+    authors(first: 1, after: $after) {
+      edges {
+        cursor
+      }
+    }
+  }`
+
+  for (const size of [0, -2, 1.5]) {
+    const after = Buffer.from(JSON.stringify([1, 0, size])).toString('base64')
+    const result: any = await graphql({
+      schema: createdSchema,
+      source: query,
+      variableValues: { after }
+    })
+
+    expect(result.errors[0].message).toEqual(
+      `Invalid cursor '${after}' for operation GET /authors`
+    )
+  }
+})
+
+test('Lists are not turned into connections without relayConnections', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+  const booksField = schema.getQueryType().getFields().books
+
+  expect(booksField.type.toString()).toEqual('[Book]')
+  expect(booksField.args.map((arg) => arg.name)).toEqual(['limit', 'offset'])
+})
@@ -0,0 +1,159 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Books = [
+  { id: 'book-1', title: 'Dune', authorId: 'author-1' },
+  { id: 'book-2', title: 'Dune Messiah', authorId: 'author-1' },
+  { id: 'book-3', title: 'Children of Dune', authorId: 'author-1' },
+  { id: 'book-4', title: 'Neuromancer', authorId: 'author-2' },
+  { id: 'book-5', title: 'Count Zero', authorId: 'author-2' },
+  { id: 'book-6', title: 'Foundation', authorId: 'author-3' },
+  { id: 'book-7', title: 'I, Robot', authorId: 'author-3' }
+]
+
+const Authors = [
+  { id: 'author-1', name: 'Frank Herbert' },
+  { id: 'author-2', name: 'William Gibson' },
+  { id: 'author-3', name: 'Isaac Asimov' },
+  { id: 'author-4', name: 'Ursula K. Le Guin' },
+  { id: 'author-5', name: 'Octavia E. Butler' }
+]
+
+const Reviews = [
+  { id: 1, text: 'Great' },
+  { id: 2, text: 'Good' },
+  { id: 3, text: 'Okay' },
+  { id: 4, text: 'Bad' },
+  { id: 5, text: 'Awful' }
+]
+
+// URLs of the requests that the server has received
+let requests = []
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.use((req, res, next) => {
+    requests.push(req.originalUrl)
+    next()
+  })
+
+  // Offset-based pagination
+  app.get('/api/books', (req, res) => {
+    const offset = Number(req.query.offset || 0)
+    const limit = Math.min(Number(req.query.limit || 2), 50)
+
+    res.send(Books.slice(offset, offset + limit))
+  })
+
+  // Page-based pagination
+  app.get('/api/authors', (req, res) => {
+    const page = Number(req.query.page || 1)
+    const perPage = Math.min(Number(req.query.per_page || 2), 2)
+
+    res.send({
+      authors: Authors.slice((page - 1) * perPage, page * perPage),
+      total: Authors.length
+    })
+  })
+
+  app.get('/api/authors/:authorId', (req, res) => {
+    const author = Authors.find(author => author.id === req.params.authorId)
+
+    if (typeof author === 'object') {
+      res.send(author)
+    } else {
+      res.status(404).send({ message: 'Author not found' })
+    }
+  })
+
+  // Cursor-based pagination
+  app.get('/api/authors/:authorId/books', (req, res) => {
+    const books = Books.filter(book => book.authorId === req.params.authorId)
+    const start =
+      typeof req.query.cursor === 'string'
+        ? books.findIndex(book => book.id === req.query.cursor)
+        : 0
+    const size = Number(req.query.size || 1)
+    const next = books[start + size]
+
+    res.send({
+      data: books.slice(start, start + size),
+      next_cursor: typeof next === 'object' ? next.id : null
+    })
+  })
+
+  // Pagination using Link headers
+  app.get('/api/reviews', (req, res) => {
+    const since = Number(req.query.since || 0)
+    const perPage = Math.min(Number(req.query.per_page || 2), 3)
+    const reviews = Reviews.filter(review => review.id > since).slice(
+      0,
+      perPage
+    )
+
+    if (
+      reviews.length > 0 &&
+      reviews[reviews.length - 1] !== Reviews[Reviews.length - 1]
+    ) {
+      const lastId = reviews[reviews.length - 1].id
+      res.set(
+        'Link',
+        `<http://localhost:${PORT}/api/reviews?since=${lastId}&per_page=${perPage}>; rel="next", ` +
+          `<http://localhost:${PORT}/api/reviews>; rel="first"`
+      )
+    }
+
+    res.send(reviews)
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Returns the URLs of the requests received by the server and forgets about
+ * them
+ */
+function takeRequests() {
+  const takenRequests = requests
+  requests = []
+  return takenRequests
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3013)
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  takeRequests
+}
@@ -0,0 +1,296 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLObjectType, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api11_server'
+
+const oas = require('./fixtures/example_oas11.json')
+const PORT = 3014
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the tagNamespaces and
+ * tagNamespacePolicy options.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, {
+        tagNamespaces: true
+      })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Fields are grouped under tag namespaces', () => {
+  const queryFields = createdSchema.getQueryType().getFields()
+
+  expect(Object.keys(queryFields)).toEqual([
+    'accounts',
+    'billing',
+    'payments',
+    'reports',
+    'status'
+  ])
+
+  // The description of the tag becomes the description of the namespace
+  expect(queryFields.billing.type.toString()).toEqual('BillingQuery')
+  expect(queryFields.billing.description).toEqual('Invoices and payments')
+
+  const billingType = queryFields.billing.type as GraphQLObjectType
+  expect(Object.keys(billingType.getFields())).toEqual(['invoices'])
+
+  // Mutation fields are prefixed by their namespaces instead
+  const mutationFields = createdSchema.getMutationType().getFields()
+  expect(Object.keys(mutationFields)).toEqual(['billingCreateInvoice'])
+})
+
+test('Resolve fields in namespaces', async () => {
+  const query = `{
+    billing {
+      invoices {
+        id
+        amount
+      }
+    }
+    status {
+      healthy
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      billing: {
+        invoices: [
+          { id: 'invoice-1', amount: 100 },
+          { id: 'invoice-2', amount: 250 }
+        ]
+      },
+      status: {
+        healthy: true
+      }
+    }
+  })
+})
+
+test('Resolve prefixed mutation fields', async () => {
+  const query = `mutation {
+    billingCreateInvoice(invoiceInput: { amount: 75 }) {
+      id
+      amount
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      billingCreateInvoice: {
+        id: 'invoice-3',
+        amount: 75
+      }
+    }
+  })
+})
+
+test('Subscription fields are prefixed by their namespaces', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    tagNamespaces: true,
+    createSubscriptionsFromCallbacks: true
+  })
+
+  const subscriptionFields = schema.getSubscriptionType().getFields()
+  expect(Object.keys(subscriptionFields)).toEqual(['billingInvoicePaid'])
+  expect(typeof subscriptionFields.billingInvoicePaid.subscribe).toEqual(
+    'function'
+  )
+})
+
+test('Use x-graphql-namespace extension in tag and operation objects', async () => {
+  const query = `{
+    accounts {
+      account(accountId: "account-1") {
+        name
+      }
+    }
+    payments {
+      payments {
+        invoiceId
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      accounts: {
+        account: {
+          name: 'Acme'
+        }
+      },
+      payments: {
+        payments: [{ invoiceId: 'invoice-1' }]
+      }
+    }
+  })
+})
+
+test('Viewers are created in namespaces', async () => {
+  const reportsType = createdSchema.getQueryType().getFields().reports
+    .type as GraphQLObjectType
+  expect(Object.keys(reportsType.getFields())).toEqual([
+    'viewerApiKey',
+    'viewerAnyAuth'
+  ])
+
+  const query = `{
+    reports {
+      viewerApiKey(apiKey: "abcdef") {
+        revenueReport {
+          total
+        }
+      }
+      viewerAnyAuth(apiKey: { apiKey: "abcdef" }) {
+        revenueReport {
+          total
+        }
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      reports: {
+        viewerApiKey: {
+          revenueReport: {
+            total: 350
+          }
+        },
+        viewerAnyAuth: {
+          revenueReport: {
+            total: 350
+          }
+        }
+      }
+    }
+  })
+})
+
+test('Option tagNamespacePolicy', async () => {
+  const { schema: allSchema } = await openAPIToGraphQL.createGraphQLSchema(
+    oas,
+    {
+      tagNamespaces: true,
+      tagNamespacePolicy: 'all'
+    }
+  )
+
+  const allBillingType = allSchema.getQueryType().getFields().billing
+    .type as GraphQLObjectType
+  expect(Object.keys(allBillingType.getFields())).toEqual([
+    'account',
+    'invoices'
+  ])
+  expect(Object.keys(allSchema.getQueryType().getFields())).toContain(
+    'accounts'
+  )
+
+  const { schema: rootSchema } = await openAPIToGraphQL.createGraphQLSchema(
+    oas,
+    {
+      tagNamespaces: true,
+      tagNamespacePolicy: 'root'
+    }
+  )
+
+  expect(Object.keys(rootSchema.getQueryType().getFields())).toEqual([
+    'account',
+    'billing',
+    'payments',
+    'reports',
+    'status'
+  ])
+})
+
+test('Fields are not grouped without tagNamespaces', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  expect(Object.keys(schema.getQueryType().getFields())).toEqual([
+    'account',
+    'invoices',
+    'payments',
+    'status',
+    'viewerApiKey',
+    'viewerAnyAuth'
+  ])
+})
+
+test('Namespaces do not replace fields with the same name', async () => {
+  const namespaceOas = JSON.parse(JSON.stringify(oas))
+  namespaceOas.paths['/status'].get['x-graphql-field-name'] = 'billing'
+
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+    namespaceOas,
+    {
+      tagNamespaces: true
+    }
+  )
+
+  expect(schema.getQueryType().getFields().billing.type.toString()).toEqual(
+    'Status'
+  )
+  expect(
+    report.warnings.filter((warning) => {
+      return warning.type === 'NAMESPACE_NAME_COLLISION'
+    }).length
+  ).toEqual(1)
+})
+
+test('Namespace names from the x-graphql-namespace extension must be GraphQL-safe', async () => {
+  const invalidOas = JSON.parse(JSON.stringify(oas))
+  invalidOas.paths['/payments'].get['x-graphql-namespace'] = 'all payments'
+
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+    invalidOas,
+    { tagNamespaces: true }
+  )
+
+  // The field is placed in the namespace of its tag instead
+  const billingType = schema.getQueryType().getFields().billing
+    .type as GraphQLObjectType
+  expect(Object.keys(billingType.getFields())).toEqual(['invoices', 'payments'])
+  expect(
+    report.warnings
+      .filter((warning) => warning.type === 'INVALID_FIELD_EXTENSION')
+      .map((warning) => warning.message)
+  ).toEqual([
+    'Cannot create namespace with name "all payments". You provided ' +
+      '"all payments" in x-graphql-namespace of GET /payments, but it is ' +
+      'not GraphQL-safe.'
+  ])
+})
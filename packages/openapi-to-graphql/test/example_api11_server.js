@@ -0,0 +1,93 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Invoices = [
+  { id: 'invoice-1', amount: 100 },
+  { id: 'invoice-2', amount: 250 }
+]
+
+const Payments = [{ id: 'payment-1', invoiceId: 'invoice-1' }]
+
+const Accounts = [{ id: 'account-1', name: 'Acme' }]
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.json())
+
+  app.get('/api/invoices', (req, res) => {
+    res.send(Invoices)
+  })
+
+  app.post('/api/invoices', (req, res) => {
+    res.status(201).send({ id: 'invoice-3', ...req.body })
+  })
+
+  app.get('/api/payments', (req, res) => {
+    res.send(Payments)
+  })
+
+  app.get('/api/accounts/:accountId', (req, res) => {
+    const account = Accounts.find(
+      account => account.id === req.params.accountId
+    )
+
+    if (typeof account === 'object') {
+      res.send(account)
+    } else {
+      res.status(404).send({ message: 'Account not found' })
+    }
+  })
+
+  app.get('/api/reports/revenue', (req, res) => {
+    if (req.get('access_token') === 'abcdef') {
+      res.send({ total: 350 })
+    } else {
+      res.status(401).send({ message: 'Incorrect credentials' })
+    }
+  })
+
+  app.get('/api/status', (req, res) => {
+    res.send({ healthy: true })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3014)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,209 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLObjectType, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api12_server'
+
+const oas = require('./fixtures/example_oas12.json')
+const PORT = 3015
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the nodeInterface option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, {
+        nodeInterface: true
+      })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Object types of resources with GET-by-id operations implement Node', () => {
+  const authorType = createdSchema.getType('Author') as GraphQLObjectType
+  expect(authorType.getInterfaces().map((type) => type.name)).toEqual(['Node'])
+  expect(authorType.getFields().id.type.toString()).toEqual('ID!')
+
+  // The original id property is moved to another field
+  expect(authorType.getFields().authorId.type.toString()).toEqual('Int')
+
+  const bookType = createdSchema.getType('Book') as GraphQLObjectType
+  expect(bookType.getInterfaces().map((type) => type.name)).toEqual(['Node'])
+
+  // Genres do not contain the genreKey path parameter
+  const genreType = createdSchema.getType('Genre') as GraphQLObjectType
+  expect(genreType.getInterfaces()).toEqual([])
+
+  expect(createdSchema.getQueryType().getFields().node.type.toString()).toEqual(
+    'Node'
+  )
+})
+
+test('Refetch objects using the node field', async () => {
+  const booksQuery = `{
+    books {
+      id
+      title
+    }
+  }`
+
+  const booksResult: any = await graphql({
+    schema: createdSchema,
+    source: booksQuery
+  })
+  const ids = booksResult.data.books.map((book) => book.id)
+
+  // IDs are globally unique
+  expect(new Set(ids).size).toEqual(2)
+
+  const nodeQuery = `query($id: ID!) {
+    node(id: $id) {
+      __typename
+      id
+      ... on Book {
+        authorId
+        title
+      }
+    }
+  }`
+
+  const nodeResult = await graphql({
+    schema: createdSchema,
+    source: nodeQuery,
+    variableValues: { id: ids[1] }
+  })
+
+  expect(nodeResult).toEqual({
+    data: {
+      node: {
+        __typename: 'Book',
+        id: ids[1],
+        authorId: 2,
+        title: 'Neuromancer'
+      }
+    }
+  })
+})
+
+test('Refetch objects whose id property is moved', async () => {
+  const authorQuery = `{
+    author(authorId: 1) {
+      id
+      authorId
+    }
+  }`
+
+  const authorResult: any = await graphql({
+    schema: createdSchema,
+    source: authorQuery
+  })
+  expect(authorResult.data.author.authorId).toEqual(1)
+
+  const nodeQuery = `query($id: ID!) {
+    node(id: $id) {
+      ... on Author {
+        name
+      }
+    }
+  }`
+
+  const nodeResult = await graphql({
+    schema: createdSchema,
+    source: nodeQuery,
+    variableValues: { id: authorResult.data.author.id }
+  })
+
+  expect(nodeResult).toEqual({
+    data: {
+      node: {
+        name: 'Frank Herbert'
+      }
+    }
+  })
+})
+
+test('The node field rejects invalid IDs', async () => {
+  const query = `{
+    node(id: "invalid") {
+      id
+    }
+  }`
+
+  const result: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.data).toEqual({ node: null })
+  expect(result.errors[0].message).toEqual(`Invalid ID 'invalid'`)
+})
+
+test('The node field rejects IDs of properties of plain objects', async () => {
+  const query = `query($id: ID!) {
+    node(id: $id) {
+      id
+    }
+  }`
+
+  for (const typeName of ['__proto__', 'constructor', 'toString']) {
+    const id = Buffer.from(`${typeName}:[]`).toString('base64')
+    const result: any = await graphql({
+      schema: createdSchema,
+      source: query,
+      variableValues: { id }
+    })
+
+    expect(result.errors[0].message).toEqual(`Invalid ID '${id}'`)
+  }
+})
+
+test('Object types do not implement Node without nodeInterface', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  expect(schema.getType('Node')).toBeUndefined()
+  expect(Object.keys(schema.getQueryType().getFields())).not.toContain('node')
+
+  const authorType = schema.getType('Author') as GraphQLObjectType
+  expect(authorType.getFields().id.type.toString()).toEqual('Int')
+})
+
+test('Object types do not implement Node if the original id cannot be moved', async () => {
+  const collisionOas = JSON.parse(JSON.stringify(oas))
+  collisionOas.components.schemas.Author.properties.authorId = {
+    type: 'integer'
+  }
+
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+    collisionOas,
+    {
+      nodeInterface: true
+    }
+  )
+
+  const authorType = schema.getType('Author') as GraphQLObjectType
+  expect(authorType.getInterfaces()).toEqual([])
+  expect(
+    report.warnings.filter((warning) => {
+      return warning.type === 'NODE_ID_NAME_COLLISION'
+    }).length
+  ).toEqual(1)
+})
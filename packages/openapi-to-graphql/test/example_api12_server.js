@@ -0,0 +1,97 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Authors = [
+  { id: 1, name: 'Frank Herbert' },
+  { id: 2, name: 'William Gibson' }
+]
+
+const Books = [
+  { authorId: 1, bookId: 'dune', title: 'Dune' },
+  { authorId: 2, bookId: 'neuromancer', title: 'Neuromancer' }
+]
+
+const Genres = {
+  'science-fiction': { name: 'Science Fiction' }
+}
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.get('/api/authors/:authorId', (req, res) => {
+    const author = Authors.find(
+      author => String(author.id) === req.params.authorId
+    )
+
+    if (typeof author === 'object') {
+      res.send(author)
+    } else {
+      res.status(404).send({ message: 'Author not found' })
+    }
+  })
+
+  app.get('/api/authors/:authorId/books/:bookId', (req, res) => {
+    const book = Books.find(
+      book =>
+        String(book.authorId) === req.params.authorId &&
+        book.bookId === req.params.bookId
+    )
+
+    if (typeof book === 'object') {
+      res.send(book)
+    } else {
+      res.status(404).send({ message: 'Book not found' })
+    }
+  })
+
+  app.get('/api/books', (req, res) => {
+    res.send(Books)
+  })
+
+  app.get('/api/genres/:genreKey', (req, res) => {
+    if (req.params.genreKey in Genres) {
+      res.send(Genres[req.params.genreKey])
+    } else {
+      res.status(404).send({ message: 'Genre not found' })
+    }
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3015)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,265 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import {
+  graphql,
+  GraphQLInputObjectType,
+  GraphQLInterfaceType,
+  GraphQLObjectType,
+  GraphQLSchema
+} from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { Report } from '../src/types/options'
+import { startServer, stopServer } from './example_api13_server'
+
+const oas = require('./fixtures/example_oas13.json')
+const PORT = 3016
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+let createdReport: Report
+
+/**
+ * This test suite is used to verify the behavior of discriminators and
+ * polymorphic request payloads.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL.createGraphQLSchema(oas).then(({ schema, report }) => {
+      createdSchema = schema
+      createdReport = report
+    }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Schemas with discriminators and without oneOf become interfaces', () => {
+  const petType = createdSchema.getType('Pet')
+  expect(petType).toBeInstanceOf(GraphQLInterfaceType)
+  expect(Object.keys((petType as GraphQLInterfaceType).getFields())).toEqual([
+    'name',
+    'petType'
+  ])
+
+  // Object types are included even if no field returns them
+  const catType = createdSchema.getType('Cat') as GraphQLObjectType
+  expect(catType.getInterfaces().map((type) => type.name)).toEqual(['Pet'])
+
+  const dogType = createdSchema.getType('Dog') as GraphQLObjectType
+  expect(dogType.getInterfaces().map((type) => type.name)).toEqual(['Pet'])
+})
+
+test('Resolve interface types using the discriminator', async () => {
+  const query = `{
+    pets {
+      __typename
+      name
+      ... on Cat {
+        huntingSkill
+      }
+      ... on Dog {
+        packSize
+      }
+    }
+    pet(petName: "Rex") {
+      __typename
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      pets: [
+        { __typename: 'Cat', name: 'Tom', huntingSkill: 'lazy' },
+        { __typename: 'Dog', name: 'Rex', packSize: 3 }
+      ],
+      pet: {
+        __typename: 'Dog'
+      }
+    }
+  })
+})
+
+test('Interfaces are turned into input object types', async () => {
+  const petInputType = createdSchema.getType('PetInput')
+  expect(petInputType).toBeInstanceOf(GraphQLInputObjectType)
+
+  const query = `mutation {
+    postPet(petInput: { name: "Felix", petType: "Cat" }) {
+      __typename
+      name
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      postPet: {
+        __typename: 'Cat',
+        name: 'Felix'
+      }
+    }
+  })
+})
+
+test('Resolve union types using the discriminator', async () => {
+  const query = `{
+    vehicles {
+      __typename
+      ... on Car {
+        wheels
+      }
+      ... on Truck {
+        wheels
+        payload
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  // The truck would be mistaken for a car based on its properties
+  expect(result).toEqual({
+    data: {
+      vehicles: [
+        { __typename: 'Car', wheels: 4 },
+        { __typename: 'Truck', wheels: 6, payload: null }
+      ]
+    }
+  })
+
+  expect(
+    createdReport.warnings.filter((warning) => {
+      return warning.type === 'AMBIGUOUS_UNION_MEMBERS'
+    })
+  ).toEqual([])
+})
+
+test('Union types without discriminator may have ambiguous member types', async () => {
+  const noDiscriminatorOas = JSON.parse(JSON.stringify(oas))
+  delete noDiscriminatorOas.components.schemas.Vehicle.discriminator
+
+  const { report } = await openAPIToGraphQL.createGraphQLSchema(
+    noDiscriminatorOas
+  )
+
+  expect(
+    report.warnings.filter((warning) => {
+      return warning.type === 'AMBIGUOUS_UNION_MEMBERS'
+    }).length
+  ).toEqual(1)
+})
+
+test('Ignore discriminator values that map to incompatible schemas', async () => {
+  const invalidOas = JSON.parse(JSON.stringify(oas))
+  invalidOas.components.schemas.Pet.discriminator.mapping.car = 'Car'
+
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+    invalidOas
+  )
+
+  const carType = schema.getType('Car') as GraphQLObjectType
+  expect(carType.getInterfaces()).toEqual([])
+  expect(
+    report.warnings.filter((warning) => {
+      return warning.type === 'INVALID_DISCRIMINATOR_MAPPING'
+    }).length
+  ).toEqual(1)
+})
+
+test('Request bodies with oneOf become @oneOf input object types', () => {
+  const vehicleInputType = createdSchema.getType(
+    'VehicleInput'
+  ) as GraphQLInputObjectType
+  expect(vehicleInputType.isOneOf).toEqual(true)
+
+  const fields = vehicleInputType.getFields()
+  expect(Object.keys(fields)).toEqual(['car', 'truck'])
+  expect(fields.car.type.toString()).toEqual('CarInput')
+  expect(fields.truck.type.toString()).toEqual('TruckInput')
+})
+
+test('Send the supplied member of @oneOf input objects', async () => {
+  const query = `mutation {
+    postVehicle(vehicleInput: { truck: { vehicleType: "Truck", wheels: 8, payload: 20 } }) {
+      __typename
+      ... on Truck {
+        wheels
+        payload
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      postVehicle: {
+        __typename: 'Truck',
+        wheels: 8,
+        payload: 20
+      }
+    }
+  })
+})
+
+test('Send the supplied members of nested @oneOf input objects', async () => {
+  const query = `mutation {
+    postGarage(garageInput: {
+      name: "Downtown"
+      vehicles: [
+        { car: { vehicleType: "Car", wheels: 4 } }
+        { truck: { vehicleType: "Truck", wheels: 6, payload: 10 } }
+      ]
+    }) {
+      name
+      vehicles {
+        __typename
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      postGarage: {
+        name: 'Downtown',
+        vehicles: [{ __typename: 'Car' }, { __typename: 'Truck' }]
+      }
+    }
+  })
+})
+
+test('@oneOf input objects require exactly one field', async () => {
+  const query = `mutation {
+    postVehicle(vehicleInput: {
+      car: { vehicleType: "Car" }
+      truck: { vehicleType: "Truck" }
+    }) {
+      __typename
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    'OneOf Input Object "VehicleInput" must specify exactly one key.'
+  )
+})
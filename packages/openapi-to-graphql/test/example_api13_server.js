@@ -0,0 +1,89 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Pets = [
+  { name: 'Tom', petType: 'Cat', huntingSkill: 'lazy' },
+  { name: 'Rex', petType: 'dog', packSize: 3 }
+]
+
+const Vehicles = [
+  { vehicle_type: 'Car', wheels: 4 },
+  // The payload of the truck is unknown
+  { vehicle_type: 'Truck', wheels: 6 }
+]
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.json())
+
+  app.get('/api/pets', (req, res) => {
+    res.send(Pets)
+  })
+
+  app.post('/api/pets', (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  app.get('/api/pets/:petName', (req, res) => {
+    const pet = Pets.find(pet => pet.name === req.params.petName)
+
+    if (typeof pet === 'object') {
+      res.send(pet)
+    } else {
+      res.status(404).send({ message: 'Pet not found' })
+    }
+  })
+
+  app.get('/api/vehicles', (req, res) => {
+    res.send(Vehicles)
+  })
+
+  app.post('/api/vehicles', (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  app.post('/api/garages', (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3016)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,380 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql } from 'graphql'
+import { afterAll, beforeAll, beforeEach, expect, test } from '@jest/globals'
+import crossFetch from 'cross-fetch'
+import debug from 'debug'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api14_server'
+
+const oas = require('./fixtures/example_oas14.json')
+const PORT = 3017
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+// Records the parameters of all requests made to the token endpoint
+let tokenRequests: { [key: string]: string }[] = []
+const fetch = ((url, options) => {
+  if ((url as string).endsWith('/oauth/token')) {
+    tokenRequests.push(
+      Object.fromEntries(new URLSearchParams(options.body as string))
+    )
+  }
+  return crossFetch(url, options)
+}) as typeof crossFetch
+
+/**
+ * This test suite is used to verify the behavior of the oauthClients option.
+ */
+
+// Run example API server
+beforeAll(() => {
+  return startServer(PORT)
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+beforeEach(() => {
+  tokenRequests = []
+})
+
+test('Obtain access tokens using the client credentials grant', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      clientCredentials: {
+        clientId: 'reporting-client',
+        clientSecret: 'p@ss word'
+      }
+    },
+    fetch
+  })
+
+  const query = `{
+    reports {
+      title
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      reports: [{ title: 'Quarterly report' }, { title: 'Annual report' }]
+    }
+  })
+
+  expect(tokenRequests).toEqual([
+    {
+      grant_type: 'client_credentials',
+      scope: 'read:reports'
+    }
+  ])
+})
+
+test('Cache access tokens for each set of scopes', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      clientCredentials: {
+        clientId: 'reporting-client',
+        clientSecret: 'p@ss word'
+      }
+    },
+    fetch
+  })
+
+  const query = `{
+    reports {
+      pages
+    }
+  }`
+
+  const mutation = `mutation {
+    postReport(reportInput: { title: "Monthly report", pages: 3 }) {
+      title
+    }
+  }`
+
+  await graphql({ schema, source: query })
+  await graphql({ schema, source: query })
+  const result = await graphql({ schema, source: mutation })
+
+  expect(result).toEqual({
+    data: {
+      postReport: {
+        title: 'Monthly report'
+      }
+    }
+  })
+
+  expect(tokenRequests.map((params) => params.scope)).toEqual([
+    'read:reports',
+    'write:reports'
+  ])
+})
+
+test('Send client credentials in the request body and tokens in the query string', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      clientCredentials: {
+        clientId: 'reporting-client',
+        clientSecret: 'p@ss word',
+        clientAuthentication: 'body',
+        scopes: ['read:reports', 'write:reports']
+      }
+    },
+    sendOAuthTokenInQuery: true,
+    fetch
+  })
+
+  const query = `{
+    reports {
+      title
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result.data).toEqual({
+    reports: [{ title: 'Quarterly report' }, { title: 'Annual report' }]
+  })
+
+  expect(tokenRequests).toEqual([
+    {
+      grant_type: 'client_credentials',
+      scope: 'read:reports write:reports',
+      client_id: 'reporting-client',
+      client_secret: 'p@ss word'
+    }
+  ])
+})
+
+test('Renew expired access tokens using the refresh token', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      authorizationCode: {
+        clientId: 'profile-client',
+        clientSecret: 'secret',
+        refreshToken: 'initial-refresh-token'
+      }
+    },
+    fetch
+  })
+
+  const query = `{
+    profile {
+      name
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+  expect(result).toEqual({
+    data: {
+      profile: {
+        name: 'Arlene'
+      }
+    }
+  })
+
+  // The access tokens of the client expire immediately
+  const result2 = await graphql({ schema, source: query })
+  expect(result2).toEqual(result)
+
+  expect(tokenRequests.length).toEqual(2)
+  expect(tokenRequests[0]).toEqual({
+    grant_type: 'refresh_token',
+    refresh_token: 'initial-refresh-token'
+  })
+
+  // Refresh tokens are replaced by newly issued ones
+  expect(tokenRequests[1].grant_type).toEqual('refresh_token')
+  expect(tokenRequests[1].refresh_token).not.toEqual('initial-refresh-token')
+})
+
+test('Renew revoked access tokens and retry the request once', async () => {
+  const accessTokens: string[] = []
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      clientCredentials: {
+        clientId: 'reporting-client',
+        clientSecret: 'p@ss word'
+      }
+    },
+    fetch: ((url, options) => {
+      if ((url as string).endsWith('/reports')) {
+        accessTokens.push(options.headers['Authorization'].substring(7))
+      }
+      return fetch(url, options)
+    }) as typeof crossFetch
+  })
+
+  const query = `{
+    reports {
+      title
+    }
+  }`
+
+  await graphql({ schema, source: query })
+
+  await crossFetch(`http://localhost:${PORT}/api/oauth/revoke`, {
+    method: 'post',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ token: accessTokens[0] }).toString()
+  })
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      reports: [{ title: 'Quarterly report' }, { title: 'Annual report' }]
+    }
+  })
+
+  expect(tokenRequests.length).toEqual(2)
+  expect(accessTokens.length).toEqual(3)
+  expect(accessTokens[1]).toEqual(accessTokens[0])
+  expect(accessTokens[2]).not.toEqual(accessTokens[0])
+})
+
+test('Keep access tokens of security schemes of different OASs apart', async () => {
+  // A second OAS that uses a security scheme with the same name
+  const profileOas = JSON.parse(JSON.stringify(oas))
+  profileOas.info.title = 'Example API 14 Profiles'
+  profileOas.paths = { '/profile': profileOas.paths['/profile'] }
+  profileOas.paths['/profile'].get.security = [
+    { clientCredentials: ['read:reports'] }
+  ]
+
+  const reportsOas = JSON.parse(JSON.stringify(oas))
+  delete reportsOas.paths['/profile']
+
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(
+    [reportsOas, profileOas],
+    {
+      oauthClients: {
+        clientCredentials: {
+          clientId: 'reporting-client',
+          clientSecret: 'p@ss word'
+        }
+      },
+      fetch
+    }
+  )
+
+  const query = `{
+    reports {
+      title
+    }
+    profile {
+      name
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      reports: [{ title: 'Quarterly report' }, { title: 'Annual report' }],
+      profile: {
+        name: 'Arlene'
+      }
+    }
+  })
+
+  expect(tokenRequests).toEqual([
+    {
+      grant_type: 'client_credentials',
+      scope: 'read:reports'
+    },
+    {
+      grant_type: 'client_credentials',
+      scope: 'read:reports'
+    }
+  ])
+})
+
+test('Redact client secrets and refresh tokens in the debug log', async () => {
+  const messages: string[] = []
+  const log = debug.log
+  const namespaces = debug.disable()
+  debug.log = (...args) => messages.push(args.join(' '))
+  debug.enable('translation')
+
+  try {
+    await openAPIToGraphQL.createGraphQLSchema(oas, {
+      oauthClients: {
+        authorizationCode: {
+          clientId: 'web-client',
+          clientSecret: 'p@ss word',
+          refreshToken: 'secret-refresh-token'
+        }
+      },
+      fetch
+    })
+  } finally {
+    debug.disable()
+    debug.enable(namespaces)
+    debug.log = log
+  }
+
+  const options = messages.find((message) => message.includes('Options:'))
+  expect(options).toContain('"oauthClients":"[redacted]"')
+  expect(options).not.toContain('p@ss word')
+  expect(options).not.toContain('secret-refresh-token')
+})
+
+test('Report errors of the token endpoint', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      clientCredentials: {
+        clientId: 'reporting-client',
+        clientSecret: 'wrong secret'
+      }
+    },
+    fetch
+  })
+
+  const query = `{
+    reports {
+      title
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result.data).toEqual({ reports: null })
+  expect(result.errors[0].message).toEqual(
+    "Could not obtain OAuth 2 access token for security scheme 'clientCredentials': 401 Unauthorized"
+  )
+})
+
+test('Do not obtain access tokens without the oauthClients option', async () => {
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    fetch
+  })
+
+  expect(report.warnings.map((warning) => warning.type)).toContain(
+    'OAUTH_SECURITY_SCHEME'
+  )
+
+  const query = `{
+    reports {
+      title
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    'Could not invoke operation GET /reports'
+  )
+  expect(tokenRequests).toEqual([])
+})
@@ -0,0 +1,186 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Clients = {
+  'reporting-client': {
+    secret: 'p@ss word',
+    expiresIn: 3600
+  },
+  // Access tokens of this client expire immediately
+  'profile-client': {
+    secret: 'secret',
+    expiresIn: 0
+  }
+}
+
+const Reports = [
+  { title: 'Quarterly report', pages: 12 },
+  { title: 'Annual report', pages: 40 }
+]
+
+// Holds the scopes of issued access tokens
+const AccessTokens = {}
+
+// Holds the clients of issued refresh tokens
+const RefreshTokens = {
+  'initial-refresh-token': 'profile-client'
+}
+
+let tokenCount = 0
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.json())
+  app.use(bodyParser.urlencoded({ extended: false }))
+
+  const authenticateClient = req => {
+    let clientId = req.body.client_id
+    let clientSecret = req.body.client_secret
+
+    const authorization = req.headers.authorization
+    if (typeof authorization === 'string' && authorization.startsWith('Basic ')) {
+      const credentials = Buffer.from(authorization.substring(6), 'base64')
+        .toString()
+        .split(':')
+        .map(credential => decodeURIComponent(credential.replace(/\+/g, ' ')))
+      clientId = credentials[0]
+      clientSecret = credentials[1]
+    }
+
+    if (
+      typeof Clients[clientId] === 'object' &&
+      Clients[clientId].secret === clientSecret
+    ) {
+      return clientId
+    }
+  }
+
+  const issueTokens = (clientId, scope) => {
+    tokenCount++
+    const accessToken = `access-token-${tokenCount}`
+    AccessTokens[accessToken] =
+      typeof scope === 'string' ? scope.split(' ') : []
+
+    const refreshToken = `refresh-token-${tokenCount}`
+    RefreshTokens[refreshToken] = clientId
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: Clients[clientId].expiresIn,
+      refresh_token: refreshToken
+    }
+  }
+
+  const authorize = scope => (req, res, next) => {
+    const authorization = req.headers.authorization
+    const accessToken =
+      typeof authorization === 'string' && authorization.startsWith('Bearer ')
+        ? authorization.substring(7)
+        : req.query.access_token
+
+    if (
+      !Array.isArray(AccessTokens[accessToken]) ||
+      (typeof scope === 'string' && !AccessTokens[accessToken].includes(scope))
+    ) {
+      res.status(401).send({
+        message: 'Invalid access token'
+      })
+    } else {
+      next()
+    }
+  }
+
+  app.post('/api/oauth/token', (req, res) => {
+    const clientId = authenticateClient(req)
+    if (typeof clientId !== 'string') {
+      return res.status(401).send({
+        error: 'invalid_client'
+      })
+    }
+
+    switch (req.body.grant_type) {
+      case 'client_credentials':
+        res.send(issueTokens(clientId, req.body.scope))
+        break
+
+      case 'refresh_token':
+        // Refresh tokens can only be used once
+        if (RefreshTokens[req.body.refresh_token] !== clientId) {
+          return res.status(400).send({
+            error: 'invalid_grant'
+          })
+        }
+
+        delete RefreshTokens[req.body.refresh_token]
+        res.send(issueTokens(clientId, req.body.scope))
+        break
+
+      default:
+        res.status(400).send({
+          error: 'unsupported_grant_type'
+        })
+    }
+  })
+
+  // See https://tools.ietf.org/html/rfc7009
+  app.post('/api/oauth/revoke', (req, res) => {
+    delete AccessTokens[req.body.token]
+    res.status(200).send()
+  })
+
+  app.get('/api/reports', authorize('read:reports'), (req, res) => {
+    res.send(Reports)
+  })
+
+  app.post('/api/reports', authorize('write:reports'), (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  app.get('/api/profile', authorize(), (req, res) => {
+    res.send({
+      name: 'Arlene'
+    })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3017)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,213 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import {
+  getNamedType,
+  graphql,
+  GraphQLInputObjectType,
+  GraphQLSchema
+} from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+import crossFetch from 'cross-fetch'
+import * as path from 'path'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api15_server'
+
+const oas = require('./fixtures/example_oas15.json')
+const PORT = 3018
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+oas.components.securitySchemes.openId.openIdConnectUrl = `http://localhost:${PORT}/.well-known/openid-configuration`
+
+// Records the URLs of all requests
+let requestedUrls: string[] = []
+const fetch = ((url, options) => {
+  requestedUrls.push(url as string)
+  return crossFetch(url, options)
+}) as typeof crossFetch
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of OpenID Connect security
+ * schemes.
+ */
+
+// Run example API server first, which provides the discovery document
+beforeAll(async () => {
+  await startServer(PORT)
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+  createdSchema = schema
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Create viewers for OpenID Connect security schemes', async () => {
+  const query = `{
+    viewerOpenIdConnect(token: "user-jwt") {
+      user {
+        name
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      viewerOpenIdConnect: {
+        user: {
+          name: 'Ada'
+        }
+      }
+    }
+  })
+
+  // The issuer is taken from the discovery document
+  const anyAuthArgs = createdSchema.getQueryType().getFields()
+    .viewerAnyAuth.args
+  expect(
+    (getNamedType(anyAuthArgs[0].type) as GraphQLInputObjectType).description
+  ).toEqual(
+    `OpenID Connect credentials for security protocol 'openId' issued by ` +
+      `'http://localhost:${PORT}'`
+  )
+})
+
+test('Forward tokens from the context', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    viewer: false,
+    tokenJSONpath: '$.user.token'
+  })
+
+  const query = `{
+    user {
+      name
+    }
+  }`
+
+  const result = await graphql({
+    schema,
+    source: query,
+    contextValue: {
+      user: {
+        token: 'user-jwt'
+      }
+    }
+  })
+
+  expect(result).toEqual({
+    data: {
+      user: {
+        name: 'Ada'
+      }
+    }
+  })
+})
+
+test('Obtain access tokens from the discovered token endpoint', async () => {
+  requestedUrls = []
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      openId: {
+        clientId: 'service-client',
+        clientSecret: 'secret'
+      }
+    },
+    fetch
+  })
+
+  expect(Object.keys(schema.getQueryType().getFields())).toEqual(['user'])
+
+  const query = `{
+    user {
+      name
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      user: {
+        name: 'service-client'
+      }
+    }
+  })
+
+  expect(requestedUrls).toEqual([
+    `http://localhost:${PORT}/.well-known/openid-configuration`,
+    `http://localhost:${PORT}/api/oauth/token`,
+    `http://localhost:${PORT}/api/me`
+  ])
+})
+
+test('Load discovery documents from local files', async () => {
+  requestedUrls = []
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    oauthClients: {
+      openId: {
+        clientId: 'service-client',
+        clientSecret: 'secret'
+      }
+    },
+    openIdConnectDocuments: {
+      openId: path.join(
+        __dirname,
+        'fixtures/example_oas15_openid_configuration.json'
+      )
+    },
+    fetch
+  })
+
+  const query = `{
+    user {
+      name
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result.data).toEqual({
+    user: {
+      name: 'service-client'
+    }
+  })
+
+  expect(requestedUrls).not.toContain(
+    `http://localhost:${PORT}/.well-known/openid-configuration`
+  )
+})
+
+test('Fall back to viewers if the discovery document cannot be loaded', async () => {
+  const unresolvableOas = JSON.parse(JSON.stringify(oas))
+  unresolvableOas.components.securitySchemes.openId.openIdConnectUrl = `http://localhost:${PORT}/unknown`
+
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+    unresolvableOas,
+    {
+      oauthClients: {
+        openId: {
+          clientId: 'service-client',
+          clientSecret: 'secret'
+        }
+      }
+    }
+  )
+
+  expect(report.warnings.map((warning) => warning.type)).toContain(
+    'UNRESOLVABLE_OPENID_CONNECT_URL'
+  )
+  expect(Object.keys(schema.getQueryType().getFields())).toEqual([
+    'viewerOpenIdConnect',
+    'viewerAnyAuth'
+  ])
+})
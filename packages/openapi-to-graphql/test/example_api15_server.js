@@ -0,0 +1,120 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Clients = {
+  'service-client': 'secret'
+}
+
+// Holds the names of the users and clients that access tokens belong to
+const AccessTokens = {
+  'user-jwt': 'Ada'
+}
+
+let tokenCount = 0
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.urlencoded({ extended: false }))
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.send({
+      issuer: `http://localhost:${PORT}`,
+      authorization_endpoint: `http://localhost:${PORT}/api/oauth/authorize`,
+      token_endpoint: `http://localhost:${PORT}/api/oauth/token`,
+      jwks_uri: `http://localhost:${PORT}/.well-known/jwks.json`,
+      scopes_supported: ['openid', 'profile'],
+      grant_types_supported: ['authorization_code', 'client_credentials']
+    })
+  })
+
+  app.post('/api/oauth/token', (req, res) => {
+    const authorization = req.headers.authorization
+    const credentials =
+      typeof authorization === 'string' && authorization.startsWith('Basic ')
+        ? Buffer.from(authorization.substring(6), 'base64')
+            .toString()
+            .split(':')
+        : []
+
+    if (Clients[credentials[0]] !== credentials[1]) {
+      return res.status(401).send({
+        error: 'invalid_client'
+      })
+    }
+
+    if (req.body.grant_type !== 'client_credentials') {
+      return res.status(400).send({
+        error: 'unsupported_grant_type'
+      })
+    }
+
+    tokenCount++
+    const accessToken = `access-token-${tokenCount}`
+    AccessTokens[accessToken] = credentials[0]
+
+    res.send({
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: 3600
+    })
+  })
+
+  app.get('/api/me', (req, res) => {
+    const authorization = req.headers.authorization
+    const accessToken =
+      typeof authorization === 'string' && authorization.startsWith('Bearer ')
+        ? authorization.substring(7)
+        : undefined
+
+    if (typeof AccessTokens[accessToken] !== 'string') {
+      return res.status(401).send({
+        message: 'Invalid access token'
+      })
+    }
+
+    res.send({
+      name: AccessTokens[accessToken]
+    })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3018)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,202 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+import * as crypto from 'crypto'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api16_server'
+
+const oas = require('./fixtures/example_oas16.json')
+const PORT = 3019
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+/**
+ * Signs requests like the example API expects, i.e. using the HMAC-SHA256 of
+ * the method, the path with the query string, and the body
+ */
+const hmacProvider: openAPIToGraphQL.AuthProvider<any> = {
+  credentials: ['keyId', 'secret'],
+  authenticate: ({ request, credentials }) => {
+    const body = typeof request.body === 'string' ? request.body : ''
+    const signature = crypto
+      .createHmac('sha256', credentials.secret)
+      .update(
+        `${request.method}\n${request.url.pathname}${request.url.search}\n${body}`
+      )
+      .digest('hex')
+
+    request.headers['authorization'] = `HMAC ${credentials.keyId}:${signature}`
+  }
+}
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the authProviders option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, {
+        authProviders: {
+          'http:hmac': hmacProvider
+        }
+      })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('HTTP authentication schemes without auth provider are unsupported', async () => {
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  expect(report.warnings.map((warning) => warning.type)).toContain(
+    'UNSUPPORTED_HTTP_SECURITY_SCHEME'
+  )
+  expect(Object.keys(schema.getQueryType().getFields())).toEqual([
+    'viewerAnyAuth'
+  ])
+})
+
+test('Create viewers with the credentials of auth providers', () => {
+  const viewerField = createdSchema.getQueryType().getFields().viewerHmacAuth
+  expect(viewerField.args.map((arg) => arg.name)).toEqual(['keyId', 'secret'])
+})
+
+test('Sign requests using auth providers', async () => {
+  const query = `{
+    viewerHmacAuth(keyId: "key-1", secret: "secret-1") {
+      orders(status: "open") {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      viewerHmacAuth: {
+        orders: [{ id: 'order-1' }]
+      }
+    }
+  })
+})
+
+test('Sign requests with payloads using auth providers', async () => {
+  const query = `mutation {
+    mutationViewerHmacAuth(keyId: "key-1", secret: "secret-1") {
+      postOrder(orderInput: { id: "order-3", status: "open" }) {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      mutationViewerHmacAuth: {
+        postOrder: {
+          id: 'order-3'
+        }
+      }
+    }
+  })
+})
+
+test('Sign requests using auth providers and the AnyAuth viewer', async () => {
+  const query = `{
+    viewerAnyAuth(hmac: { keyId: "key-1", secret: "secret-1" }) {
+      orders {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      viewerAnyAuth: {
+        orders: [{ id: 'order-1' }, { id: 'order-2' }]
+      }
+    }
+  })
+})
+
+test('Requests with invalid signatures are rejected by the API', async () => {
+  const query = `{
+    viewerHmacAuth(keyId: "key-1", secret: "wrong-secret") {
+      orders {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    'Could not invoke operation GET /orders'
+  )
+})
+
+test('Auth providers for security scheme names take precedence', async () => {
+  const contexts = []
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    authProviders: {
+      http: {
+        credentials: ['token'],
+        authenticate: () => {
+          throw new Error('Unexpected auth provider')
+        }
+      },
+      hmac: {
+        credentials: hmacProvider.credentials,
+        authenticate: (params) => {
+          contexts.push(params.context)
+          return hmacProvider.authenticate(params)
+        }
+      }
+    }
+  })
+
+  const query = `{
+    viewerHmacAuth(keyId: "key-1", secret: "secret-1") {
+      orders(status: "shipped") {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({
+    schema,
+    source: query,
+    contextValue: { user: 'Ada' }
+  })
+
+  expect(result).toEqual({
+    data: {
+      viewerHmacAuth: {
+        orders: [{ id: 'order-2' }]
+      }
+    }
+  })
+  expect(contexts).toEqual([{ user: 'Ada' }])
+})
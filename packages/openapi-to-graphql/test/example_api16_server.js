@@ -0,0 +1,105 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+const crypto = require('crypto')
+
+let server // holds server object for shutdown
+
+// Holds the secrets of the signing keys
+const Keys = {
+  'key-1': 'secret-1'
+}
+
+const Orders = [
+  { id: 'order-1', status: 'open' },
+  { id: 'order-2', status: 'shipped' }
+]
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  // The signature covers the raw request body
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.text({ type: '*/*' }))
+
+  /**
+   * Requests must contain the header
+   * 'Authorization: HMAC <key ID>:<signature>', where the signature is the
+   * hex-encoded HMAC-SHA256 of the method, the path with the query string,
+   * and the body, separated by line breaks
+   */
+  app.use((req, res, next) => {
+    const authorization = req.headers.authorization
+    const match =
+      typeof authorization === 'string'
+        ? authorization.match(/^HMAC ([^:]+):(.+)$/)
+        : null
+
+    const body = typeof req.body === 'string' ? req.body : ''
+    if (
+      match === null ||
+      typeof Keys[match[1]] !== 'string' ||
+      crypto
+        .createHmac('sha256', Keys[match[1]])
+        .update(`${req.method}\n${req.originalUrl}\n${body}`)
+        .digest('hex') !== match[2]
+    ) {
+      return res.status(401).send({
+        message: 'Invalid signature'
+      })
+    }
+
+    next()
+  })
+
+  app.get('/api/orders', (req, res) => {
+    res.send(
+      Orders.filter(
+        order =>
+          typeof req.query.status !== 'string' ||
+          order.status === req.query.status
+      )
+    )
+  })
+
+  app.post('/api/orders', (req, res) => {
+    res.status(201).send(JSON.parse(req.body))
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3019)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
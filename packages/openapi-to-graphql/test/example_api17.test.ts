@@ -0,0 +1,161 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api17_server'
+
+const oas = require('./fixtures/example_oas17.json')
+const PORT = 3020
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of security requirements
+ * that combine multiple security schemes.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL.createGraphQLSchema(oas).then(({ schema }) => {
+      createdSchema = schema
+    }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Only wrap operations in viewers that can satisfy their security requirements', () => {
+  const queryFields = createdSchema.getQueryType().getFields()
+
+  expect(Object.keys(queryFields)).toEqual([
+    'announcements',
+    'viewerBasicAuth',
+    'viewerAnyAuth'
+  ])
+
+  // Reports require both an API key and a bearer token
+  expect(
+    Object.keys(
+      createdSchema.getType('ViewerBasicAuth').toConfig()['fields']
+    ).sort()
+  ).toEqual(['profile', 'status'])
+  expect(
+    Object.keys(
+      createdSchema.getType('ViewerAnyAuth').toConfig()['fields']
+    ).sort()
+  ).toEqual(['profile', 'reports', 'status'])
+})
+
+test('Apply all security schemes of combined security requirements', async () => {
+  const query = `{
+    viewerAnyAuth(apiKey: { apiKey: "abcdef" }, bearer: { token: "bearer-token" }) {
+      reports {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      viewerAnyAuth: {
+        reports: [{ id: 'report-1' }, { id: 'report-2' }]
+      }
+    }
+  })
+})
+
+test('Combined security requirements need credentials for all security schemes', async () => {
+  const query = `{
+    viewerAnyAuth(apiKey: { apiKey: "abcdef" }) {
+      reports {
+        id
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    'Missing information to authenticate API request.'
+  )
+})
+
+test('Try alternative security requirements in order', async () => {
+  const query = `{
+    combined: viewerAnyAuth(
+      apiKey: { apiKey: "abcdef" }
+      bearer: { token: "bearer-token" }
+      basic: { username: "arlene", password: "password123" }
+    ) {
+      status {
+        authenticatedBy
+      }
+    }
+    basic: viewerAnyAuth(
+      basic: { username: "arlene", password: "password123" }
+    ) {
+      status {
+        authenticatedBy
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      combined: {
+        status: {
+          authenticatedBy: 'apiKey and bearer'
+        }
+      },
+      basic: {
+        status: {
+          authenticatedBy: 'basic'
+        }
+      }
+    }
+  })
+})
+
+test('Security requirements of operations override the global ones', async () => {
+  const query = `{
+    announcements {
+      message
+    }
+    viewerBasicAuth(username: "arlene", password: "password123") {
+      profile {
+        username
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      announcements: [{ message: 'Welcome!' }],
+      viewerBasicAuth: {
+        profile: {
+          username: 'arlene'
+        }
+      }
+    }
+  })
+})
@@ -0,0 +1,125 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const ApiKey = 'abcdef'
+const BearerToken = 'bearer-token'
+const Users = {
+  arlene: 'password123'
+}
+
+/**
+ * Returns the names of the security schemes that the given request satisfies
+ */
+function getAuthentication(req) {
+  const authentication = []
+
+  if (req.headers['x-api-key'] === ApiKey) {
+    authentication.push('apiKey')
+  }
+
+  const authorization = req.headers.authorization
+  if (typeof authorization === 'string') {
+    if (authorization === `Bearer ${BearerToken}`) {
+      authentication.push('bearer')
+    } else if (authorization.startsWith('Basic ')) {
+      const [username, password] = Buffer.from(
+        authorization.substring(6),
+        'base64'
+      )
+        .toString()
+        .split(':')
+
+      if (Users[username] === password) {
+        authentication.push('basic')
+      }
+    }
+  }
+
+  return authentication
+}
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.get('/api/reports', (req, res) => {
+    const authentication = getAuthentication(req)
+
+    if (
+      !authentication.includes('apiKey') ||
+      !authentication.includes('bearer')
+    ) {
+      return res.status(401).send({
+        message: 'Requires an API key and a bearer token'
+      })
+    }
+
+    res.send([{ id: 'report-1' }, { id: 'report-2' }])
+  })
+
+  app.get('/api/status', (req, res) => {
+    const authentication = getAuthentication(req)
+
+    if (authentication.includes('apiKey') && authentication.includes('bearer')) {
+      res.send({ authenticatedBy: 'apiKey and bearer' })
+    } else if (authentication.includes('basic')) {
+      res.send({ authenticatedBy: 'basic' })
+    } else {
+      res.status(401).send({
+        message: 'Requires an API key and a bearer token or basic auth'
+      })
+    }
+  })
+
+  app.get('/api/profile', (req, res) => {
+    if (!getAuthentication(req).includes('basic')) {
+      return res.status(401).send({
+        message: 'Requires basic auth'
+      })
+    }
+
+    res.send({ username: 'arlene' })
+  })
+
+  app.get('/api/announcements', (req, res) => {
+    res.send([{ message: 'Welcome!' }])
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3020)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,206 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api18_server'
+
+const oas = require('./fixtures/example_oas18.json')
+const PORT = 3021
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+const contextCredentials = {
+  bearer: '$.user.token',
+  headerKey: '$.apiKey',
+  queryKey: '$.apiKey',
+  cookieKey: '$.session'
+}
+
+const contextValue = {
+  user: {
+    token: 'user-token'
+  },
+  apiKey: 'abcdef',
+  session: 'session-1'
+}
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the contextCredentials
+ * option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, { contextCredentials })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Do not wrap operations in viewers if credentials are taken from the context', () => {
+  expect(Object.keys(createdSchema.getQueryType().getFields()).sort()).toEqual([
+    'cart',
+    'inventory',
+    'prices',
+    'user',
+    'viewerAnyAuth',
+    'viewerBasicAuth'
+  ])
+})
+
+test('Authenticate requests using bearer tokens and API keys from the context', async () => {
+  const query = `{
+    user {
+      name
+    }
+    inventory {
+      items
+    }
+    prices {
+      currency
+    }
+    cart {
+      total
+    }
+  }`
+
+  const result = await graphql({
+    schema: createdSchema,
+    source: query,
+    contextValue
+  })
+
+  expect(result).toEqual({
+    data: {
+      user: {
+        name: 'Ada'
+      },
+      inventory: {
+        items: 42
+      },
+      prices: {
+        currency: 'EUR'
+      },
+      cart: {
+        total: 9.99
+      }
+    }
+  })
+})
+
+test('Report credentials that are missing in the context', async () => {
+  const query = `{
+    user {
+      name
+    }
+  }`
+
+  const result = await graphql({
+    schema: createdSchema,
+    source: query,
+    contextValue: {}
+  })
+
+  expect(result.errors[0].message).toEqual(
+    `Missing credential 'token' of security scheme 'bearer' in the context ` +
+      `at '$.user.token'`
+  )
+  expect(result.errors[0].extensions).toEqual({
+    code: 'UNAUTHENTICATED',
+    securityScheme: 'bearer',
+    credential: 'token',
+    path: '$.user.token'
+  })
+})
+
+test('Take credentials with multiple parts from the context', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    contextCredentials: {
+      basic: {
+        username: '$.admin.username',
+        password: '$.admin.password'
+      }
+    }
+  })
+
+  expect(Object.keys(schema.getQueryType().getFields())).toContain('admin')
+
+  const query = `{
+    admin {
+      name
+    }
+  }`
+
+  const result = await graphql({
+    schema,
+    source: query,
+    contextValue: {
+      admin: {
+        username: 'admin',
+        password: 'password123'
+      }
+    }
+  })
+
+  expect(result).toEqual({
+    data: {
+      admin: {
+        name: 'Grace'
+      }
+    }
+  })
+})
+
+test('Take credentials from the context without viewers', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    viewer: false,
+    contextCredentials
+  })
+
+  const query = `{
+    user {
+      name
+    }
+  }`
+
+  const result = await graphql({ schema, source: query, contextValue })
+
+  expect(result).toEqual({
+    data: {
+      user: {
+        name: 'Ada'
+      }
+    }
+  })
+})
+
+test('Warn about context credentials that do not match the security scheme', async () => {
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    contextCredentials: {
+      basic: '$.admin.password'
+    }
+  })
+
+  expect(report.warnings.map((warning) => warning.type)).toContain(
+    'INVALID_CONTEXT_CREDENTIALS'
+  )
+  expect(Object.keys(schema.getQueryType().getFields())).not.toContain('admin')
+})
@@ -0,0 +1,96 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const BearerToken = 'user-token'
+const ApiKey = 'abcdef'
+const Session = 'session-1'
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const cookieParser = require('cookie-parser')
+  app.use(cookieParser())
+
+  app.get('/api/me', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${BearerToken}`) {
+      return res.status(401).send({ message: 'Invalid bearer token' })
+    }
+
+    res.send({ name: 'Ada' })
+  })
+
+  app.get('/api/inventory', (req, res) => {
+    if (req.headers['x-api-key'] !== ApiKey) {
+      return res.status(401).send({ message: 'Invalid API key' })
+    }
+
+    res.send({ items: 42 })
+  })
+
+  app.get('/api/prices', (req, res) => {
+    if (req.query.api_key !== ApiKey) {
+      return res.status(401).send({ message: 'Invalid API key' })
+    }
+
+    res.send({ currency: 'EUR' })
+  })
+
+  app.get('/api/cart', (req, res) => {
+    if (req.cookies.session !== Session) {
+      return res.status(401).send({ message: 'Invalid session' })
+    }
+
+    res.send({ total: 9.99 })
+  })
+
+  app.get('/api/admin', (req, res) => {
+    const authorization = req.headers.authorization
+    if (
+      authorization !==
+      `Basic ${Buffer.from('admin:password123').toString('base64')}`
+    ) {
+      return res.status(401).send({ message: 'Invalid credentials' })
+    }
+
+    res.send({ name: 'Grace' })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3021)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
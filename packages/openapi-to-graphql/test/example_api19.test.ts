@@ -0,0 +1,257 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { ExecutionResult, GraphQLSchema, parse, subscribe } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+import fetch from 'cross-fetch'
+import express from 'express'
+import { Server } from 'http'
+import { Readable } from 'stream'
+
+import * as openAPIToGraphQL from '../src/index'
+
+const oas = require('./fixtures/example_oas19.json')
+const PORT = 3022
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+let server: Server
+
+/**
+ * This test suite is used to verify the behavior of the callback receiver,
+ * which publishes received callbacks to subscriptions.
+ */
+
+// Set up the schema first and run a server that receives the callbacks
+beforeAll(async () => {
+  const { schema, data } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    createSubscriptionsFromCallbacks: true
+  })
+  createdSchema = schema
+
+  const app = express()
+  app.use(openAPIToGraphQL.createCallbackReceiver(data))
+  app.get('/health', (req, res) => {
+    res.send('OK')
+  })
+
+  return new Promise<void>((resolve) => {
+    server = app.listen(PORT, () => {
+      resolve()
+    })
+  })
+})
+
+// Shut down the server
+afterAll(() => {
+  return new Promise((resolve) => {
+    server.close(resolve)
+  })
+})
+
+/**
+ * Subscribes to the given subscription and returns a function that waits for
+ * the first event
+ *
+ * The returned promise only settles once an event is published, so the
+ * subscription is set up before the callback is sent.
+ */
+async function getFirstEvent(source: string): Promise<() => Promise<any>> {
+  const iterator = (await subscribe({
+    schema: createdSchema,
+    document: parse(source)
+  })) as AsyncIterableIterator<ExecutionResult>
+
+  const event = iterator.next()
+
+  return () => {
+    return event.then(({ value }) => {
+      iterator.return()
+      return value
+    })
+  }
+}
+
+function sendCallback(path: string, payload: any) {
+  return fetch(`http://localhost:${PORT}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  })
+}
+
+test('Publish callbacks to the subscriptions of their paths', async () => {
+  const firstEvent = await getFirstEvent(`subscription {
+    orderShipped(orderEventInput: { orderId: "order-1" }) {
+      orderId
+      status
+      trackingNumber
+    }
+  }`)
+
+  const response = await sendCallback('/callbacks/orders/order-1', {
+    orderId: 'order-1',
+    status: 'shipped',
+    trackingNumber: null
+  })
+
+  expect(response.status).toEqual(204)
+  expect(await firstEvent()).toEqual({
+    data: {
+      orderShipped: {
+        orderId: 'order-1',
+        status: 'SHIPPED',
+        trackingNumber: null
+      }
+    }
+  })
+})
+
+test('Publish callbacks to the subscriptions of their URLs', async () => {
+  const auditUrl = `http://localhost:${PORT}/audits/order-2`
+  const firstEvent = await getFirstEvent(`subscription {
+    orderAudited(auditEventInput: { auditUrl: "${auditUrl}" }) {
+      action
+      changes {
+        field
+        value
+      }
+    }
+  }`)
+
+  const response = await sendCallback('/audits/order-2', {
+    auditUrl,
+    action: 'update',
+    changes: [{ field: 'item', value: 'Bicycle' }]
+  })
+
+  expect(response.status).toEqual(204)
+  expect(await firstEvent()).toEqual({
+    data: {
+      orderAudited: {
+        action: 'update',
+        changes: [{ field: 'item', value: 'Bicycle' }]
+      }
+    }
+  })
+})
+
+test('Reject callback payloads that do not match the request body schema', async () => {
+  const response = await sendCallback('/callbacks/orders/order-1', {
+    status: 'lost'
+  })
+
+  expect(response.status).toEqual(400)
+  expect(await response.json()).toEqual({
+    message: 'Invalid callback payload',
+    errors: [
+      {
+        path: '/orderId',
+        message: `should have required property 'orderId'`
+      },
+      {
+        path: '/status',
+        message: 'should be equal to one of the allowed values'
+      }
+    ]
+  })
+})
+
+test('Validate callback payloads against schemas using OAS 3.0 keywords', async () => {
+  const response = await sendCallback('/callbacks/orders/order-1', {
+    orderId: 'order-1',
+    weight: 0
+  })
+
+  expect(response.status).toEqual(400)
+  expect(await response.json()).toEqual({
+    message: 'Invalid callback payload',
+    errors: [
+      {
+        path: '/weight',
+        message: 'should be > 0'
+      }
+    ]
+  })
+})
+
+test('Reject callback payloads that cannot be parsed', async () => {
+  const response = await fetch(
+    `http://localhost:${PORT}/callbacks/orders/order-1`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: '{"orderId": '
+    }
+  )
+
+  expect(response.status).toEqual(400)
+  expect(await response.json()).toEqual({
+    message: 'Cannot parse callback payload'
+  })
+})
+
+test('Reject callback payloads that are not JSON regardless of the content type', async () => {
+  const response = await fetch(
+    `http://localhost:${PORT}/callbacks/orders/order-1`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/plain'
+      },
+      body: 'orderId=order-1'
+    }
+  )
+
+  expect(response.status).toEqual(400)
+  expect(await response.json()).toEqual({
+    message: 'Cannot parse callback payload'
+  })
+})
+
+test('Reject callback payloads that exceed the maximum size', async () => {
+  const response = await sendCallback('/callbacks/orders/order-1', {
+    orderId: 'order-1',
+    status: 'x'.repeat(2 * 1024 * 1024)
+  })
+
+  expect(response.status).toEqual(413)
+  expect(await response.json()).toEqual({
+    message: 'Callback payload exceeds 1048576 bytes'
+  })
+
+  // Without a Content-Length header
+  const chunk = 'x'.repeat(64 * 1024)
+  const streamedResponse = await fetch(
+    `http://localhost:${PORT}/callbacks/orders/order-1`,
+    {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: Readable.from(
+        ['{"orderId": "order-1", "status": "']
+          .concat(new Array(32).fill(chunk))
+          .concat(['"}'])
+      ) as any
+    }
+  )
+
+  expect(streamedResponse.status).toEqual(413)
+})
+
+test('Pass requests that are not callbacks to the next middleware', async () => {
+  const response = await fetch(`http://localhost:${PORT}/health`)
+
+  expect(response.status).toEqual(200)
+  expect(await response.text()).toEqual('OK')
+})
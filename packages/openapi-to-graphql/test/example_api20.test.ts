@@ -0,0 +1,216 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import {
+  ExecutionResult,
+  graphql,
+  GraphQLSchema,
+  parse,
+  subscribe
+} from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer, getOpenTickers } from './example_api20_server'
+
+const oas = require('./fixtures/example_oas20.json')
+const PORT = 3023
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+const contextValue = {
+  apiKey: 'abcdef'
+}
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the
+ * createSubscriptionsFromStreams option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, {
+        createSubscriptionsFromStreams: true,
+        contextCredentials: {
+          apiKey: '$.apiKey'
+        }
+      })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+/**
+ * Subscribes to the given subscription and collects the given number of
+ * events, or all events if the stream ends before
+ */
+async function collectEvents(
+  source: string,
+  count = Infinity
+): Promise<ExecutionResult[]> {
+  const result = await subscribe({
+    schema: createdSchema,
+    document: parse(source),
+    contextValue
+  })
+
+  if (!(Symbol.asyncIterator in result)) {
+    return [result as ExecutionResult]
+  }
+
+  const events: ExecutionResult[] = []
+  for await (const event of result as AsyncIterableIterator<ExecutionResult>) {
+    events.push(event)
+
+    if (events.length === count) {
+      break
+    }
+  }
+
+  return events
+}
+
+test('Create subscription fields from operations that stream events', () => {
+  expect(Object.keys(createdSchema.getQueryType().getFields())).toEqual([
+    'price'
+  ])
+  expect(
+    Object.keys(createdSchema.getSubscriptionType().getFields()).sort()
+  ).toEqual([
+    'streamPrices',
+    'streamVolumes',
+    'ticker',
+    'watchMarket',
+    'watchOrders'
+  ])
+})
+
+test('Yield one event per Server-Sent Event', async () => {
+  const events = await collectEvents(`subscription {
+    streamPrices(symbol: "IBM") {
+      symbol
+      price
+    }
+  }`)
+
+  expect(events).toEqual([
+    { data: { streamPrices: { symbol: 'IBM', price: 140.5 } } },
+    { data: { streamPrices: { symbol: 'IBM', price: 141 } } },
+    { data: { streamPrices: { symbol: 'IBM', price: 139.75 } } }
+  ])
+})
+
+test('Yield one event per line of newline-delimited JSON', async () => {
+  const events = await collectEvents(`subscription {
+    watchOrders {
+      orderId
+      status
+    }
+  }`)
+
+  expect(events).toEqual([
+    { data: { watchOrders: { orderId: 'order-1', status: 'shipped' } } },
+    { data: { watchOrders: { orderId: 'order-2', status: 'delivered' } } }
+  ])
+})
+
+test('Yield events that are lists or booleans', async () => {
+  const volumeEvents = await collectEvents(`subscription {
+    streamVolumes
+  }`)
+
+  expect(volumeEvents).toEqual([
+    { data: { streamVolumes: [1200, 800] } },
+    { data: { streamVolumes: [] } },
+    { data: { streamVolumes: [300] } }
+  ])
+
+  const marketEvents = await collectEvents(`subscription {
+    watchMarket
+  }`)
+
+  expect(marketEvents).toEqual([
+    { data: { watchMarket: true } },
+    { data: { watchMarket: false } }
+  ])
+})
+
+test('Report errors of streaming operations', async () => {
+  const events = await collectEvents(`subscription {
+    streamPrices(symbol: "XYZ") {
+      price
+    }
+  }`)
+
+  expect(events.length).toEqual(1)
+  expect(events[0].errors[0].message).toEqual(
+    'Could not invoke operation GET /prices/stream'
+  )
+})
+
+test('Close streams when unsubscribing', async () => {
+  const events = await collectEvents(
+    `subscription {
+      ticker
+    }`,
+    2
+  )
+
+  expect(events).toEqual([
+    { data: { ticker: 'tick 1' } },
+    { data: { ticker: 'tick 2' } }
+  ])
+
+  // The server notices the closed connection asynchronously
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  expect(getOpenTickers()).toEqual(0)
+})
+
+test('Keep streaming operations as queries without the option', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    contextCredentials: {
+      apiKey: '$.apiKey'
+    }
+  })
+
+  expect(schema.getSubscriptionType()).toBeFalsy()
+  expect(Object.keys(schema.getQueryType().getFields())).toEqual([
+    'marketOpen',
+    'ordersUpdates',
+    'price',
+    'pricesStream',
+    'ticker',
+    'volumes'
+  ])
+
+  const result = await graphql({
+    schema,
+    source: `{
+      ordersUpdates {
+        orderId
+      }
+    }`,
+    contextValue
+  })
+
+  expect(result).toEqual({
+    data: {
+      ordersUpdates: [{ orderId: 'order-1' }, { orderId: 'order-2' }]
+    }
+  })
+})
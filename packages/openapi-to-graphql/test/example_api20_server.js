@@ -0,0 +1,145 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const ApiKey = 'abcdef'
+
+const Prices = {
+  IBM: [140.5, 141, 139.75]
+}
+
+const OrderUpdates = [
+  { order_id: 'order-1', status: 'shipped' },
+  { order_id: 'order-2', status: 'delivered' }
+]
+
+// Number of ticker streams that are currently open
+let openTickers = 0
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.get('/api/prices', (req, res) => {
+    if (!(req.query.symbol in Prices)) {
+      return res.status(404).send({ message: 'Unknown symbol' })
+    }
+
+    const prices = Prices[req.query.symbol]
+    res.send({ symbol: req.query.symbol, price: prices[prices.length - 1] })
+  })
+
+  app.get('/api/prices/stream', (req, res) => {
+    if (!(req.query.symbol in Prices)) {
+      return res.status(404).send({ message: 'Unknown symbol' })
+    }
+
+    const [first, second, third] = Prices[req.query.symbol].map((price) => {
+      return { symbol: req.query.symbol, price }
+    })
+
+    res.set('Content-Type', 'text/event-stream')
+    res.write(`data: ${JSON.stringify(first)}\n\n`)
+
+    // Comments and multiple data lines
+    res.write(': keep-alive\n')
+    const [firstHalf, secondHalf] = JSON.stringify(second).split(',')
+    res.write(`data: ${firstHalf},\ndata: ${secondHalf}\n\n`)
+
+    // Other fields and an event split across chunks
+    const event = `event: price\r\nid: 3\r\ndata: ${JSON.stringify(
+      third
+    )}\r\n\r\n`
+    res.write(event.substring(0, 20))
+    setTimeout(() => {
+      res.end(event.substring(20))
+    }, 10)
+  })
+
+  app.get('/api/orders/updates', (req, res) => {
+    if (req.headers['x-api-key'] !== ApiKey) {
+      return res.status(401).send({ message: 'Invalid API key' })
+    }
+
+    if (!req.accepts('application/x-ndjson')) {
+      return res.send(OrderUpdates)
+    }
+
+    res.set('Content-Type', 'application/x-ndjson')
+
+    // The last line does not end with a line break
+    res.end(OrderUpdates.map((update) => JSON.stringify(update)).join('\n'))
+  })
+
+  app.get('/api/volumes', (req, res) => {
+    res.set('Content-Type', 'application/x-ndjson')
+    res.end('[1200, 800]\n[]\n[300]\n')
+  })
+
+  app.get('/api/market/open', (req, res) => {
+    res.set('Content-Type', 'text/event-stream')
+    res.end('data: true\n\ndata: false\n\n')
+  })
+
+  app.get('/api/ticker', (req, res) => {
+    openTickers++
+
+    res.set('Content-Type', 'text/event-stream')
+    res.flushHeaders()
+
+    let tick = 0
+    const interval = setInterval(() => {
+      res.write(`data: tick ${++tick}\n\n`)
+    }, 10)
+
+    req.on('close', () => {
+      clearInterval(interval)
+      openTickers--
+    })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Returns the number of ticker streams that are currently open
+ */
+function getOpenTickers() {
+  return openTickers
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3023)
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  getOpenTickers
+}
@@ -0,0 +1,212 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import {
+  startServer,
+  stopServer,
+  getRequestCount
+} from './example_api21_server'
+
+const oas = require('./fixtures/example_oas21.json')
+const PORT = 3024
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the validateRequests
+ * option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, { validateRequests: true })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Send requests that match the OAS', async () => {
+  const query = `mutation {
+    createUser(
+      xRequestID: "8c6f5b5e-3d0a-4a5e-9a47-7e3b5c1f2d10"
+      userInput: {
+        username: "ada"
+        email: "ada@example.com"
+        age: 36
+        tags: ["math", "computing"]
+        address: { zipCode: "12345" }
+      }
+    ) {
+      username
+      address {
+        zipCode
+      }
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      createUser: {
+        username: 'ada',
+        address: {
+          zipCode: '12345'
+        }
+      }
+    }
+  })
+})
+
+test('Reject request bodies that violate the OAS', async () => {
+  const requestCount = getRequestCount()
+
+  const query = `mutation {
+    createUser(
+      xRequestID: "request-1"
+      userInput: {
+        username: "Ada"
+        email: "ada"
+        tags: ["math", "math"]
+        address: { zipCode: "123" }
+      }
+    ) {
+      username
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.data).toEqual({ createUser: null })
+  expect(result.errors[0].extensions).toEqual({
+    code: 'BAD_USER_INPUT',
+    violations: [
+      {
+        path: '/header/X-Request-ID',
+        message: 'should match format "uuid"'
+      },
+      {
+        path: '/body/username',
+        message: 'should match pattern "^[a-z]+$"'
+      },
+      {
+        path: '/body/email',
+        message: 'should match format "email"'
+      },
+      {
+        path: '/body/tags',
+        message:
+          'should NOT have duplicate items (items ## 1 and 0 are identical)'
+      },
+      {
+        path: '/body/address/zip_code',
+        message: 'should match pattern "^[0-9]{5}$"'
+      }
+    ]
+  })
+
+  // Invalid requests are not sent
+  expect(getRequestCount()).toEqual(requestCount)
+})
+
+test('Ignore readOnly properties of request bodies', async () => {
+  const query = `mutation {
+    createUser(
+      xRequestID: "8c6f5b5e-3d0a-4a5e-9a47-7e3b5c1f2d10"
+      userInput: { id: "draft", username: "grace", email: "grace@example.com" }
+    ) {
+      username
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      createUser: {
+        username: 'grace'
+      }
+    }
+  })
+})
+
+test('Ignore readOnly properties that reference schemas', async () => {
+  const query = `mutation {
+    createUser(
+      xRequestID: "8c6f5b5e-3d0a-4a5e-9a47-7e3b5c1f2d10"
+      userInput: {
+        username: "grace"
+        email: "grace@example.com"
+        createdAt: "draft"
+      }
+    ) {
+      username
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      createUser: {
+        username: 'grace'
+      }
+    }
+  })
+})
+
+test('Reject parameters that violate the OAS', async () => {
+  const query = `{
+    users(limit: 500) {
+      username
+    }
+    user(username: "Ada") {
+      username
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors.map((error) => error.message).sort()).toEqual([
+    `Invalid request to operation GET /users/{username}: ` +
+      `'/path/username' should match pattern "^[a-z]+$"`,
+    `Invalid request to operation GET /users: '/query/limit' should be <= 100`
+  ])
+})
+
+test('Send requests that violate the OAS without the option', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+  const requestCount = getRequestCount()
+
+  const query = `mutation {
+    createUser(userInput: { username: "ada", email: "ada" }) {
+      username
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result.errors[0].message).toEqual(
+    'Could not invoke operation POST /users'
+  )
+  expect(getRequestCount()).toEqual(requestCount + 1)
+})
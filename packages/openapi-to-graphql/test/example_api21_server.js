@@ -0,0 +1,92 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Users = {
+  arlene: {
+    username: 'arlene',
+    email: 'arlene@example.com',
+    age: 42,
+    tags: ['admin']
+  }
+}
+
+// Number of requests that reached the server
+let requestCount = 0
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.use(express.json())
+
+  app.use((req, res, next) => {
+    requestCount++
+    next()
+  })
+
+  app.get('/api/users', (req, res) => {
+    res.send(Object.values(Users).slice(0, Number(req.query.limit)))
+  })
+
+  app.post('/api/users', (req, res) => {
+    if (typeof req.body.email !== 'string' || !req.body.email.includes('@')) {
+      return res.status(400).send({ message: 'Invalid email' })
+    }
+
+    res.send(req.body)
+  })
+
+  app.get('/api/users/:username', (req, res) => {
+    if (!(req.params.username in Users)) {
+      return res.status(404).send({ message: 'Unknown user' })
+    }
+
+    res.send(Users[req.params.username])
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Returns the number of requests that reached the server
+ */
+function getRequestCount() {
+  return requestCount
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3024)
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  getRequestCount
+}
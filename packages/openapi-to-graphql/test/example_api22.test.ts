@@ -0,0 +1,191 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLObjectType, GraphQLSchema } from 'graphql'
+import { GraphQLCountryCode } from 'graphql-scalars'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer, getLastRequest } from './example_api22_server'
+
+const oas = require('./fixtures/example_oas22.json')
+const PORT = 3025
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the formatScalars option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, { formatScalars: true })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+/**
+ * Returns the names of the types of the fields of the given object type
+ */
+function getFieldTypeNames(schema: GraphQLSchema, typeName: string) {
+  const fields = (schema.getType(typeName) as GraphQLObjectType).getFields()
+
+  const fieldTypeNames = {}
+  Object.entries(fields).forEach(([fieldName, field]) => {
+    fieldTypeNames[fieldName] = field.type.toString()
+  })
+
+  return fieldTypeNames
+}
+
+test('Translate string formats into custom scalars', () => {
+  expect(getFieldTypeNames(createdSchema, 'Event')).toEqual({
+    id: 'UUID',
+    title: 'String',
+    start: 'DateTime',
+    day: 'Date',
+    organizer: 'EmailAddress',
+    website: 'URL',
+    logo: 'Byte',
+    host: 'IPv4',
+    country: 'String'
+  })
+  expect(
+    createdSchema.getQueryType().getFields().events.args[0].type.toString()
+  ).toEqual('DateTime!')
+})
+
+test('Send the values of custom scalars as strings', async () => {
+  const query = `{
+    events(since: "2024-05-15T12:00:00+02:00") {
+      title
+      start
+      day
+      logo
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(getLastRequest().query).toEqual({
+    since: '2024-05-15T10:00:00.000Z'
+  })
+  expect(result).toEqual({
+    data: {
+      events: [
+        {
+          title: 'Review',
+          start: new Date('2024-06-01T15:30:00.000Z'),
+          day: '2024-06-01',
+          logo: 'd29ybGQ='
+        }
+      ]
+    }
+  })
+})
+
+test('Send the values of custom scalars in request bodies as strings', async () => {
+  const query = `mutation {
+    createEvent(eventInput: {
+      title: "Launch"
+      start: "2024-07-01T09:00:00Z"
+      day: "2024-07-01"
+      organizer: "arlene@example.com"
+      website: "https://example.com/launch"
+      logo: "bGF1bmNo"
+      host: "10.0.0.1"
+    }) {
+      organizer
+      website
+      logo
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(getLastRequest().body).toEqual({
+    title: 'Launch',
+    start: '2024-07-01T09:00:00.000Z',
+    day: '2024-07-01',
+    organizer: 'arlene@example.com',
+    website: 'https://example.com/launch',
+    logo: 'bGF1bmNo',
+    host: '10.0.0.1'
+  })
+  expect(result).toEqual({
+    data: {
+      createEvent: {
+        organizer: 'arlene@example.com',
+        website: 'https://example.com/launch',
+        logo: 'bGF1bmNo'
+      }
+    }
+  })
+})
+
+test('Reject invalid values of custom scalars', async () => {
+  const lastRequest = getLastRequest()
+
+  const query = `mutation {
+    createEvent(eventInput: { title: "Launch", organizer: "arlene" }) {
+      title
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+
+  expect(result.errors.length).toEqual(1)
+  expect(result.errors[0].message).toEqual(
+    'Value is not a valid email address: arlene'
+  )
+
+  // Invalid requests are not sent
+  expect(getLastRequest()).toBe(lastRequest)
+})
+
+test('Extend and override the built-in custom scalars', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    formatScalars: {
+      'country-code': GraphQLCountryCode
+    },
+    idFormats: ['uuid']
+  })
+
+  expect(getFieldTypeNames(schema, 'Event')).toMatchObject({
+    id: 'ID',
+    start: 'DateTime',
+    country: 'CountryCode'
+  })
+})
+
+test('Translate string formats into strings without the option', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  expect(getFieldTypeNames(schema, 'Event')).toEqual({
+    id: 'ID',
+    title: 'String',
+    start: 'String',
+    day: 'String',
+    organizer: 'String',
+    website: 'String',
+    logo: 'String',
+    host: 'String',
+    country: 'String'
+  })
+})
@@ -0,0 +1,101 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Events = [
+  {
+    id: '0b0d3e1c-6f6c-4d1c-9d1e-2f6a3c1b5e7a',
+    title: 'Kickoff',
+    start: '2024-05-01T08:00:00.000Z',
+    day: '2024-05-01',
+    organizer: 'arlene@example.com',
+    website: 'https://example.com/kickoff',
+    logo: 'aGVsbG8=',
+    host: '192.168.0.1',
+    country: 'US'
+  },
+  {
+    id: '5f2c8a9e-1b4d-4e3f-8a7c-6d9e0f1a2b3c',
+    title: 'Review',
+    start: '2024-06-01T15:30:00.000Z',
+    day: '2024-06-01',
+    organizer: 'will@example.com',
+    website: 'https://example.com/review',
+    logo: 'd29ybGQ=',
+    host: '192.168.0.2',
+    country: 'DE'
+  }
+]
+
+// The query and body of the last request that reached the server
+let lastRequest
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.use(express.json())
+
+  app.use((req, res, next) => {
+    lastRequest = { query: req.query, body: req.body }
+    next()
+  })
+
+  app.get('/api/events', (req, res) => {
+    const since = new Date(req.query.since)
+    if (isNaN(since.getTime())) {
+      return res.status(400).send({ message: 'Invalid date' })
+    }
+
+    res.send(Events.filter((event) => new Date(event.start) >= since))
+  })
+
+  app.post('/api/events', (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Returns the query and body of the last request that reached the server
+ */
+function getLastRequest() {
+  return lastRequest
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3025)
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  getLastRequest
+}
@@ -0,0 +1,273 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema, GraphQLUnionType } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api23_server'
+
+const oas = require('./fixtures/example_oas23.json')
+const PORT = 3026
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the federation option.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, { federation: true })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Print the SDL of the subgraph', async () => {
+  const query = `{
+    _service {
+      sdl
+    }
+  }`
+
+  const result = await graphql({ schema: createdSchema, source: query })
+  const sdl: string = (result.data._service as any).sdl
+
+  expect(sdl.split('\n')[0]).toEqual(
+    'extend schema @link(url: "https://specs.apollo.dev/federation/v2.0", ' +
+      'import: ["@key"])'
+  )
+  expect(sdl).toContain('type User @key(fields: "username") {')
+  expect(sdl).toContain('type Team @key(fields: "companyId id") {')
+  expect(sdl).toContain('type Status {')
+
+  // The fields and types of the federation specification are not printed
+  expect(sdl).not.toMatch(/_service|_entities|_Service|_Entity|_Any/)
+})
+
+test('Resolve references to entities', async () => {
+  const query = `query ($representations: [_Any!]!) {
+    _entities(representations: $representations) {
+      ... on User {
+        name
+      }
+      ... on Team {
+        name
+      }
+    }
+  }`
+
+  const result = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: {
+      representations: [
+        { __typename: 'User', username: 'arlene' },
+        { __typename: 'Team', companyId: 'ibm', id: 'design' },
+        { __typename: 'User', username: 'will' }
+      ]
+    }
+  })
+
+  expect(result).toEqual({
+    data: {
+      _entities: [
+        { name: 'Arlene L McMahon' },
+        { name: 'Design' },
+        { name: 'William B Ropp' }
+      ]
+    }
+  })
+})
+
+test('Report errors of references that cannot be resolved', async () => {
+  const query = `query ($representations: [_Any!]!) {
+    _entities(representations: $representations) {
+      ... on User {
+        name
+      }
+    }
+  }`
+
+  const result = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: {
+      representations: [
+        { __typename: 'User', username: 'arlene' },
+        { __typename: 'User', username: 'nobody' },
+        { __typename: 'User' },
+        { __typename: 'Status' }
+      ]
+    }
+  })
+
+  expect(result.data).toEqual({
+    _entities: [{ name: 'Arlene L McMahon' }, null, null, null]
+  })
+
+  // The references are resolved concurrently
+  const errors = result.errors
+    .map((error) => {
+      return { index: error.path[1] as number, message: error.message }
+    })
+    .sort((error1, error2) => error1.index - error2.index)
+
+  expect(errors).toEqual([
+    {
+      index: 1,
+      message: 'Could not invoke operation GET /users/{username}'
+    },
+    {
+      index: 2,
+      message:
+        "Cannot resolve reference to 'User' entity because it does not " +
+        "contain field 'username'"
+    },
+    { index: 3, message: "Unknown entity type 'Status'" }
+  ])
+})
+
+test('Reject references to properties of plain objects', async () => {
+  const query = `query ($representations: [_Any!]!) {
+    _entities(representations: $representations) {
+      ... on User {
+        name
+      }
+    }
+  }`
+
+  const typeNames = ['toString', 'constructor', '__proto__']
+  const result = await graphql({
+    schema: createdSchema,
+    source: query,
+    variableValues: {
+      representations: typeNames.map((typeName) => {
+        return { __typename: typeName }
+      })
+    }
+  })
+
+  expect(result.data).toEqual({ _entities: [null, null, null] })
+  expect(result.errors.map((error) => error.message).sort()).toEqual(
+    typeNames.map((typeName) => `Unknown entity type '${typeName}'`).sort()
+  )
+})
+
+test('Refer to the original id fields in keys of Node types', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    federation: true,
+    nodeInterface: true
+  })
+
+  const result = await graphql({
+    schema,
+    source: `query ($representations: [_Any!]!) {
+      _service {
+        sdl
+      }
+      _entities(representations: $representations) {
+        ... on Team {
+          teamId
+          name
+        }
+      }
+    }`,
+    variableValues: {
+      representations: [
+        { __typename: 'Team', companyId: 'ibm', teamId: 'design' }
+      ]
+    }
+  })
+
+  expect((result.data._service as any).sdl).toContain(
+    'type Team implements Node @key(fields: "companyId teamId") {'
+  )
+  expect(result.data._entities).toEqual([{ teamId: 'design', name: 'Design' }])
+})
+
+test('Only resolve references using operations that require viewers with context credentials', async () => {
+  const securedOas = JSON.parse(JSON.stringify(oas))
+  securedOas.components.securitySchemes = {
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'x-api-key'
+    }
+  }
+  securedOas.paths['/users/{username}'].get.security = [{ apiKey: [] }]
+
+  const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+    securedOas,
+    { federation: true }
+  )
+
+  expect(report.warnings.map((warning) => warning.type)).toContain(
+    'ENTITY_REQUIRES_VIEWER'
+  )
+  expect(
+    (schema.getType('_Entity') as GraphQLUnionType)
+      .getTypes()
+      .map((type) => type.name)
+  ).toEqual(['Team'])
+
+  const { schema: contextSchema } = await openAPIToGraphQL.createGraphQLSchema(
+    securedOas,
+    {
+      federation: true,
+      contextCredentials: {
+        apiKey: '$.apiKey'
+      }
+    }
+  )
+
+  const result = await graphql({
+    schema: contextSchema,
+    source: `query ($representations: [_Any!]!) {
+      _entities(representations: $representations) {
+        ... on User {
+          name
+        }
+      }
+    }`,
+    variableValues: {
+      representations: [{ __typename: 'User', username: 'arlene' }]
+    },
+    contextValue: {
+      apiKey: 'abcdef'
+    }
+  })
+
+  expect(result).toEqual({
+    data: {
+      _entities: [{ name: 'Arlene L McMahon' }]
+    }
+  })
+})
+
+test('Create a plain schema without the option', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  expect(Object.keys(schema.getQueryType().getFields())).toEqual([
+    'status',
+    'team',
+    'user'
+  ])
+  expect(schema.getType('_Service')).toBeUndefined()
+})
@@ -0,0 +1,87 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Users = {
+  arlene: {
+    username: 'arlene',
+    name: 'Arlene L McMahon'
+  },
+  will: {
+    username: 'will',
+    name: 'William B Ropp'
+  }
+}
+
+const Teams = {
+  ibm: {
+    design: {
+      companyId: 'ibm',
+      id: 'design',
+      name: 'Design'
+    }
+  }
+}
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.get('/api/users/:username', (req, res) => {
+    if (!(req.params.username in Users)) {
+      return res.status(404).send({ message: 'Unknown user' })
+    }
+
+    res.send(Users[req.params.username])
+  })
+
+  app.get('/api/companies/:companyId/teams/:teamId', (req, res) => {
+    const teams = Teams[req.params.companyId]
+    if (typeof teams !== 'object' || !(req.params.teamId in teams)) {
+      return res.status(404).send({ message: 'Unknown team' })
+    }
+
+    res.send(teams[req.params.teamId])
+  })
+
+  app.get('/api/status', (req, res) => {
+    res.send({ healthy: true })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3026)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
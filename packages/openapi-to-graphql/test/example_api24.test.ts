@@ -0,0 +1,387 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, printSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { buildExecutableSchema } from '../src/runtime'
+import { startServer, stopServer } from './example_api24_server'
+
+const oas = require('./fixtures/example_oas24.json')
+const PORT = 3027
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let sdl: string
+let binding: openAPIToGraphQL.FieldBinding[]
+
+/**
+ * This test suite is used to verify the behavior of createSchemaBinding and
+ * createResolversFromBinding.
+ */
+
+// Set up the schema binding first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL.createSchemaBinding(oas).then((result) => {
+      sdl = result.sdl
+      binding = result.binding
+    }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Describe the operations that fields are bound to', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  expect(sdl).toEqual(printSchema(schema))
+  expect(binding).toEqual([
+    {
+      typeName: 'Query',
+      fieldName: 'company',
+      title: 'Example API 24',
+      path: '/companies/{id}',
+      method: 'get',
+      parameters: {
+        id: { name: 'id', in: 'path' }
+      }
+    },
+    {
+      typeName: 'Query',
+      fieldName: 'user',
+      title: 'Example API 24',
+      path: '/users/{username}',
+      method: 'get',
+      parameters: {
+        username: { name: 'username', in: 'path' },
+        xLanguage: { name: 'X-Language', in: 'header' }
+      }
+    },
+    {
+      typeName: 'User',
+      fieldName: 'employer',
+      title: 'Example API 24',
+      path: '/companies/{id}',
+      method: 'get',
+      parameters: {},
+      linkParameters: {
+        id: '$response.body#/employerId'
+      }
+    },
+    {
+      typeName: 'Mutation',
+      fieldName: 'createUser',
+      title: 'Example API 24',
+      path: '/users',
+      method: 'post',
+      parameters: {},
+      requestBody: 'userInput'
+    }
+  ])
+})
+
+test('Recreate the resolve functions from the binding', async () => {
+  // The binding can be stored as JSON
+  const resolvers = await openAPIToGraphQL.createResolversFromBinding(
+    oas,
+    JSON.parse(JSON.stringify(binding))
+  )
+  const schema = buildExecutableSchema(sdl, resolvers)
+
+  const query = `{
+    user(username: "arlene", xLanguage: "de") {
+      name
+      employer {
+        name
+      }
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      user: {
+        name: 'Arlena L McMahon',
+        employer: {
+          name: 'Binary Solutions'
+        }
+      }
+    }
+  })
+
+  const mutation = `mutation {
+    createUser(userInput: { username: "will", name: "William B Ropp" }) {
+      username
+    }
+  }`
+
+  const mutationResult = await graphql({ schema, source: mutation })
+
+  expect(mutationResult).toEqual({
+    data: {
+      createUser: {
+        username: 'will'
+      }
+    }
+  })
+})
+
+test('Bind fields of hand-written schemas to operations', async () => {
+  const handWrittenSdl = `
+    type Query {
+      person(username: String!): Person
+    }
+
+    type Person {
+      name: String
+    }
+  `
+
+  const resolvers = await openAPIToGraphQL.createResolversFromBinding(oas, [
+    {
+      ...binding.find(({ fieldName }) => fieldName === 'user'),
+      fieldName: 'person'
+    }
+  ])
+  const schema = buildExecutableSchema(handWrittenSdl, resolvers)
+
+  const result = await graphql({
+    schema,
+    source: `{
+      person(username: "arlene") {
+        name
+      }
+    }`
+  })
+
+  expect(result).toEqual({
+    data: {
+      person: {
+        name: 'Arlene L McMahon'
+      }
+    }
+  })
+})
+
+test('Reject bindings to unknown operations', async () => {
+  await expect(
+    openAPIToGraphQL.createResolversFromBinding(oas, [
+      {
+        typeName: 'Query',
+        fieldName: 'users',
+        title: 'Example API 24',
+        path: '/users',
+        method: 'get',
+        parameters: {}
+      }
+    ])
+  ).rejects.toThrow(
+    "Cannot create resolver for field 'users' of type 'Query' because OAS " +
+      "'Example API 24' does not contain operation GET /users"
+  )
+})
+
+test('Rename the arguments of bound fields', async () => {
+  const handWrittenSdl = `
+    type Query {
+      person(login: String!, language: String): Person
+    }
+
+    type Person {
+      name: String
+    }
+  `
+
+  const resolvers = await openAPIToGraphQL.createResolversFromBinding(oas, [
+    {
+      typeName: 'Query',
+      fieldName: 'person',
+      title: 'Example API 24',
+      path: '/users/{username}',
+      method: 'get',
+      parameters: {
+        login: { name: 'username', in: 'path' },
+        language: { name: 'X-Language', in: 'header' }
+      }
+    }
+  ])
+  const schema = buildExecutableSchema(handWrittenSdl, resolvers)
+
+  const result = await graphql({
+    schema,
+    source: `{
+      person(login: "arlene", language: "de") {
+        name
+      }
+    }`
+  })
+
+  expect(result).toEqual({
+    data: {
+      person: {
+        name: 'Arlena L McMahon'
+      }
+    }
+  })
+})
+
+test('Reject bindings to unknown parameters', async () => {
+  await expect(
+    openAPIToGraphQL.createResolversFromBinding(oas, [
+      {
+        typeName: 'Query',
+        fieldName: 'person',
+        title: 'Example API 24',
+        path: '/users/{username}',
+        method: 'get',
+        parameters: {
+          language: { name: 'Accept-Language', in: 'header' }
+        }
+      }
+    ])
+  ).rejects.toThrow(
+    "Cannot create resolver for field 'person' of type 'Query' because " +
+      "operation GET /users/{username} does not contain header parameter " +
+      "'Accept-Language'"
+  )
+})
+
+test('Describe and bind viewers, the node field, and the ID fields', async () => {
+  const securedOas = JSON.parse(JSON.stringify(oas))
+  securedOas.components.securitySchemes = {
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' }
+  }
+  securedOas.paths['/users'].post.security = [{ apiKey: [] }]
+  const options = { nodeInterface: true }
+
+  const result = await openAPIToGraphQL.createSchemaBinding(securedOas, options)
+
+  expect(
+    result.binding.filter((fieldBinding) => 'wrapper' in fieldBinding)
+  ).toEqual([
+    {
+      typeName: 'Query',
+      fieldName: 'node',
+      wrapper: 'node'
+    },
+    {
+      typeName: 'Company',
+      fieldName: 'companyId',
+      wrapper: 'rawId',
+      objectType: 'Company'
+    },
+    {
+      typeName: 'Company',
+      fieldName: 'id',
+      wrapper: 'id',
+      objectType: 'Company'
+    },
+    {
+      typeName: 'User',
+      fieldName: 'id',
+      wrapper: 'id',
+      objectType: 'User'
+    },
+    {
+      typeName: 'Mutation',
+      fieldName: 'mutationViewerApiKey',
+      wrapper: 'viewer',
+      operationType: 'mutation',
+      securityScheme: 'apiKey'
+    },
+    {
+      typeName: 'Mutation',
+      fieldName: 'mutationViewerAnyAuth',
+      wrapper: 'viewer',
+      operationType: 'mutation'
+    }
+  ])
+
+  const resolvers = await openAPIToGraphQL.createResolversFromBinding(
+    securedOas,
+    JSON.parse(JSON.stringify(result.binding)),
+    options
+  )
+  const schema = buildExecutableSchema(result.sdl, resolvers)
+
+  const query = `{
+    user(username: "arlene") {
+      employer {
+        id
+        companyId
+      }
+    }
+  }`
+
+  const queryResult = await graphql({ schema, source: query })
+  const { id, companyId } = (queryResult.data.user as any).employer
+
+  expect(companyId).toEqual('binsol')
+
+  const nodeQuery = `{
+    node(id: "${id}") {
+      ... on Company {
+        name
+      }
+    }
+  }`
+
+  const nodeResult = await graphql({ schema, source: nodeQuery })
+
+  expect(nodeResult).toEqual({
+    data: {
+      node: {
+        name: 'Binary Solutions'
+      }
+    }
+  })
+
+  const mutation = `mutation {
+    mutationViewerApiKey(apiKey: "abcdef") {
+      createUser(userInput: { username: "will", name: "William B Ropp" }) {
+        username
+      }
+    }
+  }`
+
+  const mutationResult = await graphql({ schema, source: mutation })
+
+  expect(mutationResult).toEqual({
+    data: {
+      mutationViewerApiKey: {
+        createUser: {
+          username: 'will'
+        }
+      }
+    }
+  })
+})
+
+test('Reject bindings to unknown viewers', async () => {
+  await expect(
+    openAPIToGraphQL.createResolversFromBinding(oas, [
+      {
+        typeName: 'Query',
+        fieldName: 'viewerApiKey',
+        wrapper: 'viewer',
+        operationType: 'query',
+        securityScheme: 'apiKey'
+      }
+    ])
+  ).rejects.toThrow(
+    "Cannot create resolver for field 'viewerApiKey' of type 'Query' " +
+      "because the schema does not contain the query viewer for security " +
+      "scheme 'apiKey'"
+  )
+})
@@ -0,0 +1,87 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Users = {
+  arlene: {
+    username: 'arlene',
+    name: 'Arlene L McMahon',
+    employerId: 'binsol'
+  }
+}
+
+const Companies = {
+  binsol: {
+    id: 'binsol',
+    name: 'Binary Solutions'
+  }
+}
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.use(express.json())
+
+  app.post('/api/users', (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  app.get('/api/users/:username', (req, res) => {
+    if (!(req.params.username in Users)) {
+      return res.status(404).send({ message: 'Unknown user' })
+    }
+
+    const user = Users[req.params.username]
+    res.send(
+      req.get('x-language') === 'de'
+        ? { ...user, name: user.name.replace('Arlene', 'Arlena') }
+        : user
+    )
+  })
+
+  app.get('/api/companies/:id', (req, res) => {
+    if (!(req.params.id in Companies)) {
+      return res.status(404).send({ message: 'Unknown company' })
+    }
+
+    res.send(Companies[req.params.id])
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3027)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,230 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+import * as fs from 'fs'
+import * as path from 'path'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api25_server'
+
+const oas = require('./fixtures/example_oas25.json')
+const PORT = 3028
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let code: string
+let tmpDir: string
+let generatedModule: {
+  typeDefs: string
+  createSchema: (options?: openAPIToGraphQL.RuntimeOptions) => GraphQLSchema
+}
+
+/**
+ * This test suite is used to verify the behavior of generateTypeScriptModule.
+ */
+
+// Generate and load the module first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .generateTypeScriptModule(oas, {}, path.join(__dirname, '../src/runtime'))
+      .then((result) => {
+        code = result.code
+        // The module has to be able to import graphql
+        tmpDir = fs.mkdtempSync(path.join(__dirname, 'generated-'))
+
+        const modulePath = path.join(tmpDir, 'schema.ts')
+        fs.writeFileSync(modulePath, code)
+        generatedModule = require(modulePath)
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server and remove the generated module
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true })
+  return stopServer()
+})
+
+test('Generate the type definitions and resolvers', async () => {
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+  const { printSchema } = require('graphql')
+
+  expect(generatedModule.typeDefs).toEqual(`\n${printSchema(schema)}\n`)
+
+  // The resolvers are readable
+  expect(code).toContain(`    Query: {
+      // GET /companies/{id}
+      company: createOperationResolver(
+        {
+          title: 'Example API 25',
+          path: '/companies/{id}',
+          method: 'get',
+          baseUrl: 'http://localhost:3028/api',
+          parameters: [
+            {
+              name: 'id',
+              in: 'path'
+            }
+          ],
+          responseContentType: 'application/json'
+        },
+        options
+      ),`)
+  expect(code).toContain(`export const enumValues = {
+  Status: {
+    ACTIVE: 'active',
+    SUSPENDED: 'suspended'
+  }
+}`)
+})
+
+test('Build the schema from the generated module', async () => {
+  const schema = generatedModule.createSchema()
+
+  const query = `{
+    user(username: "arlene") {
+      name
+      status
+      employer {
+        name
+      }
+      posts(limit: 2) {
+        title
+      }
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result).toEqual({
+    data: {
+      user: {
+        name: 'Arlene L McMahon',
+        status: 'ACTIVE',
+        employer: {
+          name: 'Binary Solutions'
+        },
+        posts: [
+          { title: 'Hello world' },
+          { title: 'Binary Solutions is hiring' }
+        ]
+      }
+    }
+  })
+})
+
+test('Send the original names and values in request bodies', async () => {
+  const schema = generatedModule.createSchema()
+
+  const mutation = `mutation {
+    createUser(userInput: {
+      username: "will"
+      status: SUSPENDED
+      employerId: "binsol"
+    }) {
+      username
+      status
+      employerId
+    }
+  }`
+
+  const result = await graphql({ schema, source: mutation })
+
+  expect(result).toEqual({
+    data: {
+      createUser: {
+        username: 'will',
+        status: 'SUSPENDED',
+        employerId: 'binsol'
+      }
+    }
+  })
+})
+
+test('Pass options to the runtime', async () => {
+  const schema = generatedModule.createSchema({
+    headers: (method, path) => {
+      return path === '/users/{username}' ? { 'X-Language': 'de' } : {}
+    }
+  })
+
+  const query = `{
+    user(username: "arlene") {
+      name
+    }
+    unknownUser: user(username: "nobody") {
+      name
+    }
+  }`
+
+  const result = await graphql({ schema, source: query })
+
+  expect(result.data).toEqual({
+    user: { name: 'Arlena L McMahon' },
+    unknownUser: null
+  })
+  expect(
+    result.errors.map(({ message, extensions }) => [
+      message,
+      extensions.statusCode
+    ])
+  ).toEqual([['Could not invoke operation GET /users/{username}', 404]])
+})
+
+test('Reject fields that the runtime does not support', async () => {
+  await expect(
+    openAPIToGraphQL.generateTypeScriptModule(oas, { federation: true })
+  ).rejects.toThrow(
+    "Cannot generate resolver for field '_entities' of type 'Query' because " +
+      'it does not invoke an operation'
+  )
+
+  await expect(
+    openAPIToGraphQL.generateTypeScriptModule(oas, {
+      customResolvers: {
+        'Example API 25': {
+          '/companies/{id}': {
+            get: () => null
+          }
+        }
+      }
+    })
+  ).rejects.toThrow(
+    "Cannot generate resolver for field 'company' of type 'Query' because " +
+      'custom resolvers are not supported'
+  )
+})
+
+test('Reject viewers, which the runtime cannot authenticate', async () => {
+  const securedOas = JSON.parse(JSON.stringify(oas))
+  securedOas.components = {
+    ...securedOas.components,
+    securitySchemes: {
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' }
+    }
+  }
+  securedOas.security = [{ apiKey: [] }]
+
+  await expect(
+    openAPIToGraphQL.generateTypeScriptModule(securedOas)
+  ).rejects.toThrow(
+    "Cannot generate resolver for field 'viewerApiKey' of type 'Query' " +
+      'because it does not invoke an operation. Disable the viewer option ' +
+      'and send the credentials using the headers or qs options of the ' +
+      'runtime instead.'
+  )
+
+  const { code } = await openAPIToGraphQL.generateTypeScriptModule(securedOas, {
+    viewer: false
+  })
+
+  expect(code).toContain('createOperationResolver')
+})
@@ -0,0 +1,109 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Users = {
+  arlene: {
+    username: 'arlene',
+    name: 'Arlene L McMahon',
+    status: 'active',
+    employer_id: 'binsol'
+  }
+}
+
+const Posts = {
+  arlene: [
+    { title: 'Hello world' },
+    { title: 'Binary Solutions is hiring' },
+    { title: 'Goodbye' }
+  ]
+}
+
+const Companies = {
+  binsol: {
+    id: 'binsol',
+    name: 'Binary Solutions'
+  }
+}
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  app.use(express.json())
+
+  app.post('/api/users', (req, res) => {
+    res.status(201).send(req.body)
+  })
+
+  app.get('/api/users/:username', (req, res) => {
+    if (!(req.params.username in Users)) {
+      return res.status(404).send({ message: 'Unknown user' })
+    }
+
+    const user = Users[req.params.username]
+    res.send(
+      req.get('x-language') === 'de'
+        ? { ...user, name: user.name.replace('Arlene', 'Arlena') }
+        : user
+    )
+  })
+
+  app.get('/api/users/:username/posts', (req, res) => {
+    if (!(req.params.username in Posts)) {
+      return res.status(404).send({ message: 'Unknown user' })
+    }
+
+    const posts = Posts[req.params.username]
+    res.send(
+      typeof req.query.limit === 'string'
+        ? posts.slice(0, Number(req.query.limit))
+        : posts
+    )
+  })
+
+  app.get('/api/companies/:id', (req, res) => {
+    if (!(req.params.id in Companies)) {
+      return res.status(404).send({ message: 'Unknown company' })
+    }
+
+    res.send(Companies[req.params.id])
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3028)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
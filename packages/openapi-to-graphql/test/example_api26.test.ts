@@ -0,0 +1,168 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+
+const oldOas = require('./fixtures/example_oas26.json')
+const newOas = require('./fixtures/example_oas26_v2.json')
+
+let comparison: openAPIToGraphQL.SchemaComparison
+
+/**
+ * This test suite is used to verify the behavior of compareSchemas.
+ */
+
+// Compare the schemas of both versions first
+beforeAll(() => {
+  return openAPIToGraphQL.compareSchemas(oldOas, newOas).then((result) => {
+    comparison = result
+  })
+})
+
+test('Report breaking changes', () => {
+  expect(comparison.breakingChanges).toEqual([
+    {
+      type: 'ARG_CHANGED_KIND',
+      description: 'Query.users arg limit has changed type from Int to Int!.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/paths/~1users/get',
+        version: 'new'
+      }
+    },
+    {
+      type: 'FIELD_REMOVED',
+      description: 'User.email was removed.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/components/schemas/user/properties/email',
+        version: 'old'
+      }
+    },
+    {
+      type: 'FIELD_REMOVED',
+      description: 'UserInput.email was removed.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/components/schemas/user/properties/email',
+        version: 'old'
+      }
+    }
+  ])
+})
+
+test('Report dangerous changes', () => {
+  expect(comparison.dangerousChanges).toEqual([
+    {
+      type: 'OPTIONAL_ARG_ADDED',
+      description: 'An optional arg department on Query.users was added.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/paths/~1users/get',
+        version: 'new'
+      }
+    },
+    {
+      type: 'VALUE_ADDED_TO_ENUM',
+      description: 'DELETED was added to enum type Status.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/components/schemas/user/properties/status',
+        version: 'new'
+      }
+    }
+  ])
+})
+
+test('Report safe changes', () => {
+  expect(comparison.safeChanges).toEqual([
+    {
+      type: 'FIELD_ADDED',
+      description: 'Query.team was added.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/paths/~1teams~1{id}/get',
+        version: 'new'
+      }
+    },
+    {
+      type: 'FIELD_ADDED',
+      description: 'Company.website was added.',
+      source: {
+        title: 'Example API 26',
+        pointer:
+          '/paths/~1companies~1{id}/get/responses/200/content/' +
+          'application~1json/schema/properties/website',
+        version: 'new'
+      }
+    },
+    {
+      type: 'TYPE_ADDED',
+      description: 'Team was added.',
+      source: {
+        title: 'Example API 26',
+        pointer: '/components/schemas/team',
+        version: 'new'
+      }
+    }
+  ])
+})
+
+test('Report no changes between the same versions', async () => {
+  const result = await openAPIToGraphQL.compareSchemas(newOas, newOas)
+
+  expect(result).toEqual({
+    breakingChanges: [],
+    dangerousChanges: [],
+    safeChanges: []
+  })
+})
+
+test('Compare OASs with security schemes', async () => {
+  const securedOas = JSON.parse(JSON.stringify(newOas))
+  securedOas.components.securitySchemes = {
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-Api-Key' }
+  }
+  securedOas.security = [{ apiKey: [] }]
+
+  const result = await openAPIToGraphQL.compareSchemas(newOas, securedOas)
+
+  // Operations move into viewers, which are not created from the OAS
+  expect(result.breakingChanges).toContainEqual({
+    type: 'FIELD_REMOVED',
+    description: 'Query.users was removed.',
+    source: {
+      title: 'Example API 26',
+      pointer: '/paths/~1users/get',
+      version: 'old'
+    }
+  })
+  expect(result.safeChanges).toContainEqual({
+    type: 'FIELD_ADDED',
+    description: 'Query.viewerApiKey was added.'
+  })
+})
+
+test('Trace changes of input fields back to their properties', async () => {
+  const changedOas = JSON.parse(JSON.stringify(newOas))
+  changedOas.components.schemas.user.properties.team = { type: 'string' }
+  changedOas.components.schemas.user.required = ['team']
+
+  const result = await openAPIToGraphQL.compareSchemas(newOas, changedOas)
+
+  expect(result.breakingChanges).toContainEqual({
+    type: 'REQUIRED_INPUT_FIELD_ADDED',
+    description: 'A required field team on input type UserInput was added.',
+    source: {
+      title: 'Example API 26',
+      pointer: '/components/schemas/user/properties/team',
+      version: 'new'
+    }
+  })
+})
@@ -0,0 +1,145 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+
+const oas = require('./fixtures/example_oas27.json')
+
+let report: openAPIToGraphQL.Report
+
+/**
+ * This test suite is used to verify the operations and the sources of the
+ * warnings in the report.
+ */
+
+// Set up the schema first
+beforeAll(() => {
+  return openAPIToGraphQL
+    .createGraphQLSchema(oas, { exclude: { tags: ['admin'] } })
+    .then((result) => {
+      report = result.report
+    })
+})
+
+test('Report the fields and types created from operations', () => {
+  expect(
+    report.operations.filter(({ operationType }) => {
+      return operationType !== 'skipped'
+    })
+  ).toEqual([
+    {
+      source: {
+        title: 'Example API 27',
+        pointer: '/paths/~1users~1{username}/get'
+      },
+      path: '/users/{username}',
+      method: 'get',
+      operationId: 'getUser',
+      operationType: 'query',
+      fields: ['Query.user'],
+      typeNames: ['User']
+    },
+    {
+      source: {
+        title: 'Example API 27',
+        pointer: '/paths/~1users/post'
+      },
+      path: '/users',
+      method: 'post',
+      operationId: 'createUser',
+      operationType: 'mutation',
+      fields: ['Mutation.createUser'],
+      typeNames: ['User', 'UserInput']
+    }
+  ])
+})
+
+test('Report why operations were skipped', () => {
+  expect(
+    report.operations
+      .filter(({ operationType }) => operationType === 'skipped')
+      .map(({ source, reason }) => [source.pointer, reason])
+  ).toEqual([
+    [
+      '/paths/~1users~1{username}/delete',
+      'Hidden by the x-graphql-hidden extension'
+    ],
+    [
+      '/paths/~1admin~1users/get',
+      'Not selected by the include and exclude options'
+    ],
+    [
+      '/paths/~1status/get',
+      'Operation GET /status has no (valid) response schema. You can use ' +
+        'the fillEmptyResponses option to create a placeholder schema'
+    ]
+  ])
+})
+
+test('Trace warnings back to the OAS', () => {
+  expect(report.warnings.map(({ type, source }) => ({ type, source }))).toEqual(
+    [
+      {
+        type: 'INVALID_FIELD_EXTENSION',
+        source: {
+          title: 'Example API 27',
+          pointer: '/paths/~1users~1{username}/get'
+        }
+      },
+      {
+        type: 'OBJECT_MISSING_PROPERTIES',
+        source: {
+          title: 'Example API 27',
+          pointer: '/components/schemas/settings'
+        }
+      },
+      {
+        type: 'MISSING_RESPONSE_SCHEMA',
+        source: {
+          title: 'Example API 27',
+          pointer: '/paths/~1status/get'
+        }
+      }
+    ]
+  )
+})
+
+test('Report the operations of callbacks', async () => {
+  const { report } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    createSubscriptionsFromCallbacks: true
+  })
+
+  expect(
+    report.operations.find(({ operationId }) => {
+      return operationId === 'userActivated'
+    })
+  ).toEqual({
+    source: {
+      title: 'Example API 27',
+      pointer:
+        '/paths/~1users/post/callbacks/userActivated/' +
+        '~1callbacks~1users~1{$request.body#~1username}/post'
+    },
+    path: '/callbacks/users/{$request.body#/username}',
+    method: 'post',
+    operationId: 'userActivated',
+    operationType: 'subscription',
+    fields: ['Subscription.userActivated'],
+    typeNames: ['User', 'UserInput']
+  })
+})
+
+test('Do not share the report between schemas', async () => {
+  const result = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    exclude: { tags: ['admin'] }
+  })
+
+  expect(result.report).not.toBe(report)
+  expect(result.report).toEqual(report)
+})
@@ -5,7 +5,13 @@
 
 'use strict'
 
-import { graphql, GraphQLSchema, parse, validate } from 'graphql'
+import {
+  graphql,
+  GraphQLObjectType,
+  GraphQLSchema,
+  parse,
+  validate
+} from 'graphql'
 import { afterAll, beforeAll, expect, test } from '@jest/globals'
 
 import * as openAPIToGraphQL from '../src/index'
@@ -281,10 +287,10 @@ test('Nested reference in parameter schema', () => {
  * 'POST inputUnion' has a request body that contains a oneOf. The request body
  * will be converted into an input object type while the oneOf will be turned
  * into a union type. However, according to the spec, input object types cannot
- * be composed of unions. As a fall back, this pattern should default to the
- * arbitrary JSON type instead.
+ * be composed of unions. Instead, this pattern should be turned into a @oneOf
+ * input object type with one field for every member schema.
  */
-test('Input object types composed of union types should default to arbitrary JSON type', () => {
+test('Input object types composed of union types should become @oneOf input object types', () => {
   const query = `{
     __type(name: "Mutation") {
       fields {
@@ -293,6 +299,13 @@ test('Input object types composed of union types should default to arbitrary JSO
           name
           type {
             name
+            isOneOf
+            inputFields {
+              name
+              type {
+                name
+              }
+            }
           }
         }
       }
@@ -310,7 +323,22 @@ test('Input object types composed of union types should default to arbitrary JSO
         {
           name: 'inputUnionInput',
           type: {
-            name: 'JSON'
+            name: 'InputUnionInput',
+            isOneOf: true,
+            inputFields: [
+              {
+                name: 'inputUnionMember',
+                type: {
+                  name: 'InputUnionMemberInput'
+                }
+              },
+              {
+                name: 'inputUnionMember2',
+                type: {
+                  name: 'InputUnionMember2Input'
+                }
+              }
+            ]
           }
         }
       ]
@@ -396,3 +424,45 @@ test('Handle no response schema', () => {
     })
   })
 })
+
+/**
+ * GET /legacyStatus, the verbose parameter of GET /legacyObject, and the
+ * oldName property are marked as deprecated
+ */
+test('Deprecated operations, parameters, and properties', () => {
+  const queryFields = createdSchema.getQueryType().getFields()
+  expect(queryFields.legacyStatus.deprecationReason).toEqual(
+    'No longer supported'
+  )
+
+  const legacyObjectField = queryFields.legacyObject
+  expect(legacyObjectField.deprecationReason).toBeUndefined()
+  const verboseArg = legacyObjectField.args.find(
+    (arg) => arg.name === 'verbose'
+  )
+  expect(verboseArg.deprecationReason).toEqual('No longer supported')
+  const formatArg = legacyObjectField.args.find((arg) => arg.name === 'format')
+  expect(formatArg.deprecationReason).toBeUndefined()
+
+  const legacyObjectType = legacyObjectField.type as GraphQLObjectType
+  expect(legacyObjectType.getFields().oldName.deprecationReason).toEqual(
+    'No longer supported'
+  )
+  expect(legacyObjectType.getFields().name.deprecationReason).toBeUndefined()
+})
+
+test('Option omitDeprecated', async () => {
+  const options: Options<any, any, any> = {
+    omitDeprecated: true
+  }
+
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, options)
+  const queryFields = schema.getQueryType().getFields()
+  expect(queryFields.legacyStatus).toBeUndefined()
+
+  const legacyObjectField = queryFields.legacyObject
+  expect(legacyObjectField.args.map((arg) => arg.name)).toEqual(['format'])
+
+  const legacyObjectType = legacyObjectField.type as GraphQLObjectType
+  expect(Object.keys(legacyObjectType.getFields())).toEqual(['name'])
+})
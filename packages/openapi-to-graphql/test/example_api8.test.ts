@@ -0,0 +1,222 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+import crossFetch from 'cross-fetch'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer } from './example_api8_server'
+
+const oas = require('./fixtures/example_oas8.json')
+const PORT = 3011
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+// Records the URLs of all requests made by the resolve functions
+let requestedUrls: string[] = []
+const fetch = ((url, options) => {
+  requestedUrls.push(url as string)
+  return crossFetch(url, options)
+}) as typeof crossFetch
+
+let createdSchema: GraphQLSchema
+let batchedSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the batchRequests option.
+ */
+
+// Set up the schemas first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL.createGraphQLSchema(oas, { fetch }).then(({ schema }) => {
+      createdSchema = schema
+    }),
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, {
+        fetch,
+        batchRequests: true,
+        report: {
+          warnings: [],
+          numOps: 0,
+          numOpsQuery: 0,
+          numOpsMutation: 0,
+          numOpsSubscription: 0,
+          numQueriesCreated: 0,
+          numMutationsCreated: 0,
+          numSubscriptionsCreated: 0
+        }
+      })
+      .then(({ schema }) => {
+        batchedSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+const booksQuery = `{
+  books {
+    title
+    author {
+      name
+    }
+    publisher {
+      name
+    }
+  }
+}`
+
+const booksResult = {
+  data: {
+    books: [
+      {
+        title: 'Dune',
+        author: { name: 'Frank Herbert' },
+        publisher: { name: 'Ace Books' }
+      },
+      {
+        title: 'Dune Messiah',
+        author: { name: 'Frank Herbert' },
+        publisher: { name: 'Ace Books' }
+      },
+      {
+        title: 'Neuromancer',
+        author: { name: 'William Gibson' },
+        publisher: { name: 'Ace Books' }
+      }
+    ]
+  }
+}
+
+test('Without the batchRequests option, every link makes its own request', () => {
+  requestedUrls = []
+
+  return graphql({
+    schema: createdSchema,
+    source: booksQuery,
+    contextValue: {}
+  }).then((result) => {
+    expect(result).toEqual(booksResult)
+    expect(requestedUrls.length).toEqual(7)
+  })
+})
+
+test('Option batchRequests deduplicates and batches requests', () => {
+  requestedUrls = []
+  const context = {}
+
+  return graphql({
+    schema: batchedSchema,
+    source: booksQuery,
+    contextValue: context
+  }).then((result) => {
+    expect(result).toEqual(booksResult)
+    expect(requestedUrls.sort()).toEqual([
+      `http://localhost:${PORT}/api/authors?ids=author-1%2Cauthor-2`,
+      `http://localhost:${PORT}/api/books`,
+      `http://localhost:${PORT}/api/publishers/publisher-1`
+    ])
+    expect(openAPIToGraphQL.getNumRequestsSaved(context)).toEqual(4)
+  })
+})
+
+test('Option batchRequests uses the regular operation for a batch of one', () => {
+  requestedUrls = []
+
+  const query = `{
+    book(bookId: "book-3") {
+      author {
+        name
+      }
+    }
+  }`
+
+  return graphql({
+    schema: batchedSchema,
+    source: query,
+    contextValue: {}
+  }).then((result) => {
+    expect(result).toEqual({
+      data: {
+        book: {
+          author: {
+            name: 'William Gibson'
+          }
+        }
+      }
+    })
+    expect(requestedUrls).toEqual([
+      `http://localhost:${PORT}/api/books/book-3`,
+      `http://localhost:${PORT}/api/authors/author-2`
+    ])
+  })
+})
+
+test('Option batchRequests does not share responses between GraphQL requests', async () => {
+  requestedUrls = []
+
+  const query = `{
+    publisher(publisherId: "publisher-1") {
+      name
+    }
+  }`
+
+  await graphql({ schema: batchedSchema, source: query, contextValue: {} })
+  await graphql({ schema: batchedSchema, source: query, contextValue: {} })
+
+  expect(requestedUrls.length).toEqual(2)
+})
+
+test('Option batchRequests does not keep responses of a reused context', async () => {
+  requestedUrls = []
+  const context = {}
+
+  const query = `{
+    publisher(publisherId: "publisher-1") {
+      name
+    }
+  }`
+
+  await graphql({ schema: batchedSchema, source: query, contextValue: context })
+  await graphql({ schema: batchedSchema, source: query, contextValue: context })
+
+  expect(requestedUrls.length).toEqual(2)
+  expect(openAPIToGraphQL.getNumRequestsSaved(context)).toEqual(0)
+})
+
+test('Invalid x-graphql-batch extension creates a warning', () => {
+  const invalidOas = JSON.parse(JSON.stringify(oas))
+  invalidOas.paths['/authors/{authorId}'].get[
+    'x-graphql-batch'
+  ].batchParameter = 'authorIds'
+
+  return openAPIToGraphQL
+    .createGraphQLSchema(invalidOas, {
+      batchRequests: true,
+      report: {
+        warnings: [],
+        numOps: 0,
+        numOpsQuery: 0,
+        numOpsMutation: 0,
+        numOpsSubscription: 0,
+        numQueriesCreated: 0,
+        numMutationsCreated: 0,
+        numSubscriptionsCreated: 0
+      }
+    })
+    .then(({ report }) => {
+      expect(report.warnings.map((warning) => warning.type)).toEqual([
+        'INVALID_BATCH_EXTENSION'
+      ])
+    })
+})
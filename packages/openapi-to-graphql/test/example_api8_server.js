@@ -0,0 +1,131 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+const Books = {
+  'book-1': {
+    id: 'book-1',
+    title: 'Dune',
+    authorId: 'author-1',
+    publisherId: 'publisher-1'
+  },
+  'book-2': {
+    id: 'book-2',
+    title: 'Dune Messiah',
+    authorId: 'author-1',
+    publisherId: 'publisher-1'
+  },
+  'book-3': {
+    id: 'book-3',
+    title: 'Neuromancer',
+    authorId: 'author-2',
+    publisherId: 'publisher-1'
+  }
+}
+
+const Authors = {
+  'author-1': {
+    id: 'author-1',
+    name: 'Frank Herbert'
+  },
+  'author-2': {
+    id: 'author-2',
+    name: 'William Gibson'
+  }
+}
+
+const Publishers = {
+  'publisher-1': {
+    id: 'publisher-1',
+    name: 'Ace Books'
+  }
+}
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  const bodyParser = require('body-parser')
+  app.use(bodyParser.json())
+
+  app.get('/api/books', (req, res) => {
+    res.send(Object.values(Books))
+  })
+
+  app.get('/api/books/:bookId', (req, res) => {
+    if (req.params.bookId in Books) {
+      res.send(Books[req.params.bookId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong book ID.'
+      })
+    }
+  })
+
+  app.get('/api/authors', (req, res) => {
+    const ids = typeof req.query.ids === 'string' ? req.query.ids.split(',') : []
+
+    res.send(
+      ids
+        .filter((id) => id in Authors)
+        .map((id) => Authors[id])
+    )
+  })
+
+  app.get('/api/authors/:authorId', (req, res) => {
+    if (req.params.authorId in Authors) {
+      res.send(Authors[req.params.authorId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong author ID.'
+      })
+    }
+  })
+
+  app.get('/api/publishers/:publisherId', (req, res) => {
+    if (req.params.publisherId in Publishers) {
+      res.send(Publishers[req.params.publisherId])
+    } else {
+      res.status(404).send({
+        message: 'Wrong publisher ID.'
+      })
+    }
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3011)
+}
+
+module.exports = {
+  startServer,
+  stopServer
+}
@@ -0,0 +1,241 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+import { graphql, GraphQLSchema } from 'graphql'
+import { afterAll, beforeAll, expect, test } from '@jest/globals'
+
+import * as openAPIToGraphQL from '../src/index'
+import { startServer, stopServer, getCounts } from './example_api9_server'
+
+const oas = require('./fixtures/example_oas9.json')
+const PORT = 3012
+// Update PORT for this test case:
+oas.servers[0].variables.port.default = String(PORT)
+
+let createdSchema: GraphQLSchema
+
+/**
+ * This test suite is used to verify the behavior of the responseCache and
+ * responseCacheTTL options.
+ */
+
+// Set up the schema first and run example API server
+beforeAll(() => {
+  return Promise.all([
+    openAPIToGraphQL
+      .createGraphQLSchema(oas, { responseCache: true })
+      .then(({ schema }) => {
+        createdSchema = schema
+      }),
+    startServer(PORT)
+  ])
+})
+
+// Shut down API server
+afterAll(() => {
+  return stopServer()
+})
+
+test('Fresh responses are served from the cache', async () => {
+  const query = `{
+    fresh {
+      count
+    }
+  }`
+  const before = getCounts().fresh
+
+  const result1 = await graphql({ schema: createdSchema, source: query })
+  const result2 = await graphql({ schema: createdSchema, source: query })
+
+  expect(result2).toEqual(result1)
+  expect(getCounts().fresh - before).toEqual(1)
+})
+
+test('Stale responses are revalidated using If-None-Match', async () => {
+  const query = `{
+    validated {
+      count
+    }
+  }`
+  const before = getCounts()
+
+  const result1 = await graphql({ schema: createdSchema, source: query })
+  const result2 = await graphql({ schema: createdSchema, source: query })
+
+  expect(result2).toEqual(result1)
+  expect(getCounts().validated - before.validated).toEqual(1)
+  expect(getCounts().notModified - before.notModified).toEqual(1)
+})
+
+test('Responses with Cache-Control no-store are not cached', async () => {
+  const query = `{
+    uncacheable {
+      count
+    }
+  }`
+
+  const result1: any = await graphql({ schema: createdSchema, source: query })
+  const result2: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result2.data.uncacheable.count).toEqual(
+    result1.data.uncacheable.count + 1
+  )
+})
+
+test('Responses with Cache-Control private are not cached', async () => {
+  const query = `{
+    private {
+      count
+    }
+  }`
+
+  const result1: any = await graphql({ schema: createdSchema, source: query })
+  const result2: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result2.data.private.count).toEqual(result1.data.private.count + 1)
+})
+
+test('Responses with Vary * are not cached', async () => {
+  const query = `{
+    varied {
+      count
+    }
+  }`
+
+  const result1: any = await graphql({ schema: createdSchema, source: query })
+  const result2: any = await graphql({ schema: createdSchema, source: query })
+
+  expect(result2.data.varied.count).toEqual(result1.data.varied.count + 1)
+})
+
+test('Option responseCacheTTL', async () => {
+  const query = `{
+    validated {
+      count
+    }
+  }`
+  const before = getCounts().validated
+
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    responseCache: true,
+    responseCacheTTL: {
+      'Example API 9': {
+        '/validated': {
+          get: 60
+        }
+      }
+    }
+  })
+
+  const result1 = await graphql({ schema, source: query })
+  const result2 = await graphql({ schema, source: query })
+
+  expect(result2).toEqual(result1)
+  expect(getCounts().validated - before).toEqual(1)
+})
+
+test('Option responseCacheTTL does not store responses with Cache-Control no-store', async () => {
+  const query = `{
+    uncacheable {
+      count
+    }
+  }`
+
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    responseCache: true,
+    responseCacheTTL: {
+      'Example API 9': {
+        '/uncacheable': {
+          get: 60
+        }
+      }
+    }
+  })
+
+  const result1: any = await graphql({ schema, source: query })
+  const result2: any = await graphql({ schema, source: query })
+
+  expect(result2.data.uncacheable.count).toEqual(
+    result1.data.uncacheable.count + 1
+  )
+})
+
+test('Responses are not cached by default', async () => {
+  const query = `{
+    fresh {
+      count
+    }
+  }`
+  const before = getCounts().fresh
+
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas)
+
+  await graphql({ schema, source: query })
+  await graphql({ schema, source: query })
+
+  expect(getCounts().fresh - before).toEqual(2)
+})
+
+test('Option responseCache with a custom cache', async () => {
+  const query = `{
+    fresh {
+      count
+    }
+  }`
+
+  const responses = new Map<string, openAPIToGraphQL.CachedResponse>()
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    responseCache: {
+      get: async (key) => responses.get(key),
+      set: async (key, response) => {
+        responses.set(key, response)
+      },
+      delete: async (key) => {
+        responses.delete(key)
+      }
+    }
+  })
+
+  const result = await graphql({ schema, source: query })
+
+  expect(responses.size).toEqual(1)
+  const [cachedResponse] = responses.values()
+  expect(cachedResponse.headers['cache-control']).toEqual('max-age=60')
+  expect(JSON.parse(cachedResponse.body)).toEqual(result.data.fresh)
+})
+
+test('Option responseCache with a cache that holds circular references', async () => {
+  const query = `{
+    fresh {
+      count
+    }
+  }`
+
+  // Like the clients of Redis or LRU caches
+  class Client {
+    client: Client = this
+    responses = new Map<string, openAPIToGraphQL.CachedResponse>()
+  }
+  const client = new Client()
+
+  const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
+    responseCache: {
+      client,
+      get: async (key) => client.responses.get(key),
+      set: async (key, response) => {
+        client.responses.set(key, response)
+      },
+      delete: async (key) => {
+        client.responses.delete(key)
+      }
+    } as openAPIToGraphQL.ResponseCache
+  })
+
+  await graphql({ schema, source: query })
+
+  expect(client.responses.size).toEqual(1)
+})
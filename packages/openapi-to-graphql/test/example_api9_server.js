@@ -0,0 +1,100 @@
+// Copyright IBM Corp. 2023. All Rights Reserved.
+// Node module: openapi-to-graphql
+// This file is licensed under the MIT License.
+// License text available at https://opensource.org/licenses/MIT
+
+'use strict'
+
+let server // holds server object for shutdown
+
+// Number of responses with a body that each endpoint has sent
+const counts = {
+  fresh: 0,
+  validated: 0,
+  uncacheable: 0,
+  private: 0,
+  varied: 0
+}
+
+// Number of 304 responses that the /validated endpoint has sent
+let notModifiedCount = 0
+
+/**
+ * Starts the server at the given port
+ */
+function startServer(PORT) {
+  const express = require('express')
+  const app = express()
+
+  // ETags are set manually
+  app.set('etag', false)
+
+  app.get('/api/fresh', (req, res) => {
+    res.set('Cache-Control', 'max-age=60')
+    res.send({ count: ++counts.fresh })
+  })
+
+  app.get('/api/validated', (req, res) => {
+    res.set('ETag', '"v1"')
+
+    if (req.get('If-None-Match') === '"v1"') {
+      notModifiedCount++
+      res.status(304).end()
+    } else {
+      res.send({ count: ++counts.validated })
+    }
+  })
+
+  app.get('/api/uncacheable', (req, res) => {
+    res.set('Cache-Control', 'no-store')
+    res.send({ count: ++counts.uncacheable })
+  })
+
+  app.get('/api/private', (req, res) => {
+    res.set('Cache-Control', 'private, max-age=60')
+    res.send({ count: ++counts.private })
+  })
+
+  app.get('/api/varied', (req, res) => {
+    res.set('Cache-Control', 'max-age=60')
+    res.set('Vary', '*')
+    res.send({ count: ++counts.varied })
+  })
+
+  return new Promise(resolve => {
+    server = app.listen(PORT, () => {
+      console.log(`Example API accessible on port ${PORT}`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Stops server.
+ */
+function stopServer() {
+  return new Promise(resolve => {
+    server.close(() => {
+      console.log(`Stopped API server`)
+      resolve()
+    })
+  })
+}
+
+/**
+ * Returns the number of responses sent by the server
+ */
+function getCounts() {
+  return { ...counts, notModified: notModifiedCount }
+}
+
+// If run from command line, start server:
+if (require.main === module) {
+  startServer(3012)
+}
+
+module.exports = {
+  startServer,
+  stopServer,
+  getCounts
+}
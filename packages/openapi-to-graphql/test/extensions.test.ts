@@ -15,19 +15,25 @@ import {
 
 import * as openAPIToGraphQL from '../src/index'
 import { Oas3 } from '../src/types/oas3'
+import { Report } from '../src/types/options'
 
 describe('GraphQL Extensions', () => {
   describe('Schema output', () => {
     let oas: Oas3
     let createdSchema: GraphQLSchema
+    let createdReport: Report
 
     beforeAll(async () => {
       oas = require('./fixtures/extensions.json')
-      const { schema } = await openAPIToGraphQL.createGraphQLSchema(oas, {
-        fillEmptyResponses: true,
-        createSubscriptionsFromCallbacks: true
-      })
+      const { schema, report } = await openAPIToGraphQL.createGraphQLSchema(
+        oas,
+        {
+          fillEmptyResponses: true,
+          createSubscriptionsFromCallbacks: true
+        }
+      )
       createdSchema = schema
+      createdReport = report
     })
 
     test('should rename Query with x-graphql-field-name', () => {
@@ -89,6 +95,89 @@ describe('GraphQL Extensions', () => {
       expect(createdSchema.getType('AdditionalMetadata')).toBeUndefined()
       expect(createdSchema.getType('AdditionalMetadataInput')).toBeUndefined()
     })
+
+    test('should hide Query with x-graphql-hidden', () => {
+      const queries = Object.keys(createdSchema.getQueryType().getFields())
+      expect(queries).not.toContain('logoutUser')
+    })
+
+    test('should deprecate Query with x-graphql-deprecated', () => {
+      const viewer = createdSchema.getType('ViewerApiKey') as GraphQLObjectType
+      const inventory = viewer.getFields().storeInventory
+      expect(inventory.deprecationReason).toEqual('Use getOrderById instead')
+    })
+
+    test('should replace Query description with x-graphql-description', () => {
+      const petFindByTags = createdSchema
+        .getQueryType()
+        .getFields().petFindByTags
+      expect(petFindByTags.description).toEqual(
+        'Finds pets by their tags\n\nEquivalent to GET /pet/findByTags'
+      )
+    })
+
+    test('should hide, deprecate, and describe arguments', () => {
+      const userLogin = createdSchema.getQueryType().getFields().userLogin
+      const args = userLogin.args.map(({ name }) => name)
+      expect(args).not.toContain('password')
+
+      const username = userLogin.args.find(({ name }) => name === 'username')
+      expect(username.deprecationReason).toEqual('No longer supported')
+      expect(username.description).toEqual('The name of the user')
+    })
+
+    test('should hide, deprecate, and describe fields', () => {
+      const user = createdSchema.getType('User') as GraphQLObjectType
+      const fields = user.getFields()
+      expect(Object.keys(fields)).not.toContain('password')
+      expect(fields.phone.deprecationReason).toEqual('Use email instead')
+      expect(fields.userStatus.description).toEqual('Status of the user')
+
+      const userInput = createdSchema.getType(
+        'UserInput'
+      ) as GraphQLInputObjectType
+      expect(Object.keys(userInput.getFields())).not.toContain('password')
+      expect(userInput.getFields().phone.deprecationReason).toEqual(
+        'Use email instead'
+      )
+    })
+
+    test('should not hide or deprecate required arguments and input fields', () => {
+      const viewer = createdSchema.getType('ViewerApiKey') as GraphQLObjectType
+      const pet = viewer.getFields().pet
+      expect(pet.args.map(({ name }) => name)).toContain('petId')
+      expect(createdReport.warnings).toContainEqual(
+        expect.objectContaining({
+          type: 'REQUIRED_HIDDEN_ELEMENT',
+          message: expect.stringContaining(`parameter 'petId'`)
+        })
+      )
+
+      const petType = createdSchema.getType('Pet') as GraphQLObjectType
+      expect(petType.getFields().name.deprecationReason).toEqual(
+        'No longer supported'
+      )
+      const petInput = createdSchema.getType(
+        'PetInput'
+      ) as GraphQLInputObjectType
+      expect(petInput.getFields().name.deprecationReason).toBeUndefined()
+      expect(createdReport.warnings).toContainEqual(
+        expect.objectContaining({
+          type: 'REQUIRED_DEPRECATED_ELEMENT',
+          message: expect.stringContaining(`property 'name' of type 'PetInput'`)
+        })
+      )
+    })
+
+    test('should ignore invalid x-graphql-hidden values', () => {
+      const category = createdSchema.getType('Category') as GraphQLObjectType
+      expect(Object.keys(category.getFields())).toContain('name')
+      expect(createdReport.warnings).toContainEqual(
+        expect.objectContaining({
+          type: 'INVALID_FIELD_EXTENSION'
+        })
+      )
+    })
   })
 
   describe('Error handling', () => {